@@ -0,0 +1,37 @@
+import path from "node:path"
+import { NextResponse } from "next/server"
+import { OutsideWorkspaceError, readWorkspaceFile } from "@/lib/workspace-files"
+
+/**
+ * Serves workflow YAML files from the local workspace directory so Include actions
+ * can be resolved. The directory defaults to the working directory of the server
+ * and can be changed with the WORKSPACE_ROOT environment variable.
+ */
+const WORKSPACE_ROOT = path.resolve(process.env.WORKSPACE_ROOT || process.cwd())
+
+/**
+ * @param {Request} request
+ */
+export async function GET(request) {
+  const requestedPath = new URL(request.url).searchParams.get("path")
+  if (!requestedPath) {
+    return NextResponse.json({ error: "Missing 'path' query parameter" }, { status: 400 })
+  }
+  if (!/\.ya?ml$/i.test(requestedPath)) {
+    return NextResponse.json({ error: "Only .yaml and .yml files can be served" }, { status: 400 })
+  }
+
+  try {
+    const content = await readWorkspaceFile(WORKSPACE_ROOT, requestedPath)
+    if (content === null) {
+      return NextResponse.json({ error: `File not found: ${requestedPath}` }, { status: 404 })
+    }
+    return new NextResponse(content, { headers: { "Content-Type": "text/yaml; charset=utf-8" } })
+  } catch (error) {
+    if (error instanceof OutsideWorkspaceError) {
+      return NextResponse.json({ error: "Path points outside the workspace" }, { status: 403 })
+    }
+    console.error("Failed to read workspace file:", error)
+    return NextResponse.json({ error: "Failed to read file" }, { status: 500 })
+  }
+}
@@ -0,0 +1,153 @@
+import { CopyObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3"
+import { NextResponse } from "next/server"
+import {
+  createS3Client,
+  getS3ServerConfig,
+  isKeyAllowed,
+  isWriteConditionFailure,
+  toS3ErrorResponse,
+} from "@/lib/s3-server"
+import { createOverrideRecord } from "@/lib/publish-check"
+import { applyPublishGate, runServerPublishCheck } from "@/lib/publish-check-server"
+import { normalizePath } from "@/lib/include-resolver"
+
+/**
+ * Reads a workflow, optionally a specific version of it: `?key=...&versionId=...`
+ * @param {Request} request
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const key = searchParams.get("key")
+  const versionId = searchParams.get("versionId") || undefined
+
+  let config
+  try {
+    config = getS3ServerConfig()
+  } catch (error) {
+    return NextResponse.json({ error: `S3 is misconfigured: ${error.message}`, code: "InvalidConfig" }, { status: 500 })
+  }
+  if (!isKeyAllowed(config, key)) {
+    return NextResponse.json({ error: "Key is outside the workflow prefix", code: "AccessDenied" }, { status: 403 })
+  }
+
+  try {
+    const result = await createS3Client(config).send(
+      new GetObjectCommand({ Bucket: config.bucket, Key: key, VersionId: versionId }),
+    )
+
+    return NextResponse.json({
+      key,
+      name: key.slice(config.prefix.length),
+      content: await result.Body.transformToString("utf-8"),
+      etag: result.ETag ?? null,
+      versionId: result.VersionId ?? null,
+      lastModified: result.LastModified?.toISOString() ?? null,
+    })
+  } catch (error) {
+    console.error("S3 read failed:", error)
+    const { status, body } = toS3ErrorResponse(error)
+    return NextResponse.json(body, { status })
+  }
+}
+
+/**
+ * Restores a prior version by copying it over the key, which makes the copy the latest version.
+ * Body: `{ key, versionId, expectedEtag, override }`
+ *
+ * Like an upload, the restore only succeeds while the current object still has `expectedEtag`
+ * (409 otherwise), and the restored content must pass the pre-publish check unless
+ * `override.reason` says why it is restored anyway (422 otherwise).
+ * @param {Request} request
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON", code: "InvalidRequest" }, { status: 400 })
+  }
+  const { key, versionId, expectedEtag, override = null } = body ?? {}
+  if (typeof versionId !== "string" || !versionId) {
+    return NextResponse.json({ error: "Missing 'versionId'", code: "InvalidRequest" }, { status: 400 })
+  }
+  if (typeof expectedEtag !== "string" || !expectedEtag) {
+    const error = "Missing 'expectedEtag', the ETag of the current object"
+    return NextResponse.json({ error, code: "InvalidRequest" }, { status: 400 })
+  }
+
+  let config
+  try {
+    config = getS3ServerConfig()
+  } catch (error) {
+    return NextResponse.json({ error: `S3 is misconfigured: ${error.message}`, code: "InvalidConfig" }, { status: 500 })
+  }
+  if (!isKeyAllowed(config, key)) {
+    return NextResponse.json({ error: "Key is outside the workflow prefix", code: "AccessDenied" }, { status: 403 })
+  }
+
+  try {
+    const client = createS3Client(config)
+    const version = await client.send(new GetObjectCommand({ Bucket: config.bucket, Key: key, VersionId: versionId }))
+    const content = await version.Body.transformToString("utf-8")
+
+    let check
+    try {
+      // The object's name relative to the prefix stands in for its path in the workspace
+      check = await runServerPublishCheck(content, { path: normalizePath(key.slice(config.prefix.length)) ?? "" })
+    } catch (error) {
+      console.error("Pre-publish check failed:", error)
+      const message = `Can't check the workflow: ${error.message}`
+      return NextResponse.json({ error: message, code: "CheckFailed" }, { status: 500 })
+    }
+    const { refusal, overrideReason, metadata } = applyPublishGate(check, override)
+    if (refusal) return NextResponse.json(refusal, { status: 422 })
+
+    const source = `${config.bucket}/${key.split("/").map(encodeURIComponent).join("/")}`
+    const result = await client.send(
+      new CopyObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+        CopySource: `${source}?versionId=${encodeURIComponent(versionId)}`,
+        ContentType: "application/x-yaml",
+        MetadataDirective: "REPLACE",
+        Metadata: {
+          ...config.metadata,
+          "uploaded-by": "yaml-builder",
+          "upload-timestamp": new Date().toISOString(),
+          "restored-from": versionId,
+          ...metadata,
+        },
+        ServerSideEncryption: config.serverSideEncryption ?? undefined,
+        SSEKMSKeyId: config.serverSideEncryption === "aws:kms" ? config.kmsKeyId : undefined,
+        // Fails when the object changed after the client listed its versions
+        IfMatch: expectedEtag,
+      }),
+    )
+    if (overrideReason) {
+      const record = createOverrideRecord({ path: key, reason: overrideReason, result: check })
+      console.warn("S3 restore despite validation errors:", record)
+    }
+
+    return NextResponse.json({
+      success: true,
+      key,
+      etag: result.CopyObjectResult?.ETag ?? null,
+      versionId: result.VersionId ?? null,
+      restoredFrom: versionId,
+    })
+  } catch (error) {
+    if (isWriteConditionFailure(error)) {
+      return NextResponse.json(
+        {
+          error: `${key} has changed in S3 since its versions were listed`,
+          code: "Conflict",
+          conflict: { key, currentEtag: null, expectedEtag, lastModified: null },
+        },
+        { status: 409 },
+      )
+    }
+    console.error("S3 restore failed:", error)
+    const { status, body: errorBody } = toS3ErrorResponse(error)
+    return NextResponse.json(errorBody, { status })
+  }
+}
@@ -0,0 +1,46 @@
+import { ListObjectsV2Command } from "@aws-sdk/client-s3"
+import { NextResponse } from "next/server"
+import { createS3Client, getS3ServerConfig, toS3ErrorResponse } from "@/lib/s3-server"
+
+/**
+ * Lists the workflow files under the configured prefix, one page at a time.
+ * Pass the previous response's `nextToken` as `?token=` for the next page.
+ * @param {Request} request
+ */
+export async function GET(request) {
+  const token = new URL(request.url).searchParams.get("token") || undefined
+
+  let config
+  try {
+    config = getS3ServerConfig()
+  } catch (error) {
+    return NextResponse.json({ error: `S3 is misconfigured: ${error.message}`, code: "InvalidConfig" }, { status: 500 })
+  }
+
+  try {
+    const result = await createS3Client(config).send(
+      new ListObjectsV2Command({ Bucket: config.bucket, Prefix: config.prefix, ContinuationToken: token }),
+    )
+
+    const objects = (result.Contents ?? [])
+      .filter((object) => /\.ya?ml$/i.test(object.Key))
+      .map((object) => ({
+        key: object.Key,
+        name: object.Key.slice(config.prefix.length),
+        size: object.Size ?? 0,
+        lastModified: object.LastModified?.toISOString() ?? null,
+        etag: object.ETag ?? null,
+      }))
+
+    return NextResponse.json({
+      bucket: config.bucket,
+      prefix: config.prefix,
+      objects,
+      nextToken: result.IsTruncated ? result.NextContinuationToken : null,
+    })
+  } catch (error) {
+    console.error("S3 list failed:", error)
+    const { status, body } = toS3ErrorResponse(error)
+    return NextResponse.json(body, { status })
+  }
+}
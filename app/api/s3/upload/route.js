@@ -0,0 +1,162 @@
+import { HeadObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3"
+import { NextResponse } from "next/server"
+import {
+  buildObjectKey,
+  createS3Client,
+  getObjectUrl,
+  getS3ServerConfig,
+  getWriteConditions,
+  hasUploadConflict,
+  isWriteConditionFailure,
+  toS3ErrorResponse,
+} from "@/lib/s3-server"
+import { ensureYamlExtension, validateS3Filename } from "@/lib/s3-utils"
+import { createOverrideRecord } from "@/lib/publish-check"
+import { applyPublishGate, runServerPublishCheck } from "@/lib/publish-check-server"
+import { normalizePath } from "@/lib/include-resolver"
+
+/**
+ * Returns the ETag and modification time of an object, or null when there is no such object
+ * @param {import('@aws-sdk/client-s3').S3Client} client
+ * @param {string} bucket
+ * @param {string} key
+ */
+async function headObject(client, bucket, key) {
+  try {
+    const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+    return { etag: result.ETag ?? null, lastModified: result.LastModified?.toISOString() ?? null }
+  } catch (error) {
+    if (error?.$metadata?.httpStatusCode === 404) return null
+    throw error
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string|null} expectedEtag
+ * @param {{etag: string|null, lastModified: string|null}|null} current
+ */
+function conflictResponse(key, expectedEtag, current) {
+  const error = expectedEtag ? `${key} has changed in S3 since it was opened` : `${key} already exists in S3`
+  return NextResponse.json(
+    {
+      error,
+      code: "Conflict",
+      conflict: {
+        key,
+        currentEtag: current?.etag ?? null,
+        expectedEtag,
+        lastModified: current?.lastModified ?? null,
+      },
+    },
+    { status: 409 },
+  )
+}
+
+/**
+ * Uploads a workflow to the configured bucket. Credentials never reach the browser:
+ * the client posts the YAML here and the server signs the request to S3.
+ *
+ * Unless `overwrite` is set, the upload only succeeds when the object still has `expectedEtag`,
+ * or, when `expectedEtag` is null, when there is no object yet. Otherwise it answers 409 with
+ * the current ETag so the client can offer to overwrite, save under a new key or compare.
+ *
+ * The pre-publish check runs here as well, resolving Include actions from `path`, the workflow's
+ * path in the workspace: a workflow with errors is refused with 422 unless
+ * `override.reason` says why it is published anyway. Such overrides are logged and stored in
+ * the object's metadata.
+ * @param {Request} request
+ */
+export async function POST(request) {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON", code: "InvalidRequest" }, { status: 400 })
+  }
+
+  const { filename, content, path = null, expectedEtag = null, overwrite = false, override = null } = body ?? {}
+  if (typeof content !== "string") {
+    return NextResponse.json({ error: "Missing 'content'", code: "InvalidRequest" }, { status: 400 })
+  }
+
+  let config
+  try {
+    config = getS3ServerConfig()
+  } catch (error) {
+    return NextResponse.json({ error: `S3 is misconfigured: ${error.message}`, code: "InvalidConfig" }, { status: 500 })
+  }
+
+  const validation = validateS3Filename(filename, { prefix: config.prefix })
+  if (!validation.isValid) {
+    return NextResponse.json({ error: validation.error, code: "InvalidFilename" }, { status: 400 })
+  }
+
+  const key = buildObjectKey(config, ensureYamlExtension(filename))
+  const uploadedAt = new Date().toISOString()
+
+  let check
+  try {
+    check = await runServerPublishCheck(content, { path: typeof path === "string" ? (normalizePath(path) ?? "") : "" })
+  } catch (error) {
+    console.error("Pre-publish check failed:", error)
+    const message = `Can't check the workflow: ${error.message}`
+    return NextResponse.json({ error: message, code: "CheckFailed" }, { status: 500 })
+  }
+
+  // Uploads that fail the pre-publish check need a reason; they are logged here and marked on the object
+  const { refusal, overrideReason, metadata } = applyPublishGate(check, override)
+  if (refusal) return NextResponse.json(refusal, { status: 422 })
+
+  try {
+    const client = createS3Client(config)
+
+    if (!overwrite) {
+      const current = await headObject(client, config.bucket, key)
+      if (hasUploadConflict(current, expectedEtag)) {
+        return conflictResponse(key, expectedEtag, current)
+      }
+    }
+
+    const result = await client.send(
+      new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+        Body: content,
+        ContentType: "application/x-yaml",
+        ServerSideEncryption: config.serverSideEncryption ?? undefined,
+        SSEKMSKeyId: config.serverSideEncryption === "aws:kms" ? config.kmsKeyId : undefined,
+        Metadata: {
+          ...config.metadata,
+          "uploaded-by": "yaml-builder",
+          "upload-timestamp": uploadedAt,
+          ...metadata,
+        },
+        // Conditional write, so an upload racing between the check above and this request still fails
+        ...getWriteConditions(expectedEtag, overwrite),
+      }),
+    )
+    if (overrideReason) {
+      const record = createOverrideRecord({ path: key, reason: overrideReason, result: check })
+      console.warn("S3 upload despite validation errors:", record)
+    }
+
+    return NextResponse.json({
+      success: true,
+      location: getObjectUrl(config, key),
+      bucket: config.bucket,
+      key,
+      etag: result.ETag,
+      versionId: result.VersionId ?? null,
+      size: Buffer.byteLength(content, "utf8"),
+      uploadedAt,
+    })
+  } catch (error) {
+    if (isWriteConditionFailure(error)) {
+      return conflictResponse(key, expectedEtag, null)
+    }
+    console.error("S3 upload failed:", error)
+    const { status, body: errorBody } = toS3ErrorResponse(error)
+    return NextResponse.json(errorBody, { status })
+  }
+}
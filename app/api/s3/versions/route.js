@@ -0,0 +1,50 @@
+import { ListObjectVersionsCommand } from "@aws-sdk/client-s3"
+import { NextResponse } from "next/server"
+import { createS3Client, getS3ServerConfig, isKeyAllowed, toS3ErrorResponse } from "@/lib/s3-server"
+
+/**
+ * Lists the versions of one workflow, newest first: `?key=...`.
+ * On a bucket without versioning there is a single version with the id "null".
+ * @param {Request} request
+ */
+export async function GET(request) {
+  const key = new URL(request.url).searchParams.get("key")
+
+  let config
+  try {
+    config = getS3ServerConfig()
+  } catch (error) {
+    return NextResponse.json({ error: `S3 is misconfigured: ${error.message}`, code: "InvalidConfig" }, { status: 500 })
+  }
+  if (!isKeyAllowed(config, key)) {
+    return NextResponse.json({ error: "Key is outside the workflow prefix", code: "AccessDenied" }, { status: 403 })
+  }
+
+  try {
+    const result = await createS3Client(config).send(
+      new ListObjectVersionsCommand({ Bucket: config.bucket, Prefix: key }),
+    )
+
+    // The prefix also matches longer keys, e.g. "a.yaml" matches "a.yaml.bak"
+    const versions = (result.Versions ?? [])
+      .filter((version) => version.Key === key)
+      .map((version) => ({
+        versionId: version.VersionId ?? "null",
+        isLatest: Boolean(version.IsLatest),
+        size: version.Size ?? 0,
+        lastModified: version.LastModified?.toISOString() ?? null,
+        etag: version.ETag ?? null,
+      }))
+      .sort((a, b) => (b.lastModified ?? "").localeCompare(a.lastModified ?? ""))
+
+    return NextResponse.json({
+      key,
+      versions,
+      versioningEnabled: versions.some((version) => version.versionId !== "null"),
+    })
+  } catch (error) {
+    console.error("S3 version listing failed:", error)
+    const { status, body } = toS3ErrorResponse(error)
+    return NextResponse.json(body, { status })
+  }
+}
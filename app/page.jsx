@@ -1,83 +1,516 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useEffect, useMemo, useReducer, useState } from "react"
 import YamlEditor from "@/components/yaml-editor"
 import ActionBuilder from "@/components/action-builder"
 import FlowVisualizer from "@/components/flow-visualizer"
+import FileTree from "@/components/file-tree"
+import DocumentTabs from "@/components/document-tabs"
+import HistoryControls from "@/components/history-controls"
+import SnapshotsDialog from "@/components/snapshots-dialog"
+import S3BrowserDialog from "@/components/s3-browser-dialog"
+import S3ConflictDialog from "@/components/s3-conflict-dialog"
+import PublishCheckPanel from "@/components/publish-check-panel"
+import WorkflowCompareDialog from "@/components/workflow-compare-dialog"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Button } from "@/components/ui/button"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
-import { Upload, Download, Copy, FileWarning, Cloud, Loader2 } from "lucide-react"
-import { stringifyYaml, validateYaml } from "@/lib/yaml-utils"
+import { Progress } from "@/components/ui/progress"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import {
+  Upload,
+  Download,
+  Copy,
+  FileWarning,
+  Cloud,
+  Loader2,
+  FolderOpen,
+  FilePlus,
+  Camera,
+  GitCompare,
+} from "lucide-react"
+import { patchActions } from "@/lib/yaml-document"
+import { parseYaml } from "@/lib/yaml-utils"
+import { buildSourceMap } from "@/lib/yaml-source-map"
+import {
+  createFileLoader,
+  fetchWorkspaceFile,
+  findEntryFile,
+  getIncludeDiagnostics,
+  normalizePath,
+  resolveIncludePath,
+  resolveIncludes,
+} from "@/lib/include-resolver"
+import {
+  createWorkspace,
+  getLoadPath,
+  getWorkspaceFiles,
+  hasUnsavedChanges,
+  isDirty,
+  serializeWorkspace,
+  workspaceReducer,
+} from "@/lib/workspace"
+import { clearSession, isPersistenceAvailable, loadSession, saveSession } from "@/lib/persistence"
+import { describeActionsChange } from "@/lib/history"
+import {
+  S3RequestError,
+  ensureYamlExtension,
+  suggestAlternativeFilename,
+  uploadToS3,
+  validateS3Filename,
+} from "@/lib/s3-utils"
+import { canPublish, createOverrideRecord, runPublishCheck } from "@/lib/publish-check"
+import { LINT_CONFIG_FILE, lintWorkflow, parseLintConfig } from "@/lib/lint"
+import { ACTION_TYPES_FILE, loadActionTypes } from "@/lib/action-plugins"
 import { useToast } from "@/hooks/use-toast"
+import { useActionTypes } from "@/hooks/use-action-types"
 
 export default function Home() {
   const [activeTab, setActiveTab] = useState("action-builder")
-  const [yamlContent, setYamlContent] = useState("")
-  const [actions, setActions] = useState([])
-  const [validationErrors, setValidationErrors] = useState([])
+  const [workspace, dispatch] = useReducer(workspaceReducer, undefined, createWorkspace)
+  const actionTypesVersion = useActionTypes()
+  const [includeResolutions, setIncludeResolutions] = useState([])
+  const [includeDiagnostics, setIncludeDiagnostics] = useState([])
+  const [isNewFileDialogOpen, setIsNewFileDialogOpen] = useState(false)
+  const [newFilePath, setNewFilePath] = useState("")
   const [isS3UploadDialogOpen, setIsS3UploadDialogOpen] = useState(false)
   const [s3FileName, setS3FileName] = useState("")
   const [isUploading, setIsUploading] = useState(false)
+  const [uploadProgress, setUploadProgress] = useState(0)
+  const [s3UploadError, setS3UploadError] = useState(null)
+  const [s3Conflict, setS3Conflict] = useState(null)
+  const [isDownloadCheckOpen, setIsDownloadCheckOpen] = useState(false)
+  const [publishDecision, setPublishDecision] = useState({ warningsAcknowledged: false, overrideReason: "" })
+  const [isSnapshotsDialogOpen, setIsSnapshotsDialogOpen] = useState(false)
+  const [isS3BrowserOpen, setIsS3BrowserOpen] = useState(false)
+  const [isCompareDialogOpen, setIsCompareDialogOpen] = useState(false)
+  const [flowComparison, setFlowComparison] = useState(null)
+  const [lintConfig, setLintConfig] = useState({ rules: {} })
+  // Autosave starts only once the stored session has been restored or discarded
+  const [isSessionChecked, setIsSessionChecked] = useState(false)
+  const [pendingSession, setPendingSession] = useState(null)
   const { toast } = useToast()
 
-  // Update YAML content when actions change
-  useEffect(() => {
-    if (actions.length > 0) {
-      const yaml = stringifyYaml({ actions })
-      setYamlContent(yaml)
-    }
-  }, [actions])
+  const activePath = workspace.activePath
+  const activeDocument = activePath ? workspace.documents[activePath] : null
+  const yamlContent = activeDocument?.content ?? ""
+  const actions = activeDocument?.actions ?? []
+  const diagnostics = activeDocument?.diagnostics ?? []
+  const dirtyPaths = new Set(Object.values(workspace.documents).filter(isDirty).map((document) => document.path))
+
+  // Structured edits from the builder and the flow patch only the affected YAML nodes
+  /**
+   * @param {import('../lib/types.js').ActionType[]} newActions
+   */
+  const handleActionsChange = (newActions) => {
+    if (!activePath) return
+    dispatch({
+      type: "update",
+      path: activePath,
+      content: patchActions(yamlContent, newActions),
+      actions: newActions,
+      ...describeActionsChange(actions, newActions),
+      timestamp: Date.now(),
+    })
+  }
 
   // Update actions when YAML content changes
   /**
    * @param {string} content
    */
   const handleYamlChange = (content) => {
-    setYamlContent(content)
-    try {
-      const { errors, data } = validateYaml(content)
-      setValidationErrors(errors)
+    if (!activePath) return
+    // Keystrokes in quick succession undo as one step
+    dispatch({ type: "update", path: activePath, content, label: "Edited YAML", group: "yaml", timestamp: Date.now() })
+  }
 
-      if (data && data.actions) {
-        setActions(data.actions)
+  /**
+   * @param {number} [steps]
+   */
+  const handleUndo = (steps = 1) => {
+    if (activePath) dispatch({ type: "undo", path: activePath, steps })
+  }
+
+  /**
+   * @param {number} [steps]
+   */
+  const handleRedo = (steps = 1) => {
+    if (activePath) dispatch({ type: "redo", path: activePath, steps })
+  }
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) outside text fields; the YAML editor binds its own
+  useEffect(() => {
+    /**
+     * @param {KeyboardEvent} event
+     */
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+      const target = /** @type {HTMLElement} */ (event.target)
+      if (target.closest?.("input, textarea, select, [contenteditable='true']")) return
+
+      const key = event.key.toLowerCase()
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault()
+        handleUndo()
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault()
+        handleRedo()
       }
+    }
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  })
+
+  // Offer to restore the previous session if it had work that was never exported
+  useEffect(() => {
+    if (!isPersistenceAvailable()) {
+      setIsSessionChecked(true)
+      return
+    }
+    loadSession()
+      .then((session) => {
+        if (session && hasUnsavedChanges(session.workspace)) {
+          setPendingSession(session)
+        } else {
+          setIsSessionChecked(true)
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to load the saved session:", error)
+        setIsSessionChecked(true)
+      })
+  }, [])
+
+  // Autosave the workspace shortly after the last change
+  useEffect(() => {
+    if (!isSessionChecked || !isPersistenceAvailable()) return
+    const timer = setTimeout(() => {
+      saveSession(serializeWorkspace(workspace)).catch((error) => console.error("Autosave failed:", error))
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [workspace, isSessionChecked])
+
+  // Warn before leaving while some document hasn't been exported
+  const hasUnexportedWork = dirtyPaths.size > 0
+  useEffect(() => {
+    if (!hasUnexportedWork) return
+    /**
+     * @param {BeforeUnloadEvent} event
+     */
+    const handleBeforeUnload = (event) => {
+      event.preventDefault()
+      event.returnValue = ""
+    }
+    window.addEventListener("beforeunload", handleBeforeUnload)
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload)
+  }, [hasUnexportedWork])
+
+  const handleRestoreSession = () => {
+    if (pendingSession) dispatch({ type: "restore", workspace: pendingSession.workspace })
+    setPendingSession(null)
+    setIsSessionChecked(true)
+  }
+
+  const handleDiscardSession = () => {
+    clearSession().catch((error) => console.error("Failed to clear the saved session:", error))
+    setPendingSession(null)
+    setIsSessionChecked(true)
+  }
+
+  /**
+   * @param {import('../lib/persistence.js').Snapshot} snapshot
+   */
+  const handleRestoreSnapshot = (snapshot) => {
+    dispatch({ type: "restore", workspace: snapshot.workspace })
+    toast({
+      title: "Snapshot restored",
+      description: `Restored "${snapshot.name}" from ${new Date(snapshot.createdAt).toLocaleString()}.`,
+    })
+  }
+
+  /**
+   * Overlays another version of the active document on the flow
+   * @param {{label: string, content: string}} version
+   */
+  const handleShowComparisonInFlow = ({ label, content }) => {
+    let data
+    try {
+      data = parseYaml(content)
     } catch (error) {
-      console.error("Failed to parse YAML:", error)
+      const message = error instanceof Error ? error.message.split("\n")[0] : String(error)
+      toast({
+        title: "Can't show this version in the flow",
+        description: `${label} is not valid YAML: ${message}`,
+        variant: "destructive",
+      })
+      return
+    }
+    setFlowComparison({ label, actions: Array.isArray(data?.actions) ? data.actions : [] })
+    setIsCompareDialogOpen(false)
+    setActiveTab("flow-visualizer")
+  }
+
+  // A comparison belongs to the document it was made for
+  useEffect(() => {
+    setFlowComparison(null)
+  }, [activePath])
+
+  // The project's lint config: the workspace copy if one is loaded, else the file served from the workspace root
+  const lintConfigContent = workspace.documents[LINT_CONFIG_FILE]?.content ?? null
+  useEffect(() => {
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const content = lintConfigContent ?? (await fetchWorkspaceFile(LINT_CONFIG_FILE))
+        if (cancelled) return
+        const { config, errors } = parseLintConfig(content ?? "")
+        setLintConfig(config)
+        if (errors.length) {
+          toast({ title: "Problems in the lint config", description: errors.join("\n"), variant: "destructive" })
+        }
+      } catch (error) {
+        console.error("Failed to load the lint config:", error)
+      }
+    }, 500)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [lintConfigContent])
+
+  // The project's custom action types, from the workspace copy of their definition file or the served one
+  const actionTypesContent = workspace.documents[ACTION_TYPES_FILE]?.content ?? null
+  useEffect(() => {
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const content = actionTypesContent ?? (await fetchWorkspaceFile(ACTION_TYPES_FILE))
+        if (cancelled) return
+        const errors = loadActionTypes(content)
+        dispatch({ type: "revalidate" })
+        if (errors.length) {
+          toast({ title: "Problems in the action types", description: errors.join("\n"), variant: "destructive" })
+        }
+      } catch (error) {
+        console.error("Failed to load the action types:", error)
+      }
+    }, 500)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [actionTypesContent])
+
+  // Resolve Include actions against the workspace documents, shortly after the last edit
+  useEffect(() => {
+    if (!activePath) return
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const resolutions = await resolveIncludes(actions, {
+          path: activePath,
+          loadFile: createFileLoader(getWorkspaceFiles(workspace)),
+        })
+        if (cancelled) return
+
+        let getRange
+        try {
+          getRange = buildSourceMap(yamlContent).getRange
+        } catch {
+          getRange = undefined
+        }
+        setIncludeResolutions(resolutions)
+        setIncludeDiagnostics(getIncludeDiagnostics(resolutions, getRange))
+      } catch (error) {
+        console.error("Failed to resolve includes:", error)
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
     }
+  }, [actions, yamlContent, activePath, workspace])
+
+  /**
+   * Loads YAML files into the workspace and opens the one no other file includes
+   * @param {{ path: string, file: File }[]} entries
+   */
+  const openWorkspaceFiles = async (entries) => {
+    const yamlEntries = entries.filter(({ path }) => /\.ya?ml$/i.test(path))
+    if (yamlEntries.length === 0) return
+
+    const contents = await Promise.all(yamlEntries.map(({ file }) => file.text()))
+    const files = Object.fromEntries(yamlEntries.map(({ path }, index) => [path, contents[index]]))
+    const entryPath = findEntryFile(files)
+    const openedPath = getLoadPath(workspace.documents, files, entryPath)
+    // Files whose path is taken by a document with unsaved changes are loaded next to it
+    const keptPaths = Object.keys(files).filter((path) => getLoadPath(workspace.documents, files, path) !== path)
+
+    dispatch({ type: "load", files, open: [entryPath] })
+    toast({
+      title: "File uploaded",
+      description: [
+        yamlEntries.length > 1
+          ? `Opened ${openedPath}; ${yamlEntries.length - 1} other file(s) were added to the workspace.`
+          : "YAML file has been loaded successfully.",
+        keptPaths.length ? `Kept your unsaved changes to ${keptPaths.join(", ")}; the new copies were renamed.` : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    })
   }
 
   /**
    * @param {React.ChangeEvent<HTMLInputElement>} event
    */
   const handleFileUpload = (event) => {
-    const file = event.target.files?.[0]
-    if (!file) return
+    const files = Array.from(event.target.files || [])
+    event.target.value = ""
+    openWorkspaceFiles(files.map((file) => ({ path: file.name, file })))
+  }
 
-    const reader = new FileReader()
-    reader.onload = (e) => {
-      const content = e.target?.result
-      handleYamlChange(content)
+  /**
+   * Opens a folder; paths are relative to the chosen folder
+   * @param {React.ChangeEvent<HTMLInputElement>} event
+   */
+  const handleFolderOpen = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ""
+    openWorkspaceFiles(
+      files.map((file) => ({ path: file.webkitRelativePath.split("/").slice(1).join("/") || file.name, file })),
+    )
+  }
+
+  /**
+   * Loads a workflow from S3 into the workspace. Older versions get their own document next to the latest one.
+   * @param {import('../lib/s3-utils.js').S3WorkflowFile} file
+   * @param {boolean} isLatest
+   */
+  const handleOpenS3Workflow = (file, isLatest) => {
+    const path =
+      isLatest || !file.versionId
+        ? file.name
+        : file.name.replace(/(\.ya?ml)?$/i, (extension) => `@${file.versionId.slice(0, 8)}${extension}`)
+
+    // Only the latest version is a base for uploads; an older one would always conflict
+    const origins = isLatest ? { [path]: { key: file.key, name: file.name, etag: file.etag } } : {}
+    const loadPath = getLoadPath(workspace.documents, { [path]: file.content }, path)
+    dispatch({ type: "load", files: { [path]: file.content }, open: [path], origins })
+    toast({
+      title: "Opened from S3",
+      description: [
+        isLatest ? `Loaded ${file.key}.` : `Loaded ${file.key} at version ${file.versionId}.`,
+        loadPath !== path ? `Your unsaved changes to ${path} were kept; it was opened as ${loadPath}.` : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    })
+  }
+
+  /**
+   * Opens the file an Include action points to, loading it through the file API if needed
+   * @param {string} includePath - The Include's `path`, relative to the active document
+   */
+  const handleOpenInclude = async (includePath) => {
+    const path = activePath ? resolveIncludePath(activePath, includePath) : null
+    if (!path) return
+
+    if (path in workspace.documents) {
+      dispatch({ type: "open", path })
+      return
+    }
+
+    try {
+      const content = await createFileLoader({})(path)
+      if (content === null) {
+        toast({ title: "File not found", description: `Could not find ${path}.`, variant: "destructive" })
+        return
+      }
+      dispatch({ type: "load", files: { [path]: content }, open: [path] })
+    } catch (error) {
       toast({
-        title: "File uploaded",
-        description: "YAML file has been loaded successfully.",
+        title: "Failed to open file",
+        description: error instanceof Error ? error.message : String(error),
+        variant: "destructive",
+      })
+    }
+  }
+
+  const handleCreateDocument = () => {
+    const path = normalizePath(newFilePath.trim())
+    if (!path || !/\.ya?ml$/i.test(path)) {
+      toast({
+        title: "Invalid file name",
+        description: "Enter a workspace path ending in .yaml or .yml.",
+        variant: "destructive",
       })
+      return
     }
-    reader.readAsText(file)
+    dispatch({ type: "create", path, content: "actions: []\n" })
+    setIsNewFileDialogOpen(false)
+    setNewFilePath("")
   }
 
+  // The pre-publish check runs while the upload or download dialog is open
+  const isPublishing = isS3UploadDialogOpen || isDownloadCheckOpen
+  const publishCheck = useMemo(
+    () => (isPublishing ? runPublishCheck(yamlContent, { extraDiagnostics: includeDiagnostics, lintConfig }) : null),
+    // The lint rules read the dataflow of the action types, custom ones included
+    [isPublishing, yamlContent, includeDiagnostics, lintConfig, actionTypesVersion],
+  )
+  const isPublishAllowed = publishCheck ? canPublish(publishCheck, publishDecision) : false
+
+  // Downloads straight away when the workflow passes the pre-publish check, else asks first
   const handleDownload = () => {
+    const result = runPublishCheck(yamlContent, { extraDiagnostics: includeDiagnostics, lintConfig })
+    if (result.status === "passed") {
+      downloadActiveDocument()
+      return
+    }
+    setPublishDecision({ warningsAcknowledged: false, overrideReason: "" })
+    setIsDownloadCheckOpen(true)
+  }
+
+  const handleDownloadConfirm = () => {
+    if (!isPublishAllowed) return
+    if (publishCheck?.errors.length) {
+      const path = activePath ?? "workflow.yaml"
+      const record = createOverrideRecord({ path, reason: publishDecision.overrideReason, result: publishCheck })
+      console.warn("Downloading despite validation errors:", record)
+    }
+    downloadActiveDocument()
+    setIsDownloadCheckOpen(false)
+  }
+
+  const downloadActiveDocument = () => {
     const blob = new Blob([yamlContent], { type: "text/yaml" })
     const url = URL.createObjectURL(blob)
     const a = document.createElement("a")
     a.href = url
-    a.download = "workflow.yaml"
+    a.download = activePath ? activePath.split("/").pop() : "workflow.yaml"
     document.body.appendChild(a)
     a.click()
     document.body.removeChild(a)
     URL.revokeObjectURL(url)
+
+    // Downloading is how a document is saved
+    if (activePath) dispatch({ type: "save", path: activePath })
   }
 
   const handleCopy = () => {
@@ -88,6 +521,15 @@ export default function Home() {
     })
   }
 
+  const lintDiagnostics = useMemo(
+    () => lintWorkflow(yamlContent, lintConfig),
+    // The rules read the dataflow of the action types, custom ones included
+    [yamlContent, lintConfig, actionTypesVersion],
+  )
+  const allDiagnostics = [...diagnostics, ...includeDiagnostics, ...lintDiagnostics]
+  const errorCount = allDiagnostics.filter((d) => d.severity === "error").length
+  const warningCount = allDiagnostics.filter((d) => d.severity === "warning").length
+
   const handleS3Upload = () => {
     if (!yamlContent.trim()) {
       toast({
@@ -98,13 +540,19 @@ export default function Home() {
       return
     }
 
-    // Generate default filename based on current timestamp
-    const defaultFileName = `workflow-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.yaml`
+    // Upload back to where the document came from, else generate a filename from the current timestamp
+    const defaultFileName =
+      activeDocument?.s3Origin?.name ?? `workflow-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.yaml`
     setS3FileName(defaultFileName)
+    setS3UploadError(null)
+    setPublishDecision({ warningsAcknowledged: false, overrideReason: "" })
     setIsS3UploadDialogOpen(true)
   }
 
-  const handleS3UploadConfirm = async () => {
+  /**
+   * @param {boolean} [overwrite=false] - Upload even if the object in S3 isn't the one the document was opened from
+   */
+  const handleS3UploadConfirm = async (overwrite = false) => {
     if (!s3FileName.trim()) {
       toast({
         title: "Filename required",
@@ -114,53 +562,58 @@ export default function Home() {
       return
     }
 
-    // Ensure filename has .yaml extension
-    const fileName = s3FileName.endsWith(".yaml") || s3FileName.endsWith(".yml") ? s3FileName : `${s3FileName}.yaml`
+    const fileName = ensureYamlExtension(s3FileName)
+    const validation = validateS3Filename(fileName)
+    if (!validation.isValid) {
+      setS3UploadError({ message: validation.error, code: "InvalidFilename" })
+      return
+    }
 
     setIsUploading(true)
+    setS3UploadError(null)
+    setS3Conflict(null)
+    setUploadProgress(0)
 
+    const origin = activeDocument?.s3Origin
     try {
-      // Simulate S3 upload - In a real implementation, you would:
-      // 1. Configure AWS SDK with credentials
-      // 2. Create S3 client
-      // 3. Upload file to specified bucket
-      // 4. Handle authentication and permissions
-
-      // For demonstration, we'll simulate the upload process
-      await new Promise((resolve) => setTimeout(resolve, 2000))
-
-      // Simulated S3 upload logic would go here:
-      /*
-      const AWS = require('aws-sdk');
-      const s3 = new AWS.S3({
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-        region: process.env.AWS_REGION
-      });
-
-      const uploadParams = {
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: fileName,
-        Body: yamlContent,
-        ContentType: 'application/x-yaml',
-        ServerSideEncryption: 'AES256'
-      };
-
-      const result = await s3.upload(uploadParams).promise();
-      */
+      const result = await uploadToS3({
+        filename: fileName,
+        content: yamlContent,
+        path: activePath,
+        expectedEtag: origin?.name === fileName ? origin.etag : null,
+        overwrite,
+        // The upload route checks the workflow again and records the reason on the object
+        override: publishCheck?.errors.length ? { reason: publishDecision.overrideReason.trim() } : null,
+        onProgress: setUploadProgress,
+      })
+      if (activePath) {
+        // Uploading saves the document, and the next upload must expect the object it just wrote
+        dispatch({ type: "save", path: activePath })
+        const uploadedOrigin = { key: result.key, name: fileName, etag: result.etag ?? null }
+        dispatch({ type: "setS3Origin", path: activePath, origin: uploadedOrigin })
+      }
 
       toast({
         title: "Upload successful",
-        description: `YAML file "${fileName}" has been uploaded to S3 successfully.`,
+        description: `Uploaded to s3://${result.bucket}/${result.key} (ETag ${result.etag}).`,
       })
 
       setIsS3UploadDialogOpen(false)
       setS3FileName("")
     } catch (error) {
+      if (error instanceof S3RequestError && error.conflict) {
+        setS3Conflict({ ...error.conflict, fileName })
+        return
+      }
       console.error("S3 upload failed:", error)
+      const uploadError =
+        error instanceof S3RequestError
+          ? { message: error.message, code: error.code }
+          : { message: String(error), code: "UnknownError" }
+      setS3UploadError(uploadError)
       toast({
         title: "Upload failed",
-        description: "Failed to upload file to S3. Please check your configuration and try again.",
+        description: `${uploadError.code}: ${uploadError.message}`,
         variant: "destructive",
       })
     } finally {
@@ -171,6 +624,7 @@ export default function Home() {
   const handleS3UploadCancel = () => {
     setIsS3UploadDialogOpen(false)
     setS3FileName("")
+    setS3UploadError(null)
   }
 
   return (
@@ -180,16 +634,37 @@ export default function Home() {
         <h1 className="text-3xl font-bold">YAML Builder & Flow Visualizer</h1>
 
         <div className="flex gap-2">
+          <HistoryControls history={activeDocument?.history ?? null} onUndo={handleUndo} onRedo={handleRedo} />
           <Button variant="outline" onClick={() => document.getElementById("file-upload")?.click()}>
             <Upload className="mr-2 h-4 w-4" /> Upload YAML
           </Button>
-          <input id="file-upload" type="file" accept=".yaml,.yml" className="hidden" onChange={handleFileUpload} />
+          <input
+            id="file-upload"
+            type="file"
+            accept=".yaml,.yml"
+            multiple
+            className="hidden"
+            onChange={handleFileUpload}
+          />
+          <Button variant="outline" onClick={() => document.getElementById("folder-open")?.click()}>
+            <FolderOpen className="mr-2 h-4 w-4" /> Open Folder
+          </Button>
+          <input id="folder-open" type="file" webkitdirectory="" className="hidden" onChange={handleFolderOpen} />
           <Button variant="outline" onClick={handleDownload}>
             <Download className="mr-2 h-4 w-4" /> Download
           </Button>
           <Button variant="outline" onClick={handleCopy}>
             <Copy className="mr-2 h-4 w-4" /> Copy
           </Button>
+          <Button variant="outline" onClick={() => setIsCompareDialogOpen(true)} disabled={!activeDocument}>
+            <GitCompare className="mr-2 h-4 w-4" /> Compare
+          </Button>
+          <Button variant="outline" onClick={() => setIsSnapshotsDialogOpen(true)}>
+            <Camera className="mr-2 h-4 w-4" /> Snapshots
+          </Button>
+          <Button variant="outline" onClick={() => setIsS3BrowserOpen(true)}>
+            <Cloud className="mr-2 h-4 w-4" /> Open from S3
+          </Button>
           <Button
             variant="outline"
             onClick={handleS3Upload}
@@ -201,34 +676,116 @@ export default function Home() {
       </div>
 
       {/* Validation Errors Row */}
-      {validationErrors.length > 0 && (
+      {(errorCount > 0 || warningCount > 0) && (
         <div className="flex items-center justify-start mb-4">
-          <div className="flex items-center text-red-500">
+          <button
+            type="button"
+            onClick={() => setActiveTab("yaml-editor")}
+            className={`flex items-center hover:underline ${errorCount > 0 ? "text-red-500" : "text-yellow-600"}`}
+            title="Show problems in the YAML editor"
+          >
             <FileWarning className="mr-2 h-4 w-4" />
-            <span>{validationErrors.length} validation errors</span>
-          </div>
+            <span>
+              {errorCount} validation errors, {warningCount} warnings
+            </span>
+          </button>
         </div>
       )}
 
-      <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-        <TabsList className="grid grid-cols-3 mb-4">
-          <TabsTrigger value="action-builder">Action Builder</TabsTrigger>
-          <TabsTrigger value="flow-visualizer">Flow Visualizer</TabsTrigger>
-          <TabsTrigger value="yaml-editor">YAML Editor</TabsTrigger>
-        </TabsList>
-
-        <TabsContent value="action-builder" className="h-[calc(100vh-200px)]">
-          <ActionBuilder actions={actions} setActions={setActions} />
-        </TabsContent>
-
-        <TabsContent value="flow-visualizer" className="h-[calc(100vh-200px)]">
-          <FlowVisualizer actions={actions} setActions={setActions} />
-        </TabsContent>
+      <div className="flex gap-4">
+        {/* Workspace files */}
+        <aside className="w-56 flex-shrink-0 h-[calc(100vh-160px)]">
+          <FileTree
+            paths={Object.keys(workspace.documents)}
+            activePath={activePath}
+            dirtyPaths={dirtyPaths}
+            onOpen={(path) => dispatch({ type: "open", path })}
+            onCreate={() => setIsNewFileDialogOpen(true)}
+          />
+        </aside>
+
+        <div className="flex-grow min-w-0">
+          <DocumentTabs
+            openPaths={workspace.openPaths}
+            activePath={activePath}
+            dirtyPaths={dirtyPaths}
+            onActivate={(path) => dispatch({ type: "activate", path })}
+            onClose={(path) => dispatch({ type: "close", path })}
+          />
+
+          {activeDocument ? (
+            <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full mt-2">
+              <TabsList className="grid grid-cols-3 mb-4">
+                <TabsTrigger value="action-builder">Action Builder</TabsTrigger>
+                <TabsTrigger value="flow-visualizer">Flow Visualizer</TabsTrigger>
+                <TabsTrigger value="yaml-editor">YAML Editor</TabsTrigger>
+              </TabsList>
+
+              <TabsContent value="action-builder" className="h-[calc(100vh-240px)]">
+                <ActionBuilder actions={actions} setActions={handleActionsChange} diagnostics={allDiagnostics} />
+              </TabsContent>
+
+              <TabsContent value="flow-visualizer" className="h-[calc(100vh-240px)]">
+                <FlowVisualizer
+                  actions={actions}
+                  setActions={handleActionsChange}
+                  includes={includeResolutions}
+                  onOpenInclude={handleOpenInclude}
+                  comparison={flowComparison}
+                  onExitCompare={() => setFlowComparison(null)}
+                />
+              </TabsContent>
+
+              <TabsContent value="yaml-editor" className="h-[calc(100vh-240px)]">
+                <YamlEditor
+                  path={activePath}
+                  value={yamlContent}
+                  onChange={handleYamlChange}
+                  diagnostics={allDiagnostics}
+                  onOpenInclude={handleOpenInclude}
+                  onUndo={handleUndo}
+                  onRedo={handleRedo}
+                  canUndo={Boolean(activeDocument.history.past.length)}
+                />
+              </TabsContent>
+            </Tabs>
+          ) : (
+            <div className="flex flex-col items-center justify-center h-[calc(100vh-240px)] text-gray-500">
+              <p className="mb-4">No document is open. Pick a file in the workspace or create a new one.</p>
+              <Button variant="outline" onClick={() => setIsNewFileDialogOpen(true)}>
+                <FilePlus className="mr-2 h-4 w-4" /> New File
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
 
-        <TabsContent value="yaml-editor" className="h-[calc(100vh-200px)]">
-          <YamlEditor value={yamlContent} onChange={handleYamlChange} errors={validationErrors} />
-        </TabsContent>
-      </Tabs>
+      {/* New File Dialog */}
+      <Dialog open={isNewFileDialogOpen} onOpenChange={setIsNewFileDialogOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>New Workflow File</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="new-file-path">Path</Label>
+            <Input
+              id="new-file-path"
+              value={newFilePath}
+              onChange={(e) => setNewFilePath(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreateDocument()}
+              placeholder="e.g. pipelines/daily.yaml"
+            />
+          </div>
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button variant="outline" onClick={() => setIsNewFileDialogOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleCreateDocument} disabled={!newFilePath.trim()}>
+              Create
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
 
       {/* S3 Upload Dialog */}
       <Dialog open={isS3UploadDialogOpen} onOpenChange={setIsS3UploadDialogOpen}>
@@ -265,23 +822,47 @@ export default function Home() {
               </p>
             </div>
 
+            {publishCheck && (
+              <PublishCheckPanel
+                result={publishCheck}
+                decision={publishDecision}
+                onDecisionChange={setPublishDecision}
+                disabled={isUploading}
+              />
+            )}
+
             {/* Upload Configuration Info */}
             <div className="bg-blue-50 p-3 rounded-lg">
               <h4 className="text-sm font-medium text-blue-800 mb-1">Upload Configuration</h4>
               <ul className="text-xs text-blue-700 space-y-1">
                 <li>• Content-Type: application/x-yaml</li>
-                <li>• Server-side encryption: AES256</li>
-                <li>• File will be uploaded to configured S3 bucket</li>
+                <li>• Bucket, key prefix and server-side encryption are configured on the server</li>
+                <li>• Credentials never leave the server</li>
               </ul>
             </div>
 
+            {isUploading && (
+              <div className="space-y-1">
+                <Progress value={uploadProgress} className="h-2" />
+                <p className="text-xs text-gray-500">{Math.round(uploadProgress)}%</p>
+              </div>
+            )}
+
+            {s3UploadError && (
+              <Alert variant="destructive">
+                <AlertDescription>
+                  <span className="font-mono text-xs">{s3UploadError.code}</span>: {s3UploadError.message}
+                </AlertDescription>
+              </Alert>
+            )}
+
             <div className="flex justify-end space-x-2 pt-4">
               <Button variant="outline" onClick={handleS3UploadCancel} disabled={isUploading}>
                 Cancel
               </Button>
               <Button
-                onClick={handleS3UploadConfirm}
-                disabled={isUploading || !s3FileName.trim()}
+                onClick={() => handleS3UploadConfirm()}
+                disabled={isUploading || !s3FileName.trim() || !isPublishAllowed}
                 className="bg-orange-500 hover:bg-orange-600"
               >
                 {isUploading ? (
@@ -300,6 +881,84 @@ export default function Home() {
           </div>
         </DialogContent>
       </Dialog>
+
+      {/* Download Check Dialog */}
+      <Dialog open={isDownloadCheckOpen} onOpenChange={setIsDownloadCheckOpen}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle className="flex items-center">
+              <Download className="h-5 w-5 mr-2" />
+              Download {activePath ? activePath.split("/").pop() : "workflow.yaml"}
+            </DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            {publishCheck && (
+              <PublishCheckPanel
+                result={publishCheck}
+                decision={publishDecision}
+                onDecisionChange={setPublishDecision}
+              />
+            )}
+
+            <div className="flex justify-end space-x-2 pt-2">
+              <Button variant="outline" onClick={() => setIsDownloadCheckOpen(false)}>
+                Cancel
+              </Button>
+              <Button onClick={handleDownloadConfirm} disabled={!isPublishAllowed}>
+                <Download className="h-4 w-4 mr-2" />
+                {publishCheck?.errors.length ? "Download anyway" : "Download"}
+              </Button>
+            </div>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <S3ConflictDialog
+        conflict={s3Conflict}
+        localContent={yamlContent}
+        suggestedFilename={s3Conflict ? suggestAlternativeFilename(s3Conflict.fileName) : ""}
+        onOverwrite={() => handleS3UploadConfirm(true)}
+        onSaveAsNew={() => {
+          setS3FileName(suggestAlternativeFilename(s3Conflict.fileName))
+          setS3Conflict(null)
+        }}
+        onCancel={() => setS3Conflict(null)}
+      />
+
+      <S3BrowserDialog open={isS3BrowserOpen} onOpenChange={setIsS3BrowserOpen} onOpenWorkflow={handleOpenS3Workflow} />
+
+      <WorkflowCompareDialog
+        open={isCompareDialogOpen}
+        onOpenChange={setIsCompareDialogOpen}
+        document={activeDocument}
+        files={getWorkspaceFiles(workspace)}
+        onShowInFlow={handleShowComparisonInFlow}
+      />
+
+      <SnapshotsDialog
+        open={isSnapshotsDialogOpen}
+        onOpenChange={setIsSnapshotsDialogOpen}
+        getWorkspace={() => serializeWorkspace(workspace)}
+        onRestore={handleRestoreSnapshot}
+      />
+
+      {/* Restore Session Prompt */}
+      <AlertDialog open={Boolean(pendingSession)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore unsaved session?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Your workspace from {pendingSession && new Date(pendingSession.savedAt).toLocaleString()} has changes
+              that were never downloaded. Restore it, or start fresh and discard them.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel onClick={handleDiscardSession}>Discard</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestoreSession}>Restore</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
     </main>
   )
 }
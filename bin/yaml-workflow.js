@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { runCli } from "../lib/cli.js"
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  cwd: process.cwd(),
+  stdout: (line) => process.stdout.write(`${line}\n`),
+  stderr: (line) => process.stderr.write(`${line}\n`),
+})
@@ -2,21 +2,34 @@
 
 import { useState } from "react"
 import { DragDropContext, Droppable, Draggable } from "react-beautiful-dnd"
-import { Plus } from "lucide-react"
+import { Plus, ListOrdered } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import ActionCard from "@/components/action-card"
 import ActionForm from "@/components/action-form"
+import AutoOrderDialog from "@/components/auto-order-dialog"
+import RenameDialog from "@/components/rename-dialog"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 
 /**
  * @param {Object} props
  * @param {import('../lib/types.js').ActionType[]} props.actions
  * @param {function(import('../lib/types.js').ActionType[]): void} props.setActions
+ * @param {import('../lib/types.js').Diagnostic[]} [props.diagnostics] - Validation and lint results of the document
  */
-export default function ActionBuilder({ actions, setActions }) {
+export default function ActionBuilder({ actions, setActions, diagnostics = [] }) {
   const [isDialogOpen, setIsDialogOpen] = useState(false)
+  const [isAutoOrderOpen, setIsAutoOrderOpen] = useState(false)
   const [currentAction, setCurrentAction] = useState(null)
   const [editIndex, setEditIndex] = useState(null)
+  const [renameTarget, setRenameTarget] = useState(null)
+
+  // Problems of each action, shown on its card
+  const diagnosticsByIndex = new Map()
+  diagnostics.forEach((diagnostic) => {
+    const [root, index] = diagnostic.path
+    if (root !== "actions" || typeof index !== "number") return
+    diagnosticsByIndex.set(index, [...(diagnosticsByIndex.get(index) ?? []), diagnostic])
+  })
 
   const handleAddAction = () => {
     setCurrentAction(null)
@@ -86,9 +99,19 @@ export default function ActionBuilder({ actions, setActions }) {
     <div className="h-full flex flex-col bg-gray-50">
       <div className="flex justify-between items-center mb-6 px-6 pt-6">
         <h2 className="text-xl font-semibold text-gray-900">Actions</h2>
-        <Button onClick={handleAddAction} className="shadow-sm">
-          <Plus className="mr-2 h-4 w-4" /> Add Action
-        </Button>
+        <div className="flex items-center space-x-2">
+          <Button
+            variant="outline"
+            onClick={() => setIsAutoOrderOpen(true)}
+            disabled={actions.length < 2}
+            className="shadow-sm"
+          >
+            <ListOrdered className="mr-2 h-4 w-4" /> Auto-order
+          </Button>
+          <Button onClick={handleAddAction} className="shadow-sm">
+            <Plus className="mr-2 h-4 w-4" /> Add Action
+          </Button>
+        </div>
       </div>
 
       <DragDropContext onDragEnd={handleDragEnd}>
@@ -140,6 +163,8 @@ export default function ActionBuilder({ actions, setActions }) {
                             onDelete={() => handleDeleteAction(index)}
                             isDragging={snapshot.isDragging}
                             dragHandle={true}
+                            diagnostics={diagnosticsByIndex.get(index)}
+                            onRename={setRenameTarget}
                           />
                         </div>
                       )}
@@ -168,6 +193,20 @@ export default function ActionBuilder({ actions, setActions }) {
           <ActionForm initialAction={currentAction} onSave={handleSaveAction} onCancel={() => setIsDialogOpen(false)} />
         </DialogContent>
       </Dialog>
+
+      <AutoOrderDialog
+        open={isAutoOrderOpen}
+        onOpenChange={setIsAutoOrderOpen}
+        actions={actions}
+        onApply={setActions}
+      />
+
+      <RenameDialog
+        target={renameTarget}
+        onClose={() => setRenameTarget(null)}
+        actions={actions}
+        onApply={setActions}
+      />
     </div>
   )
 }
@@ -2,7 +2,7 @@
 
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
-import { Edit, Trash2, GripVertical } from "lucide-react"
+import { Edit, Trash2, GripVertical, AlertCircle, AlertTriangle, Info, PencilLine } from "lucide-react"
 import { getActionColor } from "@/lib/action-definitions"
 import ActionIcon from "@/components/action-icon"
 
@@ -13,8 +13,19 @@ import ActionIcon from "@/components/action-icon"
  * @param {function(): void} props.onDelete
  * @param {boolean} [props.isDragging]
  * @param {boolean} [props.dragHandle]
+ * @param {import('../lib/types.js').Diagnostic[]} [props.diagnostics] - Validation and lint results of this action
+ * @param {function(import('../lib/rename-refactor.js').RenameTarget): void} [props.onRename] - Starts renaming the
+ *   action or its dataframe everywhere they are used
  */
-export default function ActionCard({ action, onEdit, onDelete, isDragging = false, dragHandle = false }) {
+export default function ActionCard({
+  action,
+  onEdit,
+  onDelete,
+  isDragging = false,
+  dragHandle = false,
+  diagnostics = [],
+  onRename,
+}) {
   const color = getActionColor(action.action)
 
   // Get lighter version of the color for icon background
@@ -58,13 +69,33 @@ export default function ActionCard({ action, onEdit, onDelete, isDragging = fals
 
           {/* Content */}
           <div className="flex-grow min-w-0">
-            <h3 className="font-semibold text-gray-900 text-lg leading-tight">{action.name}</h3>
+            <h3 className="group/name flex items-center font-semibold text-gray-900 text-lg leading-tight">
+              {action.name}
+              {onRename && action.name && (
+                <button
+                  onClick={() => onRename({ kind: "action", name: action.name })}
+                  className="ml-1 opacity-0 group-hover/name:opacity-100 text-gray-400 hover:text-gray-700"
+                  title="Rename action"
+                >
+                  <PencilLine className="h-3.5 w-3.5" />
+                </button>
+              )}
+            </h3>
             <p className="text-gray-500 text-sm mt-1">Action: {action.action.toLowerCase()}</p>
 
             {/* Additional properties - condensed view */}
             <div className="mt-2 space-y-1">
-              <div className="text-xs text-gray-600">
-                <span className="font-medium">Dataframe:</span> {action.dataframe}
+              <div className="group/dataframe flex items-center text-xs text-gray-600">
+                <span className="font-medium mr-1">Dataframe:</span> {action.dataframe}
+                {onRename && action.dataframe && (
+                  <button
+                    onClick={() => onRename({ kind: "dataframe", name: action.dataframe })}
+                    className="ml-1 opacity-0 group-hover/dataframe:opacity-100 text-gray-400 hover:text-gray-700"
+                    title="Rename dataframe"
+                  >
+                    <PencilLine className="h-3 w-3" />
+                  </button>
+                )}
               </div>
               {Object.entries(action).map(([key, value]) => {
                 if (key === "action" || key === "name" || key === "dataframe") return null
@@ -82,6 +113,34 @@ export default function ActionCard({ action, onEdit, onDelete, isDragging = fals
                 )
               })}
             </div>
+
+            {diagnostics.length > 0 && (
+              <ul className="mt-2 space-y-0.5">
+                {diagnostics.map((diagnostic, index) => (
+                  <li
+                    key={index}
+                    className={`flex items-start text-xs ${
+                      diagnostic.severity === "error"
+                        ? "text-red-600"
+                        : diagnostic.severity === "warning"
+                          ? "text-yellow-700"
+                          : "text-blue-600"
+                    }`}
+                  >
+                    {diagnostic.severity === "error" ? (
+                      <AlertCircle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                    ) : diagnostic.severity === "warning" ? (
+                      <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                    ) : (
+                      <Info className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                    )}
+                    <span>
+                      {diagnostic.message} <span className="text-gray-400">({diagnostic.code})</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
           {/* Action Buttons */}
@@ -8,11 +8,13 @@ import { Textarea } from "@/components/ui/textarea"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import { actionDefinitions, getMandatoryProps, getOptionalProps } from "@/lib/action-definitions"
+import { actionDefinitions, getMandatoryProps, getOptionalProps, getPropSchema } from "@/lib/action-definitions"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Trash2, Database } from "lucide-react"
 import SQLEditor from "@/components/sql-editor"
 import { identifySQLProperties, validateSQLInAction, autoFormatSQLInAction } from "@/lib/sql-utils"
+import { validateActionProps, formatPath, coerceNumberProps } from "@/lib/schema-validation"
+import { useActionTypes } from "@/hooks/use-action-types"
 
 /**
  * @param {Object} props
@@ -21,6 +23,8 @@ import { identifySQLProperties, validateSQLInAction, autoFormatSQLInAction } fro
  * @param {function(): void} props.onCancel
  */
 export default function ActionForm({ initialAction, onSave, onCancel }) {
+  // Offers custom action types as soon as they are registered
+  useActionTypes()
   const [actionType, setActionType] = useState(initialAction?.action || "Extract")
   const [formData, setFormData] = useState({
     action: initialAction?.action || "Extract",
@@ -33,6 +37,7 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
   const [yamlText, setYamlText] = useState("")
   const [activeTab, setActiveTab] = useState("form")
   const [sqlValidation, setSqlValidation] = useState({ isValid: true, errors: [], warnings: [], sqlProperties: [] })
+  const [schemaIssues, setSchemaIssues] = useState([])
 
   // Initialize optional props from initial action
   useEffect(() => {
@@ -101,6 +106,22 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
    */
   const handleInputChange = (key, value) => {
     setFormData((prev) => ({ ...prev, [key]: value }))
+    setSchemaIssues((prev) => prev.filter((issue) => issue.path[0] !== key))
+  }
+
+  /**
+   * Validates an action against its schema and saves it when valid
+   * @param {import('../lib/types.js').ActionType} action
+   */
+  const validateAndSave = (action) => {
+    const converted = coerceNumberProps(action)
+    const issues = validateActionProps(converted)
+    setSchemaIssues(issues)
+    // Unknown properties are the custom ones added below; they are shown but don't block saving
+    if (issues.some((issue) => !issue.unknown)) return
+
+    // Auto-format SQL before saving
+    onSave(autoFormatSQLInAction(converted))
   }
 
   /**
@@ -185,34 +206,63 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
       }
     })
 
-    // Auto-format SQL before saving
-    const formattedData = autoFormatSQLInAction(finalData)
-    onSave(formattedData)
+    validateAndSave(finalData)
   }
 
   const mandatoryProps = getMandatoryProps(actionType)
   const optionalProps = getOptionalProps(actionType)
   const sqlProperties = identifySQLProperties(formData)
+  const blockingIssues = schemaIssues.filter((issue) => !issue.unknown)
+
+  /**
+   * @param {string} prop
+   * @returns {string[]}
+   */
+  const getFieldErrors = (prop) =>
+    schemaIssues
+      .filter((issue) => issue.path[0] === prop)
+      .map((issue) => `${formatPath(issue.path)} ${issue.message}`)
 
   /**
-   * Renders input field with SQL detection
+   * @param {string} prop
+   */
+  const renderFieldErrors = (prop) => {
+    const fieldErrors = getFieldErrors(prop)
+    if (fieldErrors.length === 0) return null
+    return (
+      <ul className="text-xs text-red-600 space-y-1">
+        {fieldErrors.map((error, index) => (
+          <li key={index}>{error}</li>
+        ))}
+      </ul>
+    )
+  }
+
+  /**
+   * Renders input field with SQL detection, using the property schema to pick the widget
    * @param {string} prop
    * @param {any} value
    * @param {boolean} isRequired
    */
   const renderInputField = (prop, value, isRequired = false) => {
-    const isArrayProp = prop === "transformations" || prop === "sources"
+    const schema = getPropSchema(actionType, prop)
+    const isArrayProp = schema?.type === "array"
+    const isObjectProp = schema?.type === "object"
+    const isNumberProp = [schema?.type].flat().some((type) => type === "number" || type === "integer")
     const isSQLProperty = sqlProperties.includes(prop)
 
-    if (isSQLProperty && !isArrayProp) {
+    if (isSQLProperty && !isArrayProp && !isObjectProp) {
       return (
-        <SQLEditor
-          value={value || ""}
-          onChange={(newValue) => handleInputChange(prop, newValue)}
-          label={prop}
-          placeholder={`Enter ${prop}`}
-          autoFormat={true}
-        />
+        <div className="space-y-1">
+          <SQLEditor
+            value={value || ""}
+            onChange={(newValue) => handleInputChange(prop, newValue)}
+            label={prop}
+            placeholder={`Enter ${prop}`}
+            autoFormat={true}
+          />
+          {renderFieldErrors(prop)}
+        </div>
       )
     }
 
@@ -226,20 +276,68 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
             onChange={(e) => handleInputChange(prop, e.target.value.split("\n"))}
             placeholder={`Enter ${prop} (one per line)`}
           />
+          {renderFieldErrors(prop)}
         </div>
       )
     }
 
+    if (isObjectProp) {
+      return (
+        <div className="space-y-2">
+          <Label htmlFor={prop}>{prop}</Label>
+          <Textarea
+            id={prop}
+            value={typeof value === "string" ? value : JSON.stringify(value ?? {}, null, 2)}
+            onChange={(e) => {
+              try {
+                handleInputChange(prop, JSON.parse(e.target.value))
+              } catch {
+                // Keep the raw text until it is valid JSON
+                handleInputChange(prop, e.target.value)
+              }
+            }}
+            placeholder={`Enter ${prop} as JSON`}
+            className="font-mono"
+          />
+          {renderFieldErrors(prop)}
+        </div>
+      )
+    }
+
+    if (schema?.enum && prop !== "action") {
+      return (
+        <div className="space-y-2">
+          <Label htmlFor={prop}>{prop}</Label>
+          <Select value={value || ""} onValueChange={(newValue) => handleInputChange(prop, newValue)}>
+            <SelectTrigger id={prop}>
+              <SelectValue placeholder={`Select ${prop}`} />
+            </SelectTrigger>
+            <SelectContent>
+              {schema.enum.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {option}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {renderFieldErrors(prop)}
+        </div>
+      )
+    }
+
+    // Numbers stay text while typing (they may be a ${parameter}); coerceNumberProps converts them on save
     return (
       <div className="space-y-2">
         <Label htmlFor={prop}>{prop}</Label>
         <Input
           id={prop}
-          value={value || ""}
+          value={value ?? ""}
+          inputMode={isNumberProp ? "decimal" : undefined}
           onChange={(e) => handleInputChange(prop, e.target.value)}
-          placeholder={`Enter ${prop}`}
+          placeholder={schema?.description || `Enter ${prop}`}
           required={isRequired}
         />
+        {renderFieldErrors(prop)}
       </div>
     )
   }
@@ -268,6 +366,15 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
         </Alert>
       )}
 
+      {blockingIssues.length > 0 && (
+        <Alert variant="destructive">
+          <AlertDescription>
+            {blockingIssues.length} propert{blockingIssues.length === 1 ? "y does" : "ies do"} not match the{" "}
+            {actionType} schema
+          </AlertDescription>
+        </Alert>
+      )}
+
       <Tabs value={activeTab} onValueChange={setActiveTab}>
         <TabsList className="grid grid-cols-2 mb-4">
           <TabsTrigger value="form">Form</TabsTrigger>
@@ -334,7 +441,7 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
               </div>
 
               {customProps.map((prop, index) => (
-                <div key={index} className="grid grid-cols-[1fr,1fr,auto] gap-2">
+                <div key={index} className="grid grid-cols-[1fr,1fr,auto] gap-2 items-start">
                   <Input
                     value={prop.key}
                     onChange={(e) => handleCustomPropChange(index, "key", e.target.value)}
@@ -348,6 +455,11 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
                   <Button type="button" variant="ghost" onClick={() => handleRemoveCustomProp(index)}>
                     <Trash2 className="h-4 w-4" />
                   </Button>
+                  {getFieldErrors(prop.key).map((warning) => (
+                    <p key={warning} className="col-span-3 text-xs text-amber-600">
+                      {warning}
+                    </p>
+                  ))}
                 </div>
               ))}
             </div>
@@ -376,9 +488,7 @@ export default function ActionForm({ initialAction, onSave, onCancel }) {
               <Button
                 onClick={() => {
                   try {
-                    const parsed = JSON.parse(yamlText)
-                    const formattedData = autoFormatSQLInAction(parsed)
-                    onSave(formattedData)
+                    validateAndSave(JSON.parse(yamlText))
                   } catch (error) {
                     console.error("Invalid JSON:", error)
                   }
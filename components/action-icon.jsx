@@ -1,5 +1,55 @@
-import { Database, Play, RefreshCw, Upload, GitMerge, Trash2, Copy, FilePlus, HelpCircle } from "lucide-react"
-import { getActionColor } from "@/lib/action-definitions"
+import {
+  Database,
+  Play,
+  RefreshCw,
+  Upload,
+  GitMerge,
+  Trash2,
+  Copy,
+  FilePlus,
+  HelpCircle,
+  Archive,
+  Bell,
+  Camera,
+  CheckCircle,
+  Clock,
+  Cloud,
+  Code,
+  Filter,
+  Mail,
+  Puzzle,
+  Send,
+  Shield,
+  Table,
+} from "lucide-react"
+import { getActionColor, getActionIcon } from "@/lib/action-definitions"
+
+/**
+ * Icons action types can use, by the name in their definition
+ */
+const ICONS = {
+  database: Database,
+  play: Play,
+  "refresh-cw": RefreshCw,
+  upload: Upload,
+  "git-merge": GitMerge,
+  "trash-2": Trash2,
+  copy: Copy,
+  "file-plus": FilePlus,
+  archive: Archive,
+  bell: Bell,
+  camera: Camera,
+  "check-circle": CheckCircle,
+  clock: Clock,
+  cloud: Cloud,
+  code: Code,
+  filter: Filter,
+  mail: Mail,
+  puzzle: Puzzle,
+  send: Send,
+  shield: Shield,
+  table: Table,
+}
 
 /**
  * @param {Object} props
@@ -9,31 +59,7 @@ import { getActionColor } from "@/lib/action-definitions"
  */
 export default function ActionIcon({ actionType, className = "", size = 16 }) {
   const color = getActionColor(actionType)
+  const Icon = ICONS[getActionIcon(actionType)] ?? HelpCircle
 
-  const iconProps = {
-    size,
-    color,
-    className,
-  }
-
-  switch (actionType) {
-    case "Extract":
-      return <Database {...iconProps} />
-    case "Execute":
-      return <Play {...iconProps} />
-    case "Transform":
-      return <RefreshCw {...iconProps} />
-    case "Load":
-      return <Upload {...iconProps} />
-    case "Merge":
-      return <GitMerge {...iconProps} />
-    case "Purge":
-      return <Trash2 {...iconProps} />
-    case "S3Replicate":
-      return <Copy {...iconProps} />
-    case "Include":
-      return <FilePlus {...iconProps} />
-    default:
-      return <HelpCircle {...iconProps} />
-  }
+  return <Icon size={size} color={color} className={className} />
 }
@@ -4,7 +4,7 @@ import { memo } from "react"
 import { Handle, Position } from "reactflow"
 import { getActionColor } from "@/lib/action-definitions"
 import ActionIcon from "@/components/action-icon"
-import { Crown, Target, Edit } from "lucide-react"
+import { Crown, Target, Edit, Maximize2, AlertTriangle, ExternalLink, PencilLine } from "lucide-react"
 
 /**
  * @param {Object} props
@@ -14,11 +14,32 @@ import { Crown, Target, Edit } from "lucide-react"
  * @param {boolean} [props.data.isEnd]
  * @param {function(import('../lib/types.js').ActionType, number): void} [props.data.onEdit]
  * @param {number} [props.data.index]
+ * @param {"TB"|"LR"} [props.data.direction] - Flow direction; decides which sides the handles sit on
+ * @param {import('../lib/types.js').IncludeResolution} [props.data.include] - Resolution of an Include action's file
+ * @param {function(): void} [props.data.onToggleInclude] - Expands the Include into a subflow
+ * @param {function(): void} [props.data.onOpenInclude] - Opens the included file in its own tab
+ * @param {function(import('../lib/rename-refactor.js').RenameTarget): void} [props.data.onRename] - Starts renaming
+ *   the action's dataframe everywhere it is used
+ * @param {{status: "added"|"removed"|"modified", color: string, details: string[]}} [props.data.diff] - How the
+ *   action changed, in the flow's compare mode
  * @param {boolean} props.isConnectable
  */
 function ActionNode({ data, isConnectable }) {
-  const { action, isStart, isEnd, onEdit, index } = data
+  const {
+    action,
+    isStart,
+    isEnd,
+    onEdit,
+    index,
+    direction,
+    include,
+    onToggleInclude,
+    onOpenInclude,
+    onRename,
+    diff,
+  } = data
   const color = getActionColor(action.action)
+  const isLeftRight = direction === "LR"
 
   /**
    * @param {React.MouseEvent} e
@@ -30,6 +51,32 @@ function ActionNode({ data, isConnectable }) {
     }
   }
 
+  /**
+   * @param {React.MouseEvent} e
+   */
+  const handleExpand = (e) => {
+    e.stopPropagation()
+    onToggleInclude?.()
+  }
+
+  /**
+   * @param {React.MouseEvent} e
+   */
+  const handleOpenInclude = (e) => {
+    e.stopPropagation()
+    onOpenInclude?.()
+  }
+
+  /**
+   * @param {React.MouseEvent} e
+   */
+  const handleRename = (e) => {
+    e.stopPropagation()
+    onRename?.({ kind: "dataframe", name: action.dataframe })
+  }
+
+  const canExpand = include && include.actions.length > 0 && onToggleInclude
+
   return (
     <div className="relative group">
       {/* Start indicator */}
@@ -46,6 +93,27 @@ function ActionNode({ data, isConnectable }) {
         </div>
       )}
 
+      {/* Change status and, on hover, what changed */}
+      {diff && (
+        <>
+          <div
+            className="absolute -top-2 right-2 text-white text-[10px] font-semibold uppercase rounded px-1.5 z-10"
+            style={{ backgroundColor: diff.color }}
+          >
+            {diff.status}
+          </div>
+          <div className="absolute top-full left-0 mt-1 w-64 hidden group-hover:block bg-white border rounded-md shadow-lg p-2 z-30">
+            <ul className="text-[10px] text-gray-700 space-y-0.5">
+              {diff.details.map((detail, detailIndex) => (
+                <li key={detailIndex} className="break-words">
+                  {detail}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+
       {/* Edit button - appears on hover */}
       {onEdit && (
         <div className="absolute -top-2 left-1/2 transform -translate-x-1/2 opacity-0 group-hover:opacity-100 transition-opacity z-20">
@@ -63,10 +131,21 @@ function ActionNode({ data, isConnectable }) {
         className={`px-4 py-3 shadow-md rounded-lg bg-white border-2 min-w-[180px] cursor-pointer hover:shadow-lg transition-shadow ${
           isStart ? "ring-2 ring-green-200" : isEnd ? "ring-2 ring-red-200" : ""
         }`}
-        style={{ borderColor: color }}
+        style={{
+          borderColor: color,
+          ...(diff && {
+            boxShadow: `0 0 0 3px ${diff.color}`,
+            borderStyle: diff.status === "removed" ? "dashed" : "solid",
+          }),
+        }}
         onClick={handleEdit}
       >
-        <Handle type="target" position={Position.Top} isConnectable={isConnectable} className="w-3 h-3" />
+        <Handle
+          type="target"
+          position={isLeftRight ? Position.Left : Position.Top}
+          isConnectable={isConnectable}
+          className="w-3 h-3"
+        />
 
         <div className="flex items-center">
           <ActionIcon actionType={action.action} size={24} className="mr-3" />
@@ -75,11 +154,59 @@ function ActionNode({ data, isConnectable }) {
             <div className="text-xs text-gray-600 truncate" title={action.name}>
               {action.name}
             </div>
-            <div className="text-xs text-blue-600 font-medium">df: {action.dataframe}</div>
+            <div className="flex items-center text-xs text-blue-600 font-medium">
+              df: {action.dataframe}
+              {onRename && action.dataframe && (
+                <button
+                  onClick={handleRename}
+                  className="ml-1 opacity-0 group-hover:opacity-100 text-gray-400 hover:text-blue-700"
+                  title="Rename dataframe"
+                >
+                  <PencilLine size={10} />
+                </button>
+              )}
+            </div>
           </div>
         </div>
 
-        <Handle type="source" position={Position.Bottom} isConnectable={isConnectable} className="w-3 h-3" />
+        {include && (include.status === "missing" || include.status === "cycle") && (
+          <div className="mt-2 flex items-center text-[10px] text-red-600" title={include.error}>
+            <AlertTriangle size={10} className="mr-1 flex-shrink-0" />
+            <span className="truncate">{include.status === "cycle" ? "Include cycle" : "File not found"}</span>
+          </div>
+        )}
+
+        {(canExpand || onOpenInclude) && (
+          <div className="mt-2 flex space-x-1">
+            {canExpand && (
+              <button
+                onClick={handleExpand}
+                className="flex-grow flex items-center justify-center text-[10px] text-gray-600 border rounded py-0.5 hover:bg-gray-100"
+                title="Expand included workflow"
+              >
+                <Maximize2 size={10} className="mr-1" />
+                Expand ({include.actions.length} actions)
+                {include.status === "invalid" && <AlertTriangle size={10} className="ml-1 text-red-500" />}
+              </button>
+            )}
+            {onOpenInclude && (
+              <button
+                onClick={handleOpenInclude}
+                className="flex items-center justify-center text-[10px] text-gray-600 border rounded px-1.5 py-0.5 hover:bg-gray-100"
+                title="Open included file in a new tab"
+              >
+                <ExternalLink size={10} />
+              </button>
+            )}
+          </div>
+        )}
+
+        <Handle
+          type="source"
+          position={isLeftRight ? Position.Right : Position.Bottom}
+          isConnectable={isConnectable}
+          className="w-3 h-3"
+        />
       </div>
     </div>
   )
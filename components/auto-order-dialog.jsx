@@ -0,0 +1,121 @@
+"use client"
+
+import { useMemo } from "react"
+import { ArrowRight, AlertCircle, CheckCircle, ListOrdered } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { computeTopologicalOrder } from "@/lib/yaml-utils"
+
+/**
+ * Previews a dependency-respecting order of the actions and applies it on confirmation
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {function(boolean): void} props.onOpenChange
+ * @param {import('../lib/types.js').ActionType[]} props.actions
+ * @param {function(import('../lib/types.js').ActionType[]): void} props.onApply
+ */
+export default function AutoOrderDialog({ open, onOpenChange, actions, onApply }) {
+  const plan = useMemo(() => (open ? computeTopologicalOrder(actions) : null), [open, actions])
+  const movedIndices = new Set(plan?.moves.map((move) => move.index))
+
+  const handleApply = () => {
+    if (!plan?.actions) return
+    onApply(plan.actions)
+    onOpenChange(false)
+  }
+
+  /**
+   * @param {number} index
+   * @returns {string}
+   */
+  const getActionLabel = (index) => actions[index]?.name || `${actions[index]?.action || "Action"} #${index + 1}`
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <ListOrdered className="h-5 w-5 mr-2" />
+            Auto-order Actions
+          </DialogTitle>
+          <DialogDescription>
+            Moves every action after the actions it depends on, keeping the current order wherever possible.
+          </DialogDescription>
+        </DialogHeader>
+
+        {plan && !plan.order && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>
+              The actions cannot be ordered because of dependency cycles:
+              <ul className="mt-1 list-disc list-inside">
+                {plan.cycles.map((cycle, index) => (
+                  <li key={index}>{cycle.map(getActionLabel).join(" → ")}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {plan?.order && plan.moves.length === 0 && (
+          <div className="flex items-center text-sm text-gray-600">
+            <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+            The actions are already in a valid execution order.
+          </div>
+        )}
+
+        {plan?.order && plan.moves.length > 0 && (
+          <div className="space-y-4">
+            <div className="space-y-1">
+              <h4 className="text-sm font-medium">Moves</h4>
+              <ul className="space-y-1 text-sm">
+                {plan.moves.map((move) => (
+                  <li key={move.index} className="flex items-center space-x-2">
+                    <span className="font-medium">{getActionLabel(move.index)}</span>
+                    <Badge variant="outline">#{move.from + 1}</Badge>
+                    <ArrowRight className="h-3 w-3 text-gray-400" />
+                    <Badge variant="secondary">#{move.to + 1}</Badge>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="grid grid-cols-2 gap-4 text-xs font-mono">
+              <div>
+                <h4 className="mb-1 font-sans text-sm font-medium">Current</h4>
+                <ol className="rounded border bg-gray-50 p-2 space-y-0.5">
+                  {actions.map((_, index) => (
+                    <li key={index} className={movedIndices.has(index) ? "bg-red-50 text-red-700" : ""}>
+                      {index + 1}. {getActionLabel(index)}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+              <div>
+                <h4 className="mb-1 font-sans text-sm font-medium">Proposed</h4>
+                <ol className="rounded border bg-gray-50 p-2 space-y-0.5">
+                  {plan.order.map((index, position) => (
+                    <li key={index} className={movedIndices.has(index) ? "bg-green-50 text-green-700" : ""}>
+                      {position + 1}. {getActionLabel(index)}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 pt-4">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleApply} disabled={!plan?.order || plan.moves.length === 0}>
+            Apply Order
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
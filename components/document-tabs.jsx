@@ -0,0 +1,53 @@
+"use client"
+
+import { X } from "lucide-react"
+
+/**
+ * Tabs of the open workflow documents
+ * @param {Object} props
+ * @param {string[]} props.openPaths
+ * @param {string|null} props.activePath
+ * @param {Set<string>} props.dirtyPaths - Documents with unsaved changes
+ * @param {function(string): void} props.onActivate
+ * @param {function(string): void} props.onClose
+ */
+export default function DocumentTabs({ openPaths, activePath, dirtyPaths, onActivate, onClose }) {
+  return (
+    <div className="flex items-end overflow-x-auto border-b">
+      {openPaths.map((path) => {
+        const isActive = path === activePath
+        const name = path.split("/").pop()
+        return (
+          <div
+            key={path}
+            className={`group flex items-center px-3 py-1.5 text-sm border-t border-x rounded-t-md -mb-px cursor-pointer ${
+              isActive ? "bg-white text-gray-900 border-gray-200" : "bg-gray-50 text-gray-500 border-transparent"
+            }`}
+            onClick={() => onActivate(path)}
+            title={path}
+          >
+            <span className="whitespace-nowrap">{name}</span>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                onClose(path)
+              }}
+              className="ml-2 h-4 w-4 flex items-center justify-center rounded hover:bg-gray-200"
+              title={dirtyPaths.has(path) ? "Unsaved changes - close" : "Close"}
+            >
+              {dirtyPaths.has(path) ? (
+                <>
+                  <span className="h-2 w-2 rounded-full bg-orange-400 group-hover:hidden" />
+                  <X className="h-3 w-3 hidden group-hover:block" />
+                </>
+              ) : (
+                <X className="h-3 w-3" />
+              )}
+            </button>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,132 @@
+"use client"
+
+import { useState } from "react"
+import { ChevronDown, ChevronRight, FileText, Folder, FilePlus } from "lucide-react"
+import { Button } from "@/components/ui/button"
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {string} name
+ * @property {string} path - Full path for files, directory prefix for folders
+ * @property {boolean} isFile
+ * @property {TreeNode[]} children
+ */
+
+/**
+ * Builds a folder tree from flat workspace paths, folders first, then by name
+ * @param {string[]} paths
+ * @returns {TreeNode[]}
+ */
+function buildTree(paths) {
+  const root = { name: "", path: "", isFile: false, children: [] }
+
+  paths.forEach((path) => {
+    const segments = path.split("/")
+    let node = root
+    segments.forEach((segment, index) => {
+      const isFile = index === segments.length - 1
+      const nodePath = segments.slice(0, index + 1).join("/")
+      let child = node.children.find((c) => c.name === segment && c.isFile === isFile)
+      if (!child) {
+        child = { name: segment, path: nodePath, isFile, children: [] }
+        node.children.push(child)
+      }
+      node = child
+    })
+  })
+
+  const sort = (nodes) => {
+    nodes.sort((a, b) => Number(a.isFile) - Number(b.isFile) || a.name.localeCompare(b.name))
+    nodes.forEach((node) => sort(node.children))
+    return nodes
+  }
+  return sort(root.children)
+}
+
+/**
+ * Workspace file browser
+ * @param {Object} props
+ * @param {string[]} props.paths - Paths of all workspace documents
+ * @param {string|null} props.activePath
+ * @param {Set<string>} props.dirtyPaths - Documents with unsaved changes
+ * @param {function(string): void} props.onOpen
+ * @param {function(): void} [props.onCreate]
+ */
+export default function FileTree({ paths, activePath, dirtyPaths, onOpen, onCreate }) {
+  const [collapsed, setCollapsed] = useState(() => new Set())
+
+  /**
+   * @param {string} path
+   */
+  const toggleFolder = (path) => {
+    setCollapsed((previous) => {
+      const next = new Set(previous)
+      if (next.has(path)) {
+        next.delete(path)
+      } else {
+        next.add(path)
+      }
+      return next
+    })
+  }
+
+  /**
+   * @param {TreeNode} node
+   * @param {number} depth
+   */
+  const renderNode = (node, depth) => {
+    const indent = { paddingLeft: `${depth * 12 + 8}px` }
+
+    if (!node.isFile) {
+      const isCollapsed = collapsed.has(node.path)
+      return (
+        <li key={`dir:${node.path}`}>
+          <button
+            type="button"
+            onClick={() => toggleFolder(node.path)}
+            className="w-full flex items-center py-1 pr-2 text-left text-gray-700 hover:bg-gray-100"
+            style={indent}
+          >
+            {isCollapsed ? <ChevronRight className="h-3 w-3 mr-1" /> : <ChevronDown className="h-3 w-3 mr-1" />}
+            <Folder className="h-3 w-3 mr-1 text-yellow-600" />
+            <span className="truncate">{node.name}</span>
+          </button>
+          {!isCollapsed && <ul>{node.children.map((child) => renderNode(child, depth + 1))}</ul>}
+        </li>
+      )
+    }
+
+    const isActive = node.path === activePath
+    return (
+      <li key={node.path}>
+        <button
+          type="button"
+          onClick={() => onOpen(node.path)}
+          className={`w-full flex items-center py-1 pr-2 text-left hover:bg-gray-100 ${
+            isActive ? "bg-blue-50 text-blue-700 font-medium" : "text-gray-700"
+          }`}
+          style={indent}
+          title={node.path}
+        >
+          <FileText className="h-3 w-3 mr-1 ml-4 flex-shrink-0" />
+          <span className="truncate flex-grow">{node.name}</span>
+          {dirtyPaths.has(node.path) && <span className="ml-1 h-2 w-2 rounded-full bg-orange-400 flex-shrink-0" />}
+        </button>
+      </li>
+    )
+  }
+
+  return (
+    <div className="h-full flex flex-col border rounded-md bg-white text-xs">
+      <div className="flex items-center justify-between px-2 py-1 border-b bg-gray-50">
+        <span className="font-medium text-gray-700">Workspace</span>
+        {onCreate && (
+          <Button variant="ghost" size="sm" onClick={onCreate} className="h-6 px-1" title="New file">
+            <FilePlus className="h-3 w-3" />
+          </Button>
+        )}
+      </div>
+      <ul className="flex-grow overflow-y-auto py-1">{buildTree(paths).map((node) => renderNode(node, 0))}</ul>
+    </div>
+  )
+}
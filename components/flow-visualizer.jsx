@@ -3,7 +3,9 @@
 import { useEffect, useState } from "react"
 import ReactFlow, { Controls, Background, useNodesState, useEdgesState, MarkerType, MiniMap } from "reactflow"
 import "reactflow/dist/style.css"
-import { findRelationships } from "@/lib/yaml-utils"
+import { findRelationships, analyzeWorkflowGraph } from "@/lib/yaml-utils"
+import { computeLayeredLayout, LAYOUT_DIRECTIONS } from "@/lib/graph-layout"
+import { describeActionChange, mergeWorkflowGraphs } from "@/lib/workflow-diff"
 import { Badge } from "@/components/ui/badge"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
@@ -17,14 +19,41 @@ import {
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import ActionNode from "@/components/action-node"
 import StartEndNode from "@/components/start-end-node"
+import RoutedEdge from "@/components/routed-edge"
+import IncludeGroupNode from "@/components/include-group-node"
 import ActionForm from "@/components/action-form"
+import RenameDialog from "@/components/rename-dialog"
+import { useActionTypes } from "@/hooks/use-action-types"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
-import { Plus, MoreVertical, Layout, Grid, Workflow, GitBranch, Layers, Zap } from "lucide-react"
+import {
+  Plus,
+  MoreVertical,
+  Layout,
+  Grid,
+  Workflow,
+  GitBranch,
+  Layers,
+  Zap,
+  ArrowDown,
+  ArrowRight,
+  GitCompare,
+  X,
+} from "lucide-react"
 
 // Register custom node types
 const nodeTypes = {
   actionNode: ActionNode,
   startEndNode: StartEndNode,
+  includeGroup: IncludeGroupNode,
+}
+
+// Room around the actions of an expanded Include
+const GROUP_HEADER_HEIGHT = 48
+const GROUP_PADDING = 20
+
+// Register custom edge types
+const edgeTypes = {
+  routed: RoutedEdge,
 }
 
 // Layout algorithms
@@ -37,6 +66,13 @@ const LAYOUT_TYPES = {
   SWIMLANE: "swimlane",
 }
 
+// Colors of the compare mode, by change status
+const DIFF_COLORS = {
+  added: "#16a34a",
+  removed: "#dc2626",
+  modified: "#f59e0b",
+}
+
 // Visual styles
 const VISUAL_STYLES = {
   DEFAULT: "default",
@@ -49,8 +85,20 @@ const VISUAL_STYLES = {
  * @param {Object} props
  * @param {import('../lib/types.js').ActionType[]} props.actions
  * @param {function(import('../lib/types.js').ActionType[]): void} [props.setActions]
+ * @param {import('../lib/types.js').IncludeResolution[]} [props.includes] - Resolved Include actions, by action index
+ * @param {function(string): void} [props.onOpenInclude] - Opens an included file, given its Include `path`
+ * @param {{label: string, actions: import('../lib/types.js').ActionType[]}|null} [props.comparison] - Older version
+ *   to overlay the actions on; while set, the flow shows what changed from it and can't be edited
+ * @param {function(): void} [props.onExitCompare]
  */
-export default function FlowVisualizer({ actions, setActions }) {
+export default function FlowVisualizer({
+  actions,
+  setActions,
+  includes = [],
+  onOpenInclude,
+  comparison = null,
+  onExitCompare,
+}) {
   const [nodes, setNodes, onNodesChange] = useNodesState([])
   const [edges, setEdges, onEdgesChange] = useEdgesState([])
   const [actionCounts, setActionCounts] = useState({})
@@ -58,9 +106,14 @@ export default function FlowVisualizer({ actions, setActions }) {
   const [isAddDialogOpen, setIsAddDialogOpen] = useState(false)
   const [currentAction, setCurrentAction] = useState(null)
   const [editIndex, setEditIndex] = useState(null)
+  const [renameTarget, setRenameTarget] = useState(null)
+  // Custom action types change node colors and icons, so the flow is rebuilt when they do
+  const actionTypesVersion = useActionTypes()
   const [insertPosition, setInsertPosition] = useState(null)
   const [layoutType, setLayoutType] = useState(LAYOUT_TYPES.HIERARCHICAL)
   const [visualStyle, setVisualStyle] = useState(VISUAL_STYLES.DEFAULT)
+  const [layoutDirection, setLayoutDirection] = useState(LAYOUT_DIRECTIONS.TOP_DOWN)
+  const [expandedIncludes, setExpandedIncludes] = useState(() => new Set())
   const [showMiniMap, setShowMiniMap] = useState(true)
   const [showBackground, setShowBackground] = useState(true)
 
@@ -74,21 +127,12 @@ export default function FlowVisualizer({ actions, setActions }) {
   }, [actions])
 
   // Layout calculation functions
-  const calculateHierarchicalLayout = (actions) => {
-    const relationships = findRelationships(actions)
-    const positions = []
-
-    // Simple hierarchical layout - top to bottom
-    actions.forEach((action, index) => {
-      const row = Math.floor(index / 3)
-      const col = index % 3
-      positions.push({
-        x: col * 300 + 150,
-        y: row * 150 + 100,
-      })
+  const calculateHierarchicalLayout = (actions, graphEdges, nodeSizes = []) => {
+    return computeLayeredLayout(actions.length, graphEdges, {
+      direction: layoutDirection,
+      ...getLayoutSpacing(visualStyle),
+      nodeSizes,
     })
-
-    return positions
   }
 
   const calculateGridLayout = (actions) => {
@@ -214,7 +258,7 @@ export default function FlowVisualizer({ actions, setActions }) {
     return positions
   }
 
-  const getNodePositions = (actions, layoutType) => {
+  const getNodePositions = (actions, layoutType, graphEdges) => {
     switch (layoutType) {
       case LAYOUT_TYPES.GRID:
         return calculateGridLayout(actions)
@@ -227,7 +271,7 @@ export default function FlowVisualizer({ actions, setActions }) {
       case LAYOUT_TYPES.SWIMLANE:
         return calculateSwimlaneLayout(actions)
       default:
-        return calculateHierarchicalLayout(actions)
+        return calculateHierarchicalLayout(actions, graphEdges).positions
     }
   }
 
@@ -244,6 +288,20 @@ export default function FlowVisualizer({ actions, setActions }) {
     }
   }
 
+  // Space reserved per node and between nodes/ranks in the layered layout
+  const getLayoutSpacing = (visualStyle) => {
+    switch (visualStyle) {
+      case VISUAL_STYLES.COMPACT:
+        return { nodeWidth: 190, nodeHeight: 70, nodeSpacing: 30, rankSpacing: 50 }
+      case VISUAL_STYLES.DETAILED:
+        return { nodeWidth: 240, nodeHeight: 100, nodeSpacing: 80, rankSpacing: 110 }
+      case VISUAL_STYLES.MINIMAL:
+        return { nodeWidth: 190, nodeHeight: 70, nodeSpacing: 20, rankSpacing: 40 }
+      default:
+        return { nodeWidth: 200, nodeHeight: 80, nodeSpacing: 60, rankSpacing: 80 }
+    }
+  }
+
   const getEdgeStyle = (visualStyle) => {
     switch (visualStyle) {
       case VISUAL_STYLES.COMPACT:
@@ -321,59 +379,298 @@ export default function FlowVisualizer({ actions, setActions }) {
     setInsertPosition(null)
   }
 
-  // Find start and end actions
-  const findStartAndEndActions = (actions, relationships) => {
-    const startActions = []
-    const endActions = []
+  // Expanded includes are keyed by their index path, e.g. "2" or "2/0" for an include inside include 2
+  const toggleInclude = (key) => {
+    setExpandedIncludes((previous) => {
+      const next = new Set(previous)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
 
-    if (actions.length > 0) {
-      startActions.push(`action-0`)
-    }
+  // Nested includes are relative to their own file, so open them by their workspace path
+  const getOpenIncludeHandler = (action, resolution) => {
+    if (!onOpenInclude || action?.action !== "Include" || typeof action.path !== "string") return undefined
+    return () => onOpenInclude(resolution?.resolvedPath ? `/${resolution.resolvedPath}` : action.path)
+  }
 
-    if (actions.length > 1) {
-      endActions.push(`action-${actions.length - 1}`)
-    } else if (actions.length === 1) {
-      endActions.push(`action-0`)
-    }
+  // Lays out an included file's actions inside its group node, expanding nested includes as well
+  const buildIncludeSubflow = (resolution, groupId, key, direction) => {
+    const nodeStyle = getNodeStyle(visualStyle)
+    const nestedByIndex = new Map(resolution.includes.map((nested) => [nested.index, nested]))
+    const expanded = resolution.actions.map((_, index) => {
+      const nested = nestedByIndex.get(index)
+      const nestedKey = `${key}/${index}`
+      if (!nested || nested.actions.length === 0 || !expandedIncludes.has(nestedKey)) return null
+      return buildIncludeSubflow(nested, `${groupId}/action-${index}`, nestedKey, direction)
+    })
 
-    return { startActions, endActions }
-  }
+    const graph = analyzeWorkflowGraph(resolution.actions)
+    const layout = calculateHierarchicalLayout(
+      resolution.actions,
+      graph.edges,
+      expanded.map((subflow) => subflow?.size),
+    )
 
-  // Generate nodes and edges from actions
-  useEffect(() => {
-    if (!actions.length) return
+    const nodes = []
+    const edges = []
+    resolution.actions.forEach((action, index) => {
+      const id = `${groupId}/action-${index}`
+      const nested = nestedByIndex.get(index)
+      const nestedKey = `${key}/${index}`
+      const subflow = expanded[index]
+      const position = {
+        x: layout.positions[index].x + GROUP_PADDING,
+        y: layout.positions[index].y + GROUP_HEADER_HEIGHT,
+      }
 
-    const relationships = findRelationships(actions)
-    const { startActions, endActions } = findStartAndEndActions(actions, relationships)
-    const positions = getNodePositions(actions, layoutType)
+      if (subflow) {
+        nodes.push({
+          id,
+          type: "includeGroup",
+          parentNode: groupId,
+          extent: "parent",
+          position,
+          data: {
+            action,
+            include: nested,
+            onToggleInclude: () => toggleInclude(nestedKey),
+            onOpenInclude: getOpenIncludeHandler(action, nested),
+            direction,
+          },
+          style: { width: subflow.size.width, height: subflow.size.height },
+        })
+        nodes.push(...subflow.nodes)
+        edges.push(...subflow.edges)
+      } else {
+        nodes.push({
+          id,
+          type: "actionNode",
+          parentNode: groupId,
+          extent: "parent",
+          position,
+          data: {
+            action,
+            index,
+            direction,
+            include: nested,
+            onToggleInclude: nested ? () => toggleInclude(nestedKey) : undefined,
+            onOpenInclude: getOpenIncludeHandler(action, nested),
+            visualStyle,
+            nodeStyle,
+          },
+          style: nodeStyle,
+        })
+      }
+    })
+
+    graph.edges.forEach((edge, index) => {
+      edges.push({
+        id: `${groupId}/edge-${index}`,
+        source: `${groupId}/action-${edge.source}`,
+        target: `${groupId}/action-${edge.target}`,
+        zIndex: 1,
+        markerEnd: { type: MarkerType.ArrowClosed },
+        style: { stroke: "#94a3b8", ...getEdgeStyle(visualStyle) },
+      })
+    })
+
+    return {
+      nodes,
+      edges,
+      size: {
+        width: layout.size.width + GROUP_PADDING * 2,
+        height: layout.size.height + GROUP_HEADER_HEIGHT + GROUP_PADDING,
+      },
+    }
+  }
+
+  // Overlays the current actions on the compared version: every action and edge of either, colored by change
+  const buildComparisonFlow = () => {
+    const merged = mergeWorkflowGraphs(comparison.actions, actions)
+    const mergedActions = merged.nodes.map((node) => node.action)
+    const isLayered = layoutType === LAYOUT_TYPES.HIERARCHICAL
+    const direction = isLayered ? layoutDirection : LAYOUT_DIRECTIONS.TOP_DOWN
     const nodeStyle = getNodeStyle(visualStyle)
     const edgeStyle = getEdgeStyle(visualStyle)
+    const layeredLayout = isLayered ? calculateHierarchicalLayout(mergedActions, merged.edges) : null
+    const positions = layeredLayout
+      ? layeredLayout.positions
+      : getNodePositions(mergedActions, layoutType, merged.edges)
 
-    // Create action nodes
-    const actionNodes = actions.map((action, index) => ({
+    const nodes = merged.nodes.map((node, index) => ({
       id: `action-${index}`,
       type: "actionNode",
+      position: positions[index] || { x: 0, y: 0 },
       data: {
-        action,
-        isStart: startActions.includes(`action-${index}`),
-        isEnd: endActions.includes(`action-${index}`),
-        onEdit: setActions ? handleEditAction : undefined,
-        onDelete: setActions ? handleDeleteAction : undefined,
-        onAddBefore: setActions ? () => handleAddAction(index) : undefined,
-        onAddAfter: setActions ? () => handleAddAction(index + 1) : undefined,
-        index,
+        action: node.action,
         visualStyle,
         nodeStyle,
+        direction,
+        diff:
+          node.status === "unchanged"
+            ? undefined
+            : { status: node.status, color: DIFF_COLORS[node.status], details: describeActionChange(node.change) },
       },
-      position: positions[index] || { x: 0, y: 0 },
-      style: nodeStyle,
+      style: node.status === "removed" ? { ...nodeStyle, opacity: 0.5 } : nodeStyle,
     }))
 
+    const edges = merged.edges.map((edge, index) => {
+      const color = DIFF_COLORS[edge.status] ?? "#6366f1"
+      const showLabel = edge.status !== "unchanged" || visualStyle === VISUAL_STYLES.DETAILED
+      return {
+        id: `edge-${index}`,
+        source: `action-${edge.source}`,
+        target: `action-${edge.target}`,
+        type: layeredLayout ? "routed" : undefined,
+        data: layeredLayout ? { points: layeredLayout.routes[index], direction } : undefined,
+        label: showLabel ? edge.dataframes.join(", ") : undefined,
+        labelStyle: edge.status === "unchanged" ? undefined : { fill: color, fontWeight: 600 },
+        animated: edge.status === "added",
+        markerEnd: { type: MarkerType.ArrowClosed, color },
+        style: {
+          stroke: color,
+          ...edgeStyle,
+          ...(edge.status === "removed" ? { strokeDasharray: "6,4", opacity: 0.6 } : {}),
+        },
+      }
+    })
+
+    return { nodes, edges }
+  }
+
+  // Start actions have no upstream dependencies and end actions have no downstream ones
+  const findStartAndEndActions = (graph) => {
+    return {
+      startActions: graph.sources.map((index) => `action-${index}`),
+      endActions: graph.sinks.map((index) => `action-${index}`),
+    }
+  }
+
+  // Generate nodes and edges from actions
+  useEffect(() => {
+    if (comparison) {
+      const flow = buildComparisonFlow()
+      setNodes(flow.nodes)
+      setEdges(flow.edges)
+      return
+    }
+    if (!actions.length) return
+
+    const graph = analyzeWorkflowGraph(actions)
+    const { edges: graphEdges } = graph
+    const { startActions, endActions } = findStartAndEndActions(graph)
+    const isLayered = layoutType === LAYOUT_TYPES.HIERARCHICAL
+    const direction = isLayered ? layoutDirection : LAYOUT_DIRECTIONS.TOP_DOWN
+    const nodeStyle = getNodeStyle(visualStyle)
+    const edgeStyle = getEdgeStyle(visualStyle)
+
+    // Includes can only be expanded in the layered layout, which makes room for their subflows
+    const includeByIndex = new Map(includes.map((resolution) => [resolution.index, resolution]))
+    const subflows = actions.map((action, index) => {
+      const resolution = includeByIndex.get(index)
+      if (!isLayered || !resolution || resolution.actions.length === 0 || !expandedIncludes.has(String(index))) {
+        return null
+      }
+      return buildIncludeSubflow(resolution, `action-${index}`, String(index), direction)
+    })
+
+    const layeredLayout = isLayered
+      ? calculateHierarchicalLayout(
+          actions,
+          graphEdges,
+          subflows.map((subflow) => subflow?.size),
+        )
+      : null
+    const positions = layeredLayout ? layeredLayout.positions : getNodePositions(actions, layoutType, graphEdges)
+
+    // Create action nodes; an expanded Include becomes a group followed by its children
+    const actionNodes = actions.flatMap((action, index) => {
+      const resolution = includeByIndex.get(index)
+      const subflow = subflows[index]
+      const common = {
+        id: `action-${index}`,
+        position: positions[index] || { x: 0, y: 0 },
+      }
+
+      if (subflow) {
+        return [
+          {
+            ...common,
+            type: "includeGroup",
+            data: {
+              action,
+              include: resolution,
+              onToggleInclude: () => toggleInclude(String(index)),
+              onOpenInclude: getOpenIncludeHandler(action, resolution),
+              direction,
+            },
+            style: { width: subflow.size.width, height: subflow.size.height },
+          },
+          ...subflow.nodes,
+        ]
+      }
+
+      return [
+        {
+          ...common,
+          type: "actionNode",
+          data: {
+            action,
+            isStart: startActions.includes(`action-${index}`),
+            isEnd: endActions.includes(`action-${index}`),
+            onEdit: setActions ? handleEditAction : undefined,
+            onDelete: setActions ? handleDeleteAction : undefined,
+            onAddBefore: setActions ? () => handleAddAction(index) : undefined,
+            onAddAfter: setActions ? () => handleAddAction(index + 1) : undefined,
+            onRename: setActions ? setRenameTarget : undefined,
+            index,
+            visualStyle,
+            nodeStyle,
+            direction,
+            include: resolution,
+            onToggleInclude: isLayered && resolution ? () => toggleInclude(String(index)) : undefined,
+            onOpenInclude: getOpenIncludeHandler(action, resolution),
+          },
+          style: nodeStyle,
+        },
+      ]
+    })
+
     // Create start/end nodes for certain layouts
     let startNode = null
     let endNode = null
 
-    if (layoutType === LAYOUT_TYPES.HIERARCHICAL || layoutType === LAYOUT_TYPES.FORCE) {
+    if (layeredLayout) {
+      // Centre start/end before the first and after the last rank
+      const { size } = layeredLayout
+      const { rankSpacing } = getLayoutSpacing(visualStyle)
+      const isLeftRight = direction === LAYOUT_DIRECTIONS.LEFT_RIGHT
+      const terminalPosition = (offset) =>
+        isLeftRight ? { x: offset, y: size.height / 2 - 28 } : { x: size.width / 2 - 60, y: offset }
+
+      if (startActions.length > 0) {
+        startNode = {
+          id: "start-node",
+          type: "startEndNode",
+          data: { type: "start", label: "START", direction },
+          position: terminalPosition(-(rankSpacing + (isLeftRight ? 120 : 56))),
+        }
+      }
+
+      if (endActions.length > 0) {
+        endNode = {
+          id: "end-node",
+          type: "startEndNode",
+          data: { type: "end", label: "END", direction },
+          position: terminalPosition((isLeftRight ? size.width : size.height) + rankSpacing),
+        }
+      }
+    } else if (layoutType === LAYOUT_TYPES.FORCE) {
       if (startActions.length > 0) {
         startNode = {
           id: "start-node",
@@ -384,8 +681,8 @@ export default function FlowVisualizer({ actions, setActions }) {
       }
 
       if (endActions.length > 0) {
-        const maxX = Math.max(...actionNodes.map((n) => n.position.x))
-        const maxY = Math.max(...actionNodes.map((n) => n.position.y))
+        const maxX = Math.max(...positions.map((position) => position.x))
+        const maxY = Math.max(...positions.map((position) => position.y))
         endNode = {
           id: "end-node",
           type: "startEndNode",
@@ -398,15 +695,28 @@ export default function FlowVisualizer({ actions, setActions }) {
     // Combine all nodes
     const allNodes = [...(startNode ? [startNode] : []), ...actionNodes, ...(endNode ? [endNode] : [])]
 
-    // Create edges
-    const relationshipEdges = relationships.map((rel, index) => ({
-      id: `edge-${index}`,
-      source: rel.source,
-      target: rel.target,
-      animated: visualStyle !== VISUAL_STYLES.MINIMAL,
-      markerEnd: { type: MarkerType.ArrowClosed },
-      style: { stroke: "#6366f1", ...edgeStyle },
-    }))
+    // Create edges, highlighting the ones that break execution order
+    const relationshipEdges = graphEdges.map((edge, index) => {
+      const isProblem = edge.forward || edge.inCycle
+      return {
+        id: `edge-${index}`,
+        source: `action-${edge.source}`,
+        target: `action-${edge.target}`,
+        type: layeredLayout ? "routed" : undefined,
+        data: layeredLayout ? { points: layeredLayout.routes[index], direction } : undefined,
+        label: isProblem
+          ? edge.inCycle
+            ? "cycle"
+            : "used before produced"
+          : visualStyle === VISUAL_STYLES.DETAILED
+            ? edge.dataframes.join(", ")
+            : undefined,
+        labelStyle: isProblem ? { fill: "#dc2626", fontWeight: 600 } : undefined,
+        animated: visualStyle !== VISUAL_STYLES.MINIMAL,
+        markerEnd: { type: MarkerType.ArrowClosed, color: isProblem ? "#dc2626" : undefined },
+        style: { stroke: isProblem ? "#dc2626" : "#6366f1", ...edgeStyle },
+      }
+    })
 
     // Start/end edges
     const startEdges = startNode
@@ -431,11 +741,25 @@ export default function FlowVisualizer({ actions, setActions }) {
         }))
       : []
 
-    const allEdges = [...relationshipEdges, ...startEdges, ...endEdges]
+    const subflowEdges = subflows.flatMap((subflow) => subflow?.edges || [])
+    const allEdges = [...relationshipEdges, ...subflowEdges, ...startEdges, ...endEdges]
 
     setNodes(allNodes)
     setEdges(allEdges)
-  }, [actions, setActions, layoutType, visualStyle, setNodes, setEdges])
+  }, [
+    actions,
+    actionTypesVersion,
+    setActions,
+    includes,
+    onOpenInclude,
+    comparison,
+    expandedIncludes,
+    layoutType,
+    layoutDirection,
+    visualStyle,
+    setNodes,
+    setEdges,
+  ])
 
   // Render swimlane backgrounds
   const renderSwimlaneBackgrounds = () => {
@@ -521,6 +845,29 @@ export default function FlowVisualizer({ actions, setActions }) {
             </Select>
           </div>
 
+          {/* Direction Selection (layered layout only) */}
+          {layoutType === LAYOUT_TYPES.HIERARCHICAL && (
+            <Select value={layoutDirection} onValueChange={setLayoutDirection}>
+              <SelectTrigger className="w-36">
+                <SelectValue placeholder="Direction" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={LAYOUT_DIRECTIONS.TOP_DOWN}>
+                  <div className="flex items-center">
+                    <ArrowDown className="mr-2 h-4 w-4" />
+                    Top-down
+                  </div>
+                </SelectItem>
+                <SelectItem value={LAYOUT_DIRECTIONS.LEFT_RIGHT}>
+                  <div className="flex items-center">
+                    <ArrowRight className="mr-2 h-4 w-4" />
+                    Left-right
+                  </div>
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          )}
+
           {/* Visual Style Selection */}
           <div className="flex items-center space-x-2">
             <Select value={visualStyle} onValueChange={setVisualStyle}>
@@ -545,7 +892,7 @@ export default function FlowVisualizer({ actions, setActions }) {
             </Badge>
           ))}
 
-          {setActions && (
+          {setActions && !comparison && (
             <>
               <Badge variant="outline" className="text-blue-600 border-blue-300">
                 Click any action to edit
@@ -586,10 +933,33 @@ export default function FlowVisualizer({ actions, setActions }) {
         </div>
       </div>
 
+      {/* Compare mode legend */}
+      {comparison && (
+        <div className="flex items-center justify-between mb-2 px-4 py-2 bg-amber-50 rounded-lg text-sm">
+          <div className="flex items-center space-x-3">
+            <GitCompare className="h-4 w-4 text-amber-600" />
+            <span>
+              Changes since <span className="font-medium">{comparison.label}</span>
+            </span>
+            {Object.entries(DIFF_COLORS).map(([status, color]) => (
+              <span key={status} className="flex items-center text-xs text-gray-600">
+                <span className="inline-block h-3 w-3 rounded-sm mr-1" style={{ backgroundColor: color }} />
+                {status}
+              </span>
+            ))}
+          </div>
+          {onExitCompare && (
+            <Button variant="ghost" size="sm" onClick={onExitCompare}>
+              <X className="mr-1 h-4 w-4" /> Exit compare
+            </Button>
+          )}
+        </div>
+      )}
+
       {/* Layout Description */}
       <div className="mb-2 px-4">
         <div className="text-sm text-gray-600">
-          {layoutType === LAYOUT_TYPES.HIERARCHICAL && "Top-down hierarchical flow with start/end nodes"}
+          {layoutType === LAYOUT_TYPES.HIERARCHICAL && "Layered flow ranked by dataframe dependencies, with start/end nodes and expandable includes"}
           {layoutType === LAYOUT_TYPES.GRID && "Organized grid layout for easy scanning"}
           {layoutType === LAYOUT_TYPES.CIRCULAR && "Circular arrangement showing cyclical relationships"}
           {layoutType === LAYOUT_TYPES.TIMELINE && "Linear timeline showing sequential flow"}
@@ -608,6 +978,7 @@ export default function FlowVisualizer({ actions, setActions }) {
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
             nodeTypes={nodeTypes}
+            edgeTypes={edgeTypes}
             fitView
             fitViewOptions={{ padding: 0.2 }}
           >
@@ -616,12 +987,14 @@ export default function FlowVisualizer({ actions, setActions }) {
             {showMiniMap && (
               <MiniMap
                 nodeStrokeColor={(n) => {
+                  if (n.data?.diff) return n.data.diff.color
                   if (n.type === "startEndNode") {
                     return n.data.type === "start" ? "#10b981" : "#ef4444"
                   }
                   return "#ddd"
                 }}
                 nodeColor={(n) => {
+                  if (n.data?.diff) return `${n.data.diff.color}33`
                   if (n.type === "startEndNode") {
                     return n.data.type === "start" ? "#d1fae5" : "#fee2e2"
                   }
@@ -658,6 +1031,15 @@ export default function FlowVisualizer({ actions, setActions }) {
           <ActionForm initialAction={null} onSave={handleSaveNewAction} onCancel={handleCancelAdd} />
         </DialogContent>
       </Dialog>
+
+      {setActions && (
+        <RenameDialog
+          target={renameTarget}
+          onClose={() => setRenameTarget(null)}
+          actions={actions}
+          onApply={setActions}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,93 @@
+"use client"
+
+import { Undo2, Redo2, History } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+
+/**
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" })
+}
+
+/**
+ * Undo/redo buttons and a panel listing the document's history.
+ * Clicking an entry undoes or redoes everything up to and including it.
+ * @param {Object} props
+ * @param {import('../lib/history.js').History|null} props.history
+ * @param {function(number): void} props.onUndo - Undoes the given number of entries
+ * @param {function(number): void} props.onRedo - Redoes the given number of entries
+ */
+export default function HistoryControls({ history, onUndo, onRedo }) {
+  const past = history?.past ?? []
+  const future = history?.future ?? []
+
+  return (
+    <div className="flex items-center gap-1">
+      <Button variant="outline" size="icon" onClick={() => onUndo(1)} disabled={!past.length} title="Undo (Ctrl+Z)">
+        <Undo2 className="h-4 w-4" />
+      </Button>
+      <Button
+        variant="outline"
+        size="icon"
+        onClick={() => onRedo(1)}
+        disabled={!future.length}
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        <Redo2 className="h-4 w-4" />
+      </Button>
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="icon" disabled={!past.length && !future.length} title="History">
+            <History className="h-4 w-4" />
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-72 p-0">
+          <div className="px-3 py-2 border-b text-sm font-medium">History</div>
+          <ul className="max-h-80 overflow-y-auto py-1 text-xs">
+            {/* Undone entries, the next one to redo nearest the current state */}
+            {future.map((entry, index) => (
+              <li key={entry.id}>
+                <button
+                  type="button"
+                  onClick={() => onRedo(future.length - index)}
+                  className="w-full flex justify-between px-3 py-1.5 text-left text-gray-400 hover:bg-gray-50"
+                >
+                  <span className="truncate line-through">{entry.label}</span>
+                  <span className="ml-2 flex-shrink-0">{formatTime(entry.timestamp)}</span>
+                </button>
+              </li>
+            ))}
+            {past
+              .map((entry, index) => (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    onClick={() => onUndo(past.length - 1 - index)}
+                    className={`w-full flex justify-between px-3 py-1.5 text-left hover:bg-gray-50 ${
+                      index === past.length - 1 ? "font-medium text-gray-900" : "text-gray-700"
+                    }`}
+                  >
+                    <span className="truncate">{entry.label}</span>
+                    <span className="ml-2 flex-shrink-0 text-gray-400">{formatTime(entry.timestamp)}</span>
+                  </button>
+                </li>
+              ))
+              .reverse()}
+            <li>
+              <button
+                type="button"
+                onClick={() => onUndo(past.length)}
+                className="w-full px-3 py-1.5 text-left text-gray-500 italic hover:bg-gray-50"
+              >
+                Original document
+              </button>
+            </li>
+          </ul>
+        </PopoverContent>
+      </Popover>
+    </div>
+  )
+}
@@ -0,0 +1,94 @@
+"use client"
+
+import { memo } from "react"
+import { Handle, Position } from "reactflow"
+import { getActionColor } from "@/lib/action-definitions"
+import ActionIcon from "@/components/action-icon"
+import { Minimize2, ExternalLink } from "lucide-react"
+
+/**
+ * An expanded Include action: a container whose children are the included file's actions
+ * @param {Object} props
+ * @param {Object} props.data
+ * @param {import('../lib/types.js').ActionType} props.data.action
+ * @param {import('../lib/types.js').IncludeResolution} props.data.include
+ * @param {function(): void} [props.data.onToggleInclude]
+ * @param {function(): void} [props.data.onOpenInclude]
+ * @param {"TB"|"LR"} [props.data.direction]
+ * @param {boolean} props.isConnectable
+ */
+function IncludeGroupNode({ data, isConnectable }) {
+  const { action, include, onToggleInclude, onOpenInclude, direction } = data
+  const color = getActionColor(action.action)
+  const isLeftRight = direction === "LR"
+
+  /**
+   * @param {React.MouseEvent} e
+   */
+  const handleCollapse = (e) => {
+    e.stopPropagation()
+    onToggleInclude?.()
+  }
+
+  /**
+   * @param {React.MouseEvent} e
+   */
+  const handleOpen = (e) => {
+    e.stopPropagation()
+    onOpenInclude?.()
+  }
+
+  return (
+    <div className="h-full w-full rounded-lg border-2 border-dashed bg-gray-50/70" style={{ borderColor: color }}>
+      <Handle
+        type="target"
+        position={isLeftRight ? Position.Left : Position.Top}
+        isConnectable={isConnectable}
+        className="w-3 h-3"
+      />
+
+      <div className="flex items-center justify-between px-3 py-2 border-b border-dashed" style={{ borderColor: color }}>
+        <div className="flex items-center min-w-0">
+          <ActionIcon actionType={action.action} size={18} className="mr-2" />
+          <div className="min-w-0">
+            <div className="text-xs font-bold text-gray-800 truncate" title={action.name}>
+              {action.name}
+            </div>
+            <div className="text-[10px] text-gray-500 truncate" title={include.resolvedPath || include.path}>
+              {include.resolvedPath || include.path}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center ml-2">
+          {onOpenInclude && (
+            <button
+              onClick={handleOpen}
+              className="p-1 rounded hover:bg-gray-200 text-gray-600"
+              title="Open included file in a new tab"
+            >
+              <ExternalLink size={12} />
+            </button>
+          )}
+          {onToggleInclude && (
+            <button
+              onClick={handleCollapse}
+              className="p-1 rounded hover:bg-gray-200 text-gray-600"
+              title="Collapse included workflow"
+            >
+              <Minimize2 size={12} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={isLeftRight ? Position.Right : Position.Bottom}
+        isConnectable={isConnectable}
+        className="w-3 h-3"
+      />
+    </div>
+  )
+}
+
+export default memo(IncludeGroupNode)
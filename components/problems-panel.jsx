@@ -0,0 +1,78 @@
+"use client"
+
+import { AlertCircle, AlertTriangle, Info, CheckCircle } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 }
+
+/**
+ * @param {Object} props
+ * @param {"error"|"warning"|"info"} props.severity
+ */
+function SeverityIcon({ severity }) {
+  switch (severity) {
+    case "error":
+      return <AlertCircle className="h-4 w-4 text-red-500 flex-shrink-0" />
+    case "warning":
+      return <AlertTriangle className="h-4 w-4 text-yellow-500 flex-shrink-0" />
+    default:
+      return <Info className="h-4 w-4 text-blue-500 flex-shrink-0" />
+  }
+}
+
+/**
+ * Lists validation diagnostics; clicking one reports it so the editor can jump to it
+ * @param {Object} props
+ * @param {import('../lib/types.js').Diagnostic[]} props.diagnostics
+ * @param {function(import('../lib/types.js').Diagnostic): void} [props.onSelect]
+ */
+export default function ProblemsPanel({ diagnostics, onSelect }) {
+  const sorted = [...diagnostics].sort(
+    (a, b) =>
+      SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+      (a.range?.startLineNumber ?? 0) - (b.range?.startLineNumber ?? 0),
+  )
+  const errorCount = diagnostics.filter((d) => d.severity === "error").length
+  const warningCount = diagnostics.filter((d) => d.severity === "warning").length
+
+  return (
+    <div className="border-t bg-white">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-50 border-b">
+        <span className="text-xs font-medium text-gray-700">Problems</span>
+        <div className="flex items-center space-x-1">
+          <Badge variant={errorCount > 0 ? "destructive" : "secondary"}>{errorCount} errors</Badge>
+          <Badge variant="outline">{warningCount} warnings</Badge>
+        </div>
+      </div>
+
+      {sorted.length === 0 ? (
+        <div className="flex items-center px-3 py-2 text-xs text-gray-500">
+          <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+          No problems detected
+        </div>
+      ) : (
+        <ul className="max-h-40 overflow-y-auto text-xs">
+          {sorted.map((diagnostic, index) => (
+            <li key={index}>
+              <button
+                type="button"
+                onClick={() => onSelect?.(diagnostic)}
+                disabled={!diagnostic.range}
+                className="w-full flex items-start space-x-2 px-3 py-1 text-left hover:bg-gray-100 disabled:cursor-default"
+              >
+                <SeverityIcon severity={diagnostic.severity} />
+                <span className="flex-grow text-gray-800">{diagnostic.message}</span>
+                <span className="text-gray-400 whitespace-nowrap">{diagnostic.code}</span>
+                {diagnostic.range && (
+                  <span className="text-gray-500 whitespace-nowrap">
+                    [{diagnostic.range.startLineNumber}:{diagnostic.range.startColumn}]
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,88 @@
+"use client"
+
+import { AlertCircle, AlertTriangle, CheckCircle } from "lucide-react"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+
+/**
+ * Lists the pre-publish check results, with the acknowledgement and override
+ * the user must give before publishing a workflow that has warnings or errors
+ * @param {Object} props
+ * @param {import('../lib/publish-check.js').PublishCheckResult} props.result
+ * @param {import('../lib/publish-check.js').PublishDecision} props.decision
+ * @param {function(import('../lib/publish-check.js').PublishDecision): void} props.onDecisionChange
+ * @param {boolean} [props.disabled]
+ */
+export default function PublishCheckPanel({ result, decision, onDecisionChange, disabled = false }) {
+  const { errors, warnings, status } = result
+
+  if (status === "passed") {
+    return (
+      <div className="flex items-center text-sm text-green-700 bg-green-50 p-3 rounded-lg">
+        <CheckCircle className="h-4 w-4 mr-2" />
+        All structural, dependency and SQL checks passed
+      </div>
+    )
+  }
+
+  /**
+   * @param {import('../lib/types.js').Diagnostic} diagnostic
+   * @param {number} index
+   */
+  const renderIssue = (diagnostic, index) => (
+    <li key={index} className="flex items-start py-1">
+      {diagnostic.severity === "error" ? (
+        <AlertCircle className="h-3 w-3 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+      ) : (
+        <AlertTriangle className="h-3 w-3 mr-2 mt-0.5 text-yellow-500 flex-shrink-0" />
+      )}
+      <span className="flex-grow">{diagnostic.message}</span>
+      {diagnostic.range && <span className="ml-2 text-gray-400">line {diagnostic.range.startLineNumber}</span>}
+    </li>
+  )
+
+  return (
+    <div className="space-y-3">
+      <div className={`p-3 rounded-lg ${errors.length ? "bg-red-50" : "bg-yellow-50"}`}>
+        <h4 className={`text-sm font-medium mb-1 ${errors.length ? "text-red-800" : "text-yellow-800"}`}>
+          Pre-publish check: {errors.length} errors, {warnings.length} warnings
+        </h4>
+        <ul className="text-xs text-gray-700 max-h-40 overflow-y-auto">
+          {errors.map(renderIssue)}
+          {warnings.map(renderIssue)}
+        </ul>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="flex items-center space-x-2">
+          <Checkbox
+            id="publish-acknowledge-warnings"
+            checked={decision.warningsAcknowledged}
+            onCheckedChange={(checked) => onDecisionChange({ ...decision, warningsAcknowledged: checked === true })}
+            disabled={disabled}
+          />
+          <Label htmlFor="publish-acknowledge-warnings" className="text-sm font-normal">
+            I have reviewed the {warnings.length} warnings
+          </Label>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="space-y-1">
+          <Label htmlFor="publish-override-reason" className="text-sm">
+            Publish despite errors (logged)
+          </Label>
+          <Textarea
+            id="publish-override-reason"
+            value={decision.overrideReason}
+            onChange={(e) => onDecisionChange({ ...decision, overrideReason: e.target.value })}
+            placeholder="Reason for publishing a workflow that fails validation"
+            rows={2}
+            disabled={disabled}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,120 @@
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { AlertCircle, ArrowRight, PencilLine } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { planRename } from "@/lib/rename-refactor"
+
+const EDIT_TEXT_CLASS = "whitespace-pre-wrap break-all max-h-24 overflow-y-auto px-2 py-1"
+
+/**
+ * Renames a dataframe or an action everywhere it is used, after previewing every edit
+ * @param {Object} props
+ * @param {import('../lib/rename-refactor.js').RenameTarget|null} props.target - What to rename; the dialog is open
+ *   while it is set
+ * @param {function(): void} props.onClose
+ * @param {import('../lib/types.js').ActionType[]} props.actions
+ * @param {function(import('../lib/types.js').ActionType[]): void} props.onApply - Receives all renamed actions at once
+ */
+export default function RenameDialog({ target, onClose, actions, onApply }) {
+  const [newName, setNewName] = useState("")
+
+  useEffect(() => {
+    if (target) setNewName(target.name)
+  }, [target])
+
+  const plan = useMemo(() => (target ? planRename(actions, target, newName) : null), [actions, target, newName])
+  const isUnchanged = !target || newName.trim() === target.name
+
+  const handleApply = () => {
+    if (!plan?.actions) return
+    onApply(plan.actions)
+    onClose()
+  }
+
+  /**
+   * @param {number} index
+   * @returns {string}
+   */
+  const getActionLabel = (index) => actions[index]?.name || `${actions[index]?.action || "Action"} #${index + 1}`
+
+  return (
+    <Dialog open={Boolean(target)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <PencilLine className="h-5 w-5 mr-2" />
+            Rename {target?.kind === "action" ? "Action" : "Dataframe"}
+          </DialogTitle>
+          <DialogDescription>
+            {target?.kind === "action"
+              ? "Renames the action and the dependsOn entries that refer to it."
+              : "Renames the dataframe in the actions that produce it and in every use, including SQL."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form
+          className="flex items-center space-x-2"
+          onSubmit={(e) => {
+            e.preventDefault()
+            handleApply()
+          }}
+        >
+          <Badge variant="outline" className="font-mono">
+            {target?.name}
+          </Badge>
+          <ArrowRight className="h-4 w-4 text-gray-400 flex-shrink-0" />
+          <Input value={newName} onChange={(e) => setNewName(e.target.value)} autoFocus className="font-mono" />
+        </form>
+
+        {plan?.error && !isUnchanged && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{plan.error}</AlertDescription>
+          </Alert>
+        )}
+
+        {plan?.actions && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">
+              {plan.edits.length} edits in {new Set(plan.edits.map((edit) => edit.index)).size} actions
+            </h4>
+            <ul className="space-y-2 text-xs">
+              {plan.edits.map((edit, editIndex) => (
+                <li key={editIndex} className="rounded border p-2">
+                  <div className="mb-1 flex items-center space-x-2">
+                    <span className="font-medium">{getActionLabel(edit.index)}</span>
+                    <Badge variant="secondary" className="font-mono">
+                      {edit.prop}
+                      {edit.item !== undefined && `[${edit.item}]`}
+                    </Badge>
+                    {edit.occurrences > 1 && <span className="text-gray-500">{edit.occurrences} uses</span>}
+                  </div>
+                  <pre className={`${EDIT_TEXT_CLASS} bg-red-50 text-red-700`}>
+                    {edit.before}
+                  </pre>
+                  <pre className={`${EDIT_TEXT_CLASS} bg-green-50 text-green-700`}>
+                    {edit.after}
+                  </pre>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 pt-4">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleApply} disabled={!plan?.actions}>
+            Rename
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
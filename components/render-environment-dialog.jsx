@@ -0,0 +1,126 @@
+"use client"
+
+import { useMemo, useState } from "react"
+import { AlertTriangle, Copy, Download, FileOutput } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { validateYaml, stringifyYaml } from "@/lib/yaml-utils"
+import { getProfileNames, renderForEnvironment } from "@/lib/parameters"
+import { useToast } from "@/hooks/use-toast"
+
+// Select value standing for "parameter defaults, no profile"
+const DEFAULTS = "__defaults__"
+
+/**
+ * Previews and exports the workflow with parameters substituted for an environment profile
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {function(boolean): void} props.onOpenChange
+ * @param {string} props.content - The workflow YAML
+ */
+export default function RenderEnvironmentDialog({ open, onOpenChange, content }) {
+  const [profile, setProfile] = useState(DEFAULTS)
+  const { toast } = useToast()
+
+  const data = useMemo(() => (open ? validateYaml(content).data : null), [open, content])
+  const profileNames = getProfileNames(data)
+  const selectedProfile = profileNames.includes(profile) ? profile : DEFAULTS
+
+  const rendered = useMemo(() => {
+    if (!data) return null
+    const { data: renderedData, unresolved } = renderForEnvironment(
+      data,
+      selectedProfile === DEFAULTS ? null : selectedProfile,
+    )
+    return { yaml: stringifyYaml(renderedData), unresolved }
+  }, [data, selectedProfile])
+
+  const handleCopy = () => {
+    if (!rendered) return
+    navigator.clipboard.writeText(rendered.yaml)
+    toast({
+      title: "Copied to clipboard",
+      description: "Rendered YAML has been copied to clipboard.",
+    })
+  }
+
+  const handleDownload = () => {
+    if (!rendered) return
+    const blob = new Blob([rendered.yaml], { type: "text/yaml" })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = selectedProfile === DEFAULTS ? "workflow.rendered.yaml" : `workflow.${selectedProfile}.yaml`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <FileOutput className="h-5 w-5 mr-2" />
+            Render for Environment
+          </DialogTitle>
+          <DialogDescription>
+            Substitutes <code>{"${parameter}"}</code> references with the defaults from <code>parameters</code>,
+            overridden by the selected profile.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!data ? (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>Fix the YAML errors before rendering.</AlertDescription>
+          </Alert>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center space-x-2">
+              <label className="text-sm font-medium">Profile</label>
+              <Select value={selectedProfile} onValueChange={setProfile}>
+                <SelectTrigger className="w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={DEFAULTS}>Defaults only</SelectItem>
+                  {profileNames.map((name) => (
+                    <SelectItem key={name} value={name}>
+                      {name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {rendered.unresolved.length > 0 && (
+              <Alert>
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>
+                  No value for: {rendered.unresolved.join(", ")}. These references are left as they are.
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <pre className="bg-gray-100 p-3 rounded text-xs font-mono max-h-96 overflow-auto">{rendered.yaml}</pre>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 pt-4">
+          <Button variant="outline" onClick={handleCopy} disabled={!rendered}>
+            <Copy className="h-4 w-4 mr-1" />
+            Copy
+          </Button>
+          <Button onClick={handleDownload} disabled={!rendered}>
+            <Download className="h-4 w-4 mr-1" />
+            Export
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,70 @@
+"use client"
+
+import { memo } from "react"
+import { BaseEdge } from "reactflow"
+
+/**
+ * Builds a smooth path through the given points, bending along the layout direction
+ * @param {{ x: number, y: number }[]} points
+ * @param {"TB"|"LR"} direction
+ * @returns {string}
+ */
+function buildRoutedPath(points, direction) {
+  const [first, ...rest] = points
+  let path = `M ${first.x},${first.y}`
+  let previous = first
+
+  rest.forEach((point) => {
+    if (direction === "LR") {
+      const midX = (previous.x + point.x) / 2
+      path += ` C ${midX},${previous.y} ${midX},${point.y} ${point.x},${point.y}`
+    } else {
+      const midY = (previous.y + point.y) / 2
+      path += ` C ${previous.x},${midY} ${point.x},${midY} ${point.x},${point.y}`
+    }
+    previous = point
+  })
+
+  return path
+}
+
+/**
+ * Edge that follows the bend points computed by the layered layout
+ * @param {Object} props
+ * @param {string} props.id
+ * @param {number} props.sourceX
+ * @param {number} props.sourceY
+ * @param {number} props.targetX
+ * @param {number} props.targetY
+ * @param {Object} [props.data]
+ * @param {{ x: number, y: number }[]} [props.data.points] - Bend points between source and target
+ * @param {"TB"|"LR"} [props.data.direction]
+ * @param {string} [props.markerEnd]
+ * @param {Object} [props.style]
+ * @param {import('react').ReactNode} [props.label]
+ * @param {Object} [props.labelStyle]
+ */
+function RoutedEdge({ id, sourceX, sourceY, targetX, targetY, data, markerEnd, style, label, labelStyle }) {
+  const points = [{ x: sourceX, y: sourceY }, ...(data?.points || []), { x: targetX, y: targetY }]
+  const path = buildRoutedPath(points, data?.direction || "TB")
+
+  // Put the label on the middle segment
+  const middle = Math.floor((points.length - 1) / 2)
+  const labelX = (points[middle].x + points[middle + 1].x) / 2
+  const labelY = (points[middle].y + points[middle + 1].y) / 2
+
+  return (
+    <BaseEdge
+      id={id}
+      path={path}
+      markerEnd={markerEnd}
+      style={style}
+      label={label}
+      labelX={labelX}
+      labelY={labelY}
+      labelStyle={labelStyle}
+    />
+  )
+}
+
+export default memo(RoutedEdge)
@@ -0,0 +1,333 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Cloud, FolderOpen, History, Loader2, RefreshCw, RotateCcw } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  S3_CONFIG,
+  getFileSize,
+  getS3Workflow,
+  listS3WorkflowVersions,
+  listS3Workflows,
+  restoreS3WorkflowVersion,
+} from "@/lib/s3-utils"
+import { useToast } from "@/hooks/use-toast"
+
+/**
+ * @param {string|null} timestamp
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : "-"
+}
+
+/**
+ * @param {string|null} etag
+ * @returns {string}
+ */
+function formatEtag(etag) {
+  return etag ? etag.replace(/"/g, "").slice(0, 10) : "-"
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+function describeError(error) {
+  return error?.code ? `${error.code}: ${error.message}` : String(error?.message ?? error)
+}
+
+/**
+ * Browses the workflows in the configured bucket and prefix, and their versions
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {function(boolean): void} props.onOpenChange
+ * @param {function(import('../lib/s3-utils.js').S3WorkflowFile, boolean): void} props.onOpenWorkflow - Receives the
+ *   file and whether it is the latest version
+ */
+export default function S3BrowserDialog({ open, onOpenChange, onOpenWorkflow }) {
+  const [listing, setListing] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [selectedKey, setSelectedKey] = useState(null)
+  const [versions, setVersions] = useState(null)
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [blockedRestore, setBlockedRestore] = useState(null)
+  const { toast } = useToast()
+
+  /**
+   * @param {string|null} [token] - Appends the next page when given
+   */
+  const loadObjects = async (token = null) => {
+    setIsLoading(true)
+    setError(null)
+    try {
+      const page = await listS3Workflows(token)
+      setListing((previous) => (token && previous ? { ...page, objects: [...previous.objects, ...page.objects] } : page))
+    } catch (loadError) {
+      setError(describeError(loadError))
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  const loadVersions = async (key) => {
+    setSelectedKey(key)
+    setVersions(null)
+    setIsLoadingVersions(true)
+    try {
+      setVersions(await listS3WorkflowVersions(key))
+    } catch (loadError) {
+      setError(describeError(loadError))
+      setSelectedKey(null)
+    } finally {
+      setIsLoadingVersions(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!open) return
+    setSelectedKey(null)
+    setVersions(null)
+    setBlockedRestore(null)
+    loadObjects()
+  }, [open])
+
+  /**
+   * @param {string} key
+   * @param {string|null} versionId
+   * @param {boolean} isLatest
+   */
+  const handleOpen = async (key, versionId, isLatest) => {
+    setBusyId(`${key}@${versionId}`)
+    try {
+      const file = await getS3Workflow(key, isLatest ? null : versionId)
+      onOpenWorkflow(file, isLatest)
+      onOpenChange(false)
+    } catch (openError) {
+      toast({ title: "Failed to open workflow", description: describeError(openError), variant: "destructive" })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} versionId
+   * @param {string} [overrideReason] - Restores the version although it fails the pre-publish check
+   */
+  const handleRestore = async (key, versionId, overrideReason = "") => {
+    // The restore is refused if the object changed since its versions were listed
+    const latest = versions?.versions.find((version) => version.isLatest)
+    setBusyId(`${key}@${versionId}`)
+    try {
+      await restoreS3WorkflowVersion(key, versionId, {
+        expectedEtag: latest?.etag ?? "",
+        override: overrideReason ? { reason: overrideReason } : null,
+      })
+      setBlockedRestore(null)
+      toast({ title: "Version restored", description: `${key} is now at the content of version ${versionId}.` })
+      await Promise.all([loadObjects(), loadVersions(key)])
+    } catch (restoreError) {
+      if (restoreError?.code === "ValidationFailed") {
+        setBlockedRestore({ key, versionId, errors: restoreError.errors, reason: "" })
+        return
+      }
+      toast({ title: "Restore failed", description: describeError(restoreError), variant: "destructive" })
+      if (restoreError?.code === "Conflict") await loadVersions(key)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const bucket = listing?.bucket ?? S3_CONFIG.BUCKET_NAME
+  const prefix = listing?.prefix ?? ""
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <Cloud className="h-5 w-5 mr-2 text-orange-500" />
+            Open from S3
+          </DialogTitle>
+          <DialogDescription className="flex items-center justify-between">
+            <span className="font-mono text-xs">
+              s3://{bucket}/{prefix}
+            </span>
+            <Button variant="ghost" size="sm" onClick={() => loadObjects()} disabled={isLoading} title="Refresh">
+              <RefreshCw className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`} />
+            </Button>
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="border rounded-md">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Size</TableHead>
+                <TableHead>Last modified</TableHead>
+                <TableHead>ETag</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {listing?.objects.map((object) => (
+                <TableRow key={object.key} className={object.key === selectedKey ? "bg-blue-50" : ""}>
+                  <TableCell className="font-medium max-w-[16rem] truncate" title={object.key}>
+                    {object.name}
+                  </TableCell>
+                  <TableCell className="text-xs">{getFileSize(object.size)}</TableCell>
+                  <TableCell className="text-xs">{formatDate(object.lastModified)}</TableCell>
+                  <TableCell className="font-mono text-xs">{formatEtag(object.etag)}</TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="sm" onClick={() => loadVersions(object.key)} title="Versions">
+                      <History className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleOpen(object.key, null, true)}
+                      disabled={busyId !== null}
+                    >
+                      {busyId === `${object.key}@null` ? (
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <FolderOpen className="h-4 w-4" />
+                      )}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {listing && listing.objects.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-sm text-gray-500 py-6">
+                    No workflows under this prefix
+                  </TableCell>
+                </TableRow>
+              )}
+              {!listing && isLoading && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-sm text-gray-500 py-6">
+                    <Loader2 className="inline h-4 w-4 mr-2 animate-spin" /> Loading...
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </div>
+
+        {listing?.nextToken && (
+          <Button variant="outline" onClick={() => loadObjects(listing.nextToken)} disabled={isLoading}>
+            Load more
+          </Button>
+        )}
+
+        {selectedKey && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium flex items-center">
+              <History className="h-4 w-4 mr-2" /> Versions of {selectedKey}
+            </h4>
+            {isLoadingVersions ? (
+              <div className="flex items-center text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Loading versions...
+              </div>
+            ) : versions && !versions.versioningEnabled ? (
+              <p className="text-sm text-gray-500">
+                Versioning is not enabled on this bucket, so only the current content is kept.
+              </p>
+            ) : (
+              <div className="border rounded-md divide-y">
+                {versions?.versions.map((version) => (
+                  <div key={version.versionId} className="flex items-center justify-between px-3 py-2 text-xs">
+                    <div className="flex items-center gap-2 min-w-0">
+                      <span className="font-mono truncate" title={version.versionId}>
+                        {version.versionId.slice(0, 12)}
+                      </span>
+                      {version.isLatest && <Badge variant="secondary">Latest</Badge>}
+                      <span className="text-gray-500">{formatDate(version.lastModified)}</span>
+                      <span className="text-gray-500">{getFileSize(version.size)}</span>
+                    </div>
+                    <div className="flex items-center gap-1 ml-2">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleOpen(selectedKey, version.versionId, version.isLatest)}
+                        disabled={busyId !== null}
+                      >
+                        <FolderOpen className="h-3 w-3 mr-1" /> Open
+                      </Button>
+                      {!version.isLatest && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleRestore(selectedKey, version.versionId)}
+                          disabled={busyId !== null}
+                        >
+                          {busyId === `${selectedKey}@${version.versionId}` ? (
+                            <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                          ) : (
+                            <RotateCcw className="h-3 w-3 mr-1" />
+                          )}
+                          Restore
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {blockedRestore?.key === selectedKey && (
+              <Alert variant="destructive">
+                <AlertDescription className="space-y-2">
+                  <p>Version {blockedRestore.versionId.slice(0, 12)} fails the pre-publish check:</p>
+                  <ul className="list-disc pl-4 text-xs max-h-32 overflow-y-auto">
+                    {blockedRestore.errors.map((message, index) => (
+                      <li key={index}>{message}</li>
+                    ))}
+                  </ul>
+                  <Textarea
+                    value={blockedRestore.reason}
+                    onChange={(e) => setBlockedRestore({ ...blockedRestore, reason: e.target.value })}
+                    placeholder="Reason for restoring a version that fails validation (logged)"
+                    rows={2}
+                  />
+                  <div className="flex justify-end gap-2">
+                    <Button variant="outline" size="sm" onClick={() => setBlockedRestore(null)}>
+                      Cancel
+                    </Button>
+                    <Button
+                      size="sm"
+                      onClick={() =>
+                        handleRestore(blockedRestore.key, blockedRestore.versionId, blockedRestore.reason.trim())
+                      }
+                      disabled={busyId !== null || !blockedRestore.reason.trim()}
+                    >
+                      Restore anyway
+                    </Button>
+                  </div>
+                </AlertDescription>
+              </Alert>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,114 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { DiffEditor } from "@monaco-editor/react"
+import { AlertTriangle, FilePlus, GitCompare, Loader2, Upload } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { getS3Workflow } from "@/lib/s3-utils"
+
+/**
+ * Shown when an upload would overwrite an object that changed in S3 (or that we never opened).
+ * Offers to overwrite it, to upload under a new key, or to compare the two versions first.
+ * @param {Object} props
+ * @param {import('../lib/s3-utils.js').S3Conflict|null} props.conflict - The dialog is open while this is set
+ * @param {string} props.localContent - The content being uploaded
+ * @param {string} props.suggestedFilename - Free filename offered for "Save as new key"
+ * @param {function(): void} props.onOverwrite
+ * @param {function(): void} props.onSaveAsNew
+ * @param {function(): void} props.onCancel
+ */
+export default function S3ConflictDialog({
+  conflict,
+  localContent,
+  suggestedFilename,
+  onOverwrite,
+  onSaveAsNew,
+  onCancel,
+}) {
+  const [showDiff, setShowDiff] = useState(false)
+  const [remoteContent, setRemoteContent] = useState(null)
+  const [diffError, setDiffError] = useState(null)
+
+  useEffect(() => {
+    setShowDiff(false)
+    setRemoteContent(null)
+    setDiffError(null)
+  }, [conflict])
+
+  const handleShowDiff = async () => {
+    setShowDiff(true)
+    if (remoteContent !== null || !conflict) return
+    try {
+      const file = await getS3Workflow(conflict.key)
+      setRemoteContent(file.content)
+    } catch (error) {
+      setDiffError(error.code ? `${error.code}: ${error.message}` : String(error.message ?? error))
+    }
+  }
+
+  return (
+    <Dialog open={Boolean(conflict)} onOpenChange={(open) => !open && onCancel()}>
+      <DialogContent className={showDiff ? "max-w-5xl" : "max-w-lg"}>
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <AlertTriangle className="h-5 w-5 mr-2 text-yellow-500" />
+            {conflict?.expectedEtag ? "Workflow changed in S3" : "Workflow already exists in S3"}
+          </DialogTitle>
+          <DialogDescription>
+            {conflict?.expectedEtag
+              ? `Someone uploaded ${conflict.key} after you opened it. Uploading now would discard their changes.`
+              : `${conflict?.key} already exists and wasn't opened from S3. Uploading now would replace it.`}
+            {conflict?.lastModified && ` It was last modified ${new Date(conflict.lastModified).toLocaleString()}.`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {showDiff && (
+          <div className="space-y-2">
+            <div className="grid grid-cols-2 text-xs font-medium text-gray-600">
+              <span>In S3 ({conflict?.currentEtag ?? "deleted"})</span>
+              <span>Your version</span>
+            </div>
+            {diffError ? (
+              <Alert variant="destructive">
+                <AlertDescription>{diffError}</AlertDescription>
+              </Alert>
+            ) : remoteContent === null ? (
+              <div className="h-96 flex items-center justify-center text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" /> Loading the version in S3...
+              </div>
+            ) : (
+              <div className="h-96 border rounded-md overflow-hidden">
+                <DiffEditor
+                  height="100%"
+                  language="yaml"
+                  original={remoteContent}
+                  modified={localContent}
+                  options={{ readOnly: true, renderSideBySide: true, minimap: { enabled: false } }}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2 pt-2">
+          <Button variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          {!showDiff && (
+            <Button variant="outline" onClick={handleShowDiff}>
+              <GitCompare className="h-4 w-4 mr-2" /> Compare
+            </Button>
+          )}
+          <Button variant="outline" onClick={onSaveAsNew} title={`Upload as ${suggestedFilename}`}>
+            <FilePlus className="h-4 w-4 mr-2" /> Save as new key
+          </Button>
+          <Button variant="destructive" onClick={onOverwrite}>
+            <Upload className="h-4 w-4 mr-2" /> Overwrite
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,153 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Camera, RotateCcw, Trash2, Loader2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { createSnapshot, deleteSnapshot, listSnapshots } from "@/lib/persistence"
+import { useToast } from "@/hooks/use-toast"
+
+/**
+ * Saves, browses and restores named snapshots of the workspace
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {function(boolean): void} props.onOpenChange
+ * @param {function(): import('../lib/persistence.js').StoredWorkspace} props.getWorkspace - Returns the workspace to snapshot
+ * @param {function(import('../lib/persistence.js').Snapshot): void} props.onRestore
+ */
+export default function SnapshotsDialog({ open, onOpenChange, getWorkspace, onRestore }) {
+  const [snapshots, setSnapshots] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [name, setName] = useState("")
+  const { toast } = useToast()
+
+  /**
+   * @param {unknown} error
+   */
+  const showError = (error) => {
+    toast({
+      title: "Snapshot storage failed",
+      description: error instanceof Error ? error.message : String(error),
+      variant: "destructive",
+    })
+  }
+
+  useEffect(() => {
+    if (!open) return
+    let cancelled = false
+    setIsLoading(true)
+    listSnapshots()
+      .then((result) => {
+        if (!cancelled) setSnapshots(result)
+      })
+      .catch(showError)
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [open])
+
+  const handleCreate = async () => {
+    const snapshotName = name.trim() || `Snapshot ${new Date().toLocaleString()}`
+    try {
+      const snapshot = await createSnapshot(snapshotName, getWorkspace())
+      setSnapshots((previous) => [snapshot, ...previous])
+      setName("")
+      toast({ title: "Snapshot saved", description: `"${snapshotName}" can be restored from this dialog.` })
+    } catch (error) {
+      showError(error)
+    }
+  }
+
+  /**
+   * @param {number} id
+   */
+  const handleDelete = async (id) => {
+    try {
+      await deleteSnapshot(id)
+      setSnapshots((previous) => previous.filter((snapshot) => snapshot.id !== id))
+    } catch (error) {
+      showError(error)
+    }
+  }
+
+  /**
+   * @param {import('../lib/persistence.js').Snapshot} snapshot
+   */
+  const handleRestore = (snapshot) => {
+    onRestore(snapshot)
+    onOpenChange(false)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <Camera className="h-5 w-5 mr-2" />
+            Snapshots
+          </DialogTitle>
+          <DialogDescription>Snapshots are stored in this browser. Restoring one replaces the workspace.</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor="snapshot-name">New snapshot</Label>
+          <div className="flex gap-2">
+            <Input
+              id="snapshot-name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. before refactoring loads"
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleCreate()
+              }}
+            />
+            <Button onClick={handleCreate}>Save</Button>
+          </div>
+        </div>
+
+        <div className="border rounded-md divide-y">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-6 text-sm text-gray-500">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Loading snapshots...
+            </div>
+          ) : snapshots.length === 0 ? (
+            <div className="py-6 text-center text-sm text-gray-500">No snapshots yet</div>
+          ) : (
+            snapshots.map((snapshot) => (
+              <div key={snapshot.id} className="flex items-center justify-between px-3 py-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium truncate" title={snapshot.name}>
+                    {snapshot.name}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {new Date(snapshot.createdAt).toLocaleString()} &middot;{" "}
+                    {Object.keys(snapshot.workspace.documents).length} files
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 ml-2">
+                  <Button variant="outline" size="sm" onClick={() => handleRestore(snapshot)}>
+                    <RotateCcw className="mr-1 h-3 w-3" /> Restore
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleDelete(snapshot.id)}
+                    title="Delete snapshot"
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-3 w-3" />
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
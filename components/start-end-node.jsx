@@ -7,11 +7,13 @@ import { Play, Square } from "lucide-react"
  * @param {Object} props.data
  * @param {"start" | "end"} props.data.type
  * @param {string} props.data.label
+ * @param {"TB"|"LR"} [props.data.direction] - Flow direction; decides which side the handle sits on
  * @param {boolean} props.isConnectable
  */
 function StartEndNode({ data, isConnectable }) {
-  const { type, label } = data
+  const { type, label, direction } = data
   const isStart = type === "start"
+  const isLeftRight = direction === "LR"
 
   const bgColor = isStart ? "bg-green-100" : "bg-red-100"
   const borderColor = isStart ? "border-green-500" : "border-red-500"
@@ -23,7 +25,7 @@ function StartEndNode({ data, isConnectable }) {
       {!isStart && (
         <Handle
           type="target"
-          position={Position.Top}
+          position={isLeftRight ? Position.Left : Position.Top}
           isConnectable={isConnectable}
           className="w-3 h-3"
           style={{ background: "#ef4444" }}
@@ -42,7 +44,7 @@ function StartEndNode({ data, isConnectable }) {
       {isStart && (
         <Handle
           type="source"
-          position={Position.Bottom}
+          position={isLeftRight ? Position.Right : Position.Bottom}
           isConnectable={isConnectable}
           className="w-3 h-3"
           style={{ background: "#10b981" }}
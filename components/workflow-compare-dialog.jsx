@@ -0,0 +1,348 @@
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { DiffEditor } from "@monaco-editor/react"
+import { ArrowRight, GitCompare, Loader2, Workflow } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Label } from "@/components/ui/label"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { diffWorkflowContent } from "@/lib/workflow-diff"
+import { listSnapshots } from "@/lib/persistence"
+import { getS3Workflow, listS3WorkflowVersions } from "@/lib/s3-utils"
+
+const SOURCE_KINDS = {
+  saved: "Last saved version",
+  file: "Workspace file",
+  snapshot: "Snapshot",
+  s3: "S3 version",
+}
+
+const KIND_STYLES = {
+  added: "bg-green-100 text-green-800",
+  removed: "bg-red-100 text-red-800",
+  changed: "bg-blue-100 text-blue-800",
+}
+
+/**
+ * @param {unknown} error
+ * @returns {string}
+ */
+function describeError(error) {
+  return error?.code ? `${error.code}: ${error.message}` : String(error?.message ?? error)
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) return ""
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+/**
+ * @param {Object} props
+ * @param {import('../lib/workflow-diff.js').PropertyChange} props.change
+ */
+function PropertyChangeRow({ change }) {
+  const multiline = change.isSql || [change.before, change.after].some((value) => formatValue(value).includes("\n"))
+  return (
+    <li className="py-1">
+      <div className="flex items-center gap-2">
+        <span className={`px-1 rounded ${KIND_STYLES[change.kind]}`}>{change.kind}</span>
+        <span className="font-mono">{change.path}</span>
+        {change.isSql && <span className="text-gray-400">SQL, compared formatted</span>}
+      </div>
+      {multiline ? (
+        <div className="grid grid-cols-2 gap-2 mt-1">
+          <pre className="bg-red-50 p-2 rounded overflow-x-auto">{formatValue(change.before)}</pre>
+          <pre className="bg-green-50 p-2 rounded overflow-x-auto">{formatValue(change.after)}</pre>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 mt-0.5 font-mono">
+          {change.kind !== "added" && <span className="text-red-700 line-through">{formatValue(change.before)}</span>}
+          {change.kind === "changed" && <ArrowRight className="h-3 w-3 text-gray-400" />}
+          {change.kind !== "removed" && <span className="text-green-700">{formatValue(change.after)}</span>}
+        </div>
+      )}
+    </li>
+  )
+}
+
+/**
+ * @param {Object} props
+ * @param {import('../lib/workflow-diff.js').WorkflowDiff} props.diff
+ */
+function ChangeList({ diff }) {
+  const { actions, settings, summary } = diff
+  if (!actions.length && !settings.length) {
+    return <p className="text-sm text-gray-500 py-6 text-center">No semantic differences</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-xs">
+        <Badge variant="secondary">{summary.added} added</Badge>
+        <Badge variant="secondary">{summary.removed} removed</Badge>
+        <Badge variant="secondary">{summary.renamed} renamed</Badge>
+        <Badge variant="secondary">{summary.moved} moved</Badge>
+        <Badge variant="secondary">{summary.modified} modified</Badge>
+        <Badge variant="outline">{summary.unchanged} unchanged</Badge>
+      </div>
+
+      {settings.length > 0 && (
+        <div className="border rounded-md p-3">
+          <h4 className="text-sm font-medium">Workflow settings</h4>
+          <ul className="text-xs">
+            {settings.map((change) => (
+              <PropertyChangeRow key={change.path} change={change} />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {actions.map((change) => (
+        <div key={`${change.kind}-${change.beforeIndex}-${change.afterIndex}`} className="border rounded-md p-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className={`px-1.5 rounded text-xs ${KIND_STYLES[change.kind]}`}>{change.kind}</span>
+            <span className="font-medium">{change.name || "(unnamed)"}</span>
+            <span className="text-xs text-gray-500">{change.actionType}</span>
+            {change.previousName !== null && (
+              <Badge variant="outline">renamed from {change.previousName || "(unnamed)"}</Badge>
+            )}
+            {change.moved && (
+              <Badge variant="outline">
+                moved #{change.beforeIndex + 1} → #{change.afterIndex + 1}
+              </Badge>
+            )}
+          </div>
+          {change.kind === "changed" && change.properties.length > 0 && (
+            <ul className="text-xs mt-1">
+              {change.properties.map((property) => (
+                <PropertyChangeRow key={property.path} change={property} />
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Compares the active document with another version of it - its last saved
+ * content, another workspace file, a snapshot or a version in S3 - as a list of
+ * action-level changes and as a side-by-side YAML diff
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {function(boolean): void} props.onOpenChange
+ * @param {import('../lib/workspace.js').WorkspaceDocument|null} props.document - The document to compare
+ * @param {Object<string, string>} props.files - Content of every workspace document by path
+ * @param {function({label: string, content: string}): void} [props.onShowInFlow] - Overlays the chosen version on
+ *   the flow visualizer
+ */
+export default function WorkflowCompareDialog({ open, onOpenChange, document, files, onShowInFlow }) {
+  const [sourceKind, setSourceKind] = useState("saved")
+  const [sourceId, setSourceId] = useState("")
+  const [options, setOptions] = useState([])
+  const [base, setBase] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const path = document?.path ?? null
+  const s3Key = document?.s3Origin?.key ?? null
+
+  // List what can be compared with for the chosen kind of source
+  useEffect(() => {
+    if (!open || !document) return
+    let cancelled = false
+    setSourceId("")
+    setBase(null)
+    setError(null)
+
+    /**
+     * @param {{id: string, label: string, load: function(): (string|Promise<string>)}[]} result
+     */
+    const show = (result) => {
+      if (cancelled) return
+      setOptions(result)
+      if (result.length) setSourceId(result[0].id)
+    }
+
+    if (sourceKind === "saved") {
+      show([{ id: "saved", label: `${path} as last loaded or saved`, load: () => document.savedContent }])
+    } else if (sourceKind === "file") {
+      show(
+        Object.keys(files)
+          .filter((filePath) => filePath !== path)
+          .map((filePath) => ({ id: filePath, label: filePath, load: () => files[filePath] })),
+      )
+    } else if (sourceKind === "snapshot") {
+      setIsLoading(true)
+      listSnapshots()
+        .then((snapshots) =>
+          show(
+            snapshots
+              .filter((snapshot) => path in snapshot.workspace.documents)
+              .map((snapshot) => ({
+                id: String(snapshot.id),
+                label: `${snapshot.name} (${new Date(snapshot.createdAt).toLocaleString()})`,
+                load: () => snapshot.workspace.documents[path].content,
+              })),
+          ),
+        )
+        .catch((loadError) => !cancelled && setError(describeError(loadError)))
+        .finally(() => !cancelled && setIsLoading(false))
+    } else if (sourceKind === "s3" && s3Key) {
+      setIsLoading(true)
+      listS3WorkflowVersions(s3Key)
+        .then(({ versions }) =>
+          show(
+            versions.map((version) => ({
+              id: version.versionId,
+              label: `${version.versionId.slice(0, 12)}${version.isLatest ? " (latest)" : ""} ${
+                version.lastModified ? new Date(version.lastModified).toLocaleString() : ""
+              }`,
+              load: async () => (await getS3Workflow(s3Key, version.isLatest ? null : version.versionId)).content,
+            })),
+          ),
+        )
+        .catch((loadError) => !cancelled && setError(describeError(loadError)))
+        .finally(() => !cancelled && setIsLoading(false))
+    } else {
+      show([])
+    }
+
+    return () => {
+      cancelled = true
+    }
+  }, [open, sourceKind, path, s3Key])
+
+  // Load the content of the chosen source
+  useEffect(() => {
+    const option = options.find((candidate) => candidate.id === sourceId)
+    if (!option) return
+    let cancelled = false
+    setBase(null)
+    setError(null)
+    setIsLoading(true)
+    Promise.resolve()
+      .then(() => option.load())
+      .then((content) => !cancelled && setBase({ label: option.label, content }))
+      .catch((loadError) => !cancelled && setError(describeError(loadError)))
+      .finally(() => !cancelled && setIsLoading(false))
+    return () => {
+      cancelled = true
+    }
+  }, [options, sourceId])
+
+  const current = document?.content ?? ""
+  const comparison = useMemo(() => {
+    if (!base) return null
+    try {
+      return { diff: diffWorkflowContent(base.content, current), error: null }
+    } catch (diffError) {
+      return { diff: null, error: `Can't compare invalid YAML: ${describeError(diffError).split("\n")[0]}` }
+    }
+  }, [base, current])
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <GitCompare className="h-5 w-5 mr-2" />
+            Compare {path}
+          </DialogTitle>
+          <DialogDescription>Changes from the chosen version to the current content.</DialogDescription>
+        </DialogHeader>
+
+        <div className="flex items-end gap-4">
+          <div className="space-y-1">
+            <Label>Compare with</Label>
+            <Select value={sourceKind} onValueChange={setSourceKind}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(SOURCE_KINDS).map(([kind, label]) => (
+                  <SelectItem key={kind} value={kind}>
+                    {label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {options.length > 0 && (
+            <div className="space-y-1 flex-grow min-w-0">
+              <Label>Version</Label>
+              <Select value={sourceId} onValueChange={setSourceId}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {options.map((option) => (
+                    <SelectItem key={option.id} value={option.id}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          {isLoading && <Loader2 className="h-4 w-4 mb-3 animate-spin text-gray-500" />}
+          {onShowInFlow && comparison?.diff && (
+            <Button variant="outline" onClick={() => onShowInFlow(base)}>
+              <Workflow className="h-4 w-4 mr-2" /> Show in flow
+            </Button>
+          )}
+        </div>
+
+        {!isLoading && !error && options.length === 0 && (
+          <p className="text-sm text-gray-500">
+            {sourceKind === "s3" && !s3Key
+              ? "This document wasn't opened from or uploaded to S3."
+              : sourceKind === "snapshot"
+                ? `No snapshot contains ${path}.`
+                : "There is nothing to compare with."}
+          </p>
+        )}
+
+        {(error || comparison?.error) && (
+          <Alert variant="destructive">
+            <AlertDescription>{error || comparison.error}</AlertDescription>
+          </Alert>
+        )}
+
+        {base && (
+          <Tabs defaultValue="changes">
+            <TabsList>
+              <TabsTrigger value="changes">Changes</TabsTrigger>
+              <TabsTrigger value="side-by-side">Side by side</TabsTrigger>
+            </TabsList>
+            <TabsContent value="changes">{comparison?.diff && <ChangeList diff={comparison.diff} />}</TabsContent>
+            <TabsContent value="side-by-side" className="space-y-2">
+              <div className="grid grid-cols-2 text-xs font-medium text-gray-600">
+                <span className="truncate">{base.label}</span>
+                <span>Current</span>
+              </div>
+              <div className="h-[60vh] border rounded-md overflow-hidden">
+                <DiffEditor
+                  height="100%"
+                  language="yaml"
+                  original={base.content}
+                  modified={current}
+                  options={{ readOnly: true, renderSideBySide: true, minimap: { enabled: false } }}
+                />
+              </div>
+            </TabsContent>
+          </Tabs>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
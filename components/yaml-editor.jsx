@@ -2,101 +2,131 @@
 
 import { useEffect, useRef, useState } from "react"
 import Editor from "@monaco-editor/react"
-import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Button } from "@/components/ui/button"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import { Badge } from "@/components/ui/badge"
 import { Separator } from "@/components/ui/separator"
-import { AlertCircle, Plus, FileText, Zap, Save, RefreshCw, Eye, EyeOff, Code, Trash2 } from "lucide-react"
-import { actionDefinitions } from "@/lib/action-definitions"
+import { Plus, FileText, Zap, Save, RefreshCw, Eye, EyeOff, Code, Trash2, ListOrdered, FileOutput } from "lucide-react"
+import { actionDefinitions, getActionTemplate } from "@/lib/action-definitions"
 import { ACTION_NAMES } from "@/lib/types"
-import { validateYaml } from "@/lib/yaml-utils"
+import { getActionList, validateYaml } from "@/lib/yaml-utils"
+import { patchActions } from "@/lib/yaml-document"
+import { buildSourceMap } from "@/lib/yaml-source-map"
+import { getProducedDataframes } from "@/lib/dataframe-dependencies"
+import { findDataframeOccurrences, getDefinitions, getOccurrenceAt, getReferences } from "@/lib/dataframe-navigation"
+import { getCompletions, getHoverInfo } from "@/lib/yaml-completion"
+import ProblemsPanel from "@/components/problems-panel"
+import AutoOrderDialog from "@/components/auto-order-dialog"
+import RenderEnvironmentDialog from "@/components/render-environment-dialog"
+import RenameDialog from "@/components/rename-dialog"
+import { useActionTypes } from "@/hooks/use-action-types"
+
+const MARKER_OWNER = "workflow-validation"
+
+/** Dataframe occurrences by editor model, recomputed when the model changes */
+const occurrenceCache = new WeakMap()
 
 /**
- * @typedef {Object} ActionTemplate
- * @property {string} name
- * @property {string} template
+ * @param {any} model - A Monaco text model
+ * @returns {import('../lib/dataframe-navigation.js').DataframeOccurrence[]}
  */
+function getModelOccurrences(model) {
+  const version = model.getVersionId()
+  const cached = occurrenceCache.get(model)
+  if (cached?.version === version) return cached.occurrences
+  const occurrences = findDataframeOccurrences(model.getValue())
+  occurrenceCache.set(model, { version, occurrences })
+  return occurrences
+}
+
+/**
+ * Returns the YAML of a new action of a type, as an item of the `actions` list
+ * @param {string} actionType
+ * @returns {string|null}
+ */
+function getActionItemTemplate(actionType) {
+  const template = getActionTemplate(actionType)
+  if (template === null) return null
+  return template
+    .split("\n")
+    .map((line, index) => `${index === 0 ? "  - " : "    "}${line}`)
+    .join("\n")
+}
+
+/**
+ * Returns the `path` of the Include action whose lines contain the given line
+ * @param {string} content
+ * @param {number} lineNumber
+ * @returns {string|null}
+ */
+function findIncludePathAt(content, lineNumber) {
+  try {
+    const sourceMap = buildSourceMap(content)
+    const actions = Array.isArray(sourceMap.data?.actions) ? sourceMap.data.actions : []
+    const index = actions.findIndex((action, i) => {
+      const range = sourceMap.getRange(["actions", i])
+      return range && range.startLineNumber <= lineNumber && lineNumber <= range.endLineNumber
+    })
+    const action = actions[index]
+    return action?.action === ACTION_NAMES.INCLUDE && typeof action.path === "string" ? action.path : null
+  } catch {
+    return null
+  }
+}
 
 /**
- * @type {ActionTemplate[]}
+ * Returns what to rename at a cursor position: the action whose `name` value it
+ * is in, else the dataframe named by the word under it
+ * @param {string} content
+ * @param {{lineNumber: number, column: number}} position
+ * @param {string|null} word - The word at the position
+ * @returns {import('../lib/rename-refactor.js').RenameTarget|null}
  */
-const actionTemplates = [
-  {
-    name: ACTION_NAMES.EXTRACT,
-    template: `  - action: Extract
-    name: "new extract action"
-    dataframe: "df_name"
-    location: "path/to/data"
-    tableName: "table_name"
-    databaseName: "database_name"`,
-  },
-  {
-    name: ACTION_NAMES.EXECUTE,
-    template: `  - action: Execute
-    name: "new execute action"
-    dataframe: "df_name"
-    script: "script.py"
-    output: "output_location"`,
-  },
-  {
-    name: ACTION_NAMES.TRANSFORM,
-    template: `  - action: Transform
-    name: "new transform action"
-    dataframe: "df_name"
-    transformations:
-      - "transformation_1"
-      - "transformation_2"`,
-  },
-  {
-    name: ACTION_NAMES.LOAD,
-    template: `  - action: Load
-    name: "new load action"
-    dataframe: "df_name"
-    destination: "destination_path"`,
-  },
-  {
-    name: ACTION_NAMES.MERGE,
-    template: `  - action: Merge
-    name: "new merge action"
-    dataframe: "df_name"
-    sources:
-      - "source_1"
-      - "source_2"`,
-  },
-  {
-    name: ACTION_NAMES.PURGE,
-    template: `  - action: Purge
-    name: "new purge action"
-    dataframe: "df_name"
-    target: "target_location"`,
-  },
-  {
-    name: ACTION_NAMES.S3_REPLICATE,
-    template: `  - action: S3Replicate
-    name: "new s3replicate action"
-    dataframe: "df_name"
-    source: "s3://source-bucket/path"
-    destination: "s3://dest-bucket/path"`,
-  },
-  {
-    name: ACTION_NAMES.INCLUDE,
-    template: `  - action: Include
-    name: "new include action"
-    dataframe: "df_name"
-    path: "path/to/include"`,
-  },
-]
+function findRenameTargetAt(content, position, word) {
+  try {
+    const sourceMap = buildSourceMap(content)
+    const actions = Array.isArray(sourceMap.data?.actions) ? sourceMap.data.actions : []
+    const isInside = (range) =>
+      range &&
+      (range.startLineNumber < position.lineNumber ||
+        (range.startLineNumber === position.lineNumber && range.startColumn <= position.column)) &&
+      (position.lineNumber < range.endLineNumber ||
+        (position.lineNumber === range.endLineNumber && position.column <= range.endColumn))
+    const named = actions.findIndex(
+      (action, i) => typeof action?.name === "string" && isInside(sourceMap.getRange(["actions", i, "name"])),
+    )
+    if (named !== -1) return { kind: "action", name: actions[named].name }
+    if (word && actions.some((action) => getProducedDataframes(action).includes(word))) {
+      return { kind: "dataframe", name: word }
+    }
+    return null
+  } catch {
+    return null
+  }
+}
 
 /**
  * @param {Object} props
  * @param {string} props.value
  * @param {function(string): void} props.onChange
- * @param {string[]} props.errors
+ * @param {import('../lib/types.js').Diagnostic[]} props.diagnostics
+ * @param {string} [props.path] - Workspace path of the document; each path gets its own editor model
+ * @param {function(string): void} [props.onOpenInclude] - Opens the file an Include action's `path` points to
+ * @param {function(): void} [props.onUndo] - Undoes the last change to the document, from any view
+ * @param {function(): void} [props.onRedo]
+ * @param {boolean} [props.canUndo] - Whether the document has history; an emptied document with history is not reseeded
  */
-export default function YamlEditor({ value, onChange, errors }) {
+export default function YamlEditor({ value, onChange, diagnostics, path, onOpenInclude, onUndo, onRedo, canUndo }) {
   const editorRef = useRef(null)
+  const onOpenIncludeRef = useRef(onOpenInclude)
+  onOpenIncludeRef.current = onOpenInclude
+  // The document history is shared with the other views, so Monaco's own undo stack is bypassed
+  const historyHandlersRef = useRef({ onUndo, onRedo })
+  historyHandlersRef.current = { onUndo, onRedo }
+  const monacoRef = useRef(null)
+  const glyphDecorationsRef = useRef(null)
+  const languageProvidersRef = useRef([])
   const [isInsertDialogOpen, setIsInsertDialogOpen] = useState(false)
   const [selectedActionType, setSelectedActionType] = useState(ACTION_NAMES.EXTRACT)
   const [insertPosition, setInsertPosition] = useState("end")
@@ -105,7 +135,84 @@ export default function YamlEditor({ value, onChange, errors }) {
   const [showMinimap, setShowMinimap] = useState(false)
   const [isValidating, setIsValidating] = useState(false)
   const [lastValidContent, setLastValidContent] = useState("")
-  const [actionCount, setActionCount] = useState(0)
+  const [isAutoOrderOpen, setIsAutoOrderOpen] = useState(false)
+  const [isRenderOpen, setIsRenderOpen] = useState(false)
+  const [parsedActions, setParsedActions] = useState([])
+  const [renameTarget, setRenameTarget] = useState(null)
+  // Lists the action types, including those registered after mount
+  useActionTypes()
+  // Actions of the last content that parsed, for completions while the YAML is mid-edit
+  const lastParsedActionsRef = useRef([])
+  const errorCount = diagnostics.filter((d) => d.severity === "error").length
+
+  /**
+   * Shows diagnostics as squiggles (model markers) and gutter glyphs (decorations)
+   * @param {import('../lib/types.js').Diagnostic[]} items
+   */
+  const applyDiagnostics = (items) => {
+    const editor = editorRef.current
+    const monaco = monacoRef.current
+    const model = editor?.getModel()
+    if (!editor || !monaco || !model) return
+
+    const severities = {
+      error: monaco.MarkerSeverity.Error,
+      warning: monaco.MarkerSeverity.Warning,
+      info: monaco.MarkerSeverity.Info,
+    }
+    const located = items.filter((d) => d.range)
+
+    monaco.editor.setModelMarkers(
+      model,
+      MARKER_OWNER,
+      located.map((d) => ({
+        ...d.range,
+        severity: severities[d.severity],
+        message: d.message,
+        code: d.code,
+        source: "workflow",
+      })),
+    )
+
+    const glyphs = located.map((d) => ({
+      range: new monaco.Range(d.range.startLineNumber, 1, d.range.startLineNumber, 1),
+      options: {
+        glyphMarginClassName: `diagnostic-glyph diagnostic-glyph-${d.severity}`,
+        glyphMarginHoverMessage: { value: d.message },
+      },
+    }))
+    if (glyphDecorationsRef.current) {
+      glyphDecorationsRef.current.set(glyphs)
+    } else {
+      glyphDecorationsRef.current = editor.createDecorationsCollection(glyphs)
+    }
+  }
+
+  useEffect(() => {
+    applyDiagnostics(diagnostics)
+  }, [diagnostics])
+
+  // Providers are registered per language, not per editor: every one of them must go with the editor
+  useEffect(
+    () => () => {
+      languageProvidersRef.current.forEach((provider) => provider.dispose())
+      languageProvidersRef.current = []
+    },
+    [],
+  )
+
+  /**
+   * @param {import('../lib/types.js').Diagnostic} diagnostic
+   */
+  const handleSelectDiagnostic = (diagnostic) => {
+    const editor = editorRef.current
+    if (!editor || !diagnostic.range) return
+
+    const { startLineNumber, startColumn } = diagnostic.range
+    editor.revealLineInCenter(startLineNumber)
+    editor.setPosition({ lineNumber: startLineNumber, column: startColumn })
+    editor.focus()
+  }
 
   /**
    * @param {any} editor
@@ -113,6 +220,8 @@ export default function YamlEditor({ value, onChange, errors }) {
    */
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor
+    monacoRef.current = monaco
+    applyDiagnostics(diagnostics)
 
     // Track cursor position
     editor.onDidChangeCursorPosition((e) => {
@@ -123,16 +232,75 @@ export default function YamlEditor({ value, onChange, errors }) {
     })
 
     // Set up YAML language features
-    monaco.languages.registerDocumentFormattingEditProvider("yaml", {
-      provideDocumentFormattingEdits: (model) => {
-        return [
-          {
-            range: model.getFullModelRange(),
-            text: model.getValue(),
-          },
-        ]
-      },
-    })
+    languageProvidersRef.current.push(
+      monaco.languages.registerDocumentFormattingEditProvider("yaml", {
+        provideDocumentFormattingEdits: (model) => {
+          return [
+            {
+              range: model.getFullModelRange(),
+              text: model.getValue(),
+            },
+          ]
+        },
+      }),
+    )
+
+    // Ctrl+click and F12 jump to the action producing a dataframe; Shift+F12 peeks at every use
+    languageProvidersRef.current.push(
+      monaco.languages.registerDefinitionProvider("yaml", {
+        provideDefinition: (model, position) => {
+          const occurrences = getModelOccurrences(model)
+          const occurrence = getOccurrenceAt(occurrences, position)
+          if (!occurrence) return null
+          return getDefinitions(occurrences, occurrence).map(({ range }) => ({ uri: model.uri, range }))
+        },
+      }),
+      monaco.languages.registerReferenceProvider("yaml", {
+        provideReferences: (model, position, context) => {
+          const occurrences = getModelOccurrences(model)
+          const occurrence = getOccurrenceAt(occurrences, position)
+          if (!occurrence) return null
+          return getReferences(occurrences, occurrence.dataframe, context.includeDeclaration).map(({ range }) => ({
+            uri: model.uri,
+            range,
+          }))
+        },
+      }),
+      // Action types after `action:`, the current action's missing keys and known dataframe names
+      monaco.languages.registerCompletionItemProvider("yaml", {
+        triggerCharacters: [" "],
+        provideCompletionItems: (model, position) => {
+          const word = model.getWordUntilPosition(position)
+          const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: word.startColumn,
+            endLineNumber: position.lineNumber,
+            endColumn: word.endColumn,
+          }
+          const kinds = {
+            action: monaco.languages.CompletionItemKind.Enum,
+            property: monaco.languages.CompletionItemKind.Property,
+            dataframe: monaco.languages.CompletionItemKind.Variable,
+          }
+          const suggestions = getCompletions(model.getValue(), position, lastParsedActionsRef.current)
+          return {
+            suggestions: suggestions.map((suggestion) => ({
+              ...suggestion,
+              kind: kinds[suggestion.kind],
+              documentation: suggestion.documentation ? { value: suggestion.documentation } : undefined,
+              range,
+            })),
+          }
+        },
+      }),
+      // Docs of the property, and its action, under the cursor
+      monaco.languages.registerHoverProvider("yaml", {
+        provideHover: (model, position) => {
+          const info = getHoverInfo(model.getValue(), position)
+          return info && { range: info.range, contents: info.contents.map((value) => ({ value })) }
+        },
+      }),
+    )
 
     // Add custom commands for quick insertion
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyI, () => {
@@ -148,11 +316,54 @@ export default function YamlEditor({ value, onChange, errors }) {
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyF, () => {
       editor.getAction("editor.action.formatDocument").run()
     })
+
+    // Undo and redo go through the shared document history
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyZ, () => {
+      historyHandlersRef.current.onUndo?.()
+    })
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyZ, () => {
+      historyHandlersRef.current.onRedo?.()
+    })
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyY, () => {
+      historyHandlersRef.current.onRedo?.()
+    })
+
+    // Open the file referenced by the Include action under the cursor
+    editor.addAction({
+      id: "workflow.openInclude",
+      label: "Open Included File",
+      contextMenuGroupId: "navigation",
+      run: (ed) => {
+        const includePath = findIncludePathAt(ed.getModel().getValue(), ed.getPosition().lineNumber)
+        if (includePath) onOpenIncludeRef.current?.(includePath)
+      },
+    })
+
+    // Rename the dataframe or action under the cursor everywhere it is used
+    editor.addAction({
+      id: "workflow.rename",
+      label: "Rename Dataframe or Action",
+      keybindings: [monaco.KeyCode.F2],
+      contextMenuGroupId: "1_modification",
+      run: (ed) => {
+        const model = ed.getModel()
+        const position = ed.getPosition()
+        const target = findRenameTargetAt(model.getValue(), position, model.getWordAtPosition(position)?.word ?? null)
+        if (target) {
+          setRenameTarget(target)
+        } else {
+          ed.getContribution("editor.contrib.messageController")?.showMessage(
+            "Place the cursor on a dataframe or an action name to rename it",
+            position,
+          )
+        }
+      },
+    })
   }
 
   // Set initial value if empty
   useEffect(() => {
-    if (!value && editorRef.current) {
+    if (!value && !canUndo && editorRef.current) {
       const initialYaml = `actions:
   - action: Extract
     name: first Extract action
@@ -168,15 +379,16 @@ export default function YamlEditor({ value, onChange, errors }) {
 
       onChange(initialYaml)
     }
-  }, [value, onChange])
+  }, [value, canUndo, onChange])
 
-  // Count actions in current YAML
+  // Track the actions in the current YAML
   useEffect(() => {
     try {
-      const { data } = validateYaml(value)
-      setActionCount(data?.actions?.length || 0)
+      const actions = getActionList(validateYaml(value).data)
+      setParsedActions(actions ?? [])
+      if (actions) lastParsedActionsRef.current = actions
     } catch {
-      setActionCount(0)
+      setParsedActions([])
     }
   }, [value])
 
@@ -197,7 +409,7 @@ export default function YamlEditor({ value, onChange, errors }) {
   }
 
   const handleInsertAction = () => {
-    const template = actionTemplates.find((t) => t.name === selectedActionType)
+    const template = getActionItemTemplate(selectedActionType)
     if (!template || !editorRef.current) return
 
     const editor = editorRef.current
@@ -212,18 +424,18 @@ export default function YamlEditor({ value, onChange, errors }) {
       const actionsLineIndex = lines.findIndex((line) => line.trim().startsWith("actions:"))
 
       if (actionsLineIndex !== -1) {
-        lines.splice(actionsLineIndex + 1, 0, template.template)
+        lines.splice(actionsLineIndex + 1, 0, template)
         newValue = lines.join("\n")
       } else {
         // If no actions: line found, add it
-        newValue = `actions:\n${template.template}\n${currentValue}`
+        newValue = `actions:\n${template}\n${currentValue}`
       }
     } else if (insertPosition === "end") {
       // Insert at the end
       if (currentValue.trim()) {
-        newValue = `${currentValue}\n${template.template}`
+        newValue = `${currentValue}\n${template}`
       } else {
-        newValue = `actions:\n${template.template}`
+        newValue = `actions:\n${template}`
       }
     } else if (insertPosition === "cursor" && cursorPosition) {
       // Insert at cursor position
@@ -231,7 +443,7 @@ export default function YamlEditor({ value, onChange, errors }) {
       const insertLine = cursorPosition.line - 1 // Monaco uses 1-based line numbers
 
       // Insert the template at the cursor line
-      lines.splice(insertLine, 0, template.template)
+      lines.splice(insertLine, 0, template)
       newValue = lines.join("\n")
 
       // Move cursor to the inserted content
@@ -252,7 +464,7 @@ export default function YamlEditor({ value, onChange, errors }) {
    * @param {string} actionType
    */
   const handleQuickInsert = (actionType) => {
-    const template = actionTemplates.find((t) => t.name === actionType)
+    const template = getActionItemTemplate(actionType)
     if (!template || !editorRef.current) return
 
     const editor = editorRef.current
@@ -261,9 +473,9 @@ export default function YamlEditor({ value, onChange, errors }) {
 
     let newValue = ""
     if (currentValue.trim()) {
-      newValue = `${currentValue}\n${template.template}`
+      newValue = `${currentValue}\n${template}`
     } else {
-      newValue = `actions:\n${template.template}`
+      newValue = `actions:\n${template}`
     }
 
     onChange(newValue)
@@ -317,6 +529,22 @@ export default function YamlEditor({ value, onChange, errors }) {
     }, 100)
   }
 
+  /**
+   * Rewrites the actions in their new order, keeping each item's comments and formatting
+   * @param {import('../lib/types.js').ActionType[]} orderedActions
+   */
+  const handleApplyOrder = (orderedActions) => {
+    onChange(patchActions(value, orderedActions))
+  }
+
+  /**
+   * Writes all the edits of a rename in one change, keeping comments and formatting
+   * @param {import('../lib/types.js').ActionType[]} renamedActions
+   */
+  const handleApplyRename = (renamedActions) => {
+    onChange(patchActions(value, renamedActions))
+  }
+
   const handleFormatDocument = () => {
     if (editorRef.current) {
       editorRef.current.getAction("editor.action.formatDocument").run()
@@ -350,6 +578,20 @@ export default function YamlEditor({ value, onChange, errors }) {
             <Trash2 className="h-4 w-4 mr-1" />
             Delete at Cursor
           </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setIsAutoOrderOpen(true)}
+            disabled={parsedActions.length < 2}
+            className="flex items-center"
+          >
+            <ListOrdered className="h-4 w-4 mr-1" />
+            Auto-order
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setIsRenderOpen(true)} className="flex items-center">
+            <FileOutput className="h-4 w-4 mr-1" />
+            Render
+          </Button>
           <Separator orientation="vertical" className="h-6" />
           <Button variant="ghost" size="sm" onClick={handleValidateAndSave} disabled={isValidating}>
             {isValidating ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
@@ -357,13 +599,13 @@ export default function YamlEditor({ value, onChange, errors }) {
           <Button variant="ghost" size="sm" onClick={handleFormatDocument}>
             <Code className="h-4 w-4" />
           </Button>
-          <span className="text-xs text-gray-500">Ctrl+I • Ctrl+S • Ctrl+Shift+F</span>
+          <span className="text-xs text-gray-500">Ctrl+I • Ctrl+S • Ctrl+Shift+F • F2</span>
         </div>
 
         <div className="flex items-center space-x-2">
-          <Badge variant="outline">Actions: {actionCount}</Badge>
-          <Badge variant={errors.length > 0 ? "destructive" : "secondary"}>
-            {errors.length > 0 ? `${errors.length} Errors` : "Valid"}
+          <Badge variant="outline">Actions: {parsedActions.length}</Badge>
+          <Badge variant={errorCount > 0 ? "destructive" : "secondary"}>
+            {errorCount > 0 ? `${errorCount} Errors` : "Valid"}
           </Badge>
         </div>
       </div>
@@ -413,29 +655,18 @@ export default function YamlEditor({ value, onChange, errors }) {
         </div>
       )}
 
-      {errors.length > 0 && (
-        <Alert variant="destructive" className="mb-4">
-          <AlertCircle className="h-4 w-4" />
-          <AlertDescription>
-            <ul className="list-disc pl-5">
-              {errors.map((error, index) => (
-                <li key={index}>{error}</li>
-              ))}
-            </ul>
-          </AlertDescription>
-        </Alert>
-      )}
-
       <div className="flex-grow border rounded-md overflow-hidden">
         <Editor
           height="100%"
           defaultLanguage="yaml"
+          path={path}
           value={value}
           onChange={(value) => onChange(value || "")}
           onMount={handleEditorDidMount}
           options={{
             minimap: { enabled: showMinimap },
             lineNumbers: showLineNumbers ? "on" : "off",
+            glyphMargin: true,
             scrollBeyondLastLine: false,
             wordWrap: "on",
             wrappingIndent: "same",
@@ -457,6 +688,8 @@ export default function YamlEditor({ value, onChange, errors }) {
         />
       </div>
 
+      <ProblemsPanel diagnostics={diagnostics} onSelect={handleSelectDiagnostic} />
+
       {/* Insert Action Dialog */}
       <Dialog open={isInsertDialogOpen} onOpenChange={setIsInsertDialogOpen}>
         <DialogContent className="max-w-md">
@@ -520,7 +753,7 @@ export default function YamlEditor({ value, onChange, errors }) {
             <div className="space-y-2">
               <label className="text-sm font-medium">Preview</label>
               <div className="bg-gray-100 p-3 rounded text-xs font-mono whitespace-pre-wrap max-h-32 overflow-y-auto">
-                {actionTemplates.find((t) => t.name === selectedActionType)?.template}
+                {getActionItemTemplate(selectedActionType)}
               </div>
             </div>
 
@@ -536,6 +769,22 @@ export default function YamlEditor({ value, onChange, errors }) {
           </div>
         </DialogContent>
       </Dialog>
+
+      <AutoOrderDialog
+        open={isAutoOrderOpen}
+        onOpenChange={setIsAutoOrderOpen}
+        actions={parsedActions}
+        onApply={handleApplyOrder}
+      />
+
+      <RenderEnvironmentDialog open={isRenderOpen} onOpenChange={setIsRenderOpen} content={value} />
+
+      <RenameDialog
+        target={renameTarget}
+        onClose={() => setRenameTarget(null)}
+        actions={parsedActions}
+        onApply={handleApplyRename}
+      />
     </div>
   )
 }
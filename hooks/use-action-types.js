@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from "react"
+import { getActionTypesVersion, subscribeToActionTypes } from "@/lib/action-definitions"
+
+/**
+ * Re-renders the component when action types are registered or removed
+ * @returns {number} The registry version, to list in effect dependencies
+ */
+export function useActionTypes() {
+  return useSyncExternalStore(subscribeToActionTypes, getActionTypesVersion, getActionTypesVersion)
+}
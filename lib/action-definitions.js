@@ -1,5 +1,36 @@
 import { ACTION_NAMES } from "./types.js"
 
+// Shared property schemas
+/** @type {import('./types.js').PropSchema} */
+const NAME_SCHEMA = { type: "string", minLength: 1, description: "Human readable name of the action" }
+/** @type {import('./types.js').PropSchema} */
+const DATAFRAME_SCHEMA = {
+  type: "string",
+  pattern: "^[A-Za-z_][A-Za-z0-9_]*$",
+  description: "Name of the dataframe this action works on",
+}
+/** @type {import('./types.js').PropSchema} */
+const OPTIONS_SCHEMA = {
+  type: "object",
+  description: "Additional engine options",
+  additionalProperties: { type: ["string", "number", "boolean"] },
+}
+
+/**
+ * @param {string} actionName
+ * @returns {Object<string, import('./types.js').PropSchema>}
+ */
+const commonProps = (actionName) => ({
+  action: { type: "string", enum: [actionName], description: "The action type" },
+  name: NAME_SCHEMA,
+  dataframe: DATAFRAME_SCHEMA,
+  dependsOn: {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+    description: "Explicit dependencies: names of dataframes or actions that must run first",
+  },
+})
+
 /**
  * @type {import('./types.js').ActionDefinition[]}
  */
@@ -8,62 +39,332 @@ export const actionDefinitions = [
     name: ACTION_NAMES.EXTRACT,
     color: "#4CAF50", // Green
     icon: "database",
+    description: "Reads a file, table or URI into a dataframe",
+    template: `action: Extract
+name: "new extract action"
+dataframe: "df_name"
+location: "path/to/data"
+tableName: "table_name"
+databaseName: "database_name"`,
     mandatoryProps: ["action", "name", "dataframe", "location"],
-    optionalProps: ["tableName", "databaseName"],
+    optionalProps: ["tableName", "databaseName", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: [], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.EXTRACT),
+      location: { type: "string", minLength: 1, description: "Path or URI of the data to extract" },
+      tableName: { type: "string", minLength: 1, description: "Source table name" },
+      databaseName: { type: "string", minLength: 1, description: "Source database name" },
+    },
   },
   {
     name: ACTION_NAMES.EXECUTE,
     color: "#2196F3", // Blue
     icon: "play",
+    description: "Runs a script or inline SQL and keeps its result as a dataframe",
+    template: `action: Execute
+name: "new execute action"
+dataframe: "df_name"
+script: "script.py"
+output: "output_location"`,
     mandatoryProps: ["action", "name", "dataframe", "script"],
-    optionalProps: ["output"],
+    optionalProps: ["output", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: [], references: ["script"] },
+    props: {
+      ...commonProps(ACTION_NAMES.EXECUTE),
+      script: { type: "string", minLength: 1, description: "Script path or inline SQL to execute" },
+      output: { type: "string", minLength: 1, description: "Location of the script output" },
+    },
   },
   {
     name: ACTION_NAMES.TRANSFORM,
     color: "#FF9800", // Orange
     icon: "refresh-cw",
+    description: "Applies transformations, in order, to a dataframe in place",
+    template: `action: Transform
+name: "new transform action"
+dataframe: "df_name"
+transformations:
+  - "transformation_1"
+  - "transformation_2"`,
     mandatoryProps: ["action", "name", "dataframe", "transformations"],
-    optionalProps: ["options"],
+    optionalProps: ["options", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: ["dataframe"], references: ["transformations"] },
+    props: {
+      ...commonProps(ACTION_NAMES.TRANSFORM),
+      transformations: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", minLength: 1 },
+        description: "Transformations applied in order",
+      },
+      options: OPTIONS_SCHEMA,
+    },
   },
   {
     name: ACTION_NAMES.LOAD,
     color: "#9C27B0", // Purple
     icon: "upload",
+    description: "Writes a dataframe to a path or table",
+    template: `action: Load
+name: "new load action"
+dataframe: "df_name"
+destination: "destination_path"`,
     mandatoryProps: ["action", "name", "dataframe", "destination"],
-    optionalProps: ["format", "options"],
+    optionalProps: ["format", "options", "dependsOn"],
+    dataflow: { produces: [], consumes: ["dataframe"], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.LOAD),
+      destination: { type: "string", minLength: 1, description: "Path or table the dataframe is written to" },
+      format: {
+        type: "string",
+        enum: ["parquet", "csv", "json", "delta", "orc", "avro"],
+        description: "Output file format",
+      },
+      options: {
+        ...OPTIONS_SCHEMA,
+        properties: {
+          mode: { type: "string", enum: ["overwrite", "append", "ignore", "errorifexists"] },
+          partitionBy: { type: "array", items: { type: "string", minLength: 1 } },
+        },
+      },
+    },
   },
   {
     name: ACTION_NAMES.MERGE,
     color: "#F44336", // Red
     icon: "git-merge",
+    description: "Combines several dataframes into one, by union or join",
+    template: `action: Merge
+name: "new merge action"
+dataframe: "df_name"
+sources:
+  - "source_1"
+  - "source_2"`,
     mandatoryProps: ["action", "name", "dataframe", "sources"],
-    optionalProps: ["strategy", "options"],
+    optionalProps: ["strategy", "options", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: ["sources"], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.MERGE),
+      sources: {
+        type: "array",
+        minItems: 1,
+        items: DATAFRAME_SCHEMA,
+        description: "Dataframes merged into the result",
+      },
+      strategy: { type: "string", enum: ["union", "join"], description: "How the sources are combined" },
+      options: {
+        ...OPTIONS_SCHEMA,
+        properties: {
+          on: { type: "array", items: { type: "string", minLength: 1 } },
+          how: { type: "string", enum: ["inner", "left", "right", "outer"] },
+        },
+      },
+    },
   },
   {
     name: ACTION_NAMES.PURGE,
     color: "#795548", // Brown
     icon: "trash-2",
+    description: "Deletes the data at a location or table",
+    template: `action: Purge
+name: "new purge action"
+dataframe: "df_name"
+target: "target_location"`,
     mandatoryProps: ["action", "name", "dataframe", "target"],
-    optionalProps: ["options"],
+    optionalProps: ["options", "dependsOn"],
+    dataflow: { produces: [], consumes: ["dataframe"], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.PURGE),
+      target: { type: "string", minLength: 1, description: "Location or table to purge" },
+      options: OPTIONS_SCHEMA,
+    },
   },
   {
     name: ACTION_NAMES.S3_REPLICATE,
     color: "#607D8B", // Blue Grey
     icon: "copy",
+    description: "Copies objects from one S3 location to another",
+    template: `action: S3Replicate
+name: "new s3replicate action"
+dataframe: "df_name"
+source: "s3://source-bucket/path"
+destination: "s3://dest-bucket/path"`,
     mandatoryProps: ["action", "name", "dataframe", "source", "destination"],
-    optionalProps: ["options"],
+    optionalProps: ["options", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: [], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.S3_REPLICATE),
+      source: { type: "string", pattern: "^s3://", description: "S3 URI to copy from" },
+      destination: { type: "string", pattern: "^s3://", description: "S3 URI to copy to" },
+      options: OPTIONS_SCHEMA,
+    },
   },
   {
     name: ACTION_NAMES.INCLUDE,
     color: "#009688", // Teal
     icon: "file-plus",
+    description: "Runs the actions of another workflow file",
+    template: `action: Include
+name: "new include action"
+dataframe: "df_name"
+path: "path/to/include.yaml"`,
     mandatoryProps: ["action", "name", "dataframe", "path"],
-    optionalProps: ["options"],
+    optionalProps: ["options", "dependsOn"],
+    dataflow: { produces: ["dataframe"], consumes: [], references: [] },
+    props: {
+      ...commonProps(ACTION_NAMES.INCLUDE),
+      path: { type: "string", pattern: "\\.ya?ml$", description: "Path of the YAML workflow to include" },
+      options: OPTIONS_SCHEMA,
+    },
   },
 ]
 
 /**
+ * An action type added at runtime. Everything but the name has a default.
+ * @typedef {Object} ActionTypeSpec
+ * @property {string} name
+ * @property {string} [color]
+ * @property {string} [icon] - Icon name, one of those ActionIcon knows
+ * @property {string} [description]
+ * @property {string} [template] - YAML of a new action of this type, as a mapping
+ * @property {string[]} [mandatoryProps] - `action` and `name` are always mandatory
+ * @property {string[]} [optionalProps] - `dependsOn` is always optional
+ * @property {Partial<import('./types.js').Dataflow>} [dataflow]
+ * @property {Object<string, import('./types.js').PropSchema>} [props] - Schemas of the type's own properties;
+ *   `action`, `name`, `dataframe` and `dependsOn` have the built-in schemas unless overridden
+ */
+
+const BUILT_IN_ACTION_NAMES = new Set(actionDefinitions.map((def) => def.name))
+
+/** @type {Set<function(): void>} */
+const listeners = new Set()
+let registryVersion = 0
+
+/**
+ * Writes the YAML of a new action with every mandatory property
+ * @param {string} actionName
+ * @param {string[]} mandatoryProps
+ * @param {Object<string, import('./types.js').PropSchema>} props
+ * @returns {string}
+ */
+function createTemplate(actionName, mandatoryProps, props) {
+  return mandatoryProps
+    .map((prop) => {
+      if (prop === "action") return `action: ${actionName}`
+      if (prop === "name") return `name: "new ${actionName.toLowerCase()} action"`
+      if (prop === "dataframe") return `dataframe: "df_name"`
+      return `${prop}: ${[props[prop]?.type].flat().includes("array") ? "[]" : '""'}`
+    })
+    .join("\n")
+}
+
+/**
+ * @param {string} actionName
+ * @returns {boolean}
+ */
+export function isBuiltInActionType(actionName) {
+  return BUILT_IN_ACTION_NAMES.has(actionName)
+}
+
+/**
+ * @param {ActionTypeSpec} spec
+ * @returns {import('./types.js').ActionDefinition}
+ * @throws {Error} When the name is taken by a built-in type
+ */
+function createDefinition(spec) {
+  if (isBuiltInActionType(spec.name)) throw new Error(`'${spec.name}' is a built-in action type`)
+
+  const mandatoryProps = [...new Set(["action", "name", ...(spec.mandatoryProps ?? [])])]
+  const optionalProps = [...new Set([...(spec.optionalProps ?? []), "dependsOn"])].filter(
+    (prop) => !mandatoryProps.includes(prop),
+  )
+  const common = commonProps(spec.name)
+  const props = { ...common, ...spec.props, action: common.action }
+  /** @type {import('./types.js').ActionDefinition} */
+  const definition = {
+    name: spec.name,
+    color: spec.color ?? "#999999",
+    icon: spec.icon ?? "help-circle",
+    description: spec.description ?? "",
+    template: spec.template ?? createTemplate(spec.name, mandatoryProps, props),
+    mandatoryProps,
+    optionalProps,
+    dataflow: { produces: [], consumes: [], references: [], ...spec.dataflow },
+    props,
+  }
+  return definition
+}
+
+/** Marks a registry change for getActionTypesVersion and the subscribers */
+function notifyListeners() {
+  registryVersion++
+  listeners.forEach((listener) => listener())
+}
+
+/**
+ * Adds an action type, or replaces the custom type with the same name. The
+ * form, the editor templates, the flow and validation all read the registry,
+ * so the type is available everywhere at once.
+ * @param {ActionTypeSpec} spec
+ * @returns {import('./types.js').ActionDefinition}
+ * @throws {Error} When the name is taken by a built-in type
+ */
+export function registerActionType(spec) {
+  const definition = createDefinition(spec)
+  const index = actionDefinitions.findIndex((def) => def.name === spec.name)
+  if (index === -1) actionDefinitions.push(definition)
+  else actionDefinitions[index] = definition
+  notifyListeners()
+  return definition
+}
+
+/**
+ * Replaces every custom action type at once, so the registry holds exactly the
+ * built-in types and `specs`, whatever was registered before. Listeners are
+ * called once.
+ * @param {ActionTypeSpec[]} specs
+ * @throws {Error} When a name is taken by a built-in type; the registry is left as it was
+ */
+export function setCustomActionTypes(specs) {
+  const definitions = specs.map(createDefinition)
+  const builtIn = actionDefinitions.filter((def) => isBuiltInActionType(def.name))
+  actionDefinitions.splice(0, actionDefinitions.length, ...builtIn, ...definitions)
+  notifyListeners()
+}
+
+/**
+ * Removes a custom action type
  * @param {string} actionName
+ * @returns {boolean} Whether a type was removed; built-in types never are
+ */
+export function unregisterActionType(actionName) {
+  const index = actionDefinitions.findIndex((def) => def.name === actionName)
+  if (index === -1 || isBuiltInActionType(actionName)) return false
+  actionDefinitions.splice(index, 1)
+  notifyListeners()
+  return true
+}
+
+/**
+ * Calls a listener whenever action types are registered or removed
+ * @param {function(): void} listener
+ * @returns {function(): void} Unsubscribes
+ */
+export function subscribeToActionTypes(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * A number that changes with every registry change, for React's useSyncExternalStore
+ * @returns {number}
+ */
+export function getActionTypesVersion() {
+  return registryVersion
+}
+
+/**
+ * @param {string|null} actionName
  * @returns {import('./types.js').ActionDefinition | undefined}
  */
 export function getActionDefinition(actionName) {
@@ -71,7 +372,7 @@ export function getActionDefinition(actionName) {
 }
 
 /**
- * @param {string} actionName
+ * @param {string|null} actionName
  * @returns {string}
  */
 export function getActionIcon(actionName) {
@@ -80,7 +381,7 @@ export function getActionIcon(actionName) {
 }
 
 /**
- * @param {string} actionName
+ * @param {string|null} actionName
  * @returns {string}
  */
 export function getActionColor(actionName) {
@@ -89,7 +390,7 @@ export function getActionColor(actionName) {
 }
 
 /**
- * @param {string} actionName
+ * @param {string|null} actionName
  * @returns {string[]}
  */
 export function getMandatoryProps(actionName) {
@@ -98,10 +399,46 @@ export function getMandatoryProps(actionName) {
 }
 
 /**
- * @param {string} actionName
+ * @param {string|null} actionName
  * @returns {string[]}
  */
 export function getOptionalProps(actionName) {
   const definition = getActionDefinition(actionName)
   return definition ? definition.optionalProps : []
 }
+
+/**
+ * @param {string|null} actionName
+ * @returns {import('./types.js').Dataflow}
+ */
+export function getDataflow(actionName) {
+  const definition = getActionDefinition(actionName)
+  return definition ? definition.dataflow : { produces: [], consumes: [], references: [] }
+}
+
+/**
+ * @param {string|null} actionName
+ * @returns {Object<string, import('./types.js').PropSchema>}
+ */
+export function getPropSchemas(actionName) {
+  const definition = getActionDefinition(actionName)
+  return definition ? definition.props : {}
+}
+
+/**
+ * @param {string|null} actionName
+ * @param {string} prop
+ * @returns {import('./types.js').PropSchema | undefined}
+ */
+export function getPropSchema(actionName, prop) {
+  return getPropSchemas(actionName)[prop]
+}
+
+/**
+ * @param {string|null} actionName
+ * @returns {string|null} YAML of a new action of the type, as a mapping
+ */
+export function getActionTemplate(actionName) {
+  const definition = getActionDefinition(actionName)
+  return definition ? definition.template : null
+}
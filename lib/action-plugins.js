@@ -0,0 +1,225 @@
+/**
+ * Custom action types from a project's definition file.
+ *
+ * A project declares the calc-engine actions it adds in ACTION_TYPES_FILE at
+ * the workspace root:
+ *
+ *   actions:
+ *     - name: Snapshot
+ *       icon: camera
+ *       color: "#3F51B5"
+ *       description: Saves a copy of a dataframe
+ *       mandatoryProps: [dataframe, location]
+ *       optionalProps: [retentionDays]
+ *       dataflow: { consumes: [dataframe] }
+ *       props:
+ *         location: { type: string, minLength: 1, description: Where the snapshot is written }
+ *         retentionDays: { type: integer }
+ *       template: |
+ *         action: Snapshot
+ *         name: "new snapshot action"
+ *         dataframe: "df_name"
+ *         location: "s3://snapshots/"
+ *
+ * Every field but `name` is optional; see ActionTypeSpec in action-definitions.js.
+ */
+import yaml from "js-yaml"
+import { isBuiltInActionType, setCustomActionTypes } from "./action-definitions.js"
+
+export const ACTION_TYPES_FILE = "workflow-actions.yaml"
+
+const TYPE_NAME = /^[A-Za-z][A-Za-z0-9_]*$/
+const PROP_TYPES = ["string", "number", "integer", "boolean", "array", "object"]
+const COMMON_PROPS = ["action", "name", "dataframe", "dependsOn"]
+const DATAFLOW_KEYS = ["produces", "consumes", "references"]
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isMapping(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string")
+}
+
+/**
+ * Checks a property schema and the schemas nested in it
+ * @param {any} schema
+ * @param {string} path
+ * @returns {string[]}
+ */
+function checkSchema(schema, path) {
+  if (!isMapping(schema)) return [`'${path}' must be a schema mapping`]
+  const types = [schema.type].flat()
+  const errors = types
+    .filter((type) => !PROP_TYPES.includes(type))
+    .map((type) => `'${path}' has unknown type '${type}', expected one of ${PROP_TYPES.join(", ")}`)
+  if (schema.description !== undefined && typeof schema.description !== "string") {
+    errors.push(`'${path}.description' must be a string`)
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) errors.push(`'${path}.enum' must be a list of values`)
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== "string") errors.push(`'${path}.pattern' must be a string`)
+    else {
+      try {
+        new RegExp(schema.pattern)
+      } catch (e) {
+        errors.push(`'${path}.pattern' is invalid: ${e.message}`)
+      }
+    }
+  }
+  ;["minLength", "minItems"].forEach((key) => {
+    const limit = schema[key]
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) {
+      errors.push(`'${path}.${key}' must be a non-negative integer`)
+    }
+  })
+  if (schema.required !== undefined && !isStringList(schema.required)) {
+    errors.push(`'${path}.required' must be a list of property names`)
+  }
+  if (schema.items !== undefined) errors.push(...checkSchema(schema.items, `${path}.items`))
+  if (schema.properties !== undefined) {
+    if (!isMapping(schema.properties)) errors.push(`'${path}.properties' must be a mapping`)
+    else {
+      Object.entries(schema.properties).forEach(([key, value]) => {
+        errors.push(...checkSchema(value, `${path}.properties.${key}`))
+      })
+    }
+  }
+  if (schema.additionalProperties !== undefined) {
+    errors.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`))
+  }
+  return errors
+}
+
+/**
+ * Checks one entry of the definition file
+ * @param {any} entry
+ * @param {number} index
+ * @returns {{spec: import('./action-definitions.js').ActionTypeSpec|null, errors: string[]}}
+ */
+function checkActionType(entry, index) {
+  if (!isMapping(entry)) return { spec: null, errors: [`entry ${index + 1} must be a mapping`] }
+  const { name } = entry
+  if (typeof name !== "string" || !TYPE_NAME.test(name)) {
+    return { spec: null, errors: [`entry ${index + 1} needs a 'name' of letters, digits and underscores`] }
+  }
+  if (isBuiltInActionType(name)) return { spec: null, errors: [`'${name}' is a built-in action type`] }
+
+  const errors = []
+  const error = (message) => errors.push(`${name}: ${message}`)
+
+  ;["icon", "description", "template"].forEach((key) => {
+    if (entry[key] !== undefined && typeof entry[key] !== "string") error(`'${key}' must be a string`)
+  })
+  if (entry.color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(entry.color)) error("'color' must be like #3F51B5")
+
+  if (entry.props !== undefined && !isMapping(entry.props)) error("'props' must be a mapping")
+  const props = isMapping(entry.props) ? entry.props : {}
+  Object.entries(props).forEach(([prop, schema]) => checkSchema(schema, `props.${prop}`).forEach(error))
+  const known = new Set([...COMMON_PROPS, ...Object.keys(props)])
+  const checkKnown = (list, key) => {
+    list.filter((prop) => !known.has(prop)).forEach((prop) => error(`'${key}' lists '${prop}', not in props`))
+  }
+
+  ;["mandatoryProps", "optionalProps"].forEach((key) => {
+    if (entry[key] === undefined) return
+    if (!isStringList(entry[key])) error(`'${key}' must be a list of property names`)
+    else checkKnown(entry[key], key)
+  })
+
+  if (entry.dataflow !== undefined) {
+    if (!isMapping(entry.dataflow)) error("'dataflow' must be a mapping")
+    else {
+      Object.entries(entry.dataflow).forEach(([key, value]) => {
+        if (!DATAFLOW_KEYS.includes(key)) error(`'dataflow.${key}' is unknown, expected ${DATAFLOW_KEYS.join(", ")}`)
+        else if (!isStringList(value)) error(`'dataflow.${key}' must be a list of property names`)
+        else checkKnown(value, `dataflow.${key}`)
+      })
+    }
+  }
+
+  if (typeof entry.template === "string") {
+    let template
+    try {
+      template = yaml.load(entry.template)
+    } catch (e) {
+      template = e
+    }
+    if (!isMapping(template) || template.action !== name) {
+      error(`'template' must be a YAML mapping with 'action: ${name}'`)
+    }
+  }
+
+  if (errors.length) return { spec: null, errors }
+  return {
+    spec: {
+      name,
+      color: entry.color,
+      icon: entry.icon,
+      description: entry.description,
+      template: entry.template?.trimEnd(),
+      mandatoryProps: entry.mandatoryProps,
+      optionalProps: entry.optionalProps,
+      dataflow: entry.dataflow,
+      props,
+    },
+    errors,
+  }
+}
+
+/**
+ * Reads an action type definition file. Problems are returned rather than
+ * thrown; the types that have none are still returned.
+ * @param {string} content - YAML (or JSON) content of ACTION_TYPES_FILE
+ * @returns {{types: import('./action-definitions.js').ActionTypeSpec[], errors: string[]}}
+ */
+export function parseActionTypes(content) {
+  let data
+  try {
+    data = yaml.load(content)
+  } catch (error) {
+    return { types: [], errors: [`${ACTION_TYPES_FILE}: ${error.reason || error.message}`] }
+  }
+  if (data === undefined || data === null) return { types: [], errors: [] }
+  if (!isMapping(data) || !Array.isArray(data.actions)) {
+    return { types: [], errors: [`${ACTION_TYPES_FILE}: expected an 'actions' list`] }
+  }
+
+  const types = []
+  const errors = []
+  const seen = new Set()
+  data.actions.forEach((entry, index) => {
+    const result = checkActionType(entry, index)
+    errors.push(...result.errors.map((message) => `${ACTION_TYPES_FILE}: ${message}`))
+    if (!result.spec) return
+    if (seen.has(result.spec.name)) {
+      errors.push(`${ACTION_TYPES_FILE}: '${result.spec.name}' is defined more than once`)
+      return
+    }
+    seen.add(result.spec.name)
+    types.push(result.spec)
+  })
+  return { types, errors }
+}
+
+/**
+ * Rebuilds the custom action types from a definition file: types it no longer
+ * defines are removed, as are all custom types when there is no file. The
+ * registry is module state shared by everything in the process, so it is
+ * rebuilt from the file on every load rather than patched.
+ * @param {string|null} content - Content of ACTION_TYPES_FILE, or null when the project has none
+ * @returns {string[]} Problems in the file
+ */
+export function loadActionTypes(content) {
+  const { types, errors } = content === null ? { types: [], errors: [] } : parseActionTypes(content)
+  setCustomActionTypes(types)
+  return errors
+}
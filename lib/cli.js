@@ -0,0 +1,594 @@
+/**
+ * Command-line interface to the workflow tooling, for pre-commit hooks and CI.
+ *
+ * It runs the same checks as the builder on files on disk: `validate` reports
+ * the structural, dependency and Include diagnostics of validateYaml, `lint`
+ * the SQL checks of every action and the lint rules of lint.js, `fmt` formats
+ * the SQL of every action the way the action form does (keeping comments, see
+ * yaml-document.js) and `graph` prints the dataflow graph. See USAGE for the
+ * options and exit codes.
+ *
+ * Include paths are resolved against the files' directories, and paths with a
+ * leading "/" against `--root`, like the workspace does in the browser. The
+ * project's custom action types are read from ACTION_TYPES_FILE in the root.
+ */
+import { readdir, readFile, stat, writeFile } from "node:fs/promises"
+import nodePath from "node:path"
+import { analyzeWorkflowGraph, validateYaml } from "./yaml-utils.js"
+import { buildSourceMap } from "./yaml-source-map.js"
+import { isDeepEqual, patchActions } from "./yaml-document.js"
+import { autoFormatSQLInAction, identifySQLProperties } from "./sql-utils.js"
+import { getSqlDiagnostics } from "./publish-check.js"
+import { getIncludeDiagnostics, resolveIncludes } from "./include-resolver.js"
+import { LINT_CONFIG_FILE, lintWorkflow, parseLintConfig } from "./lint.js"
+import { ACTION_TYPES_FILE, loadActionTypes } from "./action-plugins.js"
+import { readWorkspaceFile } from "./workspace-files.js"
+
+export const EXIT_CODES = {
+  OK: 0,
+  // Errors found, or files that need formatting
+  FAILED: 1,
+  // Bad arguments or unreadable files
+  USAGE: 2,
+}
+
+export const USAGE = `Usage: yaml-workflow <command> [options] <files, directories or globs...>
+
+Commands:
+  validate      Structure, dependency and Include checks
+  lint          SQL checks of every action and the project's lint rules
+  fmt           Format the SQL of every action in place
+  graph         Print the dataflow graph of each workflow
+
+Options:
+  --json            Machine-readable output
+  --check           fmt: write nothing, fail if a file would be reformatted
+  --format <type>   graph: dot (default), mermaid or json
+  --root <dir>      Workspace root for Include paths starting with "/" (default: current directory)
+  --config <file>   lint: rule config (default: ${LINT_CONFIG_FILE} in the workspace root, if any)
+  -h, --help        Show this help
+
+Directories are searched for .yaml and .yml files. Exits with 0 on success, 1 when
+errors were found or files need formatting, and 2 on bad arguments or unreadable files.
+Custom action types are read from ${ACTION_TYPES_FILE} in the workspace root, if any.`
+
+const COMMANDS = ["validate", "lint", "fmt", "graph"]
+const GRAPH_FORMATS = ["dot", "mermaid", "json"]
+const WORKFLOW_EXTENSIONS = [".yaml", ".yml"]
+
+class UsageError extends Error {}
+
+/**
+ * @typedef {Object} CliIO
+ * @property {string} cwd
+ * @property {function(string): void} stdout - Writes a line
+ * @property {function(string): void} stderr - Writes a line
+ */
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {string} command
+ * @property {string[]} patterns
+ * @property {boolean} json
+ * @property {boolean} check
+ * @property {"dot"|"mermaid"|"json"} format
+ * @property {string|null} root
+ * @property {string|null} config
+ * @property {boolean} help
+ */
+
+/**
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {CliOptions}
+ */
+export function parseArguments(argv) {
+  /** @type {CliOptions} */
+  const options = {
+    command: "",
+    patterns: [],
+    json: false,
+    check: false,
+    format: "dot",
+    root: null,
+    config: null,
+    help: false,
+  }
+  const args = [...argv]
+
+  while (args.length) {
+    const arg = /** @type {string} */ (args.shift())
+    const [flag, inlineValue] = arg.startsWith("--") && arg.includes("=") ? arg.split(/=(.*)/s) : [arg, undefined]
+    const takeValue = () => {
+      const value = inlineValue ?? args.shift()
+      if (value === undefined || value === "") throw new UsageError(`${flag} needs a value`)
+      return value
+    }
+
+    if (flag === "-h" || flag === "--help") options.help = true
+    else if (flag === "--json") options.json = true
+    else if (flag === "--check") options.check = true
+    else if (flag === "--format") options.format = /** @type {any} */ (takeValue())
+    else if (flag === "--root") options.root = takeValue()
+    else if (flag === "--config") options.config = takeValue()
+    else if (flag.startsWith("-") && flag !== "-") throw new UsageError(`Unknown option ${flag}`)
+    else if (!options.command) options.command = arg
+    else options.patterns.push(arg)
+  }
+
+  if (options.help) return options
+  if (!COMMANDS.includes(options.command)) {
+    throw new UsageError(options.command ? `Unknown command ${options.command}` : "No command given")
+  }
+  if (!GRAPH_FORMATS.includes(options.format)) throw new UsageError(`Unknown graph format ${options.format}`)
+  if (options.json && options.command === "graph") options.format = "json"
+  if (options.patterns.length === 0) throw new UsageError("No files given")
+  return options
+}
+
+/**
+ * Converts a glob with `*`, `**` and `?` to a regular expression over "/"-separated paths
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = ""
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === "*" && glob[i + 1] === "*") {
+      const isSegment = glob[i + 2] === "/"
+      source += isSegment ? "(?:.*/)?" : ".*"
+      i += isSegment ? 2 : 1
+    } else if (char === "*") {
+      source += "[^/]*"
+    } else if (char === "?") {
+      source += "[^/]"
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Lists the files under a directory, skipping node_modules and hidden directories
+ * @param {string} directory
+ * @returns {Promise<string[]>} Absolute paths
+ */
+async function walk(directory) {
+  const entries = await readdir(directory, { withFileTypes: true })
+  const nested = await Promise.all(
+    entries.map(async (entry) => {
+      const fullPath = nodePath.join(directory, entry.name)
+      if (entry.isDirectory()) {
+        return entry.name === "node_modules" || entry.name.startsWith(".") ? [] : walk(fullPath)
+      }
+      return entry.isFile() ? [fullPath] : []
+    }),
+  )
+  return nested.flat()
+}
+
+/**
+ * Whether a file found in a directory or by a glob is a workflow, not one of the workspace's config files
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isWorkflowFile(filePath) {
+  if ([LINT_CONFIG_FILE, ACTION_TYPES_FILE].includes(nodePath.basename(filePath))) return false
+  return WORKFLOW_EXTENSIONS.includes(nodePath.extname(filePath).toLowerCase())
+}
+
+/**
+ * Expands file, directory and glob arguments to the workflow files they name
+ * @param {string[]} patterns
+ * @param {string} cwd
+ * @returns {Promise<string[]>} Absolute paths, sorted
+ */
+export async function expandFileArguments(patterns, cwd) {
+  const files = new Set()
+
+  for (const pattern of patterns) {
+    const normalized = pattern.replace(/\\/g, "/")
+    if (/[*?]/.test(normalized)) {
+      // Walk from the deepest directory without wildcards
+      const segments = normalized.split("/")
+      const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment))
+      const base = nodePath.resolve(cwd, segments.slice(0, firstGlob).join("/") || ".")
+      const matcher = globToRegExp(nodePath.resolve(cwd, normalized).replace(/\\/g, "/"))
+      const matches = (await walk(base).catch(() => [])).filter(
+        (file) => matcher.test(file.replace(/\\/g, "/")) && isWorkflowFile(file),
+      )
+      if (matches.length === 0) throw new UsageError(`No files match ${pattern}`)
+      matches.forEach((file) => files.add(file))
+      continue
+    }
+
+    const fullPath = nodePath.resolve(cwd, pattern)
+    const stats = await stat(fullPath).catch(() => null)
+    if (!stats) throw new UsageError(`${pattern} does not exist`)
+    if (stats.isDirectory()) {
+      const found = await walk(fullPath)
+      found.filter(isWorkflowFile).forEach((file) => files.add(file))
+    } else {
+      files.add(fullPath)
+    }
+  }
+
+  return [...files].sort()
+}
+
+/**
+ * A file's path relative to the workspace root, as the include resolver expects it
+ * @param {string} root
+ * @param {string} file
+ * @returns {string}
+ */
+function toWorkspacePath(root, file) {
+  return nodePath.relative(root, file).split(nodePath.sep).join("/")
+}
+
+/**
+ * @param {string} content
+ * @returns {function((string|number)[]): import('./types.js').SourceRange|null}
+ */
+function getRangeFinder(content) {
+  try {
+    return buildSourceMap(content).getRange
+  } catch {
+    return () => null
+  }
+}
+
+/**
+ * @param {string} content
+ * @param {string} workspacePath
+ * @param {function(string): Promise<string|null>} loadFile
+ * @returns {Promise<import('./types.js').Diagnostic[]>}
+ */
+async function validateFile(content, workspacePath, loadFile) {
+  const { diagnostics, data } = validateYaml(content)
+  if (!Array.isArray(data?.actions)) return diagnostics
+  const resolutions = await resolveIncludes(data.actions, { path: workspacePath, loadFile })
+  return [...diagnostics, ...getIncludeDiagnostics(resolutions, getRangeFinder(content))]
+}
+
+/**
+ * Registers the custom action types of the workspace root, if it has a definition file
+ * @param {string} root
+ * @throws {UsageError} When the file is unreadable or invalid
+ */
+async function loadRootActionTypes(root) {
+  const typesPath = nodePath.join(root, ACTION_TYPES_FILE)
+  let content
+  try {
+    content = await readFile(typesPath, "utf8")
+  } catch (error) {
+    if (error.code === "ENOENT") return
+    throw new UsageError(`Can't read ${typesPath}: ${error.message}`)
+  }
+  const errors = loadActionTypes(content)
+  if (errors.length) throw new UsageError(errors.join("\n"))
+}
+
+/**
+ * Reads the lint config given with --config, else the one in the workspace root if there is one
+ * @param {CliOptions} options
+ * @param {string} root
+ * @param {string} cwd
+ * @returns {Promise<import('./lint.js').LintConfig>}
+ * @throws {UsageError} When the config is missing or invalid
+ */
+async function loadLintConfig(options, root, cwd) {
+  const configPath = options.config ? nodePath.resolve(cwd, options.config) : nodePath.join(root, LINT_CONFIG_FILE)
+  let content
+  try {
+    content = await readFile(configPath, "utf8")
+  } catch (error) {
+    if (!options.config && error.code === "ENOENT") return { rules: {} }
+    throw new UsageError(`Can't read ${configPath}: ${error.message}`)
+  }
+  const { config, errors } = parseLintConfig(content)
+  if (errors.length) throw new UsageError(errors.join("\n"))
+  return config
+}
+
+/**
+ * @param {string} content
+ * @param {import('./lint.js').LintConfig} config
+ * @returns {import('./types.js').Diagnostic[]}
+ */
+function lintFile(content, config) {
+  const { diagnostics, data } = validateYaml(content)
+  // SQL and conventions can only be checked once the YAML parses
+  if (!data) return diagnostics.filter((diagnostic) => diagnostic.severity === "error")
+  const actions = Array.isArray(data.actions) ? data.actions : []
+  return [...getSqlDiagnostics(actions, content), ...lintWorkflow(content, config)]
+}
+
+/**
+ * @param {string} original
+ * @param {string} formatted
+ * @returns {string} The formatted SQL with the original's trailing newlines, so the
+ * block scalar keeps its chomping indicator
+ */
+function keepTrailingNewlines(original, formatted) {
+  return formatted.replace(/\n*$/, "") + /** @type {RegExpMatchArray} */ (original.match(/\n*$/))[0]
+}
+
+/**
+ * @param {Object<string, any>} action
+ * @returns {Object<string, any>} The action with its SQL formatted
+ */
+function formatActionSql(action) {
+  const formatted = autoFormatSQLInAction(action)
+  if (!formatted || typeof formatted !== "object") return formatted
+  identifySQLProperties(action).forEach((prop) => {
+    const value = action[prop]
+    if (typeof value === "string") {
+      formatted[prop] = keepTrailingNewlines(value, formatted[prop])
+    } else if (Array.isArray(value)) {
+      formatted[prop] = value.map((item, index) =>
+        typeof item === "string" ? keepTrailingNewlines(item, formatted[prop][index]) : formatted[prop][index],
+      )
+    }
+  })
+  return formatted
+}
+
+/**
+ * The workflow data with the SQL of every action reduced to its words, to check
+ * that formatting changed nothing but the SQL's layout and keyword case
+ * @param {any} data
+ * @param {any[]} originalActions - Decides which properties hold SQL
+ * @returns {any}
+ */
+function withoutSqlLayout(data, originalActions) {
+  if (!Array.isArray(data?.actions)) return data
+  const normalize = (/** @type {any} */ value) =>
+    typeof value === "string" ? value.replace(/\s+/g, "").toLowerCase() : value
+  const actions = data.actions.map((action, index) => {
+    if (!action || typeof action !== "object") return action
+    const normalized = { ...action }
+    identifySQLProperties(originalActions[index]).forEach((prop) => {
+      const value = normalized[prop]
+      normalized[prop] = Array.isArray(value) ? value.map(normalize) : normalize(value)
+    })
+    return normalized
+  })
+  return { ...data, actions }
+}
+
+/**
+ * @param {string} content
+ * @returns {string} The formatted content
+ * @throws {Error} When the content is not a valid workflow, or formatting would change more than the SQL's layout
+ */
+export function formatWorkflow(content) {
+  const { data, errors } = validateYaml(content)
+  if (!data) throw new Error(errors[0] ?? "Invalid YAML")
+  if (!Array.isArray(data.actions)) return content
+
+  const actions = /** @type {import('./types.js').ActionType[]} */ (data.actions.map(formatActionSql))
+  const formatted = patchActions(content, actions)
+  // Round trip: the file must still load to the same workflow, apart from the SQL's whitespace
+  const { data: reloaded } = validateYaml(formatted)
+  if (!isDeepEqual(withoutSqlLayout(reloaded, data.actions), withoutSqlLayout(data, data.actions))) {
+    throw new Error("Formatting would change more than the layout of the SQL; the file was left as it is")
+  }
+  return formatted
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteDot(text) {
+  return `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMermaid(text) {
+  return String(text).replace(/"/g, "#quot;").replace(/\|/g, "#124;")
+}
+
+/**
+ * The dataflow graph of a workflow
+ * @param {import('./types.js').ActionType[]} actions
+ * @returns {{nodes: {id: number, name: string, action: string, dataframe: string}[],
+ *   edges: {source: number, target: number, dataframes: string[], forward: boolean, inCycle: boolean}[]}}
+ */
+export function getWorkflowGraph(actions) {
+  const { edges } = analyzeWorkflowGraph(actions)
+  const nodes = actions.map((action, index) => ({
+    id: index,
+    name: action?.name ?? "",
+    action: action?.action ?? "",
+    dataframe: action?.dataframe ?? "",
+  }))
+  return { nodes, edges }
+}
+
+/**
+ * @param {string} name - Graph name
+ * @param {ReturnType<typeof getWorkflowGraph>} graph
+ * @returns {string}
+ */
+export function toDot(name, { nodes, edges }) {
+  const lines = [`digraph ${quoteDot(name)} {`, "  rankdir=TB;", "  node [shape=box];"]
+  nodes.forEach((node) => lines.push(`  a${node.id} [label=${quoteDot(`${node.name}\n${node.action}`)}];`))
+  edges.forEach((edge) => {
+    const attributes = [`label=${quoteDot(edge.dataframes.join(", "))}`]
+    if (edge.forward || edge.inCycle) attributes.push('color="red"')
+    lines.push(`  a${edge.source} -> a${edge.target} [${attributes.join(", ")}];`)
+  })
+  lines.push("}")
+  return lines.join("\n")
+}
+
+/**
+ * @param {ReturnType<typeof getWorkflowGraph>} graph
+ * @returns {string}
+ */
+export function toMermaid({ nodes, edges }) {
+  const lines = ["flowchart TD"]
+  nodes.forEach((node) => lines.push(`  a${node.id}["${escapeMermaid(node.name)}<br/>${escapeMermaid(node.action)}"]`))
+  edges.forEach((edge) => {
+    lines.push(`  a${edge.source} -->|${escapeMermaid(edge.dataframes.join(", "))}| a${edge.target}`)
+  })
+  return lines.join("\n")
+}
+
+/**
+ * @param {string} displayPath
+ * @param {import('./types.js').Diagnostic} diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic(displayPath, diagnostic) {
+  const location = diagnostic.range ? `:${diagnostic.range.startLineNumber}:${diagnostic.range.startColumn}` : ""
+  return `${displayPath}${location}: ${diagnostic.severity} ${diagnostic.message} [${diagnostic.code}]`
+}
+
+/**
+ * Runs `validate` or `lint`
+ * @param {CliOptions} options
+ * @param {{path: string, display: string, content: string}[]} files
+ * @param {string} root
+ * @param {import('./lint.js').LintConfig} lintConfig
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function runCheck(options, files, root, lintConfig, io) {
+  /** @type {function(string): Promise<string|null>} */
+  const loadFile = (workspacePath) => readWorkspaceFile(root, workspacePath)
+  const results = []
+  for (const file of files) {
+    const diagnostics =
+      options.command === "validate"
+        ? await validateFile(file.content, toWorkspacePath(root, file.path), loadFile)
+        : lintFile(file.content, lintConfig)
+    results.push({ path: file.display, diagnostics })
+  }
+
+  const all = results.flatMap((result) => result.diagnostics)
+  const errorCount = all.filter((diagnostic) => diagnostic.severity === "error").length
+  const warningCount = all.filter((diagnostic) => diagnostic.severity === "warning").length
+
+  if (options.json) {
+    io.stdout(JSON.stringify({ command: options.command, files: results, errorCount, warningCount }, null, 2))
+  } else {
+    results.forEach((result) =>
+      result.diagnostics.forEach((diagnostic) => io.stdout(formatDiagnostic(result.path, diagnostic))),
+    )
+    io.stdout(`${errorCount} errors, ${warningCount} warnings in ${results.length} files`)
+  }
+  return errorCount > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK
+}
+
+/**
+ * @param {CliOptions} options
+ * @param {{path: string, display: string, content: string}[]} files
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function runFormat(options, files, io) {
+  const results = []
+  for (const file of files) {
+    try {
+      const formatted = formatWorkflow(file.content)
+      const changed = formatted !== file.content
+      if (changed && !options.check) await writeFile(file.path, formatted, "utf8")
+      results.push({ path: file.display, changed, error: null })
+    } catch (error) {
+      results.push({ path: file.display, changed: false, error: error.message.split("\n")[0] })
+    }
+  }
+
+  const changedCount = results.filter((result) => result.changed).length
+  const failed = results.some((result) => result.error) || (options.check && changedCount > 0)
+
+  if (options.json) {
+    io.stdout(JSON.stringify({ command: "fmt", check: options.check, files: results }, null, 2))
+  } else {
+    results.forEach((result) => {
+      if (result.error) io.stderr(`${result.path}: ${result.error}`)
+      else if (result.changed) io.stdout(`${options.check ? "Would reformat" : "Formatted"} ${result.path}`)
+    })
+    io.stdout(`${changedCount} of ${results.length} files ${options.check ? "need formatting" : "formatted"}`)
+  }
+  return failed ? EXIT_CODES.FAILED : EXIT_CODES.OK
+}
+
+/**
+ * @param {CliOptions} options
+ * @param {{path: string, display: string, content: string}[]} files
+ * @param {CliIO} io
+ * @returns {number}
+ */
+function runGraph(options, files, io) {
+  const graphs = []
+  let failed = false
+  files.forEach((file) => {
+    const { data, errors } = validateYaml(file.content)
+    if (!data) {
+      io.stderr(`${file.display}: ${errors[0] ?? "Invalid YAML"}`)
+      failed = true
+      return
+    }
+    graphs.push({ path: file.display, ...getWorkflowGraph(Array.isArray(data.actions) ? data.actions : []) })
+  })
+
+  if (options.format === "json") {
+    io.stdout(JSON.stringify(graphs, null, 2))
+  } else {
+    const rendered = graphs.map(({ path, ...graph }) =>
+      options.format === "dot" ? toDot(path, graph) : toMermaid(graph),
+    )
+    io.stdout(rendered.join("\n\n"))
+  }
+  return failed ? EXIT_CODES.FAILED : EXIT_CODES.OK
+}
+
+/**
+ * Runs a command line
+ * @param {string[]} argv - Arguments after the program name
+ * @param {CliIO} io
+ * @returns {Promise<number>} The exit code
+ */
+export async function runCli(argv, io) {
+  let options
+  let files
+  let root
+  let lintConfig = { rules: {} }
+  try {
+    options = parseArguments(argv)
+    if (options.help) {
+      io.stdout(USAGE)
+      return EXIT_CODES.OK
+    }
+    const paths = await expandFileArguments(options.patterns, io.cwd)
+    files = await Promise.all(
+      paths.map(async (filePath) => ({
+        path: filePath,
+        display: nodePath.relative(io.cwd, filePath) || filePath,
+        content: await readFile(filePath, "utf8").catch((error) => {
+          throw new UsageError(`Can't read ${filePath}: ${error.message}`)
+        }),
+      })),
+    )
+    root = nodePath.resolve(io.cwd, options.root ?? ".")
+    await loadRootActionTypes(root)
+    if (options.command === "lint") lintConfig = await loadLintConfig(options, root, io.cwd)
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error
+    io.stderr(`yaml-workflow: ${error.message}`)
+    io.stderr("Run yaml-workflow --help for usage.")
+    return EXIT_CODES.USAGE
+  }
+
+  if (options.command === "fmt") return runFormat(options, files, io)
+  if (options.command === "graph") return runGraph(options, files, io)
+  return runCheck(options, files, root, lintConfig, io)
+}
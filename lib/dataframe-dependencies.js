@@ -0,0 +1,178 @@
+/**
+ * Dataframe dependency resolution between workflow actions.
+ *
+ * Each action type declares (in its definition's `dataflow`) which properties
+ * produce a dataframe, which consume dataframes by exact name and which are
+ * free text (SQL, paths) to scan for identifiers. Actions may also list
+ * explicit dependencies in `dependsOn`.
+ */
+import { getDataflow } from "./action-definitions.js"
+import { detectSQLSyntax } from "./sql-utils.js"
+
+const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/g
+
+/**
+ * Blanks out SQL comments and single-quoted string literals, keeping offsets intact
+ * @param {string} sql
+ * @returns {string}
+ */
+function maskSQLNoise(sql) {
+  const blank = (match) => match.replace(/[^\n]/g, " ")
+  return sql.replace(/--[^\n]*|\/\*[\s\S]*?(\*\/|$)|'(?:[^']|'')*('|$)/g, blank)
+}
+
+/**
+ * Extracts identifier tokens from SQL or path-like text.
+ * In SQL, identifiers inside comments and string literals are ignored.
+ * @param {string} text - The text to tokenize
+ * @param {Object} [options]
+ * @param {boolean} [options.sql] - Treat the text as SQL; detected automatically when omitted
+ * @returns {{ name: string, start: number, end: number }[]}
+ */
+export function tokenizeIdentifiers(text, options = {}) {
+  if (!text || typeof text !== "string") return []
+
+  const isSQL = options.sql ?? detectSQLSyntax(text)
+  const source = isSQL ? maskSQLNoise(text) : text
+  const tokens = []
+
+  for (const match of source.matchAll(IDENTIFIER_PATTERN)) {
+    tokens.push({ name: match[0], start: match.index, end: match.index + match[0].length })
+  }
+
+  return tokens
+}
+
+/**
+ * @param {any} value
+ * @returns {{ text: string, item?: number }[]}
+ */
+function stringValues(value) {
+  if (typeof value === "string") return [{ text: value }]
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => (typeof item === "string" ? [{ text: item, item: index }] : []))
+  }
+  return []
+}
+
+/**
+ * Returns the dataframe names an action produces
+ * @param {Object} action
+ * @returns {string[]}
+ */
+export function getProducedDataframes(action) {
+  if (!action || typeof action !== "object") return []
+  return getDataflow(action.action)
+    .produces.flatMap((prop) => stringValues(action[prop]))
+    .map(({ text }) => text.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Resolves which action produces every dataframe each action uses.
+ *
+ * A use resolves to the closest earlier producer of the dataframe other than the
+ * action itself (so in-place actions such as Transform chain correctly). When no
+ * earlier producer exists, the first later producer is used and the reference is
+ * marked as a forward reference. Free-text identifiers only count when they name
+ * a dataframe some other action produces; exact-name uses are kept even when
+ * unresolved so validation can report them.
+ *
+ * @param {import('./types.js').ActionType[]} actions
+ * @returns {{
+ *   producers: Map<string, number[]>,
+ *   references: import('./types.js').DataframeReference[],
+ *   edges: { source: number, target: number, dataframes: string[], forward: boolean }[],
+ * }}
+ */
+export function resolveDependencies(actions) {
+  /** @type {Map<string, number[]>} */
+  const producers = new Map()
+  /** @type {Map<string, number>} */
+  const actionIndexByName = new Map()
+
+  actions.forEach((action, index) => {
+    getProducedDataframes(action).forEach((dataframe) => {
+      const indexes = producers.get(dataframe) || []
+      if (!indexes.includes(index)) indexes.push(index)
+      producers.set(dataframe, indexes)
+    })
+    if (action && typeof action.name === "string" && !actionIndexByName.has(action.name)) {
+      actionIndexByName.set(action.name, index)
+    }
+  })
+
+  /**
+   * @param {string} dataframe
+   * @param {number} index
+   * @returns {{ producer: number|null, forward: boolean }}
+   */
+  const findProducer = (dataframe, index) => {
+    const candidates = (producers.get(dataframe) || []).filter((candidate) => candidate !== index)
+    const earlier = candidates.filter((candidate) => candidate < index)
+    if (earlier.length > 0) return { producer: earlier[earlier.length - 1], forward: false }
+    if (candidates.length > 0) return { producer: candidates[0], forward: true }
+    return { producer: null, forward: false }
+  }
+
+  /** @type {import('./types.js').DataframeReference[]} */
+  const references = []
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== "object") return
+    const dataflow = getDataflow(action.action)
+
+    dataflow.consumes.forEach((prop) => {
+      stringValues(action[prop]).forEach(({ text, item }) => {
+        const dataframe = text.trim()
+        if (!dataframe) return
+        references.push({ index, dataframe, prop, item, kind: "consumes", ...findProducer(dataframe, index) })
+      })
+    })
+
+    dataflow.references.forEach((prop) => {
+      stringValues(action[prop]).forEach(({ text, item }) => {
+        tokenizeIdentifiers(text).forEach(({ name, start, end }) => {
+          const resolved = findProducer(name, index)
+          if (resolved.producer === null) return
+          references.push({ index, dataframe: name, prop, item, start, end, kind: "reference", ...resolved })
+        })
+      })
+    })
+
+    stringValues(action.dependsOn).forEach(({ text, item }) => {
+      const target = text.trim()
+      if (!target) return
+
+      // An explicit dependency names either another action or a dataframe
+      const actionIndex = actionIndexByName.get(target)
+      if (actionIndex !== undefined && actionIndex !== index && !producers.has(target)) {
+        references.push({
+          index,
+          dataframe: target,
+          prop: "dependsOn",
+          item,
+          kind: "explicit",
+          producer: actionIndex,
+          forward: actionIndex > index,
+        })
+        return
+      }
+      references.push({ index, dataframe: target, prop: "dependsOn", item, kind: "explicit", ...findProducer(target, index) })
+    })
+  })
+
+  const edgeMap = new Map()
+  references.forEach((reference) => {
+    if (reference.producer === null) return
+    const key = `${reference.producer}->${reference.index}`
+    if (!edgeMap.has(key)) {
+      edgeMap.set(key, { source: reference.producer, target: reference.index, dataframes: [], forward: false })
+    }
+    const edge = edgeMap.get(key)
+    if (!edge.dataframes.includes(reference.dataframe)) edge.dataframes.push(reference.dataframe)
+    edge.forward = edge.forward || reference.forward
+  })
+
+  return { producers, references, edges: [...edgeMap.values()] }
+}
@@ -0,0 +1,150 @@
+/**
+ * Where dataframes are produced and used in the YAML source, for
+ * go-to-definition and find-all-references in the editor.
+ *
+ * Occurrences come from resolveDependencies, so a use jumps to the producer the
+ * dependency graph resolves it to, and identifiers in SQL comments or string
+ * literals are not listed.
+ */
+import { getDataflow } from "./action-definitions.js"
+import { resolveDependencies, tokenizeIdentifiers } from "./dataframe-dependencies.js"
+import { buildSourceMap } from "./yaml-source-map.js"
+
+/**
+ * @typedef {Object} DataframeOccurrence
+ * @property {string} dataframe
+ * @property {number} index - Index of the action the occurrence is in
+ * @property {(string|number)[]} path - YAML path of the property value
+ * @property {"definition"|"consumes"|"reference"|"explicit"} kind - A definition is where an action produces the
+ *   dataframe; the other kinds are uses, as in DataframeReference
+ * @property {number|null} producer - Index of the action producing the dataframe, for uses
+ * @property {import('./types.js').SourceRange} range - Range of the name itself
+ */
+
+/**
+ * Finds the nth identifier token with the given name
+ * @param {string} text
+ * @param {string} name
+ * @param {number} nth - 0-based
+ * @returns {{start: number, end: number}|null}
+ */
+function findToken(text, name, nth) {
+  return tokenizeIdentifiers(text, { sql: false }).filter((token) => token.name === name)[nth] ?? null
+}
+
+/**
+ * Finds every place a dataframe is produced or used in a workflow
+ * @param {string} content
+ * @returns {DataframeOccurrence[]} Empty when the YAML doesn't parse
+ */
+export function findDataframeOccurrences(content) {
+  let sourceMap
+  try {
+    sourceMap = buildSourceMap(content)
+  } catch {
+    return []
+  }
+  const actions = Array.isArray(sourceMap.data?.actions) ? sourceMap.data.actions : []
+  const spans = new Map(sourceMap.entries.map((entry) => [JSON.stringify(entry.path), entry.value]))
+  const { producers, references } = resolveDependencies(actions)
+
+  /**
+   * Locates the nth use of a name inside a property value. The value's source
+   * may differ from its parsed text (quotes, escapes, block scalar indentation),
+   * but both spell the identifiers the same, so counting them lines up.
+   * @param {(string|number)[]} path
+   * @param {string} name
+   * @param {number} nth
+   * @returns {import('./types.js').SourceRange|null}
+   */
+  const locate = (path, name, nth) => {
+    const span = spans.get(JSON.stringify(path))
+    if (!span) return null
+    const token = findToken(content.slice(span.start, span.end), name, nth)
+    return token ? sourceMap.toRange(span.start + token.start, span.start + token.end) : null
+  }
+
+  /** @type {DataframeOccurrence[]} */
+  const occurrences = []
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== "object") return
+    getDataflow(action.action).produces.forEach((prop) => {
+      const values = Array.isArray(action[prop]) ? action[prop] : [action[prop]]
+      values.forEach((text, item) => {
+        if (typeof text !== "string" || !text.trim()) return
+        const path = Array.isArray(action[prop]) ? ["actions", index, prop, item] : ["actions", index, prop]
+        const range = locate(path, text.trim(), 0)
+        if (range) occurrences.push({ dataframe: text.trim(), index, path, kind: "definition", producer: index, range })
+      })
+    })
+  })
+
+  references.forEach((reference) => {
+    const { index, dataframe, prop, item, kind, producer } = reference
+    // dependsOn entries naming an action rather than a dataframe
+    if (kind === "explicit" && !producers.has(dataframe)) return
+    const path = item === undefined ? ["actions", index, prop] : ["actions", index, prop, item]
+    let nth = 0
+    if (kind === "reference") {
+      const text = item === undefined ? actions[index][prop] : actions[index][prop][item]
+      nth = tokenizeIdentifiers(text, { sql: false }).filter(
+        (token) => token.name === dataframe && token.start < /** @type {number} */ (reference.start),
+      ).length
+    }
+    const range = locate(path, dataframe, nth)
+    if (range) occurrences.push({ dataframe, index, path, kind, producer, range })
+  })
+
+  return occurrences
+}
+
+/**
+ * Returns the occurrence at a position. Where a definition and a use share a
+ * range (an in-place action such as Transform), the use is returned.
+ * @param {DataframeOccurrence[]} occurrences
+ * @param {{lineNumber: number, column: number}} position
+ * @returns {DataframeOccurrence|null}
+ */
+export function getOccurrenceAt(occurrences, position) {
+  const matches = occurrences.filter(
+    ({ range }) =>
+      range.startLineNumber === position.lineNumber &&
+      range.startColumn <= position.column &&
+      position.column <= range.endColumn,
+  )
+  return matches.find((occurrence) => occurrence.kind !== "definition") ?? matches[0] ?? null
+}
+
+/**
+ * Returns where the dataframe of an occurrence is defined: the producer the
+ * dependency graph resolves a use to, or the definition itself
+ * @param {DataframeOccurrence[]} occurrences
+ * @param {DataframeOccurrence} occurrence
+ * @returns {DataframeOccurrence[]}
+ */
+export function getDefinitions(occurrences, occurrence) {
+  if (occurrence.producer === null) return []
+  return occurrences.filter(
+    ({ kind, dataframe, index }) =>
+      kind === "definition" && dataframe === occurrence.dataframe && index === occurrence.producer,
+  )
+}
+
+/**
+ * Returns every use of a dataframe, and optionally where it is produced, once per range
+ * @param {DataframeOccurrence[]} occurrences
+ * @param {string} dataframe
+ * @param {boolean} [includeDefinitions]
+ * @returns {DataframeOccurrence[]}
+ */
+export function getReferences(occurrences, dataframe, includeDefinitions = true) {
+  const seen = new Set()
+  return occurrences.filter((occurrence) => {
+    if (occurrence.dataframe !== dataframe || (!includeDefinitions && occurrence.kind === "definition")) return false
+    const key = JSON.stringify(occurrence.range)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
@@ -6,6 +6,7 @@
 // - react
 // - react-dom
 // - js-yaml
+// - yaml  // Added for comment-preserving YAML edits
 // - @monaco-editor/react
 // - react-beautiful-dnd
 // - reactflow
@@ -0,0 +1,334 @@
+/**
+ * Layered (Sugiyama-style) graph layout.
+ *
+ * 1. Break cycles by reversing DFS back edges
+ * 2. Assign ranks with the longest path from the sources
+ * 3. Split edges spanning several ranks with dummy nodes
+ * 4. Order each rank with barycenter sweeps to reduce crossings
+ * 5. Place nodes along each rank, pulling them towards their neighbours
+ * 6. Route every edge through its dummy nodes
+ */
+
+export const LAYOUT_DIRECTIONS = {
+  TOP_DOWN: "TB",
+  LEFT_RIGHT: "LR",
+}
+
+const SWEEP_ITERATIONS = 12
+const PLACEMENT_ITERATIONS = 4
+
+/**
+ * @typedef {Object} LayoutOptions
+ * @property {"TB"|"LR"} [direction] - Direction ranks advance in
+ * @property {number} [nodeWidth] - Width reserved for every node
+ * @property {number} [nodeHeight] - Height reserved for every node
+ * @property {number} [nodeSpacing] - Gap between neighbouring nodes of the same rank
+ * @property {number} [rankSpacing] - Gap between consecutive ranks
+ * @property {({ width: number, height: number } | undefined)[]} [nodeSizes] - Per-node sizes overriding nodeWidth/nodeHeight
+ */
+
+/**
+ * @typedef {Object} LayeredLayout
+ * @property {{ x: number, y: number }[]} positions - Top-left corner of every node
+ * @property {number[]} ranks - Rank of every node
+ * @property {number} rankCount
+ * @property {{ x: number, y: number }[][]} routes - Bend points (node-centre coordinates) of every edge, in edge order
+ * @property {{ width: number, height: number }} size - Extent of the laid out graph
+ */
+
+/**
+ * Finds edges that close a cycle, visiting nodes in index order so earlier nodes stay upstream
+ * @param {number} nodeCount
+ * @param {{ source: number, target: number }[]} edges
+ * @returns {Set<number>} Indices of edges to reverse
+ */
+function findBackEdges(nodeCount, edges) {
+  const outgoing = Array.from({ length: nodeCount }, () => /** @type {number[]} */ ([]))
+  edges.forEach((edge, index) => outgoing[edge.source].push(index))
+
+  const state = new Array(nodeCount).fill(0) // 0 = unvisited, 1 = on stack, 2 = done
+  const backEdges = new Set()
+
+  for (let root = 0; root < nodeCount; root++) {
+    if (state[root] !== 0) continue
+    const stack = [{ node: root, next: 0 }]
+    state[root] = 1
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1]
+      if (frame.next >= outgoing[frame.node].length) {
+        state[frame.node] = 2
+        stack.pop()
+        continue
+      }
+      const edgeIndex = outgoing[frame.node][frame.next++]
+      const target = edges[edgeIndex].target
+      if (state[target] === 1) {
+        backEdges.add(edgeIndex)
+      } else if (state[target] === 0) {
+        state[target] = 1
+        stack.push({ node: target, next: 0 })
+      }
+    }
+  }
+
+  return backEdges
+}
+
+/**
+ * Longest-path ranking of an acyclic graph
+ * @param {number} nodeCount
+ * @param {{ source: number, target: number }[]} edges
+ * @returns {number[]}
+ */
+function assignRanks(nodeCount, edges) {
+  const ranks = new Array(nodeCount).fill(0)
+  const inDegree = new Array(nodeCount).fill(0)
+  const outgoing = Array.from({ length: nodeCount }, () => /** @type {number[]} */ ([]))
+  edges.forEach(({ source, target }) => {
+    outgoing[source].push(target)
+    inDegree[target]++
+  })
+
+  /** @type {number[]} */
+  const queue = []
+  for (let node = 0; node < nodeCount; node++) {
+    if (inDegree[node] === 0) queue.push(node)
+  }
+  while (queue.length > 0) {
+    const node = /** @type {number} */ (queue.shift())
+    outgoing[node].forEach((target) => {
+      ranks[target] = Math.max(ranks[target], ranks[node] + 1)
+      if (--inDegree[target] === 0) queue.push(target)
+    })
+  }
+
+  return ranks
+}
+
+/**
+ * Counts crossings between two consecutive ranks
+ * @param {number[]} upper - Node ids of the upper rank, in order
+ * @param {number[]} lower - Node ids of the lower rank, in order
+ * @param {number[][]} down - Successors of every node
+ * @returns {number}
+ */
+function countCrossings(upper, lower, down) {
+  const position = new Map(lower.map((node, index) => [node, index]))
+  const segments = []
+  upper.forEach((node, index) => {
+    down[node].forEach((target) => {
+      if (position.has(target)) segments.push([index, position.get(target)])
+    })
+  })
+
+  let crossings = 0
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const [a1, b1] = segments[i]
+      const [a2, b2] = segments[j]
+      if ((a1 - a2) * (b1 - b2) < 0) crossings++
+    }
+  }
+  return crossings
+}
+
+/**
+ * Reorders a rank by the average position of each node's neighbours in the fixed rank
+ * @param {number[]} layer
+ * @param {number[]} fixedLayer
+ * @param {number[][]} neighbours
+ * @returns {number[]}
+ */
+function sortByBarycenter(layer, fixedLayer, neighbours) {
+  const position = new Map(fixedLayer.map((node, index) => [node, index]))
+  const weights = layer.map((node, index) => {
+    const linked = neighbours[node].filter((other) => position.has(other))
+    // Nodes without neighbours keep their current slot
+    if (linked.length === 0) return { node, weight: index, index }
+    const total = linked.reduce((sum, other) => sum + /** @type {number} */ (position.get(other)), 0)
+    return { node, weight: total / linked.length, index }
+  })
+  weights.sort((a, b) => a.weight - b.weight || a.index - b.index)
+  return weights.map(({ node }) => node)
+}
+
+/**
+ * Lays out a directed graph in ranks
+ * @param {number} nodeCount - Number of nodes; nodes are identified by index
+ * @param {{ source: number, target: number }[]} edges
+ * @param {LayoutOptions} [options]
+ * @returns {LayeredLayout}
+ */
+export function computeLayeredLayout(nodeCount, edges, options = {}) {
+  const {
+    direction = LAYOUT_DIRECTIONS.TOP_DOWN,
+    nodeWidth = 180,
+    nodeHeight = 80,
+    nodeSpacing = 60,
+    rankSpacing = 80,
+    nodeSizes = [],
+  } = options
+  const widthOf = (node) => nodeSizes[node]?.width ?? nodeWidth
+  const heightOf = (node) => nodeSizes[node]?.height ?? nodeHeight
+
+  const validEdges = edges.filter(
+    (edge) => edge.source !== edge.target && edge.source < nodeCount && edge.target < nodeCount,
+  )
+  const backEdges = findBackEdges(nodeCount, validEdges)
+  const acyclic = validEdges.map((edge, index) =>
+    backEdges.has(index) ? { source: edge.target, target: edge.source } : { source: edge.source, target: edge.target },
+  )
+
+  const ranks = assignRanks(nodeCount, acyclic)
+  const rankCount = nodeCount > 0 ? Math.max(...ranks) + 1 : 0
+
+  // Split long edges into chains through dummy nodes, one per crossed rank
+  const nodeRanks = [...ranks]
+  const down = Array.from({ length: nodeCount }, () => /** @type {number[]} */ ([]))
+  const up = Array.from({ length: nodeCount }, () => /** @type {number[]} */ ([]))
+  const chains = acyclic.map(({ source, target }) => {
+    const chain = [source]
+    for (let rank = ranks[source] + 1; rank < ranks[target]; rank++) {
+      nodeRanks.push(rank)
+      down.push([])
+      up.push([])
+      chain.push(nodeRanks.length - 1)
+    }
+    chain.push(target)
+    for (let i = 0; i + 1 < chain.length; i++) {
+      down[chain[i]].push(chain[i + 1])
+      up[chain[i + 1]].push(chain[i])
+    }
+    return chain
+  })
+
+  // Initial order follows node index, which is the order actions appear in
+  let layers = Array.from({ length: rankCount }, () => /** @type {number[]} */ ([]))
+  nodeRanks.forEach((rank, node) => layers[rank].push(node))
+
+  const totalCrossings = (candidate) =>
+    candidate.reduce((sum, layer, rank) => (rank === 0 ? 0 : sum + countCrossings(candidate[rank - 1], layer, down)), 0)
+
+  let best = layers.map((layer) => [...layer])
+  let bestCrossings = totalCrossings(best)
+
+  for (let iteration = 0; iteration < SWEEP_ITERATIONS && bestCrossings > 0; iteration++) {
+    if (iteration % 2 === 0) {
+      for (let rank = 1; rank < rankCount; rank++) {
+        layers[rank] = sortByBarycenter(layers[rank], layers[rank - 1], up)
+      }
+    } else {
+      for (let rank = rankCount - 2; rank >= 0; rank--) {
+        layers[rank] = sortByBarycenter(layers[rank], layers[rank + 1], down)
+      }
+    }
+
+    const crossings = totalCrossings(layers)
+    if (crossings < bestCrossings) {
+      best = layers.map((layer) => [...layer])
+      bestCrossings = crossings
+    }
+  }
+  layers = best
+
+  // Along-rank ("breadth") size of real and dummy nodes, and the depth each rank needs
+  const isLeftRight = direction === LAYOUT_DIRECTIONS.LEFT_RIGHT
+  const sizeOf = (node) => (node < nodeCount ? (isLeftRight ? heightOf(node) : widthOf(node)) : 0)
+  const depthOf = (node) => (isLeftRight ? widthOf(node) : heightOf(node))
+  const rankDepths = layers.map((layer) =>
+    Math.max(...layer.filter((node) => node < nodeCount).map(depthOf), isLeftRight ? nodeWidth : nodeHeight),
+  )
+  const rankOffsets = []
+  rankDepths.reduce((offset, rankDepth, rank) => {
+    rankOffsets[rank] = offset
+    return offset + rankDepth + rankSpacing
+  }, 0)
+
+  // Pack every rank, then repeatedly pull nodes towards their neighbours without overlapping
+  const centres = new Array(nodeRanks.length).fill(0)
+  layers.forEach((layer) => {
+    let cursor = 0
+    layer.forEach((node) => {
+      centres[node] = cursor + sizeOf(node) / 2
+      cursor += sizeOf(node) + nodeSpacing
+    })
+  })
+
+  /**
+   * @param {number[]} layer
+   * @param {number[][]} neighbours
+   */
+  const placeLayer = (layer, neighbours) => {
+    const desired = layer.map((node) => {
+      const linked = neighbours[node]
+      if (linked.length === 0) return centres[node]
+      return linked.reduce((sum, other) => sum + centres[other], 0) / linked.length
+    })
+
+    // Left-to-right pass keeps the minimum separation, right-to-left pass recentres the block
+    const placed = [...desired]
+    for (let i = 1; i < layer.length; i++) {
+      const gap = (sizeOf(layer[i - 1]) + sizeOf(layer[i])) / 2 + nodeSpacing
+      placed[i] = Math.max(placed[i], placed[i - 1] + gap)
+    }
+    const shift = desired.reduce((sum, value, i) => sum + (value - placed[i]), 0) / Math.max(layer.length, 1)
+    for (let i = layer.length - 1; i >= 0; i--) {
+      let value = placed[i] + shift
+      if (i + 1 < layer.length) {
+        const gap = (sizeOf(layer[i]) + sizeOf(layer[i + 1])) / 2 + nodeSpacing
+        value = Math.min(value, centres[layer[i + 1]] - gap)
+      }
+      if (i > 0) {
+        const gap = (sizeOf(layer[i - 1]) + sizeOf(layer[i])) / 2 + nodeSpacing
+        value = Math.max(value, placed[i - 1] + gap)
+      }
+      centres[layer[i]] = value
+    }
+  }
+
+  for (let iteration = 0; iteration < PLACEMENT_ITERATIONS; iteration++) {
+    for (let rank = 1; rank < rankCount; rank++) placeLayer(layers[rank], up)
+    for (let rank = rankCount - 2; rank >= 0; rank--) placeLayer(layers[rank], down)
+  }
+
+  const minCentre = Math.min(...layers.flatMap((layer) => layer.map((node) => centres[node] - sizeOf(node) / 2)), 0)
+  const maxCentre = Math.max(...layers.flatMap((layer) => layer.map((node) => centres[node] + sizeOf(node) / 2)), 0)
+
+  /**
+   * Converts (rank, centre along the rank) to node-centre coordinates
+   * @param {number} node
+   * @returns {{ x: number, y: number }}
+   */
+  const centreOf = (node) => {
+    const along = centres[node] - minCentre
+    const rank = nodeRanks[node]
+    const across = rankOffsets[rank] + rankDepths[rank] / 2
+    return isLeftRight ? { x: across, y: along } : { x: along, y: across }
+  }
+
+  const positions = Array.from({ length: nodeCount }, (_, node) => {
+    const centre = centreOf(node)
+    return { x: centre.x - widthOf(node) / 2, y: centre.y - heightOf(node) / 2 }
+  })
+
+  const routes = edges.map((edge) => {
+    const index = validEdges.indexOf(edge)
+    if (index === -1) return []
+    const bends = chains[index].slice(1, -1).map(centreOf)
+    return backEdges.has(index) ? bends.reverse() : bends
+  })
+
+  const rankExtent = rankDepths.reduce((sum, rankDepth) => sum + rankDepth, 0) + Math.max(rankCount - 1, 0) * rankSpacing
+  const breadthExtent = maxCentre - minCentre
+
+  return {
+    positions,
+    ranks,
+    rankCount,
+    routes,
+    size: isLeftRight
+      ? { width: rankExtent, height: breadthExtent }
+      : { width: breadthExtent, height: rankExtent },
+  }
+}
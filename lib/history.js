@@ -0,0 +1,155 @@
+/**
+ * Undo/redo history of a workflow document.
+ *
+ * Every change to a document, whichever view it came from, is recorded as an
+ * entry holding the content before and after it, so undoing is just restoring
+ * `before`. Consecutive changes with the same `group` that happen within
+ * `GROUP_WINDOW_MS` of each other are merged into one entry - this is how a run
+ * of keystrokes or of drag-reorders becomes a single undo step.
+ */
+
+export const HISTORY_LIMIT = 100
+export const GROUP_WINDOW_MS = 1500
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {string} label - e.g. "Deleted 'load sales'"
+ * @property {string} before - Document content before the change
+ * @property {string} after - Document content after the change
+ * @property {string|null} group - Changes of the same group merge into one entry
+ * @property {number} timestamp - Time of the latest change in the entry
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {HistoryEntry[]} past - Applied entries, oldest first
+ * @property {HistoryEntry[]} future - Undone entries, next to redo last
+ * @property {number} nextId
+ */
+
+/**
+ * @typedef {Object} HistoryChange
+ * @property {string} label
+ * @property {string} before
+ * @property {string} after
+ * @property {string|null} [group]
+ * @property {number} [timestamp]
+ */
+
+/**
+ * @returns {History}
+ */
+export function createHistory() {
+  return { past: [], future: [], nextId: 1 }
+}
+
+/**
+ * Records a change, merging it into the last entry when both belong to the same group
+ * @param {History} history
+ * @param {HistoryChange} change
+ * @returns {History}
+ */
+export function recordChange(history, { label, before, after, group = null, timestamp = Date.now() }) {
+  if (before === after) return history
+
+  const last = history.past[history.past.length - 1]
+  if (last && group && last.group === group && timestamp - last.timestamp <= GROUP_WINDOW_MS) {
+    const merged = { ...last, after, timestamp }
+    // A group that ends up where it started is no change at all
+    const past = merged.before === merged.after ? history.past.slice(0, -1) : [...history.past.slice(0, -1), merged]
+    return { ...history, past, future: [] }
+  }
+
+  const entry = { id: history.nextId, label, before, after, group, timestamp }
+  return {
+    past: [...history.past, entry].slice(-HISTORY_LIMIT),
+    future: [],
+    nextId: history.nextId + 1,
+  }
+}
+
+/**
+ * Undoes up to `steps` entries
+ * @param {History} history
+ * @param {number} [steps=1]
+ * @returns {{history: History, content: string}|null} The content to restore, or null if there is nothing to undo
+ */
+export function undo(history, steps = 1) {
+  const count = Math.min(steps, history.past.length)
+  if (count < 1) return null
+
+  const undone = history.past.slice(-count)
+  return {
+    history: {
+      ...history,
+      past: history.past.slice(0, -count),
+      future: [...history.future, ...undone.reverse()],
+    },
+    content: undone[undone.length - 1].before,
+  }
+}
+
+/**
+ * Redoes up to `steps` entries
+ * @param {History} history
+ * @param {number} [steps=1]
+ * @returns {{history: History, content: string}|null} The content to restore, or null if there is nothing to redo
+ */
+export function redo(history, steps = 1) {
+  const count = Math.min(steps, history.future.length)
+  if (count < 1) return null
+
+  const redone = history.future.slice(-count).reverse()
+  return {
+    history: {
+      ...history,
+      past: [...history.past, ...redone],
+      future: history.future.slice(0, -count),
+    },
+    content: redone[redone.length - 1].after,
+  }
+}
+
+/**
+ * @param {import('./types.js').ActionType} action
+ * @returns {string}
+ */
+function describeAction(action) {
+  return action?.name ? `'${action.name}'` : "action"
+}
+
+/**
+ * Labels a structured change to the actions list, for the history panel
+ * @param {import('./types.js').ActionType[]} previous
+ * @param {import('./types.js').ActionType[]} next
+ * @returns {{label: string, group: string|null}}
+ */
+export function describeActionsChange(previous, next) {
+  const before = previous.map((action) => JSON.stringify(action))
+  const after = next.map((action) => JSON.stringify(action))
+
+  if (after.length === before.length + 1) {
+    const index = after.findIndex((item, i) => item !== before[i])
+    const added = next[index === -1 ? next.length - 1 : index]
+    return { label: `Added ${describeAction(added)}`, group: null }
+  }
+
+  if (after.length === before.length - 1) {
+    const index = before.findIndex((item, i) => item !== after[i])
+    const deleted = previous[index === -1 ? previous.length - 1 : index]
+    return { label: `Deleted ${describeAction(deleted)}`, group: null }
+  }
+
+  if (after.length === before.length) {
+    const changed = after.map((item, i) => (item !== before[i] ? i : -1)).filter((i) => i !== -1)
+    if (changed.length === 1) {
+      return { label: `Edited ${describeAction(next[changed[0]])}`, group: null }
+    }
+    if (changed.length > 1 && [...before].sort().join("\n") === [...after].sort().join("\n")) {
+      return { label: "Reordered actions", group: "reorder" }
+    }
+  }
+
+  return { label: "Changed actions", group: null }
+}
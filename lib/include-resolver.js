@@ -0,0 +1,233 @@
+/**
+ * Resolution of Include actions.
+ *
+ * An Include's `path` is relative to the directory of the file that contains it
+ * (a leading "/" makes it relative to the workspace root). Files are looked up in
+ * the workspace files the user opened or uploaded first, then through the
+ * `/api/files` route. Included files are validated recursively and include
+ * cycles are reported instead of followed.
+ *
+ * normalizePath keeps paths inside the workspace as text; the loaders that read
+ * from disk also check the real path, which symlinks can change (see
+ * workspace-files.js).
+ */
+import { validateYaml } from "./yaml-utils.js"
+import { ACTION_NAMES } from "./types.js"
+
+const MAX_INCLUDE_DEPTH = 16
+
+/**
+ * Normalizes a workspace path: forward slashes, no "." segments, ".." resolved
+ * @param {string} path
+ * @returns {string|null} The normalized path, or null when it escapes the workspace root
+ */
+export function normalizePath(path) {
+  const segments = []
+  for (const segment of path.replace(/\\/g, "/").split("/")) {
+    if (segment === "" || segment === ".") continue
+    if (segment === "..") {
+      if (segments.length === 0) return null
+      segments.pop()
+    } else {
+      segments.push(segment)
+    }
+  }
+  return segments.join("/")
+}
+
+/**
+ * Resolves an include path against the file that contains it
+ * @param {string} fromPath - Workspace-relative path of the including file
+ * @param {string} includePath - The Include action's `path`
+ * @returns {string|null}
+ */
+export function resolveIncludePath(fromPath, includePath) {
+  if (includePath.startsWith("/")) return normalizePath(includePath)
+  const directory = fromPath.includes("/") ? fromPath.slice(0, fromPath.lastIndexOf("/")) : ""
+  return normalizePath(directory ? `${directory}/${includePath}` : includePath)
+}
+
+/**
+ * Loads a file through the local file-serving API route
+ * @param {string} path - Workspace-relative path
+ * @returns {Promise<string|null>} The file content, or null when the file does not exist
+ */
+export async function fetchWorkspaceFile(path) {
+  const response = await fetch(`/api/files?path=${encodeURIComponent(path)}`)
+  if (response.status === 404) return null
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}))
+    throw new Error(error || `Failed to load ${path} (${response.status})`)
+  }
+  return response.text()
+}
+
+/**
+ * Creates a file loader that checks the workspace files before falling back to `fetchFile`
+ * @param {Object<string, string>} files - Workspace-relative path -> content
+ * @param {function(string): Promise<string|null>} [fetchFile]
+ * @returns {function(string): Promise<string|null>}
+ */
+export function createFileLoader(files, fetchFile = fetchWorkspaceFile) {
+  return async (path) => {
+    if (Object.prototype.hasOwnProperty.call(files, path)) return files[path]
+    return fetchFile ? fetchFile(path) : null
+  }
+}
+
+/**
+ * Picks the file to open from a set of workspace files: the first one (by path)
+ * that no other file includes
+ * @param {Object<string, string>} files - Workspace-relative path -> content
+ * @returns {string|null}
+ */
+export function findEntryFile(files) {
+  const paths = Object.keys(files).sort()
+  const included = new Set()
+
+  paths.forEach((path) => {
+    const { data } = validateYaml(files[path])
+    if (!Array.isArray(data?.actions)) return
+    data.actions.forEach((action) => {
+      if (action?.action !== ACTION_NAMES.INCLUDE || typeof action.path !== "string") return
+      const target = resolveIncludePath(path, action.path.trim())
+      if (target !== null && target !== path) included.add(target)
+    })
+  })
+
+  return paths.find((path) => !included.has(path)) ?? paths[0] ?? null
+}
+
+/**
+ * Resolves the Include actions of a workflow, recursively
+ * @param {import('./types.js').ActionType[]} actions - Actions of the including file
+ * @param {Object} options
+ * @param {string} options.path - Workspace-relative path of the including file
+ * @param {function(string): Promise<string|null>} options.loadFile - Returns a file's content or null if missing
+ * @param {string[]} [options.stack] - Paths of the files currently being resolved, outermost first
+ * @param {Map<string, Promise<string|null>>} [options.cache]
+ * @returns {Promise<import('./types.js').IncludeResolution[]>}
+ */
+export async function resolveIncludes(actions, { path, loadFile, stack = [], cache = new Map() }) {
+  const load = (filePath) => {
+    if (!cache.has(filePath)) cache.set(filePath, loadFile(filePath))
+    return cache.get(filePath)
+  }
+  const ancestors = [...stack, normalizePath(path) ?? path]
+
+  /** @type {function(import('./types.js').ActionType, number): Promise<import('./types.js').IncludeResolution|null>} */
+  const resolveInclude = async (action, index) => {
+    if (action?.action !== ACTION_NAMES.INCLUDE || typeof action.path !== "string" || !action.path.trim()) return null
+
+    /** @type {import('./types.js').IncludeResolution} */
+    const resolution = {
+      index,
+      path: action.path,
+      resolvedPath: resolveIncludePath(path, action.path.trim()),
+      status: "resolved",
+      actions: [],
+      diagnostics: [],
+      includes: [],
+    }
+
+    if (resolution.resolvedPath === null) {
+      return { ...resolution, status: "missing", error: "Path points outside the workspace" }
+    }
+    if (ancestors.includes(resolution.resolvedPath)) {
+      const chain = [...ancestors.slice(ancestors.indexOf(resolution.resolvedPath)), resolution.resolvedPath]
+      return { ...resolution, status: "cycle", error: `Include cycle: ${chain.join(" → ")}` }
+    }
+    if (ancestors.length > MAX_INCLUDE_DEPTH) {
+      return { ...resolution, status: "invalid", error: `Includes are nested more than ${MAX_INCLUDE_DEPTH} levels deep` }
+    }
+
+    let content
+    try {
+      content = await load(resolution.resolvedPath)
+    } catch (error) {
+      return { ...resolution, status: "missing", error: error instanceof Error ? error.message : String(error) }
+    }
+    if (content === null || content === undefined) {
+      return { ...resolution, status: "missing", error: `File not found: ${resolution.resolvedPath}` }
+    }
+
+    const { diagnostics, data } = validateYaml(content)
+    const includedActions = Array.isArray(data?.actions) ? data.actions : []
+    const includes = await resolveIncludes(includedActions, {
+      path: resolution.resolvedPath,
+      loadFile,
+      stack: ancestors,
+      cache,
+    })
+
+    return {
+      ...resolution,
+      status: diagnostics.some((d) => d.severity === "error") ? "invalid" : "resolved",
+      actions: includedActions,
+      diagnostics,
+      includes,
+    }
+  }
+
+  const resolutions = await Promise.all(actions.map(resolveInclude))
+  return resolutions.filter((resolution) => resolution !== null)
+}
+
+/**
+ * Counts error diagnostics in an included file and everything it includes
+ * @param {import('./types.js').IncludeResolution} resolution
+ * @returns {{ errors: number, firstError: string|null }}
+ */
+function collectNestedErrors(resolution) {
+  let errors = 0
+  let firstError = null
+  const visit = (node) => {
+    node.diagnostics.forEach((diagnostic) => {
+      if (diagnostic.severity !== "error") return
+      errors++
+      if (!firstError) firstError = `${node.resolvedPath}: ${diagnostic.message}`
+    })
+    node.includes.forEach((child) => {
+      if (child.status === "missing" || child.status === "cycle") {
+        errors++
+        if (!firstError) firstError = `${node.resolvedPath}: ${child.error}`
+      }
+      visit(child)
+    })
+  }
+  visit(resolution)
+  return { errors, firstError }
+}
+
+/**
+ * Turns include resolutions into diagnostics on the including file's Include actions
+ * @param {import('./types.js').IncludeResolution[]} resolutions
+ * @param {function((string|number)[]): import('./types.js').SourceRange | null} [getRange] - Locates a YAML path
+ * @returns {import('./types.js').Diagnostic[]}
+ */
+export function getIncludeDiagnostics(resolutions, getRange = () => null) {
+  return resolutions.flatMap((resolution) => {
+    const path = ["actions", resolution.index, "path"]
+    /** @type {function(string, string): import('./types.js').Diagnostic} */
+    const diagnostic = (code, message) => ({ severity: "error", code, message, path, range: getRange(path) })
+
+    if (resolution.status === "missing") {
+      return [diagnostic("include-not-found", `Include at index ${resolution.index}: ${resolution.error}`)]
+    }
+    if (resolution.status === "cycle") {
+      return [diagnostic("include-cycle", `Include at index ${resolution.index}: ${resolution.error}`)]
+    }
+
+    const { errors, firstError } = collectNestedErrors(resolution)
+    if (resolution.error) {
+      return [diagnostic("include-invalid", `Include at index ${resolution.index}: ${resolution.error}`)]
+    }
+    if (errors === 0) return []
+    return [
+      diagnostic(
+        "include-invalid",
+        `Included file '${resolution.resolvedPath}' has ${errors} error(s), first: ${firstError}`,
+      ),
+    ]
+  })
+}
@@ -0,0 +1,327 @@
+/**
+ * Lint rules: team conventions checked on top of the hard validation of
+ * validateYaml. Every rule has an id and a default severity; its problems are
+ * reported as diagnostics with the rule id as `code`.
+ *
+ * A project configures the rules in LINT_CONFIG_FILE at the workspace root:
+ *
+ *   rules:
+ *     dataframe-snake-case: error        # error, warning, info or off
+ *     load-destination-prefix:
+ *       severity: error
+ *       prefixes: ["s3://curated/", "warehouse."]
+ *
+ * and suppresses single problems with YAML comments:
+ *
+ *   # workflow-lint-disable purge-after-load          anywhere: the whole file
+ *   # workflow-lint-disable-next-line                 the next line, or the action starting on it
+ *   name: load  # workflow-lint-disable-line rule-id  this line
+ *
+ * A comment without rule ids suppresses every rule. More rules can be added
+ * with registerLintRule.
+ */
+import yaml from "js-yaml"
+import { LineCounter, Parser } from "yaml"
+import { getDataflow } from "./action-definitions.js"
+import { buildSourceMap } from "./yaml-source-map.js"
+import { ACTION_NAMES } from "./types.js"
+
+export const LINT_CONFIG_FILE = "workflow-lint.yaml"
+
+const SEVERITIES = ["error", "warning", "info", "off"]
+const SNAKE_CASE = /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/
+const SUPPRESSION_COMMENT = /^#\s*workflow-lint-(disable-next-line|disable-line|disable)\b(.*)$/
+
+/**
+ * @typedef {Object} LintContext
+ * @property {import('./types.js').YamlData} data
+ * @property {import('./types.js').ActionType[]} actions
+ * @property {Object<string, any>} options - The rule's options from the config, over its defaults
+ * @property {function(string, (string|number)[]): void} report - Reports a problem at a YAML path
+ */
+
+/**
+ * @typedef {Object} LintRule
+ * @property {string} id
+ * @property {string} description
+ * @property {"error"|"warning"|"info"} defaultSeverity
+ * @property {Object<string, any>} [defaultOptions]
+ * @property {function(LintContext): void} check
+ */
+
+/**
+ * @typedef {Object} LintRuleSetting
+ * @property {"error"|"warning"|"info"|"off"} [severity]
+ * @property {Object<string, any>} options
+ */
+
+/**
+ * @typedef {Object} LintConfig
+ * @property {Object<string, LintRuleSetting>} rules - Settings by rule id
+ */
+
+/**
+ * @param {import('./types.js').ActionType} action
+ * @param {number} index
+ * @returns {string}
+ */
+function describe(action, index) {
+  return `'${action?.name ?? `#${index}`}'`
+}
+
+/**
+ * @param {any} action
+ * @returns {boolean}
+ */
+function isAction(action) {
+  return action !== null && typeof action === "object" && !Array.isArray(action)
+}
+
+/** @type {Map<string, LintRule>} */
+const rules = new Map()
+
+/**
+ * Adds a rule, or replaces the rule with the same id
+ * @param {LintRule} rule
+ */
+export function registerLintRule(rule) {
+  rules.set(rule.id, rule)
+}
+
+/**
+ * @returns {LintRule[]}
+ */
+export function getLintRules() {
+  return [...rules.values()]
+}
+
+registerLintRule({
+  id: "dataframe-snake-case",
+  description: "Dataframes an action produces are named in snake_case",
+  defaultSeverity: "warning",
+  check({ actions, report }) {
+    actions.forEach((action, index) => {
+      if (!isAction(action)) return
+      getDataflow(action.action).produces.forEach((prop) => {
+        const name = action[prop]
+        // Names built from ${parameters} can only be checked once rendered
+        if (typeof name !== "string" || !name || name.includes("${") || SNAKE_CASE.test(name)) return
+        report(`Dataframe '${name}' produced by ${describe(action, index)} is not snake_case`, ["actions", index, prop])
+      })
+    })
+  },
+})
+
+registerLintRule({
+  id: "unique-action-names",
+  description: "No two actions have the same name",
+  defaultSeverity: "error",
+  check({ actions, report }) {
+    const firstIndex = new Map()
+    actions.forEach((action, index) => {
+      if (!isAction(action) || typeof action.name !== "string" || !action.name) return
+      if (firstIndex.has(action.name)) {
+        report(`Action name '${action.name}' is already used by the action at index ${firstIndex.get(action.name)}`, [
+          "actions",
+          index,
+          "name",
+        ])
+      } else {
+        firstIndex.set(action.name, index)
+      }
+    })
+  },
+})
+
+registerLintRule({
+  id: "load-destination-prefix",
+  description: "Load actions write under one of the approved `prefixes`",
+  defaultSeverity: "error",
+  defaultOptions: { prefixes: [] },
+  check({ actions, options, report }) {
+    const prefixes = Array.isArray(options.prefixes) ? options.prefixes.map(String) : []
+    if (prefixes.length === 0) return
+    actions.forEach((action, index) => {
+      if (!isAction(action) || action.action !== ACTION_NAMES.LOAD || typeof action.destination !== "string") return
+      if (prefixes.some((prefix) => action.destination.startsWith(prefix))) return
+      report(
+        `Load ${describe(action, index)} writes to '${action.destination}', outside the approved prefixes: ${prefixes.join(", ")}`,
+        ["actions", index, "destination"],
+      )
+    })
+  },
+})
+
+registerLintRule({
+  id: "purge-after-load",
+  description: "A Purge comes after a Load of the same dataframe or to the purged target",
+  defaultSeverity: "warning",
+  check({ actions, report }) {
+    actions.forEach((action, index) => {
+      if (!isAction(action) || action.action !== ACTION_NAMES.PURGE) return
+      const hasLoad = actions
+        .slice(0, index)
+        .some(
+          (previous) =>
+            isAction(previous) &&
+            previous.action === ACTION_NAMES.LOAD &&
+            (previous.dataframe === action.dataframe || (action.target && previous.destination === action.target)),
+        )
+      if (!hasLoad) {
+        report(`Purge ${describe(action, index)} has no preceding Load of '${action.dataframe}'`, [
+          "actions",
+          index,
+          "action",
+        ])
+      }
+    })
+  },
+})
+
+/**
+ * Reads a lint config file. Problems are returned rather than thrown so a bad
+ * config never stops the builder; the rules it couldn't read keep their defaults.
+ * @param {string} content - YAML (or JSON) content of LINT_CONFIG_FILE
+ * @returns {{config: LintConfig, errors: string[]}}
+ */
+export function parseLintConfig(content) {
+  /** @type {LintConfig} */
+  const config = { rules: {} }
+  const errors = []
+
+  let data
+  try {
+    data = yaml.load(content)
+  } catch (error) {
+    return { config, errors: [`${LINT_CONFIG_FILE}: ${error.reason || error.message}`] }
+  }
+  if (data === undefined || data === null) return { config, errors }
+  if (typeof data !== "object" || Array.isArray(data) || (data.rules !== undefined && typeof data.rules !== "object")) {
+    return { config, errors: [`${LINT_CONFIG_FILE}: expected a 'rules' mapping`] }
+  }
+
+  Object.entries(data.rules ?? {}).forEach(([id, value]) => {
+    if (!rules.has(id)) {
+      errors.push(`${LINT_CONFIG_FILE}: unknown rule '${id}'`)
+      return
+    }
+    const { severity, ...options } = typeof value === "string" ? { severity: value } : (value ?? {})
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+      errors.push(`${LINT_CONFIG_FILE}: rule '${id}' has invalid severity '${severity}'`)
+      return
+    }
+    config.rules[id] = { severity, options }
+  })
+
+  return { config, errors }
+}
+
+/**
+ * Collects the comment tokens of a `yaml` CST. Text that only looks like a
+ * comment, inside quoted or block scalars, is part of a scalar token instead.
+ * @param {any} token
+ * @param {import('yaml').CST.SourceToken[]} comments
+ */
+function collectComments(token, comments) {
+  if (Array.isArray(token)) {
+    token.forEach((child) => collectComments(child, comments))
+  } else if (token && typeof token === "object") {
+    if (token.type === "comment") comments.push(token)
+    else Object.values(token).forEach((child) => collectComments(child, comments))
+  }
+}
+
+/**
+ * Finds the suppression comments of a document
+ * @param {string} content
+ * @returns {{file: Set<string>|null, lines: Map<number, Set<string>|null>}} Suppressed rule ids (null for all),
+ *   for the whole file and by 1-based line number
+ */
+function findSuppressions(content) {
+  /** @type {Set<string>|null} */
+  let file = new Set()
+  const lines = new Map()
+
+  /**
+   * @param {Set<string>|null} current
+   * @param {string[]} ids
+   * @returns {Set<string>|null}
+   */
+  const merge = (current, ids) => (current === null || ids.length === 0 ? null : new Set([...current, ...ids]))
+
+  const lineCounter = new LineCounter()
+  /** @type {import('yaml').CST.SourceToken[]} */
+  const comments = []
+  collectComments([...new Parser(lineCounter.addNewLine).parse(content)], comments)
+
+  comments.forEach((comment) => {
+    const match = SUPPRESSION_COMMENT.exec(comment.source)
+    if (!match) return
+    const ids = match[2]
+      .split(/[\s,]+/)
+      .map((id) => id.trim())
+      .filter(Boolean)
+    if (match[1] === "disable") {
+      file = merge(file, ids)
+      return
+    }
+    const commentLine = lineCounter.linePos(comment.offset).line
+    const lineNumber = match[1] === "disable-line" ? commentLine : commentLine + 1
+    lines.set(lineNumber, merge(lines.get(lineNumber) ?? new Set(), ids))
+  })
+
+  return { file, lines }
+}
+
+/**
+ * @param {Set<string>|null|undefined} suppressed
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isSuppressed(suppressed, id) {
+  return suppressed === null || Boolean(suppressed?.has(id))
+}
+
+/**
+ * Runs the lint rules on a workflow. Nothing is reported for YAML that doesn't
+ * parse - validateYaml already does.
+ * @param {string} content
+ * @param {LintConfig} [config]
+ * @returns {import('./types.js').Diagnostic[]}
+ */
+export function lintWorkflow(content, config = { rules: {} }) {
+  let sourceMap
+  try {
+    sourceMap = buildSourceMap(content)
+  } catch {
+    return []
+  }
+  const data = sourceMap.data
+  if (!data || typeof data !== "object" || !Array.isArray(data.actions)) return []
+
+  const suppressions = findSuppressions(content)
+  /** @type {import('./types.js').Diagnostic[]} */
+  const diagnostics = []
+
+  rules.forEach((rule) => {
+    const setting = config.rules[rule.id]
+    const severity = setting?.severity ?? rule.defaultSeverity
+    if (severity === "off" || isSuppressed(suppressions.file, rule.id)) return
+
+    rule.check({
+      data,
+      actions: data.actions,
+      options: { ...rule.defaultOptions, ...setting?.options },
+      report: (message, path) => {
+        // A comment on the line of the problem or on the first line of its action suppresses it
+        const itemRange = sourceMap.getRange(path.slice(0, 2))
+        const range = sourceMap.getRange(path) ?? itemRange
+        const lines = [range, itemRange].filter((r) => r !== null).map((r) => r.startLineNumber)
+        if (lines.some((line) => isSuppressed(suppressions.lines.get(line), rule.id))) return
+        diagnostics.push({ severity, code: rule.id, message, path, range })
+      },
+    })
+  })
+
+  return diagnostics
+}
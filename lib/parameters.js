@@ -0,0 +1,251 @@
+/**
+ * Workflow parameters and environment profiles.
+ *
+ * A workflow may declare defaults in a top-level `parameters` mapping and named
+ * overrides in `profiles`:
+ *
+ *   parameters:
+ *     bucket: dev-bucket
+ *   profiles:
+ *     prod:
+ *       bucket: prod-bucket
+ *
+ * Any string in an action can reference a parameter as `${bucket}`; `$${` is a
+ * literal `${`. A string consisting of a single reference takes the parameter's
+ * value as is, so numbers and booleans keep their type.
+ */
+
+const REFERENCE_PATTERN = /\$?\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * @typedef {Object} ParameterReference
+ * @property {string} name
+ * @property {(string|number)[]} path - YAML path of the string containing the reference
+ * @property {number} start - Offset of the reference within the string
+ * @property {number} end
+ */
+
+/**
+ * @param {any} value
+ * @returns {value is Object<string, any>}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+/**
+ * Lists the parameter references in a string, skipping escaped `$${...}`
+ * @param {string} text
+ * @returns {{ name: string, start: number, end: number }[]}
+ */
+function scanReferences(text) {
+  const references = []
+  for (const match of text.matchAll(REFERENCE_PATTERN)) {
+    if (match[0].startsWith("$$")) continue
+    references.push({ name: match[1], start: match.index, end: match.index + match[0].length })
+  }
+  return references
+}
+
+/**
+ * Checks whether a value is a string containing a parameter reference
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function hasParameterReference(value) {
+  return typeof value === "string" && scanReferences(value).length > 0
+}
+
+/**
+ * Finds every parameter reference in a value, recursively
+ * @param {any} value
+ * @param {(string|number)[]} [path] - Path of `value`
+ * @returns {ParameterReference[]}
+ */
+export function findParameterReferences(value, path = []) {
+  if (typeof value === "string") {
+    return scanReferences(value).map((reference) => ({ ...reference, path }))
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => findParameterReferences(item, [...path, index]))
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, item]) => findParameterReferences(item, [...path, key]))
+  }
+  return []
+}
+
+/**
+ * Returns the names of the profiles declared by a workflow
+ * @param {import('./types.js').YamlData | null} data
+ * @returns {string[]}
+ */
+export function getProfileNames(data) {
+  return isPlainObject(data?.profiles) ? Object.keys(data.profiles) : []
+}
+
+/**
+ * Returns the parameter values for a profile: the defaults overridden by the profile's values
+ * @param {import('./types.js').YamlData | null} data
+ * @param {string|null} [profile] - Profile name; null for the defaults only
+ * @returns {Object<string, any>}
+ */
+export function getParameterValues(data, profile = null) {
+  const defaults = isPlainObject(data?.parameters) ? data.parameters : {}
+  const overrides = profile && isPlainObject(data?.profiles?.[profile]) ? data.profiles[profile] : {}
+  return { ...defaults, ...overrides }
+}
+
+/**
+ * Replaces parameter references in a value, recursively
+ * @param {any} value
+ * @param {Object<string, any>} values - Parameter values by name
+ * @param {Set<string>} [unresolved] - Collects the names of references without a value
+ * @returns {any}
+ */
+export function interpolate(value, values, unresolved = new Set()) {
+  if (Array.isArray(value)) return value.map((item) => interpolate(item, values, unresolved))
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, values, unresolved)]))
+  }
+  if (typeof value !== "string") return value
+
+  const references = scanReferences(value)
+  const [only] = references
+  if (references.length === 1 && only.start === 0 && only.end === value.length) {
+    if (Object.prototype.hasOwnProperty.call(values, only.name)) return values[only.name]
+    unresolved.add(only.name)
+    return value
+  }
+
+  return value.replace(REFERENCE_PATTERN, (match, name) => {
+    if (match.startsWith("$$")) return match.slice(1)
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      unresolved.add(name)
+      return match
+    }
+    const replacement = values[name]
+    return replacement === null || replacement === undefined ? "" : String(replacement)
+  })
+}
+
+/**
+ * Renders a workflow for an environment: parameters are substituted and the
+ * `parameters` and `profiles` blocks are dropped
+ * @param {import('./types.js').YamlData} data
+ * @param {string|null} [profile]
+ * @returns {{ data: import('./types.js').YamlData, unresolved: string[] }}
+ */
+export function renderForEnvironment(data, profile = null) {
+  const { parameters, profiles, ...rest } = data
+  const unresolved = new Set()
+  const rendered = interpolate(rest, getParameterValues(data, profile), unresolved)
+  return { data: rendered, unresolved: [...unresolved].sort() }
+}
+
+/**
+ * @typedef {Object} ParameterIssue
+ * @property {"error"|"warning"} severity
+ * @property {string} code
+ * @property {string} message
+ * @property {(string|number)[]} path
+ * @property {boolean} [atKey] - True when the issue is about the key rather than its value
+ */
+
+/**
+ * Checks the parameters, profiles and parameter references of a workflow
+ * @param {import('./types.js').YamlData} data
+ * @returns {ParameterIssue[]}
+ */
+export function validateParameters(data) {
+  /** @type {ParameterIssue[]} */
+  const issues = []
+
+  if (data.parameters !== undefined && data.parameters !== null && !isPlainObject(data.parameters)) {
+    issues.push({
+      severity: "error",
+      code: "invalid-parameters",
+      message: "'parameters' must be a mapping",
+      path: ["parameters"],
+    })
+  }
+  if (data.profiles !== undefined && data.profiles !== null && !isPlainObject(data.profiles)) {
+    issues.push({
+      severity: "error",
+      code: "invalid-profiles",
+      message: "'profiles' must be a mapping",
+      path: ["profiles"],
+    })
+  }
+
+  const declared = isPlainObject(data.parameters) ? Object.keys(data.parameters) : []
+  declared.forEach((name) => {
+    if (!NAME_PATTERN.test(name)) {
+      issues.push({
+        severity: "error",
+        code: "invalid-parameter-name",
+        message: `Parameter name '${name}' must match ${NAME_PATTERN.source}`,
+        path: ["parameters", name],
+        atKey: true,
+      })
+    }
+  })
+
+  const profiles = isPlainObject(data.profiles) ? data.profiles : {}
+  const profileNames = getProfileNames(data)
+  profileNames.forEach((profile) => {
+    const overrides = profiles[profile]
+    if (overrides === null) return
+    if (!isPlainObject(overrides)) {
+      issues.push({
+        severity: "error",
+        code: "invalid-profiles",
+        message: `Profile '${profile}' must be a mapping of parameter values`,
+        path: ["profiles", profile],
+      })
+      return
+    }
+    Object.keys(overrides).forEach((name) => {
+      if (declared.includes(name)) return
+      issues.push({
+        severity: "warning",
+        code: "unknown-profile-parameter",
+        message: `Profile '${profile}' sets '${name}', which is not declared in 'parameters'`,
+        path: ["profiles", profile, name],
+        atKey: true,
+      })
+    })
+  })
+
+  // References may be defined by the defaults or by any profile
+  const defined = new Set(declared)
+  profileNames.forEach((profile) => {
+    if (isPlainObject(profiles[profile])) Object.keys(profiles[profile]).forEach((name) => defined.add(name))
+  })
+  const references = findParameterReferences(data.actions, ["actions"])
+
+  references.forEach((reference) => {
+    if (defined.has(reference.name)) return
+    issues.push({
+      severity: "error",
+      code: "undefined-parameter",
+      message: `Parameter '${reference.name}' is not defined`,
+      path: reference.path,
+    })
+  })
+
+  const used = new Set(references.map((reference) => reference.name))
+  declared.forEach((name) => {
+    if (used.has(name)) return
+    issues.push({
+      severity: "warning",
+      code: "unused-parameter",
+      message: `Parameter '${name}' is never used`,
+      path: ["parameters", name],
+      atKey: true,
+    })
+  })
+
+  return issues
+}
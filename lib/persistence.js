@@ -0,0 +1,147 @@
+/**
+ * Browser persistence of the workspace in IndexedDB.
+ *
+ * The "session" store holds a single record, the latest autosave of the
+ * workspace, which is offered back after a reload or crash. The "snapshots"
+ * store holds named, timestamped copies the user saves explicitly.
+ */
+
+const DB_NAME = "yaml-workflow-builder"
+const DB_VERSION = 1
+const SESSION_STORE = "session"
+const SNAPSHOT_STORE = "snapshots"
+const SESSION_KEY = "current"
+
+/**
+ * @typedef {Object} StoredDocument
+ * @property {string} content
+ * @property {string} savedContent
+ * @property {import('./workspace.js').S3Origin|null} [s3Origin]
+ */
+
+/**
+ * @typedef {Object} StoredWorkspace
+ * @property {Object<string, StoredDocument>} documents
+ * @property {string[]} openPaths
+ * @property {string|null} activePath
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {StoredWorkspace} workspace
+ * @property {number} savedAt
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {StoredWorkspace} workspace
+ */
+
+/**
+ * @returns {boolean}
+ */
+export function isPersistenceAvailable() {
+  return typeof indexedDB !== "undefined"
+}
+
+/** @type {Promise<IDBDatabase>|null} */
+let databasePromise = null
+
+/**
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE)
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true })
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        databasePromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return databasePromise
+}
+
+/**
+ * Runs a single request in its own transaction
+ * @template T
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest<T>} makeRequest
+ * @returns {Promise<T>}
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = makeRequest(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * @param {StoredWorkspace} workspace
+ * @returns {Promise<void>}
+ */
+export async function saveSession(workspace) {
+  /** @type {Session} */
+  const session = { workspace, savedAt: Date.now() }
+  await runRequest(SESSION_STORE, "readwrite", (store) => store.put(session, SESSION_KEY))
+}
+
+/**
+ * @returns {Promise<Session|null>}
+ */
+export async function loadSession() {
+  const session = await runRequest(SESSION_STORE, "readonly", (store) => store.get(SESSION_KEY))
+  return session ?? null
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export async function clearSession() {
+  await runRequest(SESSION_STORE, "readwrite", (store) => store.delete(SESSION_KEY))
+}
+
+/**
+ * @param {string} name
+ * @param {StoredWorkspace} workspace
+ * @returns {Promise<Snapshot>}
+ */
+export async function createSnapshot(name, workspace) {
+  const snapshot = { name, createdAt: Date.now(), workspace }
+  const id = await runRequest(SNAPSHOT_STORE, "readwrite", (store) => store.add(snapshot))
+  return { ...snapshot, id: Number(id) }
+}
+
+/**
+ * Lists the snapshots, newest first
+ * @returns {Promise<Snapshot[]>}
+ */
+export async function listSnapshots() {
+  const snapshots = await runRequest(SNAPSHOT_STORE, "readonly", (store) => store.getAll())
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteSnapshot(id) {
+  await runRequest(SNAPSHOT_STORE, "readwrite", (store) => store.delete(id))
+}
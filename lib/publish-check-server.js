@@ -0,0 +1,114 @@
+/**
+ * The pre-publish check as the API routes run it. Never import this from client
+ * components: it reads the project's files from the workspace directory.
+ *
+ * The action types and lint config come from ACTION_TYPES_FILE and
+ * LINT_CONFIG_FILE in WORKSPACE_ROOT, like the CLI reads them from its root,
+ * so a client can't loosen the check by sending its own. Include actions are
+ * resolved against the files in WORKSPACE_ROOT too, so a missing or cyclic
+ * include blocks a publish here as it does in the builder and the CLI. Unsaved
+ * changes to included files that are open in the builder don't count.
+ */
+import { readFile } from "node:fs/promises"
+import nodePath from "node:path"
+import { ACTION_TYPES_FILE, loadActionTypes } from "./action-plugins.js"
+import { getIncludeDiagnostics, resolveIncludes } from "./include-resolver.js"
+import { LINT_CONFIG_FILE, parseLintConfig } from "./lint.js"
+import { runPublishCheck } from "./publish-check.js"
+import { buildSourceMap } from "./yaml-source-map.js"
+import { readWorkspaceFile } from "./workspace-files.js"
+import { validateYaml } from "./yaml-utils.js"
+
+/** The local workspace directory: WORKSPACE_ROOT, else the working directory of the server */
+const WORKSPACE_ROOT = nodePath.resolve(process.env.WORKSPACE_ROOT || process.cwd())
+
+/**
+ * @param {string} root
+ * @param {string} name
+ * @returns {Promise<string|null>} The file's content, or null when there is none
+ */
+async function readProjectFile(root, name) {
+  try {
+    return await readFile(nodePath.join(root, name), "utf8")
+  } catch (error) {
+    if (error?.code === "ENOENT") return null
+    throw error
+  }
+}
+
+/**
+ * Resolves the Include actions of a workflow against the workspace directory
+ * @param {string} content
+ * @param {string} path - Workspace-relative path of the workflow
+ * @param {string} root
+ * @returns {Promise<import('./types.js').Diagnostic[]>}
+ */
+async function getServerIncludeDiagnostics(content, path, root) {
+  const { data } = validateYaml(content)
+  if (!Array.isArray(data?.actions)) return []
+  const resolutions = await resolveIncludes(data.actions, {
+    path,
+    loadFile: (workspacePath) => readWorkspaceFile(root, workspacePath),
+  })
+  return getIncludeDiagnostics(resolutions, buildSourceMap(content).getRange)
+}
+
+/**
+ * Runs the pre-publish check on a workflow with the project's action types, lint config and Include files
+ * @param {string} content
+ * @param {Object} [options]
+ * @param {string} [options.path] - Workspace-relative path of the workflow, which relative Include paths start
+ *   from; the workspace root when unknown
+ * @param {string} [options.root=WORKSPACE_ROOT]
+ * @returns {Promise<import('./publish-check.js').PublishCheckResult>}
+ */
+export async function runServerPublishCheck(content, { path = "", root = WORKSPACE_ROOT } = {}) {
+  const [actionTypes, lintConfigContent] = await Promise.all([
+    readProjectFile(root, ACTION_TYPES_FILE),
+    readProjectFile(root, LINT_CONFIG_FILE),
+  ])
+
+  loadActionTypes(actionTypes)
+  const includeDiagnostics = await getServerIncludeDiagnostics(content, path, root)
+
+  // The action type registry is shared by every request: load it again and check without awaiting in between
+  loadActionTypes(actionTypes)
+  const { config } = parseLintConfig(lintConfigContent ?? "")
+  return runPublishCheck(content, { extraDiagnostics: includeDiagnostics, lintConfig: config })
+}
+
+/**
+ * Applies the pre-publish check to a request of the S3 routes: a workflow with errors is refused
+ * unless the request's `override.reason` says why it is published anyway
+ * @param {import('./publish-check.js').PublishCheckResult} check
+ * @param {any} override - `override` of the request body
+ * @returns {{
+ *   refusal: { error: string, code: "ValidationFailed", errors: string[] } | null,
+ *   overrideReason: string,
+ *   metadata: Object<string, string>,
+ * }} `refusal` is the 422 response body when refused; `metadata` marks an override on the object
+ */
+export function applyPublishGate(check, override) {
+  const overrideReason = check.errors.length > 0 && typeof override?.reason === "string" ? override.reason.trim() : ""
+  if (check.errors.length > 0 && !overrideReason) {
+    const messages = check.errors.map((diagnostic) => diagnostic.message)
+    return {
+      refusal: {
+        error: `The workflow has ${messages.length} validation error(s): ${messages.slice(0, 3).join("; ")}`,
+        code: "ValidationFailed",
+        errors: messages,
+      },
+      overrideReason,
+      metadata: {},
+    }
+  }
+  // Metadata must be ASCII, and S3 limits it to 2 KB in total
+  /** @type {Object<string, string>} */
+  const metadata = overrideReason
+    ? {
+        "validation-override": encodeURIComponent(overrideReason).slice(0, 512),
+        "validation-errors": String(check.errors.length),
+      }
+    : {}
+  return { refusal: null, overrideReason, metadata }
+}
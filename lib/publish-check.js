@@ -0,0 +1,134 @@
+/**
+ * Pre-publish check: everything that must hold before a workflow leaves the
+ * builder, by upload to S3 or by download. It combines the structural and
+ * dependency diagnostics of validateYaml with SQL validation of every action
+ * and the lint rules configured as errors.
+ *
+ * Errors block publishing unless the user overrides them with a reason;
+ * warnings only need to be acknowledged. The S3 upload route runs the check
+ * again (see publish-check-server.js) and records overrides on the object.
+ */
+import { validateYaml } from "./yaml-utils.js"
+import { buildSourceMap } from "./yaml-source-map.js"
+import { detectSQLSyntax, identifySQLProperties, validateSQL } from "./sql-utils.js"
+import { lintWorkflow } from "./lint.js"
+
+/**
+ * @typedef {Object} PublishCheckResult
+ * @property {import('./types.js').Diagnostic[]} errors
+ * @property {import('./types.js').Diagnostic[]} warnings
+ * @property {"passed"|"warnings"|"blocked"} status
+ */
+
+/**
+ * @typedef {Object} PublishDecision
+ * @property {boolean} warningsAcknowledged
+ * @property {string} overrideReason - Non-empty to publish despite errors
+ */
+
+/**
+ * Validates the SQL in every action's SQL properties
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {string} content - Source of `actions`, to locate the diagnostics
+ * @returns {import('./types.js').Diagnostic[]}
+ */
+export function getSqlDiagnostics(actions, content) {
+  const sourceMap = buildSourceMap(content)
+  /** @type {import('./types.js').Diagnostic[]} */
+  const diagnostics = []
+
+  /**
+   * @param {string} sql
+   * @param {(string|number)[]} path
+   * @param {string} label
+   */
+  const check = (sql, path, label) => {
+    const { errors, warnings } = validateSQL(sql)
+    const range = sourceMap.getRange(path)
+    /**
+     * @param {"error"|"warning"} severity
+     * @param {string} message
+     */
+    const report = (severity, message) => {
+      // Parser errors of sql-formatter run to hundreds of lines of grammar trace; the first says what's wrong
+      const summary = message.split("\n")[0]
+      diagnostics.push({ severity, code: `sql-${severity}`, message: `${label}: ${summary}`, path, range })
+    }
+    errors.forEach((message) => report("error", message))
+    warnings.forEach((message) => report("warning", message))
+  }
+
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== "object") return
+    const name = action.name ? `'${action.name}'` : `#${index}`
+
+    identifySQLProperties(action).forEach((prop) => {
+      const value = action[prop]
+      if (typeof value === "string") {
+        check(value, ["actions", index, prop], `Action ${name} ${prop}`)
+      } else if (Array.isArray(value)) {
+        value.forEach((item, itemIndex) => {
+          if (typeof item === "string" && detectSQLSyntax(item)) {
+            check(item, ["actions", index, prop, itemIndex], `Action ${name} ${prop}[${itemIndex}]`)
+          }
+        })
+      }
+    })
+  })
+
+  return diagnostics
+}
+
+/**
+ * Runs every check on a workflow before it is published
+ * @param {string} content
+ * @param {Object} [options]
+ * @param {import('./types.js').Diagnostic[]} [options.extraDiagnostics] - Diagnostics computed elsewhere, e.g. of
+ *   Include resolution
+ * @param {import('./lint.js').LintConfig} [options.lintConfig] - The project's lint config
+ * @returns {PublishCheckResult}
+ */
+export function runPublishCheck(content, { extraDiagnostics = [], lintConfig = { rules: {} } } = {}) {
+  const { diagnostics, data } = validateYaml(content)
+  // Only lint problems configured as errors stop a publish; the others stay advice in the editor
+  const lintErrors = lintWorkflow(content, lintConfig).filter((diagnostic) => diagnostic.severity === "error")
+  const all = [
+    ...diagnostics,
+    ...extraDiagnostics,
+    ...(data ? getSqlDiagnostics(Array.isArray(data.actions) ? data.actions : [], content) : []),
+    ...lintErrors,
+  ]
+
+  const errors = all.filter((diagnostic) => diagnostic.severity === "error")
+  const warnings = all.filter((diagnostic) => diagnostic.severity === "warning")
+  return { errors, warnings, status: errors.length ? "blocked" : warnings.length ? "warnings" : "passed" }
+}
+
+/**
+ * Whether the user has done what the check requires to publish
+ * @param {PublishCheckResult} result
+ * @param {PublishDecision} decision
+ * @returns {boolean}
+ */
+export function canPublish(result, { warningsAcknowledged, overrideReason }) {
+  if (result.errors.length > 0 && !overrideReason.trim()) return false
+  if (result.warnings.length > 0 && !warningsAcknowledged) return false
+  return true
+}
+
+/**
+ * Describes a publish despite errors, for the logs
+ * @param {Object} entry
+ * @param {string} entry.path - Document path, or S3 key
+ * @param {string} entry.reason
+ * @param {PublishCheckResult} entry.result
+ * @returns {{path: string, reason: string, errors: string[], at: string}}
+ */
+export function createOverrideRecord({ path, reason, result }) {
+  return {
+    path,
+    reason: reason.trim(),
+    errors: result.errors.map((diagnostic) => diagnostic.message),
+    at: new Date().toISOString(),
+  }
+}
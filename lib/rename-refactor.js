@@ -0,0 +1,253 @@
+/**
+ * Rename refactoring for dataframes and action names.
+ *
+ * The uses to rewrite come from resolveDependencies, so only real references
+ * change: exact-name properties such as `dataframe` and `sources`, identifiers
+ * in SQL and other free text (not those inside comments or string literals)
+ * and `dependsOn` entries. A rename is planned first, so its edits can be
+ * previewed, and then applied as one new list of actions.
+ */
+import { getDataflow } from "./action-definitions.js"
+import { getProducedDataframes, resolveDependencies, tokenizeIdentifiers } from "./dataframe-dependencies.js"
+
+const DATAFRAME_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+/**
+ * @typedef {Object} RenameTarget
+ * @property {"dataframe"|"action"} kind
+ * @property {string} name - The current name
+ */
+
+/**
+ * @typedef {Object} RenameEdit
+ * @property {number} index - Index of the edited action
+ * @property {string} prop
+ * @property {number} [item] - Index within the property when it is a list
+ * @property {string} before - The whole property value before the rename
+ * @property {string} after
+ * @property {number} occurrences - How many uses of the name the value contains
+ */
+
+/**
+ * @typedef {Object} RenamePlan
+ * @property {RenameTarget} target
+ * @property {string} newName
+ * @property {RenameEdit[]} edits
+ * @property {import('./types.js').ActionType[]|null} actions - The renamed actions, or null when the rename is rejected
+ * @property {string|null} error - Why the rename is rejected
+ */
+
+/**
+ * A use of the old name within one action property value
+ * @typedef {Object} Replacement
+ * @property {number} index
+ * @property {string} prop
+ * @property {number} [item]
+ * @property {number} start
+ * @property {number} end
+ * @property {string} newName
+ */
+
+/**
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {number} index
+ * @returns {string}
+ */
+function describe(actions, index) {
+  return `'${actions[index]?.name ?? `#${index + 1}`}'`
+}
+
+/**
+ * Replaces the trimmed value of a string, keeping the whitespace around it
+ * @param {string} text
+ * @param {string} newName
+ * @returns {{start: number, end: number, newName: string}}
+ */
+function wholeValue(text, newName) {
+  const start = text.length - text.trimStart().length
+  return { start, end: start + text.trim().length, newName }
+}
+
+/**
+ * Collects text replacements by action property and builds the edits and the renamed actions
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {Replacement[]} replacements
+ * @returns {{edits: RenameEdit[], actions: import('./types.js').ActionType[]}}
+ */
+function applyReplacements(actions, replacements) {
+  /** @type {Map<string, {index: number, prop: string, item?: number, spans: Replacement[]}>} */
+  const groups = new Map()
+  replacements.forEach((replacement) => {
+    const { index, prop, item } = replacement
+    const key = JSON.stringify([index, prop, item ?? null])
+    let group = groups.get(key)
+    if (!group) {
+      group = { index, prop, item, spans: [] }
+      groups.set(key, group)
+    }
+    const spans = group.spans
+    // The same use can be found twice, e.g. a Transform's dataframe is both produced and consumed
+    if (!spans.some((span) => span.start === replacement.start)) spans.push(replacement)
+  })
+
+  const renamed = [...actions]
+  /** @type {RenameEdit[]} */
+  const edits = []
+
+  ;[...groups.values()]
+    .sort((a, b) => a.index - b.index)
+    .forEach(({ index, prop, item, spans }) => {
+      const action = { ...renamed[index] }
+      const before = item === undefined ? action[prop] : action[prop][item]
+      // Replace from the end so earlier offsets stay valid
+      const after = [...spans]
+        .sort((a, b) => b.start - a.start)
+        .reduce((text, span) => text.slice(0, span.start) + span.newName + text.slice(span.end), before)
+
+      if (item === undefined) {
+        action[prop] = after
+      } else {
+        action[prop] = [...action[prop]]
+        action[prop][item] = after
+      }
+      renamed[index] = action
+      edits.push({ index, prop, item, before, after, occurrences: spans.length })
+    })
+
+  return { edits, actions: renamed }
+}
+
+/**
+ * @param {RenameTarget} target
+ * @param {string} newName
+ * @param {string} error
+ * @returns {RenamePlan}
+ */
+function rejected(target, newName, error) {
+  return { target, newName, edits: [], actions: null, error }
+}
+
+/**
+ * Plans renaming a dataframe in every action that produces or uses it. The
+ * rename is rejected when the new name is not a valid dataframe name or would
+ * collide with an existing dataframe, an action `dependsOn` refers to, or an
+ * identifier already used in free text such as SQL.
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {RenamePlan}
+ */
+export function planDataframeRename(actions, oldName, newName) {
+  /** @type {RenameTarget} */
+  const target = { kind: "dataframe", name: oldName }
+  const name = newName.trim()
+  const { producers, references } = resolveDependencies(actions)
+
+  if (!producers.has(oldName)) return rejected(target, name, `No action produces dataframe '${oldName}'`)
+  if (!name || name === oldName) return rejected(target, name, "Enter a new name")
+  if (!DATAFRAME_NAME.test(name)) {
+    return rejected(target, name, `'${name}' is not a valid dataframe name: use letters, digits and underscores`)
+  }
+  const existingProducers = producers.get(name)
+  if (existingProducers) {
+    const producer = describe(actions, existingProducers[0])
+    return rejected(target, name, `Dataframe '${name}' already exists, produced by ${producer}`)
+  }
+  const dependedOnAction = references.find(
+    (reference) => reference.kind === "explicit" && reference.dataframe === name && reference.producer !== null,
+  )
+  if (dependedOnAction) {
+    const dependent = describe(actions, dependedOnAction.index)
+    return rejected(target, name, `'${name}' is the name of an action ${dependent} depends on`)
+  }
+  // Free text only counts as a use once some action produces the name, so an
+  // identifier already spelled that way (a column, say) would become one
+  for (const [index, action] of actions.entries()) {
+    if (!action || typeof action !== "object") continue
+    for (const prop of getDataflow(action.action).references) {
+      const values = Array.isArray(action[prop]) ? action[prop] : [action[prop]]
+      const used = values.some(
+        (text) => typeof text === "string" && tokenizeIdentifiers(text).some((token) => token.name === name),
+      )
+      if (used) return rejected(target, name, `'${name}' is already used in '${prop}' of ${describe(actions, index)}`)
+    }
+  }
+
+  /** @type {Replacement[]} */
+  const replacements = []
+  actions.forEach((action, index) => {
+    if (!getProducedDataframes(action).includes(oldName)) return
+    getDataflow(action.action).produces.forEach((prop) => {
+      const values = Array.isArray(action[prop]) ? action[prop] : [action[prop]]
+      values.forEach((text, position) => {
+        if (typeof text !== "string" || text.trim() !== oldName) return
+        const item = Array.isArray(action[prop]) ? position : undefined
+        replacements.push({ index, prop, item, ...wholeValue(text, name) })
+      })
+    })
+  })
+  references.forEach((reference) => {
+    if (reference.dataframe !== oldName) return
+    const { index, prop, item } = reference
+    const text = item === undefined ? actions[index][prop] : actions[index][prop][item]
+    const span =
+      reference.kind === "reference"
+        ? { start: /** @type {number} */ (reference.start), end: /** @type {number} */ (reference.end), newName: name }
+        : wholeValue(text, name)
+    replacements.push({ index, prop, item, ...span })
+  })
+
+  return { target, newName: name, error: null, ...applyReplacements(actions, replacements) }
+}
+
+/**
+ * Plans renaming an action and the `dependsOn` entries that refer to it. The
+ * rename is rejected when another action has the new name, or when a dataframe
+ * does: `dependsOn` entries naming both refer to the dataframe.
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {RenamePlan}
+ */
+export function planActionRename(actions, oldName, newName) {
+  /** @type {RenameTarget} */
+  const target = { kind: "action", name: oldName }
+  const name = newName.trim()
+  const index = actions.findIndex((action) => action?.name === oldName)
+  const { producers, references } = resolveDependencies(actions)
+
+  if (index === -1) return rejected(target, name, `No action is named '${oldName}'`)
+  if (!name || name === oldName) return rejected(target, name, "Enter a new name")
+  const existing = actions.findIndex((action) => action?.name === name)
+  if (existing !== -1) return rejected(target, name, `Action #${existing + 1} is already named '${name}'`)
+  const producerIndexes = producers.get(name)
+  if (producerIndexes) {
+    return rejected(target, name, `'${name}' is a dataframe produced by ${describe(actions, producerIndexes[0])}`)
+  }
+
+  /** @type {Replacement[]} */
+  const replacements = [{ index, prop: "name", ...wholeValue(oldName, name) }]
+  references.forEach((reference) => {
+    if (reference.kind !== "explicit" || reference.dataframe !== oldName || reference.producer !== index) return
+    // A dataframe with the old name takes precedence, so the entry never referred to the action
+    if (producers.has(oldName)) return
+    const { prop, item } = reference
+    const text = item === undefined ? actions[reference.index][prop] : actions[reference.index][prop][item]
+    replacements.push({ index: reference.index, prop, item, ...wholeValue(text, name) })
+  })
+
+  return { target, newName: name, error: null, ...applyReplacements(actions, replacements) }
+}
+
+/**
+ * Plans a rename of either kind
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {RenameTarget} target
+ * @param {string} newName
+ * @returns {RenamePlan}
+ */
+export function planRename(actions, target, newName) {
+  return target.kind === "action"
+    ? planActionRename(actions, target.name, newName)
+    : planDataframeRename(actions, target.name, newName)
+}
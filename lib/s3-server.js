@@ -0,0 +1,174 @@
+/**
+ * Server-side S3 access for the API routes. Never import this from client components:
+ * it reads credentials from the environment.
+ *
+ * Configuration (all optional except credentials):
+ * - S3_ENDPOINT: custom endpoint for S3-compatible stores such as MinIO, e.g. http://localhost:9000
+ * - S3_REGION / AWS_REGION: defaults to S3_CONFIG.REGION
+ * - S3_BUCKET_NAME: defaults to S3_CONFIG.BUCKET_NAME
+ * - S3_PREFIX: key prefix for uploaded workflows, e.g. "workflows/"
+ * - S3_FORCE_PATH_STYLE: "true"/"false", defaults to true when S3_ENDPOINT is set
+ * - S3_SSE: server-side encryption, "AES256" (default), "aws:kms" or "none"
+ * - S3_SSE_KMS_KEY_ID: KMS key for "aws:kms"
+ * - S3_METADATA: JSON object of extra metadata stored with every upload
+ * - AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN or any other source of the AWS default credential chain
+ */
+import { S3Client } from "@aws-sdk/client-s3"
+import { S3_CONFIG } from "./s3-utils.js"
+
+/**
+ * @typedef {Object} S3ServerConfig
+ * @property {string|undefined} endpoint
+ * @property {string} region
+ * @property {string} bucket
+ * @property {string} prefix - Empty, or ending in "/"
+ * @property {boolean} forcePathStyle
+ * @property {"AES256"|"aws:kms"|null} serverSideEncryption
+ * @property {string|undefined} kmsKeyId
+ * @property {Object<string, string>} metadata
+ */
+
+/**
+ * Reads the S3 configuration from the environment
+ * @param {Object<string, string|undefined>} [env=process.env]
+ * @returns {S3ServerConfig}
+ * @throws {Error} When a setting is invalid
+ */
+export function getS3ServerConfig(env = process.env) {
+  const endpoint = env.S3_ENDPOINT || undefined
+
+  const sse = env.S3_SSE || "AES256"
+  if (!["AES256", "aws:kms", "none"].includes(sse)) {
+    throw new Error(`S3_SSE must be "AES256", "aws:kms" or "none", got "${sse}"`)
+  }
+
+  /** @type {Object<string, string>} */
+  let metadata = {}
+  if (env.S3_METADATA) {
+    let parsed
+    try {
+      parsed = JSON.parse(env.S3_METADATA)
+    } catch {
+      parsed = null
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error("S3_METADATA must be a JSON object")
+    }
+    metadata = Object.fromEntries(Object.entries(parsed).map(([key, value]) => [key, String(value)]))
+  }
+
+  const prefix = (env.S3_PREFIX || "").replace(/^\/+/, "")
+
+  return {
+    endpoint,
+    region: env.S3_REGION || env.AWS_REGION || S3_CONFIG.REGION,
+    bucket: env.S3_BUCKET_NAME || S3_CONFIG.BUCKET_NAME,
+    prefix: prefix && !prefix.endsWith("/") ? `${prefix}/` : prefix,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : Boolean(endpoint),
+    serverSideEncryption: sse === "none" ? null : /** @type {"AES256"|"aws:kms"} */ (sse),
+    kmsKeyId: env.S3_SSE_KMS_KEY_ID || undefined,
+    metadata,
+  }
+}
+
+/**
+ * @param {S3ServerConfig} config
+ * @returns {S3Client}
+ */
+export function createS3Client(config) {
+  return new S3Client({
+    region: config.region,
+    endpoint: config.endpoint,
+    forcePathStyle: config.forcePathStyle,
+  })
+}
+
+/**
+ * @param {S3ServerConfig} config
+ * @param {string} filename
+ * @returns {string}
+ */
+export function buildObjectKey(config, filename) {
+  return `${config.prefix}${filename.replace(/^\/+/, "")}`
+}
+
+/**
+ * Whether a key is one the app may read or write: under the configured prefix, without ".." segments
+ * @param {S3ServerConfig} config
+ * @param {string|null} key
+ * @returns {boolean}
+ */
+export function isKeyAllowed(config, key) {
+  return !!key && key.startsWith(config.prefix) && !key.split("/").includes("..")
+}
+
+/**
+ * Whether an upload based on `expectedEtag` would overwrite changes it hasn't seen
+ * @param {{etag: string|null}|null} current - The object in the bucket, null when there is none
+ * @param {string|null} expectedEtag - ETag the upload is based on, null for a new file
+ * @returns {boolean}
+ */
+export function hasUploadConflict(current, expectedEtag) {
+  return current ? current.etag !== expectedEtag : Boolean(expectedEtag)
+}
+
+/**
+ * Conditions for a PutObject request, so that an upload racing another one still fails in S3
+ * @param {string|null} expectedEtag - ETag the upload is based on, null for a new file
+ * @param {boolean} overwrite - Write regardless of what is in the bucket
+ * @returns {{IfMatch: string|undefined, IfNoneMatch: string|undefined}}
+ */
+export function getWriteConditions(expectedEtag, overwrite) {
+  return {
+    IfMatch: !overwrite && expectedEtag ? expectedEtag : undefined,
+    IfNoneMatch: !overwrite && !expectedEtag ? "*" : undefined,
+  }
+}
+
+/**
+ * Whether an S3 error means the condition of a conditional write no longer held
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isWriteConditionFailure(error) {
+  return error?.$metadata?.httpStatusCode === 412 || error?.name === "ConditionalRequestConflict"
+}
+
+/**
+ * URL of an object, for display
+ * @param {S3ServerConfig} config
+ * @param {string} key
+ * @returns {string}
+ */
+export function getObjectUrl(config, key) {
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/")
+  if (config.endpoint) {
+    const endpoint = config.endpoint.replace(/\/+$/, "")
+    if (config.forcePathStyle) return `${endpoint}/${config.bucket}/${encodedKey}`
+    const url = new URL(endpoint)
+    return `${url.protocol}//${config.bucket}.${url.host}/${encodedKey}`
+  }
+  return `https://${config.bucket}.s3.${config.region}.amazonaws.com/${encodedKey}`
+}
+
+/**
+ * Turns an S3 SDK or network error into an HTTP status and a message for the client
+ * @param {any} error
+ * @returns {{status: number, body: {error: string, code: string}}}
+ */
+export function toS3ErrorResponse(error) {
+  const code = error?.Code || error?.name || "UnknownError"
+  const message = error?.message || String(error)
+
+  if (code === "CredentialsProviderError") {
+    return { status: 500, body: { error: "S3 credentials are not configured on the server", code } }
+  }
+  if (["ECONNREFUSED", "ENOTFOUND", "ETIMEDOUT", "ECONNRESET"].includes(error?.code)) {
+    return { status: 502, body: { error: `Could not reach S3: ${message}`, code: error.code } }
+  }
+
+  const httpStatus = error?.$metadata?.httpStatusCode
+  // Errors from S3 keep their status, except 5xx which are reported as a bad gateway
+  const status = httpStatus >= 400 && httpStatus < 500 ? httpStatus : 502
+  return { status, body: { error: message, code } }
+}
@@ -15,12 +15,18 @@ export const S3_CONFIG = {
   // Use AWS Cognito, STS, or server-side proxy for secure uploads
 }
 
+/** S3's limit on the UTF-8 length of a whole key */
+export const MAX_S3_KEY_BYTES = 1024
+
 /**
- * Validates filename for S3 upload
+ * Validates filename for S3 upload. The filename may contain "/" to place the file in
+ * folders under the configured prefix.
  * @param {string} filename - The filename to validate
+ * @param {Object} [options]
+ * @param {string} [options.prefix=""] - Key prefix the filename is appended to, counted in the key length
  * @returns {{ isValid: boolean, error?: string }}
  */
-export function validateS3Filename(filename) {
+export function validateS3Filename(filename, { prefix = "" } = {}) {
   if (!filename || typeof filename !== "string") {
     return { isValid: false, error: "Filename is required" }
   }
@@ -32,16 +38,30 @@ export function validateS3Filename(filename) {
     return { isValid: false, error: "Filename cannot be empty" }
   }
 
-  if (trimmed.length > 255) {
-    return { isValid: false, error: "Filename too long (max 255 characters)" }
+  const keyBytes = new TextEncoder().encode(`${prefix}${trimmed}`).length
+  if (keyBytes > MAX_S3_KEY_BYTES) {
+    return { isValid: false, error: `Key too long (${keyBytes} bytes, max ${MAX_S3_KEY_BYTES} including the prefix)` }
   }
 
-  // Check for invalid characters
-  const invalidChars = /[<>:"|?*\x00-\x1f]/
+  // Check for invalid characters, including those S3 recommends avoiding in keys
+  const invalidChars = /[<>:"|?*\\{}^%`[\]~#\x00-\x1f\x7f]/
   if (invalidChars.test(trimmed)) {
     return { isValid: false, error: "Filename contains invalid characters" }
   }
 
+  if (trimmed.startsWith("/") || trimmed.endsWith("/")) {
+    return { isValid: false, error: "Filename cannot start or end with '/'" }
+  }
+
+  const segments = trimmed.split("/")
+  if (segments.some((segment) => segment === "" || segment === "." || segment === "..")) {
+    return { isValid: false, error: "Folders in the filename cannot be empty, '.' or '..'" }
+  }
+
+  if (segments.some((segment) => new TextEncoder().encode(segment).length > 255)) {
+    return { isValid: false, error: "Each folder and file name can be at most 255 bytes" }
+  }
+
   // Check for reserved names
   const reservedNames = [
     "CON",
@@ -67,14 +87,28 @@ export function validateS3Filename(filename) {
     "LPT8",
     "LPT9",
   ]
-  const nameWithoutExt = trimmed.split(".")[0].toUpperCase()
-  if (reservedNames.includes(nameWithoutExt)) {
+  if (segments.some((segment) => reservedNames.includes(segment.split(".")[0].toUpperCase()))) {
     return { isValid: false, error: "Filename uses a reserved name" }
   }
 
   return { isValid: true }
 }
 
+/**
+ * Suggests a free filename next to an existing one, e.g. "daily.yaml" -> "daily-2.yaml"
+ * @param {string} filename
+ * @param {string[]} [taken] - Filenames that are already in use
+ * @returns {string}
+ */
+export function suggestAlternativeFilename(filename, taken = []) {
+  const match = /** @type {RegExpExecArray} */ (/^(.*?)(?:-(\d+))?(\.ya?ml)?$/i.exec(filename))
+  const base = match[1]
+  const extension = match[3] || ".yaml"
+  let counter = match[2] ? Number(match[2]) + 1 : 2
+  while (taken.includes(`${base}-${counter}${extension}`)) counter++
+  return `${base}-${counter}${extension}`
+}
+
 /**
  * Ensures filename has proper YAML extension
  * @param {string} filename - The filename to process
@@ -103,11 +137,11 @@ export function generateDefaultFilename(prefix = "workflow") {
 
 /**
  * Calculates file size in human-readable format
- * @param {string} content - The file content
+ * @param {string|number} content - The file content, or its size in bytes
  * @returns {string} - Human-readable file size
  */
 export function getFileSize(content) {
-  const bytes = new Blob([content]).size
+  const bytes = typeof content === "number" ? content : new Blob([content]).size
 
   if (bytes === 0) return "0 Bytes"
 
@@ -119,79 +153,207 @@ export function getFileSize(content) {
 }
 
 /**
- * Simulates S3 upload (for demonstration)
- * In production, this would use AWS SDK or server-side API
+ * An S3 request that failed, with the S3 error code where there is one (e.g. "NoSuchBucket")
+ */
+export class S3RequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status of the API route
+   * @param {string} [details.code]
+   * @param {S3Conflict|null} [details.conflict] - Set when the code is "Conflict"
+   * @param {string[]} [details.errors] - The pre-publish check's errors when the code is "ValidationFailed"
+   */
+  constructor(message, { status = 0, code = "UnknownError", conflict = null, errors = [] } = {}) {
+    super(message)
+    this.name = "S3RequestError"
+    this.status = status
+    this.code = code
+    this.conflict = conflict
+    this.errors = errors
+  }
+}
+
+/**
+ * The object an upload would have overwritten
+ * @typedef {Object} S3Conflict
+ * @property {string} key
+ * @property {string|null} currentEtag - ETag of the object in the bucket now
+ * @property {string|null} expectedEtag - ETag the upload was based on, null for a new file
+ * @property {string|null} lastModified
+ */
+
+/**
+ * @typedef {Object} S3UploadResult
+ * @property {boolean} success
+ * @property {string} location
+ * @property {string} bucket
+ * @property {string} key
+ * @property {string} etag
+ * @property {string|null} versionId - Set when the bucket is versioned
+ * @property {number} size
+ * @property {string} uploadedAt
+ */
+
+/**
+ * Uploads a workflow through the server-side /api/s3/upload route.
+ * XMLHttpRequest rather than fetch, because only it reports upload progress.
  * @param {Object} params - Upload parameters
- * @param {string} params.filename - The filename
+ * @param {string} params.filename - The filename, relative to the configured prefix
  * @param {string} params.content - The file content
- * @param {function} [params.onProgress] - Progress callback
- * @returns {Promise<Object>} - Upload result
+ * @param {string|null} [params.path] - Workspace-relative path of the workflow, for resolving its Include actions
+ *   in the server's check
+ * @param {string|null} [params.expectedEtag] - ETag of the object this content was opened from; null means the key
+ *   must not exist yet. The upload fails with a "Conflict" S3RequestError when the bucket doesn't match
+ * @param {boolean} [params.overwrite=false] - Upload regardless of what is in the bucket
+ * @param {{reason: string}|null} [params.override] - Set when publishing despite validation errors. The server
+ *   runs the check again, refuses workflows with errors without a reason ("ValidationFailed"), and logs the
+ *   reason and stores it with the object otherwise
+ * @param {function(number): void} [params.onProgress] - Progress callback, 0 to 100
+ * @returns {Promise<S3UploadResult>}
+ * @throws {S3RequestError}
  */
-export async function simulateS3Upload({ filename, content, onProgress }) {
-  // Simulate upload progress
-  const steps = 10
-  const delay = 200
+export function uploadToS3({
+  filename,
+  content,
+  path = null,
+  expectedEtag = null,
+  overwrite = false,
+  override = null,
+  onProgress,
+}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open("POST", "/api/s3/upload")
+    xhr.setRequestHeader("Content-Type", "application/json")
+    xhr.responseType = "json"
 
-  for (let i = 0; i <= steps; i++) {
-    if (onProgress) {
-      onProgress((i / steps) * 100)
+    xhr.upload.onprogress = (event) => {
+      // The last step, the server's request to S3, isn't visible here, so stop short of 100
+      if (event.lengthComputable) onProgress?.(Math.min(95, (event.loaded / event.total) * 95))
     }
-    await new Promise((resolve) => setTimeout(resolve, delay))
-  }
+    xhr.onload = () => {
+      const body = xhr.response
+      if (xhr.status >= 200 && xhr.status < 300 && body?.success) {
+        onProgress?.(100)
+        resolve(body)
+      } else {
+        reject(
+          new S3RequestError(body?.error || `Upload failed with status ${xhr.status}`, {
+            status: xhr.status,
+            code: body?.code,
+            conflict: body?.conflict ?? null,
+            errors: body?.errors ?? [],
+          }),
+        )
+      }
+    }
+    xhr.onerror = () => reject(new S3RequestError("Network error while uploading", { code: "NetworkError" }))
 
-  // Simulate successful upload
-  return {
-    success: true,
-    location: `https://${S3_CONFIG.BUCKET_NAME}.s3.${S3_CONFIG.REGION}.amazonaws.com/${filename}`,
-    bucket: S3_CONFIG.BUCKET_NAME,
-    key: filename,
-    etag: `"${Math.random().toString(36).substr(2, 9)}"`,
-    size: new Blob([content]).size,
-    uploadedAt: new Date().toISOString(),
-  }
+    xhr.send(JSON.stringify({ filename, content, path, expectedEtag, overwrite, override }))
+  })
 }
 
 /**
- * Real S3 upload function (commented out for security)
- * This would be implemented server-side or with proper authentication
- */
-/*
-export async function uploadToS3({ filename, content, credentials }) {
-  const AWS = require('aws-sdk');
-  
-  const s3 = new AWS.S3({
-    accessKeyId: credentials.accessKeyId,
-    secretAccessKey: credentials.secretAccessKey,
-    sessionToken: credentials.sessionToken, // if using temporary credentials
-    region: S3_CONFIG.REGION
-  });
-
-  const uploadParams = {
-    Bucket: S3_CONFIG.BUCKET_NAME,
-    Key: filename,
-    Body: content,
-    ContentType: 'application/x-yaml',
-    ServerSideEncryption: 'AES256',
-    Metadata: {
-      'uploaded-by': 'yaml-builder',
-      'upload-timestamp': new Date().toISOString()
-    }
-  };
+ * @typedef {Object} S3WorkflowObject
+ * @property {string} key - Full object key
+ * @property {string} name - Key relative to the configured prefix
+ * @property {number} size
+ * @property {string|null} lastModified - ISO timestamp
+ * @property {string|null} etag
+ */
+
+/**
+ * @typedef {Object} S3WorkflowFile
+ * @property {string} key
+ * @property {string} name
+ * @property {string} content
+ * @property {string|null} etag
+ * @property {string|null} versionId
+ * @property {string|null} lastModified
+ */
+
+/**
+ * @typedef {Object} S3WorkflowVersion
+ * @property {string} versionId - "null" on buckets without versioning
+ * @property {boolean} isLatest
+ * @property {number} size
+ * @property {string|null} lastModified
+ * @property {string|null} etag
+ */
 
+/**
+ * Calls one of the /api/s3 routes and throws their errors as S3RequestError
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<any>}
+ * @throws {S3RequestError}
+ */
+async function requestS3Api(url, init) {
+  let response
   try {
-    const result = await s3.upload(uploadParams).promise();
-    return {
-      success: true,
-      location: result.Location,
-      bucket: result.Bucket,
-      key: result.Key,
-      etag: result.ETag
-    };
+    response = await fetch(url, init)
   } catch (error) {
-    return {
-      success: false,
-      error: error.message
-    };
+    throw new S3RequestError(`Network error: ${error.message}`, { code: "NetworkError" })
+  }
+  const body = await response.json().catch(() => null)
+  if (!response.ok) {
+    throw new S3RequestError(body?.error || `Request failed with status ${response.status}`, {
+      status: response.status,
+      code: body?.code,
+      conflict: body?.conflict ?? null,
+      errors: body?.errors ?? [],
+    })
   }
+  return body
+}
+
+/**
+ * Lists the workflows under the configured prefix
+ * @param {string|null} [token] - `nextToken` of the previous page
+ * @returns {Promise<{bucket: string, prefix: string, objects: S3WorkflowObject[], nextToken: string|null}>}
+ */
+export function listS3Workflows(token = null) {
+  const query = token ? `?token=${encodeURIComponent(token)}` : ""
+  return requestS3Api(`/api/s3/objects${query}`)
+}
+
+/**
+ * Reads a workflow, or one version of it
+ * @param {string} key
+ * @param {string|null} [versionId]
+ * @returns {Promise<S3WorkflowFile>}
+ */
+export function getS3Workflow(key, versionId = null) {
+  const params = new URLSearchParams({ key })
+  if (versionId) params.set("versionId", versionId)
+  return requestS3Api(`/api/s3/object?${params}`)
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{key: string, versions: S3WorkflowVersion[], versioningEnabled: boolean}>}
+ */
+export function listS3WorkflowVersions(key) {
+  return requestS3Api(`/api/s3/versions?${new URLSearchParams({ key })}`)
+}
+
+/**
+ * Makes a prior version the latest one again. Like an upload, it fails with a "Conflict" S3RequestError when the
+ * object no longer has `expectedEtag`, and with "ValidationFailed" when the version fails the pre-publish check
+ * and no override reason is given.
+ * @param {string} key
+ * @param {string} versionId
+ * @param {Object} options
+ * @param {string} options.expectedEtag - ETag of the current object, i.e. of its latest version
+ * @param {{reason: string}|null} [options.override] - Set when restoring despite validation errors
+ * @returns {Promise<{success: boolean, key: string, etag: string|null, versionId: string|null, restoredFrom: string}>}
+ * @throws {S3RequestError}
+ */
+export function restoreS3WorkflowVersion(key, versionId, { expectedEtag, override = null }) {
+  return requestS3Api("/api/s3/object", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ key, versionId, expectedEtag, override }),
+  })
 }
-*/
@@ -0,0 +1,176 @@
+/**
+ * Property schema validation for workflow actions
+ */
+import { getActionDefinition, getPropSchema } from "./action-definitions.js"
+import { hasParameterReference } from "./parameters.js"
+
+/**
+ * Returns the schema type name of a parsed YAML value
+ * @param {any} value
+ * @returns {string}
+ */
+export function getValueType(value) {
+  if (value === null || value === undefined) return "null"
+  if (Array.isArray(value)) return "array"
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number"
+  return typeof value
+}
+
+/**
+ * @param {any} value
+ * @param {import('./types.js').PropType} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = getValueType(value)
+  if (type === "number") return actual === "number" || actual === "integer"
+  return actual === type
+}
+
+/**
+ * Compiles the pattern of a schema
+ * @param {string} pattern
+ * @returns {RegExp|null} null when the pattern isn't a valid regular expression
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Formats a property path for messages, e.g. ["options", "partitionBy", 1] -> "options.partitionBy[1]"
+ * @param {(string|number)[]} path
+ * @returns {string}
+ */
+export function formatPath(path) {
+  return path.reduce((/** @type {string} */ text, key) => {
+    if (typeof key === "number") return `${text}[${key}]`
+    return text ? `${text}.${key}` : key
+  }, "")
+}
+
+/**
+ * Validates a value against a property schema
+ * @param {any} value - The value to validate
+ * @param {import('./types.js').PropSchema} schema - The schema to validate against
+ * @param {(string|number)[]} [path] - Path of the value within the action
+ * @returns {import('./types.js').SchemaIssue[]}
+ */
+export function validateValue(value, schema, path = []) {
+  const issues = []
+  if (!schema) return issues
+
+  // Values taken from parameters are only known once rendered for an environment
+  if (hasParameterReference(value)) return issues
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+  if (schema.type && !types.some((type) => matchesType(value, type))) {
+    issues.push({ path, message: `must be of type ${types.join(" or ")}, got ${getValueType(value)}` })
+    return issues
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    issues.push({ path, message: `must be one of: ${schema.enum.join(", ")}` })
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      issues.push({ path, message: "must not be empty" })
+    } else if (typeof schema.pattern === "string") {
+      const pattern = compilePattern(schema.pattern)
+      if (!pattern) {
+        issues.push({ path, message: `can't be checked: the schema pattern ${schema.pattern} is invalid` })
+      } else if (!pattern.test(value)) {
+        issues.push({ path, message: `must match pattern ${schema.pattern}` })
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, message: `must contain at least ${schema.minItems} item(s)` })
+    }
+    const { items } = schema
+    if (items) {
+      value.forEach((item, index) => {
+        issues.push(...validateValue(item, items, [...path, index]))
+      })
+    }
+  }
+
+  if (getValueType(value) === "object") {
+    const properties = schema.properties || {}
+    ;(Array.isArray(schema.required) ? schema.required : []).forEach((key) => {
+      if (value[key] === undefined) {
+        issues.push({ path: [...path, key], message: "is required" })
+      }
+    })
+    Object.entries(value).forEach(([key, item]) => {
+      const itemSchema = properties[key] || schema.additionalProperties
+      if (itemSchema) {
+        issues.push(...validateValue(item, itemSchema, [...path, key]))
+      }
+    })
+  }
+
+  return issues
+}
+
+/**
+ * Checks whether a mandatory property counts as missing
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isMissingValue(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "")
+}
+
+/**
+ * Converts the text of number-typed properties, as typed in the action form, to numbers.
+ * Empty text removes the property; other text, e.g. a ${parameter}, is kept for validation.
+ * @param {Object<string, any>} action
+ * @returns {Object<string, any>}
+ */
+export function coerceNumberProps(action) {
+  const result = { ...action }
+  Object.entries(action).forEach(([prop, value]) => {
+    const types = [getPropSchema(action.action, prop)?.type].flat()
+    if (typeof value !== "string" || !types.some((type) => type === "number" || type === "integer")) return
+    if (value.trim() === "") delete result[prop]
+    else if (!Number.isNaN(Number(value))) result[prop] = Number(value)
+  })
+  return result
+}
+
+/**
+ * Validates all properties of an action against its definition's schema.
+ * Properties the definition doesn't list are reported as unknown.
+ * @param {Object} action - The action object to validate
+ * @returns {import('./types.js').SchemaIssue[]}
+ */
+export function validateActionProps(action) {
+  const issues = []
+  const definition = getActionDefinition(action?.action)
+  if (!definition) return issues
+
+  definition.mandatoryProps.forEach((prop) => {
+    if (prop !== "action" && isMissingValue(action[prop])) {
+      issues.push({ path: [prop], message: "is missing", missing: true })
+    }
+  })
+
+  Object.entries(action).forEach(([prop, value]) => {
+    const schema = definition.props[prop]
+    if (!schema) {
+      issues.push({ path: [prop], message: `is not a property of ${definition.name} actions`, unknown: true })
+      return
+    }
+    if (isMissingValue(value)) return
+    issues.push(...validateValue(value, schema, [prop]))
+  })
+
+  return issues
+}
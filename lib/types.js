@@ -1,5 +1,5 @@
-// Action type definitions as constants
-export const ACTION_NAMES = {
+// Built-in action types; more can be registered at runtime with registerActionType (action-definitions.js)
+export const ACTION_NAMES = /** @type {const} */ ({
   EXTRACT: "Extract",
   EXECUTE: "Execute",
   TRANSFORM: "Transform",
@@ -8,7 +8,7 @@ export const ACTION_NAMES = {
   PURGE: "Purge",
   S3_REPLICATE: "S3Replicate",
   INCLUDE: "Include",
-}
+})
 
 // JSDoc type definitions for better IDE support
 /**
@@ -16,6 +16,7 @@ export const ACTION_NAMES = {
  * @property {string} action - The action type
  * @property {string} name - The action name
  * @property {string} dataframe - The dataframe name
+ * @property {string[]} [dependsOn] - Names of dataframes or actions that must run first
  */
 
 /**
@@ -23,6 +24,7 @@ export const ACTION_NAMES = {
  * @property {"Extract"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} location
  * @property {string} [tableName]
  * @property {string} [databaseName]
@@ -33,6 +35,7 @@ export const ACTION_NAMES = {
  * @property {"Execute"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} script
  * @property {string} [output]
  */
@@ -42,6 +45,7 @@ export const ACTION_NAMES = {
  * @property {"Transform"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string[]} transformations
  */
 
@@ -50,6 +54,7 @@ export const ACTION_NAMES = {
  * @property {"Load"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} destination
  */
 
@@ -58,6 +63,7 @@ export const ACTION_NAMES = {
  * @property {"Merge"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string[]} sources
  */
 
@@ -66,6 +72,7 @@ export const ACTION_NAMES = {
  * @property {"Purge"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} target
  */
 
@@ -74,6 +81,7 @@ export const ACTION_NAMES = {
  * @property {"S3Replicate"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} source
  * @property {string} destination
  */
@@ -83,6 +91,7 @@ export const ACTION_NAMES = {
  * @property {"Include"} action
  * @property {string} name
  * @property {string} dataframe
+ * @property {string[]} [dependsOn]
  * @property {string} path
  */
 
@@ -93,6 +102,51 @@ export const ACTION_NAMES = {
 /**
  * @typedef {Object} YamlData
  * @property {ActionType[]} actions
+ * @property {Object<string, any>} [parameters] - Default parameter values, referenced as ${name}
+ * @property {Object<string, Object<string, any>>} [profiles] - Parameter overrides by environment
+ */
+
+/**
+ * @typedef {"string"|"number"|"integer"|"boolean"|"array"|"object"} PropType
+ */
+
+/**
+ * @typedef {Object} PropSchema
+ * @property {PropType|PropType[]} type
+ * @property {string} [description]
+ * @property {any[]} [enum]
+ * @property {string} [pattern] - Regular expression string values must match
+ * @property {number} [minLength]
+ * @property {number} [minItems]
+ * @property {PropSchema} [items] - Schema for array items
+ * @property {Object<string, PropSchema>} [properties] - Schemas for known object keys
+ * @property {string[]} [required] - Object keys that must be present
+ * @property {PropSchema} [additionalProperties] - Schema for object keys not listed in properties
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {(string|number)[]} path - Path of the offending value within the action, e.g. ["options", "mode"]
+ * @property {string} message
+ * @property {boolean} [missing] - True when a mandatory property is absent
+ * @property {boolean} [unknown] - True when the action's definition doesn't list the property
+ */
+
+/**
+ * @typedef {Object} SourceRange
+ * @property {number} startLineNumber - 1-based
+ * @property {number} startColumn - 1-based
+ * @property {number} endLineNumber
+ * @property {number} endColumn
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {"error"|"warning"|"info"} severity
+ * @property {string} code - Stable identifier of the check, e.g. "missing-property"
+ * @property {string} message
+ * @property {(string|number)[]} path - YAML path of the offending node, e.g. ["actions", 3, "location"]
+ * @property {SourceRange|null} range - Source range, or null when the node could not be located
  */
 
 /**
@@ -100,8 +154,34 @@ export const ACTION_NAMES = {
  * @property {string} name
  * @property {string} color
  * @property {string} icon
+ * @property {string} description - What the action does, shown in editor hovers
+ * @property {string} template - YAML of a new action of this type, as a mapping
  * @property {string[]} mandatoryProps
  * @property {string[]} optionalProps
+ * @property {Object<string, PropSchema>} props - Schema for every mandatory and optional property
+ * @property {Dataflow} dataflow - Which properties produce and consume dataframes
+ */
+
+/**
+ * Dataframe semantics of an action type
+ * @typedef {Object} Dataflow
+ * @property {string[]} produces - Properties whose value names a dataframe the action creates
+ * @property {string[]} consumes - Properties whose value (string or list) names dataframes the action reads
+ * @property {string[]} references - Free-text properties (SQL, paths) scanned for dataframe identifiers
+ */
+
+/**
+ * A use of a dataframe by an action
+ * @typedef {Object} DataframeReference
+ * @property {number} index - Index of the consuming action
+ * @property {string} dataframe
+ * @property {string} prop - Property the reference was found in
+ * @property {number} [item] - Index within the property when it is a list
+ * @property {number} [start] - Offset of the identifier within the property text (free-text references only)
+ * @property {number} [end]
+ * @property {"consumes"|"reference"|"explicit"} kind
+ * @property {number|null} producer - Index of the action producing the dataframe, or null if unresolved
+ * @property {boolean} forward - True when the producer comes later in the actions list
  */
 
 /**
@@ -122,3 +202,16 @@ export const ACTION_NAMES = {
  * @property {string} target
  * @property {boolean} animated
  */
+
+/**
+ * The outcome of loading the file referenced by an Include action
+ * @typedef {Object} IncludeResolution
+ * @property {number} index - Index of the Include action in its file
+ * @property {string} path - The `path` as written in the action
+ * @property {string|null} resolvedPath - Workspace-relative path of the included file
+ * @property {"resolved"|"missing"|"cycle"|"invalid"} status
+ * @property {string} [error] - Why the include could not be expanded
+ * @property {ActionType[]} actions - Actions of the included file (empty unless it parsed)
+ * @property {Diagnostic[]} diagnostics - Validation diagnostics of the included file itself
+ * @property {IncludeResolution[]} includes - Includes nested in the included file
+ */
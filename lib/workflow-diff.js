@@ -0,0 +1,405 @@
+/**
+ * Semantic diff of two versions of a workflow: which actions were added,
+ * removed, moved or renamed, and which of their properties changed.
+ *
+ * Actions are matched by name first; the actions left over on both sides are
+ * then paired up as renames when they have the same type and mostly the same
+ * properties. A matched action counts as moved when its position relative to
+ * the other matched actions changed, so inserting one action doesn't report
+ * every action after it as moved. SQL properties are compared after
+ * formatting both sides with `formatSQL`, so re-indenting a query or changing
+ * keyword case is not a change.
+ *
+ * `mergeWorkflowGraphs` overlays the two versions' dataflow graphs, for the
+ * flow visualizer's compare mode.
+ */
+import { analyzeWorkflowGraph, parseYaml, longestIncreasingPositions } from "./yaml-utils.js"
+import { formatSQL, identifySQLProperties } from "./sql-utils.js"
+import { formatPath } from "./schema-validation.js"
+
+// Share of properties two differently named actions must have in common to count as a rename
+export const RENAME_SIMILARITY = 0.5
+
+/**
+ * @typedef {Object} PropertyChange
+ * @property {string} path - Property path within the action (or the workflow), e.g. "options.mode"
+ * @property {"added"|"removed"|"changed"} kind
+ * @property {any} before - Undefined when added; formatted SQL for SQL properties
+ * @property {any} after - Undefined when removed; formatted SQL for SQL properties
+ * @property {boolean} isSql
+ */
+
+/**
+ * @typedef {Object} ActionChange
+ * @property {"added"|"removed"|"changed"} kind
+ * @property {string} name - Name in the newer version, or in the older one for removed actions
+ * @property {string|null} previousName - Set when the action was renamed
+ * @property {string} actionType
+ * @property {number|null} beforeIndex
+ * @property {number|null} afterIndex
+ * @property {boolean} moved
+ * @property {PropertyChange[]} properties - Every property of added and removed actions
+ */
+
+/**
+ * @typedef {Object} WorkflowDiff
+ * @property {ActionChange[]} actions - Changed actions in the order of the newer version, then removed ones
+ * @property {PropertyChange[]} settings - Changes outside `actions`, e.g. to parameters
+ * @property {{added: number, removed: number, moved: number, renamed: number, modified: number,
+ *   unchanged: number}} summary
+ */
+
+/**
+ * @typedef {Object} MergedNode
+ * @property {import('./types.js').ActionType} action - The newer version, or the older one for removed actions
+ * @property {"added"|"removed"|"modified"|"unchanged"} status - Renamed and moved actions count as modified
+ * @property {ActionChange|null} change
+ * @property {number|null} beforeIndex
+ * @property {number|null} afterIndex
+ */
+
+/**
+ * @typedef {Object} MergedEdge
+ * @property {number} source - Index in the merged nodes
+ * @property {number} target - Index in the merged nodes
+ * @property {string[]} dataframes - Dataframes passed along the edge in the newer version, if it has the edge
+ * @property {"added"|"removed"|"modified"|"unchanged"} status - Modified when it carries other dataframes
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Formats SQL text, or every string of a list of SQL statements
+ * @param {any} value
+ * @returns {any}
+ */
+function normalizeSql(value) {
+  if (typeof value === "string") return formatSQL(value).trim()
+  if (Array.isArray(value)) return value.map((item) => (typeof item === "string" ? formatSQL(item).trim() : item))
+  return value
+}
+
+/**
+ * Compares two values property by property, descending into objects
+ * @param {any} before
+ * @param {any} after
+ * @param {(string|number)[]} path
+ * @param {Set<string>} [sqlProperties] - Top-level properties holding SQL
+ * @returns {PropertyChange[]}
+ */
+function diffValues(before, after, path, sqlProperties = new Set()) {
+  const isSql = path.length === 1 && sqlProperties.has(String(path[0]))
+  if (isSql) {
+    before = normalizeSql(before)
+    after = normalizeSql(after)
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    return keys.flatMap((key) => diffValues(before[key], after[key], [...path, key], sqlProperties))
+  }
+
+  if (isEqual(before, after)) return []
+  const kind = before === undefined ? "added" : after === undefined ? "removed" : "changed"
+  return [{ path: formatPath(path), kind, before, after, isSql }]
+}
+
+/**
+ * Compares two versions of an action, leaving out its name
+ * @param {Object<string, any>} before - An action, or {} when it was added
+ * @param {Object<string, any>} after - An action, or {} when it was removed
+ * @returns {PropertyChange[]}
+ */
+function diffActions(before, after) {
+  const sqlProperties = new Set([...identifySQLProperties(before), ...identifySQLProperties(after)])
+  const { name: _beforeName, ...beforeProps } = before
+  const { name: _afterName, ...afterProps } = after
+  return diffValues(beforeProps, afterProps, [], sqlProperties)
+}
+
+/**
+ * Share of the properties (other than the name) that two actions have in common
+ * @param {import('./types.js').ActionType} a
+ * @param {import('./types.js').ActionType} b
+ * @returns {number}
+ */
+function getSimilarity(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  keys.delete("name")
+  if (keys.size === 0) return 1
+  const same = [...keys].filter((key) => isEqual(a[key], b[key])).length
+  return same / keys.size
+}
+
+/**
+ * @param {any} data
+ * @returns {import('./types.js').ActionType[]}
+ */
+function getActions(data) {
+  const actions = isPlainObject(data) && Array.isArray(data.actions) ? data.actions : []
+  return actions.filter(isPlainObject)
+}
+
+/**
+ * Pairs the actions of two versions: by name, then by similarity
+ * @param {import('./types.js').ActionType[]} before
+ * @param {import('./types.js').ActionType[]} after
+ * @returns {{pairs: {beforeIndex: number, afterIndex: number, renamed: boolean}[], matchedBefore: Set<number>,
+ *   matchedAfter: Set<number>}}
+ */
+function matchActions(before, after) {
+  const pairs = []
+  const matchedBefore = new Set()
+  const matchedAfter = new Set()
+
+  // Duplicate names pair up in order
+  const byName = new Map()
+  before.forEach((action, index) => {
+    const name = String(action.name ?? "")
+    byName.set(name, [...(byName.get(name) ?? []), index])
+  })
+  after.forEach((action, afterIndex) => {
+    const candidates = byName.get(String(action.name ?? ""))
+    if (!candidates?.length) return
+    const beforeIndex = candidates.shift()
+    pairs.push({ beforeIndex, afterIndex, renamed: false })
+    matchedBefore.add(beforeIndex)
+    matchedAfter.add(afterIndex)
+  })
+
+  const renameCandidates = []
+  before.forEach((beforeAction, beforeIndex) => {
+    if (matchedBefore.has(beforeIndex)) return
+    after.forEach((afterAction, afterIndex) => {
+      if (matchedAfter.has(afterIndex) || beforeAction.action !== afterAction.action) return
+      const similarity = getSimilarity(beforeAction, afterAction)
+      if (similarity >= RENAME_SIMILARITY) renameCandidates.push({ beforeIndex, afterIndex, similarity })
+    })
+  })
+  renameCandidates
+    .sort((a, b) => b.similarity - a.similarity)
+    .forEach(({ beforeIndex, afterIndex }) => {
+      if (matchedBefore.has(beforeIndex) || matchedAfter.has(afterIndex)) return
+      pairs.push({ beforeIndex, afterIndex, renamed: true })
+      matchedBefore.add(beforeIndex)
+      matchedAfter.add(afterIndex)
+    })
+
+  pairs.sort((a, b) => a.afterIndex - b.afterIndex)
+  return { pairs, matchedBefore, matchedAfter }
+}
+
+/**
+ * Compares two parsed workflows
+ * @param {import('./types.js').YamlData|null} beforeData - The older version
+ * @param {import('./types.js').YamlData|null} afterData - The newer version
+ * @returns {WorkflowDiff}
+ */
+export function diffWorkflows(beforeData, afterData) {
+  const before = getActions(beforeData)
+  const after = getActions(afterData)
+  const { pairs, matchedBefore, matchedAfter } = matchActions(before, after)
+  const kept = longestIncreasingPositions(pairs.map((pair) => pair.beforeIndex))
+  const summary = { added: 0, removed: 0, moved: 0, renamed: 0, modified: 0, unchanged: 0 }
+
+  /** @type {Map<number, ActionChange>} */
+  const changesByAfterIndex = new Map()
+  pairs.forEach(({ beforeIndex, afterIndex, renamed }, position) => {
+    const properties = diffActions(before[beforeIndex], after[afterIndex])
+    const moved = !kept.has(position)
+    if (renamed) summary.renamed++
+    if (moved) summary.moved++
+    if (properties.length) summary.modified++
+    if (!renamed && !moved && !properties.length) {
+      summary.unchanged++
+      return
+    }
+    changesByAfterIndex.set(afterIndex, {
+      kind: "changed",
+      name: after[afterIndex].name,
+      previousName: renamed ? before[beforeIndex].name : null,
+      actionType: after[afterIndex].action,
+      beforeIndex,
+      afterIndex,
+      moved,
+      properties,
+    })
+  })
+
+  /** @type {ActionChange[]} */
+  const actions = []
+  after.forEach((action, afterIndex) => {
+    if (matchedAfter.has(afterIndex)) {
+      const change = changesByAfterIndex.get(afterIndex)
+      if (change) actions.push(change)
+      return
+    }
+    summary.added++
+    actions.push({
+      kind: "added",
+      name: action.name,
+      previousName: null,
+      actionType: action.action,
+      beforeIndex: null,
+      afterIndex,
+      moved: false,
+      properties: diffActions({}, action),
+    })
+  })
+  before.forEach((action, beforeIndex) => {
+    if (matchedBefore.has(beforeIndex)) return
+    summary.removed++
+    actions.push({
+      kind: "removed",
+      name: action.name,
+      previousName: null,
+      actionType: action.action,
+      beforeIndex,
+      afterIndex: null,
+      moved: false,
+      properties: diffActions(action, {}),
+    })
+  })
+
+  const { actions: _beforeActions, ...beforeSettings } = /** @type {Object<string, any>} */ (
+    isPlainObject(beforeData) ? beforeData : {}
+  )
+  const { actions: _afterActions, ...afterSettings } = /** @type {Object<string, any>} */ (
+    isPlainObject(afterData) ? afterData : {}
+  )
+  const settings = diffValues(beforeSettings, afterSettings, [])
+
+  return { actions, settings, summary }
+}
+
+/**
+ * Compares two versions of a workflow's YAML. Throws if either isn't valid YAML.
+ * @param {string} beforeContent - The older version
+ * @param {string} afterContent - The newer version
+ * @returns {WorkflowDiff}
+ */
+export function diffWorkflowContent(beforeContent, afterContent) {
+  return diffWorkflows(parseYaml(beforeContent) ?? null, parseYaml(afterContent) ?? null)
+}
+
+/**
+ * Merges the dataflow graphs of two versions of a workflow into one: the newer
+ * version's actions in order, with each removed action placed after the action
+ * that preceded it in the older version
+ * @param {import('./types.js').ActionType[]} beforeActions - The older version
+ * @param {import('./types.js').ActionType[]} afterActions - The newer version
+ * @returns {{nodes: MergedNode[], edges: MergedEdge[]}}
+ */
+export function mergeWorkflowGraphs(beforeActions, afterActions) {
+  const before = getActions({ actions: beforeActions })
+  const after = getActions({ actions: afterActions })
+  const { actions: changes } = diffWorkflows({ actions: before }, { actions: after })
+  const { pairs } = matchActions(before, after)
+  const afterIndexOf = new Map(pairs.map((pair) => [pair.beforeIndex, pair.afterIndex]))
+
+  const changeByAfterIndex = new Map()
+  const removedByAnchor = new Map()
+  changes.forEach((change) => {
+    if (change.kind !== "removed") {
+      changeByAfterIndex.set(change.afterIndex, change)
+      return
+    }
+    let anchor = -1
+    for (let index = /** @type {number} */ (change.beforeIndex) - 1; index >= 0 && anchor === -1; index--) {
+      anchor = afterIndexOf.get(index) ?? -1
+    }
+    removedByAnchor.set(anchor, [...(removedByAnchor.get(anchor) ?? []), change])
+  })
+
+  /** @type {MergedNode[]} */
+  const nodes = []
+  const beforeNode = new Map()
+  const afterNode = new Map()
+  /**
+   * @param {number} anchor
+   */
+  const pushRemoved = (anchor) =>
+    (removedByAnchor.get(anchor) ?? []).forEach((change) => {
+      const { beforeIndex } = change
+      beforeNode.set(beforeIndex, nodes.length)
+      nodes.push({ action: before[beforeIndex], status: "removed", change, beforeIndex, afterIndex: null })
+    })
+
+  pushRemoved(-1)
+  after.forEach((action, afterIndex) => {
+    const change = changeByAfterIndex.get(afterIndex) ?? null
+    const pair = pairs.find((candidate) => candidate.afterIndex === afterIndex)
+    const beforeIndex = change ? change.beforeIndex : (pair?.beforeIndex ?? null)
+    if (beforeIndex !== null) beforeNode.set(beforeIndex, nodes.length)
+    afterNode.set(afterIndex, nodes.length)
+    const status = !change ? "unchanged" : change.kind === "added" ? "added" : "modified"
+    nodes.push({ action, status, change, beforeIndex, afterIndex })
+    pushRemoved(afterIndex)
+  })
+
+  /** @type {Map<string, MergedEdge>} */
+  const edges = new Map()
+  analyzeWorkflowGraph(before).edges.forEach((edge) => {
+    const source = beforeNode.get(edge.source)
+    const target = beforeNode.get(edge.target)
+    edges.set(`${source}->${target}`, { source, target, dataframes: edge.dataframes, status: "removed" })
+  })
+  analyzeWorkflowGraph(after).edges.forEach((edge) => {
+    const source = afterNode.get(edge.source)
+    const target = afterNode.get(edge.target)
+    const previous = edges.get(`${source}->${target}`)
+    const status = !previous ? "added" : isEqual(previous.dataframes, edge.dataframes) ? "unchanged" : "modified"
+    edges.set(`${source}->${target}`, { source, target, dataframes: edge.dataframes, status })
+  })
+
+  return { nodes, edges: [...edges.values()] }
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function summarizeValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value)
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text
+}
+
+/**
+ * One line per change to an action, for tooltips
+ * @param {ActionChange} change
+ * @returns {string[]}
+ */
+export function describeActionChange(change) {
+  if (change.kind === "added") return [`Added ${change.actionType} action`]
+  if (change.kind === "removed") return [`Removed ${change.actionType} action`]
+
+  const lines = []
+  if (change.previousName !== null) lines.push(`Renamed from '${change.previousName}'`)
+  if (change.moved) {
+    const from = /** @type {number} */ (change.beforeIndex) + 1
+    const to = /** @type {number} */ (change.afterIndex) + 1
+    lines.push(`Moved from #${from} to #${to}`)
+  }
+  change.properties.forEach((property) => {
+    if (property.kind === "added") lines.push(`${property.path} added: ${summarizeValue(property.after)}`)
+    else if (property.kind === "removed") lines.push(`${property.path} removed`)
+    else if (property.isSql) lines.push(`${property.path}: SQL changed`)
+    else lines.push(`${property.path}: ${summarizeValue(property.before)} → ${summarizeValue(property.after)}`)
+  })
+  return lines
+}
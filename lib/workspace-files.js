@@ -0,0 +1,51 @@
+/**
+ * Reads workflow files from the workspace directory on disk, for the API routes
+ * and the CLI. Never import this from client components.
+ *
+ * Include paths are normalized by include-resolver.js, which keeps ".." from
+ * leaving the workspace. Symlinks are only known on disk, so the file's real
+ * path is checked against the workspace's real path here before reading.
+ */
+import { readFile, realpath } from "node:fs/promises"
+import nodePath from "node:path"
+
+export class OutsideWorkspaceError extends Error {
+  /**
+   * @param {string} path - The requested workspace path
+   */
+  constructor(path) {
+    super(`${path} points outside the workspace`)
+    this.name = "OutsideWorkspaceError"
+  }
+}
+
+/**
+ * @param {string} root
+ * @param {string} filePath
+ * @returns {boolean} Whether `filePath` lies below `root`
+ */
+function isInside(root, filePath) {
+  const relative = nodePath.relative(root, filePath)
+  return relative !== "" && relative.split(nodePath.sep)[0] !== ".." && !nodePath.isAbsolute(relative)
+}
+
+/**
+ * Reads a file of the workspace
+ * @param {string} root - The workspace directory
+ * @param {string} path - Workspace-relative path; a leading "/" is the workspace root
+ * @returns {Promise<string|null>} The content, or null when there is no such file
+ * @throws {OutsideWorkspaceError} When the path, or a symlink on it, leads outside the workspace
+ */
+export async function readWorkspaceFile(root, path) {
+  const filePath = nodePath.resolve(root, path.replace(/^\/+/, ""))
+  if (!isInside(nodePath.resolve(root), filePath)) throw new OutsideWorkspaceError(path)
+
+  try {
+    const [realRoot, realFile] = await Promise.all([realpath(root), realpath(filePath)])
+    if (!isInside(realRoot, realFile)) throw new OutsideWorkspaceError(path)
+    return await readFile(realFile, "utf8")
+  } catch (error) {
+    if (error?.code === "ENOENT" || error?.code === "EISDIR") return null
+    throw error
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Workspace model: the workflow documents the user has loaded, which of them
+ * are open as tabs, and which tab is active.
+ *
+ * The state is updated through `workspaceReducer` (for React's useReducer).
+ * Every document keeps the content it was loaded or last saved with, so its
+ * dirty state is simply `content !== savedContent`. Parsed actions and
+ * diagnostics are kept per document; while the YAML is invalid the last valid
+ * actions are kept so the builder and the flow don't go blank mid-edit.
+ *
+ * Each document also has its own undo/redo history (see history.js); every
+ * "update" is recorded there, so undo works the same from every view.
+ */
+import { getActionList, validateYaml } from "./yaml-utils.js"
+import { createHistory, recordChange, redo, undo } from "./history.js"
+
+export const DEFAULT_DOCUMENT_PATH = "workflow.yaml"
+
+/**
+ * @typedef {Object} WorkspaceDocument
+ * @property {string} path - Workspace-relative path, e.g. "pipelines/daily.yaml"
+ * @property {string} content - Current content
+ * @property {string} savedContent - Content when last loaded or saved
+ * @property {import('./types.js').ActionType[]} actions - Actions of the last valid content
+ * @property {import('./types.js').Diagnostic[]} diagnostics - Diagnostics of the current content
+ * @property {import('./history.js').History} history - Undo/redo history of the content
+ * @property {S3Origin|null} s3Origin - The S3 object the document was opened from or last uploaded to
+ */
+
+/**
+ * @typedef {Object} S3Origin
+ * @property {string} key - Full object key
+ * @property {string} name - Key relative to the configured prefix, i.e. the upload filename
+ * @property {string|null} etag - ETag of the object when it was opened or uploaded
+ */
+
+/**
+ * @typedef {Object} WorkspaceState
+ * @property {Object<string, WorkspaceDocument>} documents - All loaded documents by path
+ * @property {string[]} openPaths - Paths open as tabs, in tab order
+ * @property {string|null} activePath - Path of the active tab
+ */
+
+/**
+ * @typedef {(
+ *   { type: "load", files: Object<string, string>, open?: string[], origins?: Object<string, S3Origin> } |
+ *   { type: "open", path: string } |
+ *   { type: "close", path: string } |
+ *   { type: "activate", path: string } |
+ *   { type: "create", path: string, content?: string } |
+ *   { type: "update", path: string, content: string, actions?: import('./types.js').ActionType[],
+ *     label?: string, group?: string|null, timestamp?: number } |
+ *   { type: "undo", path: string, steps?: number } |
+ *   { type: "redo", path: string, steps?: number } |
+ *   { type: "save", path: string } |
+ *   { type: "setS3Origin", path: string, origin: S3Origin|null } |
+ *   { type: "revalidate" } |
+ *   { type: "restore", workspace: import('./persistence.js').StoredWorkspace }
+ * )} WorkspaceAction
+ */
+
+/**
+ * @param {string} path
+ * @param {string} content
+ * @param {WorkspaceDocument} [previous]
+ * @returns {WorkspaceDocument}
+ */
+function createDocument(path, content, previous) {
+  const { diagnostics, data } = validateYaml(content)
+  return {
+    path,
+    content,
+    savedContent: previous ? previous.savedContent : content,
+    actions: getActionList(data) ?? previous?.actions ?? [],
+    diagnostics,
+    history: previous ? previous.history : createHistory(),
+    s3Origin: previous?.s3Origin ?? null,
+  }
+}
+
+/**
+ * Creates a workspace with a single empty document
+ * @returns {WorkspaceState}
+ */
+export function createWorkspace() {
+  return {
+    documents: { [DEFAULT_DOCUMENT_PATH]: createDocument(DEFAULT_DOCUMENT_PATH, "") },
+    openPaths: [DEFAULT_DOCUMENT_PATH],
+    activePath: DEFAULT_DOCUMENT_PATH,
+  }
+}
+
+/**
+ * @param {WorkspaceDocument} document
+ * @returns {boolean}
+ */
+export function isDirty(document) {
+  return document.content !== document.savedContent
+}
+
+/**
+ * Returns the content of every document by path, for resolving includes
+ * @param {WorkspaceState} state
+ * @returns {Object<string, string>}
+ */
+export function getWorkspaceFiles(state) {
+  return Object.fromEntries(Object.values(state.documents).map((document) => [document.path, document.content]))
+}
+
+/**
+ * Returns the part of the workspace worth persisting: contents and tabs, not derived data or history
+ * @param {WorkspaceState} state
+ * @returns {import('./persistence.js').StoredWorkspace}
+ */
+export function serializeWorkspace(state) {
+  return {
+    documents: Object.fromEntries(
+      Object.values(state.documents).map((document) => [
+        document.path,
+        { content: document.content, savedContent: document.savedContent, s3Origin: document.s3Origin },
+      ]),
+    ),
+    openPaths: state.openPaths,
+    activePath: state.activePath,
+  }
+}
+
+/**
+ * Whether any document has changes that were never exported
+ * @param {import('./persistence.js').StoredWorkspace} stored
+ * @returns {boolean}
+ */
+export function hasUnsavedChanges(stored) {
+  return Object.values(stored.documents).some((document) => document.content !== document.savedContent)
+}
+
+/**
+ * The path a loaded file is stored at: its own, unless a document with unsaved
+ * changes already has it. Then the file goes next to it, e.g. "daily-2.yaml".
+ * @param {Object<string, WorkspaceDocument>} documents
+ * @param {Object<string, string>} files - All files being loaded, by path
+ * @param {string} path
+ * @returns {string}
+ */
+export function getLoadPath(documents, files, path) {
+  if (!documents[path] || !isDirty(documents[path])) return path
+  const [, base, extension = ""] = /** @type {RegExpMatchArray} */ (path.match(/^(.*?)(\.ya?ml)?$/i))
+  let number = 2
+  while (`${base}-${number}${extension}` in documents || `${base}-${number}${extension}` in files) number++
+  return `${base}-${number}${extension}`
+}
+
+/**
+ * @param {string[]} paths
+ * @param {string} path
+ * @returns {string[]}
+ */
+function withPath(paths, path) {
+  return paths.includes(path) ? paths : [...paths, path]
+}
+
+/**
+ * @param {WorkspaceState} state
+ * @param {WorkspaceAction} action
+ * @returns {WorkspaceState}
+ */
+export function workspaceReducer(state, action) {
+  switch (action.type) {
+    case "load": {
+      // Loading replaces the untouched starter document and saved copies of the files, but never edited ones
+      const documents = Object.fromEntries(
+        Object.entries(state.documents).filter(([, document]) => document.content.trim() || isDirty(document)),
+      )
+      /** @type {Object<string, string>} */
+      const loadPaths = {}
+      Object.entries(action.files).forEach(([path, content]) => {
+        const loadPath = getLoadPath(state.documents, action.files, path)
+        loadPaths[path] = loadPath
+        documents[loadPath] = { ...createDocument(loadPath, content), s3Origin: action.origins?.[path] ?? null }
+      })
+
+      const open = (action.open || []).map((path) => loadPaths[path] ?? path)
+      const openPaths = open.reduce(
+        withPath,
+        state.openPaths.filter((path) => path in documents),
+      )
+      const activePath = open.length ? open[open.length - 1] : (openPaths[0] ?? null)
+      return { documents, openPaths, activePath }
+    }
+
+    case "open": {
+      if (!(action.path in state.documents)) return state
+      return { ...state, openPaths: withPath(state.openPaths, action.path), activePath: action.path }
+    }
+
+    case "close": {
+      const index = state.openPaths.indexOf(action.path)
+      if (index === -1) return state
+      const openPaths = state.openPaths.filter((path) => path !== action.path)
+      const activePath =
+        state.activePath === action.path ? (openPaths[Math.min(index, openPaths.length - 1)] ?? null) : state.activePath
+      return { ...state, openPaths, activePath }
+    }
+
+    case "activate": {
+      if (!state.openPaths.includes(action.path)) return state
+      return { ...state, activePath: action.path }
+    }
+
+    case "create": {
+      if (action.path in state.documents) {
+        return { ...state, openPaths: withPath(state.openPaths, action.path), activePath: action.path }
+      }
+      const document = createDocument(action.path, action.content ?? "")
+      return {
+        documents: { ...state.documents, [action.path]: { ...document, savedContent: "" } },
+        openPaths: withPath(state.openPaths, action.path),
+        activePath: action.path,
+      }
+    }
+
+    case "update": {
+      const previous = state.documents[action.path]
+      if (!previous || previous.content === action.content) return state
+      const document = createDocument(action.path, action.content, previous)
+      if (action.actions) document.actions = action.actions
+      document.history = recordChange(previous.history, {
+        label: action.label || "Edited YAML",
+        before: previous.content,
+        after: action.content,
+        group: action.group,
+        timestamp: action.timestamp,
+      })
+      return { ...state, documents: { ...state.documents, [action.path]: document } }
+    }
+
+    case "undo":
+    case "redo": {
+      const previous = state.documents[action.path]
+      if (!previous) return state
+      const result = (action.type === "undo" ? undo : redo)(previous.history, action.steps)
+      if (!result) return state
+      const document = { ...createDocument(action.path, result.content, previous), history: result.history }
+      return { ...state, documents: { ...state.documents, [action.path]: document } }
+    }
+
+    case "save": {
+      const document = state.documents[action.path]
+      if (!document) return state
+      return {
+        ...state,
+        documents: { ...state.documents, [action.path]: { ...document, savedContent: document.content } },
+      }
+    }
+
+    case "setS3Origin": {
+      const document = state.documents[action.path]
+      if (!document) return state
+      return { ...state, documents: { ...state.documents, [action.path]: { ...document, s3Origin: action.origin } } }
+    }
+
+    case "revalidate": {
+      // Action types changed: re-check every document against them
+      const documents = Object.fromEntries(
+        Object.values(state.documents).map((document) => [
+          document.path,
+          createDocument(document.path, document.content, document),
+        ]),
+      )
+      return { ...state, documents }
+    }
+
+    case "restore": {
+      const documents = Object.fromEntries(
+        Object.entries(action.workspace.documents).map(([path, { content, savedContent, s3Origin }]) => [
+          path,
+          { ...createDocument(path, content), savedContent, s3Origin: s3Origin ?? null },
+        ]),
+      )
+      const openPaths = action.workspace.openPaths.filter((path) => path in documents)
+      const { activePath: storedActivePath } = action.workspace
+      const activePath = storedActivePath !== null && openPaths.includes(storedActivePath) ? storedActivePath : (openPaths[0] ?? null)
+      return { documents, openPaths, activePath }
+    }
+
+    default:
+      return state
+  }
+}
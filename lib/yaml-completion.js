@@ -0,0 +1,319 @@
+/**
+ * Completions and hover docs for the YAML editor.
+ *
+ * The document is usually mid-edit and may not parse, so the context of the
+ * cursor (which action it is in, which key it is on) is read from the lines
+ * around it. Dataframe names come from the last actions that did parse.
+ */
+import {
+  actionDefinitions,
+  getActionDefinition,
+  getDataflow,
+  getMandatoryProps,
+  getPropSchema,
+} from "./action-definitions.js"
+import { getProducedDataframes } from "./dataframe-dependencies.js"
+
+const KEY_LINE = /^(\s*)(-\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*:(?:\s|$)/
+const ITEM_LINE = /^(\s*)-(\s+|$)/
+
+/**
+ * @typedef {Object} CompletionSuggestion
+ * @property {string} label
+ * @property {"action"|"property"|"dataframe"} kind
+ * @property {string} insertText
+ * @property {string} [detail]
+ * @property {string} [documentation] - Markdown
+ * @property {string} sortText
+ */
+
+/**
+ * @typedef {Object} HoverInfo
+ * @property {string[]} contents - Markdown paragraphs
+ * @property {import('./types.js').SourceRange} range
+ */
+
+/**
+ * @typedef {Object} ActionItem
+ * @property {string|null} actionType - The item's `action` value, if it has one yet
+ * @property {Set<string>} keys - Keys the item already has
+ */
+
+/**
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+  const trimmed = line.trim()
+  return trimmed === "" || trimmed.startsWith("#")
+}
+
+/**
+ * Reads the key of a mapping line
+ * @param {string} line
+ * @returns {{key: string, column: number, value: string}|null} column is the 0-based offset of the key
+ */
+function parseKeyLine(line) {
+  const match = KEY_LINE.exec(line)
+  if (!match) return null
+  const column = match[1].length + (match[2]?.length ?? 0)
+  return { key: match[3], column, value: line.slice(line.indexOf(":", column) + 1).trim() }
+}
+
+/**
+ * Strips quotes and a trailing comment from a plain one-line value
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  return value
+    .replace(/\s+#.*$/, "")
+    .replace(/^(["'])(.*)\1$/, "$2")
+    .trim()
+}
+
+/**
+ * Finds the key of the mapping that contains a line, i.e. the closest line above it with less indentation
+ * @param {string[]} lines
+ * @param {number} lineIndex
+ * @param {number} indent
+ * @returns {{key: string, column: number, lineIndex: number}|null}
+ */
+function findParentKey(lines, lineIndex, indent) {
+  for (let i = lineIndex - 1; i >= 0; i--) {
+    if (isBlank(lines[i])) continue
+    const parsed = parseKeyLine(lines[i])
+    if (parsed && parsed.column < indent) return { key: parsed.key, column: parsed.column, lineIndex: i }
+    // Earlier entries of the same list
+    if (!parsed && ITEM_LINE.test(lines[i])) continue
+    if (indentOf(lines[i]) < indent) return null
+  }
+  return null
+}
+
+/**
+ * Finds the item of the `actions` list whose keys start at a column, around a line
+ * @param {string[]} lines
+ * @param {number} lineIndex - 0-based
+ * @param {number} keyColumn - 0-based column of the item's keys
+ * @returns {ActionItem|null} Null when the line is not directly in an action
+ */
+function findActionItem(lines, lineIndex, keyColumn) {
+  let start = -1
+  for (let i = lineIndex; i >= 0; i--) {
+    const line = lines[i]
+    if (i !== lineIndex && isBlank(line)) continue
+    const item = ITEM_LINE.exec(line)
+    if (item && item[1].length + 1 + item[2].length === keyColumn) {
+      start = i
+      break
+    }
+    if (i !== lineIndex && indentOf(line) < keyColumn) return null
+  }
+  if (start === -1) return null
+  const dashColumn = indentOf(lines[start])
+  if (findParentKey(lines, start, dashColumn)?.key !== "actions") return null
+
+  /** @type {ActionItem} */
+  const actionItem = { actionType: null, keys: new Set() }
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i]
+    if (i !== start && !isBlank(line) && (indentOf(line) < keyColumn || ITEM_LINE.test(line))) break
+    if (i === lineIndex) continue
+    const parsed = parseKeyLine(line)
+    if (!parsed || parsed.column !== keyColumn) continue
+    actionItem.keys.add(parsed.key)
+    if (parsed.key === "action") actionItem.actionType = unquote(parsed.value) || null
+  }
+  return actionItem
+}
+
+/**
+ * Returns the properties whose values name dataframes
+ * @param {string|null} actionType
+ * @returns {string[]}
+ */
+function getDataframeProps(actionType) {
+  const { produces, consumes } = getDataflow(actionType)
+  return [...produces, ...consumes, "dependsOn"]
+}
+
+/**
+ * @param {string} actionType
+ * @param {string} prop
+ * @returns {string}
+ */
+function describeProp(actionType, prop) {
+  const definition = getActionDefinition(actionType)
+  const schema = definition?.props[prop]
+  const required = getMandatoryProps(actionType).includes(prop)
+  const type = schema ? [schema.type].flat().join(" | ") : "unknown"
+  const parts = [`**${prop}** · ${required ? "required" : "optional"} · \`${type}\``]
+  if (schema?.description) parts.push(schema.description)
+  if (schema?.enum && prop !== "action") parts.push(`One of: ${schema.enum.map((value) => `\`${value}\``).join(", ")}`)
+  return parts.join("\n\n")
+}
+
+/**
+ * @param {import('./types.js').ActionDefinition} definition
+ * @returns {string}
+ */
+function describeAction(definition) {
+  const list = (props) => props.map((prop) => `\`${prop}\``).join(", ")
+  return [
+    `**${definition.name}**: ${definition.description}`,
+    `Required: ${list(definition.mandatoryProps)}`,
+    definition.optionalProps.length ? `Optional: ${list(definition.optionalProps)}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n\n")
+}
+
+/**
+ * @param {import('./types.js').ActionType[]} actions
+ * @param {boolean} withActionNames - Also offer action names, as `dependsOn` accepts them
+ * @returns {CompletionSuggestion[]}
+ */
+function suggestDataframes(actions, withActionNames) {
+  const suggestions = new Map()
+  actions.forEach((action) => {
+    getProducedDataframes(action).forEach((dataframe) => {
+      if (suggestions.has(dataframe)) return
+      suggestions.set(dataframe, {
+        label: dataframe,
+        kind: "dataframe",
+        insertText: dataframe,
+        detail: `Dataframe produced by '${action.name ?? action.action}'`,
+        sortText: `0${String(suggestions.size).padStart(4, "0")}`,
+      })
+    })
+  })
+  if (withActionNames) {
+    actions.forEach((action) => {
+      if (typeof action?.name !== "string" || !action.name || suggestions.has(action.name)) return
+      suggestions.set(action.name, {
+        label: action.name,
+        kind: "action",
+        insertText: action.name,
+        detail: `${action.action} action`,
+        sortText: `1${String(suggestions.size).padStart(4, "0")}`,
+      })
+    })
+  }
+  return [...suggestions.values()]
+}
+
+/**
+ * Returns the completions at a position
+ * @param {string} content
+ * @param {{lineNumber: number, column: number}} position
+ * @param {import('./types.js').ActionType[]} actions - The document's last parsed actions, for dataframe names
+ * @returns {CompletionSuggestion[]}
+ */
+export function getCompletions(content, position, actions) {
+  const lines = content.split("\n")
+  const lineIndex = position.lineNumber - 1
+  const before = (lines[lineIndex] ?? "").slice(0, position.column - 1)
+
+  // A value: `key: |`
+  const keyLine = parseKeyLine(before)
+  if (keyLine && !/:\s*\S.*\s/.test(before.slice(keyLine.column))) {
+    const item = findActionItem(lines, lineIndex, keyLine.column)
+    if (!item) return []
+    if (keyLine.key === "action") {
+      return actionDefinitions.map((definition, index) => ({
+        label: definition.name,
+        kind: "action",
+        insertText: definition.name,
+        detail: definition.description,
+        documentation: describeAction(definition),
+        sortText: String(index).padStart(4, "0"),
+      }))
+    }
+    // Lists such as `sources` are completed entry by entry
+    const isList = [getPropSchema(item.actionType, keyLine.key)?.type].flat().includes("array")
+    if (!isList && getDataframeProps(item.actionType).includes(keyLine.key)) {
+      return suggestDataframes(actions, false)
+    }
+    return []
+  }
+
+  // A list entry under a key: `  - |`
+  const listItem = /^(\s*)-\s*["']?[A-Za-z0-9_]*$/.exec(before)
+  if (listItem) {
+    const parent = findParentKey(lines, lineIndex, listItem[1].length + 1)
+    if (parent && parent.key !== "actions") {
+      const item = findActionItem(lines, parent.lineIndex, parent.column)
+      if (item && getDataframeProps(item.actionType).includes(parent.key)) {
+        return suggestDataframes(actions, parent.key === "dependsOn")
+      }
+      return []
+    }
+  }
+
+  // A key: `  |`, `  - |` or a partly typed key
+  const keyStart = /^(\s*)(-\s+)?[A-Za-z_]*$/.exec(before)
+  if (!keyStart) return []
+  const keyColumn = keyStart[1].length + (keyStart[2]?.length ?? 0)
+  const item = findActionItem(lines, lineIndex, keyColumn)
+  if (!item) return []
+
+  const definition = getActionDefinition(item.actionType)
+  const props = definition ? [...definition.mandatoryProps, ...definition.optionalProps] : ["action", "name"]
+  return props
+    .filter((prop) => !item.keys.has(prop))
+    .map((prop, index) => {
+      const required = !definition || definition.mandatoryProps.includes(prop)
+      return {
+        label: prop,
+        kind: "property",
+        insertText: `${prop}: `,
+        detail: required ? "required" : "optional",
+        documentation: definition ? describeProp(definition.name, prop) : undefined,
+        // Required properties first, each group in definition order
+        sortText: `${required ? 0 : 1}${String(index).padStart(4, "0")}`,
+      }
+    })
+}
+
+/**
+ * Returns the docs of the action key, or `action` value, at a position
+ * @param {string} content
+ * @param {{lineNumber: number, column: number}} position
+ * @returns {HoverInfo|null}
+ */
+export function getHoverInfo(content, position) {
+  const lines = content.split("\n")
+  const lineIndex = position.lineNumber - 1
+  const parsed = parseKeyLine(lines[lineIndex] ?? "")
+  if (!parsed) return null
+
+  const keyStart = parsed.column + 1
+  const keyEnd = keyStart + parsed.key.length
+  const isOnKey = keyStart <= position.column && position.column <= keyEnd
+  const isOnActionValue = parsed.key === "action" && position.column > keyEnd
+  if (!isOnKey && !isOnActionValue) return null
+
+  const item = findActionItem(lines, lineIndex, parsed.column)
+  if (!item) return null
+  const actionType = parsed.key === "action" ? unquote(parsed.value) : item.actionType
+  const definition = getActionDefinition(actionType)
+  if (!definition) return null
+
+  const range = {
+    startLineNumber: position.lineNumber,
+    startColumn: isOnKey ? keyStart : keyEnd + 1,
+    endLineNumber: position.lineNumber,
+    endColumn: isOnKey ? keyEnd : lines[lineIndex].length + 1,
+  }
+  if (parsed.key === "action") return { contents: [describeAction(definition)], range }
+  return { contents: [describeProp(definition.name, parsed.key), describeAction(definition)], range }
+}
@@ -0,0 +1,423 @@
+/**
+ * Comment- and formatting-preserving edits of workflow YAML.
+ *
+ * Structured edits (from the builder or the flow) arrive as a whole new `actions`
+ * array. Instead of re-dumping the file, the new array is matched against the
+ * items already in the document: unchanged items keep their exact source text,
+ * edited items are patched node by node through the `yaml` AST and only their
+ * changed values are written back, and everything outside the `actions`
+ * sequence is left byte-for-byte intact.
+ */
+import { parseDocument, Document, Scalar, YAMLMap, isMap, isNode, isSeq, isScalar } from "yaml"
+import { stringifyYaml } from "./yaml-utils.js"
+
+const TO_STRING_OPTIONS = { lineWidth: 0, flowCollectionPadding: false }
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function isDeepEqual(a, b) {
+  if (a === b) return true
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]))
+}
+
+/**
+ * @param {string} source
+ * @param {number} offset
+ * @returns {number} Offset of the start of the line containing `offset`
+ */
+function lineStart(source, offset) {
+  return source.lastIndexOf("\n", offset - 1) + 1
+}
+
+/**
+ * @param {string} source
+ * @param {number} offset
+ * @returns {number} Offset just past the newline ending the line that contains `offset - 1`
+ */
+function lineEndAfter(source, offset) {
+  if (offset > 0 && source[offset - 1] === "\n") return offset
+  const newline = source.indexOf("\n", offset)
+  return newline === -1 ? source.length : newline + 1
+}
+
+/**
+ * Locates the source text that belongs to each item of a block sequence.
+ * An item's chunk starts at its own comment lines, includes the "- " indicator
+ * line and ends after its last line. Returns null when the layout is not a
+ * plain block sequence that can be spliced safely.
+ * @param {string} source
+ * @param {import('yaml').YAMLSeq} seq
+ */
+function getItemChunks(source, seq) {
+  const chunks = []
+  let previousEnd = 0
+
+  for (const item of seq.items) {
+    if (!isMap(item) || !item.range) return null
+
+    const dashLine = lineStart(source, item.range[0])
+    const prefix = source.slice(dashLine, item.range[0])
+    if (dashLine < previousEnd || !/^\s*-\s+$/.test(prefix)) return null
+
+    // Comment lines directly above the item travel with it
+    let start = dashLine
+    while (start > previousEnd) {
+      const previousLine = lineStart(source, start - 1)
+      if (!source.slice(previousLine, start).trim().startsWith("#")) break
+      start = previousLine
+    }
+
+    const end = lineEndAfter(source, item.range[1])
+    chunks.push({ item, start, dashLine, end, prefix, value: item.toJSON() })
+    previousEnd = end
+  }
+
+  return chunks
+}
+
+/**
+ * Renders an action map as sequence item text using the given indicator prefix
+ * @param {import('yaml').YAMLMap} node
+ * @param {string} prefix - Text before the item content on its first line, e.g. "  - "
+ * @returns {string}
+ */
+function renderItem(node, prefix) {
+  const text = new Document(node).toString(TO_STRING_OPTIONS).replace(/\n$/, "")
+  const indent = " ".repeat(prefix.length)
+  return (
+    text
+      .split("\n")
+      .map((line, index) => (index === 0 ? prefix + line : line ? indent + line : line))
+      .join("\n") + "\n"
+  )
+}
+
+/**
+ * Applies the differences between an existing action map and the new action
+ * to a copy of the node, so untouched keys keep their comments and styles
+ * @param {import('yaml').Document} doc
+ * @param {import('yaml').YAMLMap} original
+ * @param {Object} action
+ * @returns {import('yaml').YAMLMap}
+ */
+function patchActionNode(doc, original, action) {
+  const node = /** @type {import('yaml').YAMLMap} */ (original.clone())
+  const current = node.toJSON()
+
+  Object.keys(current).forEach((key) => {
+    if (!(key in action)) node.delete(key)
+  })
+
+  Object.entries(action).forEach(([key, value]) => {
+    if (key in current && isDeepEqual(current[key], value)) return
+
+    const valueNode = node.get(key, true)
+    if (isScalar(valueNode) && (value === null || typeof value !== "object")) {
+      // Keep the scalar's quoting style, except that multi-line text is written as a block literal
+      valueNode.value = value
+      if (typeof value === "string" && value.includes("\n")) valueNode.type = Scalar.BLOCK_LITERAL
+    } else {
+      node.set(key, doc.createNode(value))
+    }
+  })
+
+  return node
+}
+
+/**
+ * Renders one key/value pair of an action map at the column of the map's keys
+ * @param {import('yaml').Pair} pair
+ * @param {number} column
+ * @param {boolean} first - Whether the text continues the item's "- " line instead of starting a line
+ * @returns {string}
+ */
+function renderPair(pair, column, first) {
+  const copy = /** @type {import('yaml').Pair} */ (pair.clone())
+  // The comment lines above the key are copied from the source
+  if (isNode(copy.key)) {
+    copy.key.commentBefore = undefined
+    copy.key.spaceBefore = undefined
+  }
+  const map = new YAMLMap()
+  map.items.push(copy)
+  const indent = " ".repeat(column)
+  const text = new Document(map).toString(TO_STRING_OPTIONS).replace(/\n$/, "")
+  return (
+    text
+      .split("\n")
+      .map((line, index) => (index === 0 && first) || !line ? line : indent + line)
+      .join("\n") + "\n"
+  )
+}
+
+/**
+ * @param {any} node
+ * @returns {node is import('yaml').Scalar} Whether the node is a scalar written on its key's line
+ */
+function isInlineScalar(node) {
+  return isScalar(node) && node.type !== Scalar.BLOCK_LITERAL && node.type !== Scalar.BLOCK_FOLDED
+}
+
+/**
+ * @param {import('yaml').Scalar} scalar
+ * @returns {string|null} The scalar's text without its comments, or null when it takes more than one line
+ */
+function renderInlineScalar(scalar) {
+  if (!isInlineScalar(scalar)) return null
+  const copy = /** @type {import('yaml').Scalar} */ (scalar.clone())
+  copy.comment = undefined
+  copy.commentBefore = undefined
+  copy.spaceBefore = undefined
+  const text = new Document(copy).toString(TO_STRING_OPTIONS).replace(/\n$/, "")
+  return text.includes("\n") ? null : text
+}
+
+/**
+ * Writes the changes of a patched action map into the source text of its item.
+ * Untouched keys keep their exact text, an edited single-line value replaces
+ * only its own text, other edited keys are rendered again, removed keys are
+ * dropped and added keys are appended. Returns null when the item's layout
+ * doesn't allow that, e.g. a flow map or a removed first key.
+ * @param {string} source
+ * @param {{ item: import('yaml').YAMLMap, start: number, end: number, value: any }} chunk
+ * @param {import('yaml').YAMLMap} node - The patched copy of the item
+ * @param {Object} action
+ * @returns {string|null}
+ */
+function spliceItem(source, chunk, node, action) {
+  const pairs = chunk.item.items
+  if (chunk.item.flow || pairs.length === 0) return null
+  if (!pairs.every((pair) => isScalar(pair.key) && pair.key.range)) return null
+
+  const keyRange = (/** @type {import('yaml').Pair} */ pair) =>
+    /** @type {import('yaml').Range} */ (/** @type {import('yaml').Scalar} */ (pair.key).range)
+  // Keys added by the patch are plain values, not nodes
+  const keyOf = (/** @type {import('yaml').Pair} */ pair) => String(isScalar(pair.key) ? pair.key.value : pair.key)
+  const findPair = (/** @type {string} */ key) => node.items.find((pair) => keyOf(pair) === key)
+
+  // Each key's text runs from its comment lines to the next key's; the first starts right after "- "
+  const starts = pairs.map((pair, index) => (index === 0 ? keyRange(pair)[0] : blockStart(source, keyRange(pair)[0])))
+  const lastPair = pairs[pairs.length - 1]
+  const lastValueEnd = isNode(lastPair.value) && lastPair.value.range ? lastPair.value.range[2] : keyRange(lastPair)[2]
+  const end = lineEndAfter(source, lastValueEnd)
+  if (end > chunk.end || starts.some((start, index) => index > 0 && start < starts[index - 1])) return null
+  const column = starts[0] - lineStart(source, starts[0])
+
+  let body = ""
+  for (const [index, pair] of pairs.entries()) {
+    const key = keyOf(pair)
+    const textEnd = index < pairs.length - 1 ? starts[index + 1] : end
+    const text = source.slice(starts[index], textEnd)
+    const patched = findPair(key)
+
+    if (!patched) {
+      if (index === 0) return null
+      continue
+    }
+    if (isDeepEqual(chunk.value[key], action[key])) {
+      body += text
+      continue
+    }
+
+    const range = isInlineScalar(pair.value) ? pair.value.range : null
+    const inline = range && isScalar(patched.value) ? renderInlineScalar(patched.value) : null
+    if (range && inline !== null) {
+      body += source.slice(starts[index], range[0]) + inline + source.slice(range[1], textEnd)
+    } else {
+      const keyLine = index === 0 ? starts[index] : lineStart(source, keyRange(pair)[0])
+      body += source.slice(starts[index], keyLine) + renderPair(patched, column, index === 0)
+    }
+  }
+
+  const known = new Set(pairs.map(keyOf))
+  const added = node.items
+    .filter((pair) => !known.has(keyOf(pair)))
+    .map((pair) => renderPair(pair, column, false))
+    .join("")
+  if (added && !body.endsWith("\n")) body += "\n"
+
+  return source.slice(chunk.start, starts[0]) + body + added + source.slice(end, chunk.end)
+}
+
+/**
+ * Updates a sequence node item by item: unchanged items are left alone, edited
+ * maps are patched and anything else is replaced with a new node
+ * @param {import('yaml').Document} doc
+ * @param {import('yaml').YAMLSeq} seq
+ * @param {Object[]} actions
+ */
+function patchSequence(doc, seq, actions) {
+  actions.forEach((action, index) => {
+    const item = seq.items[index]
+    if (isNode(item) && isDeepEqual(item.toJSON(), action)) return
+    seq.items[index] = isMap(item) ? patchActionNode(doc, item, action) : doc.createNode(action)
+  })
+  seq.items.splice(actions.length)
+}
+
+/**
+ * @param {string} source
+ * @param {import('yaml').Range} range
+ * @returns {[number, number]} The node's start and end offsets without trailing whitespace
+ */
+function trimmedRange(source, range) {
+  let end = range[1]
+  while (end > range[0] && /\s/.test(source[end - 1])) end--
+  return [range[0], end]
+}
+
+/**
+ * @param {string} source
+ * @param {number} offset - Start of a node
+ * @returns {number} Offset of the node's line, or of the comment lines right above it,
+ * when nothing but indentation precedes the node on its line
+ */
+function blockStart(source, offset) {
+  let start = lineStart(source, offset)
+  if (source.slice(start, offset).trim()) return offset
+  while (start > 0) {
+    const previousLine = lineStart(source, start - 1)
+    if (!source.slice(previousLine, start).trim().startsWith("#")) break
+    start = previousLine
+  }
+  return start
+}
+
+/**
+ * Renders a document whose `actions` sequence was patched in the AST and copies
+ * only the sequence's new text into the original source, re-indented to where
+ * the sequence started, so the rest of the file keeps its exact spacing.
+ * Returns the whole rendered document when the sequence can't be matched up.
+ * @param {string} source
+ * @param {import('yaml').Document} doc
+ * @param {import('yaml').YAMLSeq} seq
+ * @returns {string}
+ */
+function spliceSequence(source, doc, seq) {
+  const rendered = doc.toString(TO_STRING_OPTIONS)
+  const renderedSeq = parseDocument(rendered).get("actions", true)
+  if (!seq.range || !isSeq(renderedSeq) || !renderedSeq.range || Boolean(renderedSeq.flow) !== Boolean(seq.flow)) {
+    return rendered
+  }
+
+  const [, end] = trimmedRange(source, seq.range)
+  const [, renderedEnd] = trimmedRange(rendered, renderedSeq.range)
+  const start = blockStart(source, seq.range[0])
+  const renderedStart = blockStart(rendered, renderedSeq.range[0])
+  const wholeLines = start === lineStart(source, start)
+  if (wholeLines !== (renderedStart === lineStart(rendered, renderedStart))) return rendered
+
+  const column = (/** @type {string} */ text, /** @type {number} */ offset) => offset - lineStart(text, offset)
+  const shift = column(source, seq.range[0]) - column(rendered, renderedSeq.range[0])
+  const text = rendered
+    .slice(renderedStart, renderedEnd)
+    .split("\n")
+    .map((line, index) => {
+      if ((index === 0 && !wholeLines) || !line) return line
+      return shift >= 0 ? " ".repeat(shift) + line : line.slice(-shift)
+    })
+    .join("\n")
+
+  return source.slice(0, start) + text + source.slice(end)
+}
+
+/**
+ * Updates the `actions` sequence of a YAML document to match `actions`,
+ * preserving comments, blank lines, quoting and all other top-level keys
+ * @param {string} source - The current YAML source
+ * @param {import('./types.js').ActionType[]} actions - The new list of actions
+ * @returns {string} The updated YAML source
+ */
+export function patchActions(source, actions) {
+  if (!source || !source.trim()) return stringifyYaml({ actions })
+
+  const doc = parseDocument(source)
+  if (doc.errors.length > 0 || !isMap(doc.contents)) return stringifyYaml({ actions })
+
+  const seq = doc.get("actions", true)
+  if (!isSeq(seq) || seq.items.length === 0) {
+    doc.set("actions", doc.createNode(actions))
+    return doc.toString(TO_STRING_OPTIONS)
+  }
+
+  const chunks = !seq.flow && actions.length > 0 ? getItemChunks(source, seq) : null
+  if (!chunks) {
+    // Flow sequences and unusual layouts: patch the AST one item at a time
+    patchSequence(doc, seq, actions)
+    return spliceSequence(source, doc, seq)
+  }
+
+  // Match new actions to existing items: identical content first, then same position, then same name
+  const used = new Set()
+  const matches = new Array(actions.length).fill(null)
+  const claim = (index, chunkIndex) => {
+    matches[index] = chunkIndex
+    used.add(chunkIndex)
+  }
+
+  actions.forEach((action, index) => {
+    if (chunks[index] && isDeepEqual(chunks[index].value, action)) {
+      claim(index, index)
+    }
+  })
+  actions.forEach((action, index) => {
+    if (matches[index] !== null) return
+    const chunkIndex = chunks.findIndex((chunk, i) => !used.has(i) && isDeepEqual(chunk.value, action))
+    if (chunkIndex !== -1) claim(index, chunkIndex)
+  })
+  actions.forEach((action, index) => {
+    if (matches[index] === null && chunks[index] && !used.has(index)) claim(index, index)
+  })
+  actions.forEach((action, index) => {
+    if (matches[index] !== null || !action?.name) return
+    const chunkIndex = chunks.findIndex((chunk, i) => !used.has(i) && chunk.value?.name === action.name)
+    if (chunkIndex !== -1) claim(index, chunkIndex)
+  })
+
+  const first = chunks[0]
+  const last = chunks[chunks.length - 1]
+  const gaps = chunks.map((chunk, i) => (i === 0 ? "" : source.slice(chunks[i - 1].end, chunk.start)))
+
+  const body = actions
+    .map((action, index) => {
+      const gap = gaps[Math.min(index, gaps.length - 1)] ?? ""
+      const separator = index === 0 ? "" : gap
+      const chunkIndex = matches[index]
+
+      if (chunkIndex === null) {
+        return separator + renderItem(doc.createNode(action), first.prefix)
+      }
+
+      const chunk = chunks[chunkIndex]
+      if (isDeepEqual(chunk.value, action)) {
+        return separator + source.slice(chunk.start, chunk.end)
+      }
+
+      const node = patchActionNode(doc, chunk.item, action)
+      const spliced = spliceItem(source, chunk, node, action)
+      if (spliced !== null) return separator + spliced
+
+      // The comment lines above the item are copied as they are, so the node must not render them again
+      node.commentBefore = undefined
+      node.spaceBefore = undefined
+      const comments = source.slice(chunk.start, chunk.dashLine)
+      return separator + comments + renderItem(node, chunk.prefix)
+    })
+    .join("")
+
+  const after = source.slice(last.end)
+  // Keep the newline that ended the last item when the file had no trailing newline
+  if (!source.endsWith("\n") && after === "" && body.endsWith("\n")) {
+    return source.slice(0, first.start) + body.slice(0, -1)
+  }
+  return source.slice(0, first.start) + body + after
+}
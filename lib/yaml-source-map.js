@@ -0,0 +1,162 @@
+/**
+ * Source positions for parsed YAML values.
+ * Walks the `yaml` package's AST, whose nodes carry their exact source offsets,
+ * so diagnostics can point at the exact key or value they are about. The data
+ * itself is loaded with js-yaml, like everywhere else in the app.
+ */
+import yaml from "js-yaml"
+import { parseDocument, isMap, isScalar, isSeq } from "yaml"
+
+/**
+ * @typedef {Object} SourceEntry
+ * @property {(string|number)[]} path
+ * @property {{ start: number, end: number }} value - Offsets of the value node
+ * @property {{ start: number, end: number } | null} key - Offsets of the mapping key, if the value is a mapping entry
+ */
+
+/**
+ * @param {(string|number)[]} path
+ * @returns {string}
+ */
+function pathKey(path) {
+  return JSON.stringify(path)
+}
+
+/**
+ * Returns the span of a node's own text. Block collections end with their last
+ * entry, not with the line breaks and comments after it.
+ * @param {string} content
+ * @param {any} node - A node of the `yaml` AST
+ * @param {{ start: number, end: number }[]} itemSpans - Spans of the node's entries, for collections
+ * @returns {{ start: number, end: number }}
+ */
+function nodeSpan(content, node, itemSpans) {
+  const [start, valueEnd] = node.range
+  if ((isMap(node) || isSeq(node)) && !node.flow && itemSpans.length > 0) {
+    return { start, end: Math.max(...itemSpans.map((span) => span.end)) }
+  }
+  let end = valueEnd
+  while (end > start && /\s/.test(content[end - 1])) end--
+  return { start, end }
+}
+
+/**
+ * Records the spans of a node and of the nodes inside it. Empty values
+ * ("key:" or "- ") are scalar nodes with an empty range where they would be.
+ * @param {string} content
+ * @param {any} node - A node of the `yaml` AST
+ * @param {(string|number)[]} path
+ * @param {{ start: number, end: number } | null} key
+ * @param {Map<string, SourceEntry>} entries
+ * @returns {{ start: number, end: number }} The node's span
+ */
+function visit(content, node, path, key, entries) {
+  // Entries are listed parent first
+  /** @type {SourceEntry} */
+  const entry = { path, value: { start: 0, end: 0 }, key }
+  entries.set(pathKey(path), entry)
+
+  /** @type {{ start: number, end: number }[]} */
+  const itemSpans = []
+  if (isSeq(node)) {
+    node.items.forEach((item, index) => itemSpans.push(visit(content, item, [...path, index], null, entries)))
+  } else if (isMap(node)) {
+    node.items.forEach(({ key: keyNode, value }) => {
+      const keySpan = nodeSpan(content, keyNode, [])
+      const name = isScalar(keyNode) ? String(keyNode.value) : String(keyNode)
+      itemSpans.push(keySpan, visit(content, value, [...path, name], keySpan, entries))
+    })
+  }
+
+  // Aliases are located where they are written; the anchored node is not walked again
+  entry.value = nodeSpan(content, node, itemSpans)
+  return entry.value
+}
+
+/**
+ * Parses YAML content and records the source span of every value by path
+ * @param {string} content - The YAML source
+ * @returns {{
+ *   data: any,
+ *   entries: SourceEntry[],
+ *   getRange: function((string|number)[]): import('./types.js').SourceRange | null,
+ *   getKeyRange: function((string|number)[]): import('./types.js').SourceRange | null,
+ *   toRange: function(number, number): import('./types.js').SourceRange,
+ *   toPosition: function(number): { lineNumber: number, column: number },
+ * }}
+ * @throws {yaml.YAMLException} When the content is not valid YAML
+ */
+export function buildSourceMap(content) {
+  const lineStarts = [0]
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === "\n") lineStarts.push(i + 1)
+  }
+
+  const data = yaml.load(content)
+
+  /** @type {Map<string, SourceEntry>} */
+  const entries = new Map()
+  const doc = parseDocument(content, { uniqueKeys: false })
+  // js-yaml has the final say on validity; ranges are only left out if the two parsers disagree
+  if (doc.errors.length === 0 && doc.contents) visit(content, doc.contents, [], null, entries)
+
+  /**
+   * @param {number} offset
+   * @returns {{ lineNumber: number, column: number }}
+   */
+  const toPosition = (offset) => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
+      if (lineStarts[mid] <= offset) low = mid
+      else high = mid - 1
+    }
+    return { lineNumber: low + 1, column: offset - lineStarts[low] + 1 }
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @returns {import('./types.js').SourceRange}
+   */
+  const toRange = (start, end) => {
+    const from = toPosition(start)
+    const to = toPosition(end)
+    return {
+      startLineNumber: from.lineNumber,
+      startColumn: from.column,
+      endLineNumber: to.lineNumber,
+      endColumn: to.column,
+    }
+  }
+
+  return {
+    data,
+    entries: [...entries.values()],
+    getRange(path) {
+      const entry = entries.get(pathKey(path))
+      return entry ? toRange(entry.value.start, entry.value.end) : null
+    },
+    getKeyRange(path) {
+      const entry = entries.get(pathKey(path))
+      if (!entry) return null
+      const span = entry.key || entry.value
+      return toRange(span.start, span.end)
+    },
+    toRange,
+    toPosition,
+  }
+}
+
+/**
+ * Converts a js-yaml parse error into a source range
+ * @param {any} error
+ * @returns {import('./types.js').SourceRange | null}
+ */
+export function getErrorRange(error) {
+  if (!error || !error.mark) return null
+  const lineNumber = error.mark.line + 1
+  const column = error.mark.column + 1
+  return { startLineNumber: lineNumber, startColumn: column, endLineNumber: lineNumber, endColumn: column + 1 }
+}
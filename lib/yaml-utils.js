@@ -1,5 +1,9 @@
 import yaml from "js-yaml"
-import { actionDefinitions } from "./action-definitions.js"
+import { actionDefinitions, getDataflow } from "./action-definitions.js"
+import { validateActionProps, formatPath } from "./schema-validation.js"
+import { buildSourceMap, getErrorRange } from "./yaml-source-map.js"
+import { resolveDependencies } from "./dataframe-dependencies.js"
+import { validateParameters } from "./parameters.js"
 
 /**
  * @param {string} content
@@ -29,109 +33,426 @@ export function stringifyYaml(data) {
 }
 
 /**
+ * Validates workflow YAML and reports structured diagnostics with source ranges.
+ * `errors` holds the messages of error-severity diagnostics.
  * @param {string} content
- * @returns {{ errors: string[], data: import('./types.js').YamlData | null }}
+ * @returns {{
+ *   errors: string[],
+ *   diagnostics: import('./types.js').Diagnostic[],
+ *   data: import('./types.js').YamlData | null,
+ * }}
  */
 export function validateYaml(content) {
-  const errors = []
-  let data = null
+  /** @type {import('./types.js').Diagnostic[]} */
+  const diagnostics = []
+  let sourceMap = null
+
+  const result = (data) => ({
+    errors: diagnostics.filter((d) => d.severity === "error").map((d) => d.message),
+    diagnostics,
+    data,
+  })
 
   try {
-    data = yaml.load(content)
+    sourceMap = buildSourceMap(content)
+  } catch (error) {
+    diagnostics.push({
+      severity: "error",
+      code: "yaml-syntax",
+      message: error instanceof Error ? `YAML parsing error: ${/** @type {any} */ (error).reason || error.message}` : "Unknown YAML parsing error",
+      path: [],
+      range: getErrorRange(error),
+    })
+    return result(null)
+  }
+
+  /**
+   * @param {"error"|"warning"|"info"} severity
+   * @param {string} code
+   * @param {string} message
+   * @param {(string|number)[]} path
+   * @param {{ atKey?: boolean, fallback?: (string|number)[] }} [options]
+   */
+  const report = (severity, code, message, path, { atKey = false, fallback } = {}) => {
+    const locate = (p) => (atKey ? sourceMap.getKeyRange(p) : sourceMap.getRange(p))
+    const range = locate(path) || (fallback ? locate(fallback) : null) || sourceMap.getRange([])
+    diagnostics.push({ severity, code, message, path, range })
+  }
+
+  const data = sourceMap.data
+
+  // Check if actions property exists and is an array
+  if (!data || !data.actions || !Array.isArray(data.actions)) {
+    report("error", "missing-actions", "YAML must contain an 'actions' array", ["actions"], { atKey: true })
+    return result(null)
+  }
+
+  // Validate each action
+  data.actions.forEach((action, index) => {
+    const actionPath = ["actions", index]
 
-    // Check if actions property exists and is an array
-    if (!data || !data.actions || !Array.isArray(data.actions)) {
-      errors.push("YAML must contain an 'actions' array")
-      return { errors, data: null }
+    if (!action || typeof action !== "object" || Array.isArray(action)) {
+      report("error", "invalid-action", `Action at index ${index} must be a mapping`, actionPath)
+      return
     }
 
-    // Validate each action
-    data.actions.forEach((action, index) => {
-      if (!action.action) {
-        errors.push(`Action at index ${index} is missing the 'action' property`)
-        return
-      }
+    if (!action.action) {
+      report("error", "missing-action-type", `Action at index ${index} is missing the 'action' property`, actionPath)
+      return
+    }
 
-      const actionType = action.action
-      const definition = actionDefinitions.find((def) => def.name === actionType)
+    const actionType = action.action
+    const definition = actionDefinitions.find((def) => def.name === actionType)
 
-      if (!definition) {
-        errors.push(`Unknown action type '${actionType}' at index ${index}`)
-        return
-      }
+    if (!definition) {
+      report("error", "unknown-action-type", `Unknown action type '${actionType}' at index ${index}`, [
+        ...actionPath,
+        "action",
+      ])
+      return
+    }
 
-      // Check mandatory properties
-      definition.mandatoryProps.forEach((prop) => {
-        if (prop !== "action" && !action[prop]) {
-          errors.push(`Action '${actionType}' at index ${index} is missing mandatory property '${prop}'`)
-        }
-      })
+    // Check mandatory properties and property types against the definition's schema
+    validateActionProps(action).forEach((issue) => {
+      const path = [...actionPath, ...issue.path]
+      if (issue.missing) {
+        report(
+          "error",
+          "missing-property",
+          `Action '${actionType}' at index ${index} is missing mandatory property '${formatPath(issue.path)}'`,
+          path,
+          { atKey: true, fallback: [...actionPath, "action"] },
+        )
+      } else if (issue.unknown) {
+        report(
+          "warning",
+          "unknown-property",
+          `Action '${actionType}' at index ${index}: property '${formatPath(issue.path)}' ${issue.message}`,
+          path,
+          { atKey: true },
+        )
+      } else {
+        report(
+          "error",
+          "invalid-property",
+          `Action '${actionType}' at index ${index}: property '${formatPath(issue.path)}' ${issue.message}`,
+          path,
+        )
+      }
     })
-  } catch (error) {
-    if (error instanceof Error) {
-      errors.push(`YAML parsing error: ${error.message}`)
-    } else {
-      errors.push("Unknown YAML parsing error")
-    }
-    return { errors, data: null }
+  })
+
+  // Check that dataframes consumed by name are produced somewhere
+  const analysis = analyzeWorkflowGraph(data.actions)
+  /**
+   * @param {import('./types.js').DataframeReference} reference
+   */
+  const referencePath = (reference) => {
+    const path = ["actions", reference.index, reference.prop]
+    if (reference.item !== undefined) path.push(reference.item)
+    return path
   }
+  /**
+   * @param {number} index
+   */
+  const describe = (index) => `'${data.actions[index]?.name ?? `#${index}`}'`
 
-  return { errors, data }
+  analysis.references.forEach((reference) => {
+    if (reference.producer !== null || reference.kind === "reference") return
+    report(
+      "warning",
+      "unknown-dataframe",
+      `Action at index ${reference.index} uses dataframe '${reference.dataframe}' in '${reference.prop}', but no action produces it`,
+      referencePath(reference),
+    )
+  })
+
+  // Check the execution order implied by the dependency graph
+  analysis.cycles.forEach((cycle) => {
+    const chain = [...cycle, cycle[0]].map(describe).join(" → ")
+    cycle.forEach((index) => {
+      report("error", "dependency-cycle", `Action ${describe(index)} is part of a dependency cycle: ${chain}`, [
+        "actions",
+        index,
+        "action",
+      ])
+    })
+  })
+
+  analysis.forwardReferences.forEach((reference) => {
+    report(
+      "error",
+      "forward-reference",
+      `Action ${describe(reference.index)} uses '${reference.dataframe}' before action ${describe(/** @type {number} */ (reference.producer))} (index ${reference.producer}) produces it`,
+      referencePath(reference),
+    )
+  })
+
+  analysis.orphans.forEach((index) => {
+    report("warning", "orphan-action", `Action ${describe(index)} is not connected to any other action`, [
+      "actions",
+      index,
+      "action",
+    ])
+  })
+
+  // Check parameters, profiles and ${param} references
+  validateParameters(data).forEach(({ severity, code, message, path, atKey }) => {
+    report(severity, code, message, path, { atKey })
+  })
+
+  analysis.unusedDataframes.forEach(({ index, dataframe, prop }) => {
+    report("info", "unused-dataframe", `Dataframe '${dataframe}' produced by ${describe(index)} is never consumed`, [
+      "actions",
+      index,
+      prop,
+    ])
+  })
+
+  return result(data)
 }
 
 /**
+ * Returns one relationship per pair of actions connected by a dataframe dependency
  * @param {import('./types.js').ActionType[]} actions
- * @returns {{ source: string, target: string }[]}
+ * @returns {{ source: string, target: string, dataframes: string[] }[]}
  */
 export function findRelationships(actions) {
-  const relationships = []
+  return resolveDependencies(actions).edges.map((edge) => ({
+    source: `action-${edge.source}`,
+    target: `action-${edge.target}`,
+    dataframes: edge.dataframes,
+  }))
+}
 
-  // Create a map of dataframe names to action indices
-  const dataframeMap = {}
+/**
+ * Finds strongly connected components with more than one action (Tarjan's algorithm)
+ * @param {number} count - Number of actions
+ * @param {{ source: number, target: number }[]} edges
+ * @returns {number[][]}
+ */
+function findCycles(count, edges) {
+  const adjacency = Array.from({ length: count }, () => /** @type {number[]} */ ([]))
+  edges.forEach((edge) => adjacency[edge.source].push(edge.target))
 
-  actions.forEach((action, index) => {
-    if (action.dataframe) {
-      if (!dataframeMap[action.dataframe]) {
-        dataframeMap[action.dataframe] = []
+  const indices = new Array(count).fill(-1)
+  const lowLinks = new Array(count).fill(0)
+  const onStack = new Array(count).fill(false)
+  const stack = []
+  const cycles = []
+  let counter = 0
+
+  const connect = (node) => {
+    indices[node] = lowLinks[node] = counter++
+    stack.push(node)
+    onStack[node] = true
+
+    adjacency[node].forEach((next) => {
+      if (indices[next] === -1) {
+        connect(next)
+        lowLinks[node] = Math.min(lowLinks[node], lowLinks[next])
+      } else if (onStack[next]) {
+        lowLinks[node] = Math.min(lowLinks[node], indices[next])
       }
-      dataframeMap[action.dataframe].push(index)
+    })
+
+    if (lowLinks[node] === indices[node]) {
+      const component = []
+      let member
+      do {
+        member = stack.pop()
+        onStack[member] = false
+        component.push(member)
+      } while (member !== node)
+      if (component.length > 1) cycles.push(component.sort((a, b) => a - b))
     }
+  }
+
+  for (let node = 0; node < count; node++) {
+    if (indices[node] === -1) connect(node)
+  }
+
+  return cycles.sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * Finds where execution enters and leaves the graph. Each cycle counts as a
+ * single unit and is represented by its first action.
+ * @param {number} count - Number of actions
+ * @param {{ source: number, target: number }[]} edges
+ * @param {number[][]} cycles
+ * @returns {{ sources: number[], sinks: number[] }}
+ */
+function findSourcesAndSinks(count, edges, cycles) {
+  const unitOf = Array.from({ length: count }, (_, index) => index)
+  cycles.forEach((cycle) => cycle.forEach((index) => (unitOf[index] = cycle[0])))
+
+  const hasIncoming = new Set()
+  const hasOutgoing = new Set()
+  edges.forEach(({ source, target }) => {
+    if (unitOf[source] === unitOf[target]) return
+    hasOutgoing.add(unitOf[source])
+    hasIncoming.add(unitOf[target])
   })
 
-  // Find relationships by checking if dataframe values are used in other actions
-  actions.forEach((sourceAction, sourceIndex) => {
-    const sourceDataframe = sourceAction.dataframe
+  const units = [...new Set(unitOf)]
+  return {
+    sources: units.filter((unit) => !hasIncoming.has(unit)),
+    sinks: units.filter((unit) => !hasOutgoing.has(unit)),
+  }
+}
 
-    actions.forEach((targetAction, targetIndex) => {
-      if (sourceIndex === targetIndex) return
+/**
+ * @param {any} action
+ * @returns {boolean} Whether a list item is an action object, as opposed to an empty or scalar item
+ */
+function isActionObject(action) {
+  return action !== null && typeof action === "object" && !Array.isArray(action)
+}
 
-      // Special case for Load actions: don't create circular relationships
-      // when a dataframe value is referenced inside a Load action's dataframe value
-      if (targetAction.action === "Load" && targetAction.dataframe === sourceDataframe) {
-        return
-      }
+/**
+ * Returns the actions of parsed workflow data for the builder's views, which need every item to be an action
+ * @param {import('./types.js').YamlData|null} data
+ * @returns {import('./types.js').ActionType[]|null} null when there is no actions list, or an item is empty or a
+ *   scalar (e.g. a bare `-`); validateYaml reports those items
+ */
+export function getActionList(data) {
+  if (!Array.isArray(data?.actions) || !data.actions.every(isActionObject)) return null
+  return data.actions
+}
 
-      // Check if the target action uses the source dataframe in any property
-      const usesDataframe = Object.entries(targetAction).some(([key, value]) => {
-        if (key === "action" || key === "name") return false
+/**
+ * Analyzes the dataframe dependency graph of a workflow for execution-order problems
+ * @param {import('./types.js').ActionType[]} actions
+ * @returns {{
+ *   references: import('./types.js').DataframeReference[],
+ *   edges: { source: number, target: number, dataframes: string[], forward: boolean, inCycle: boolean }[],
+ *   cycles: number[][],
+ *   forwardReferences: import('./types.js').DataframeReference[],
+ *   orphans: number[],
+ *   unusedDataframes: { index: number, dataframe: string, prop: string }[],
+ *   sources: number[],
+ *   sinks: number[],
+ * }} `sources` and `sinks` are the actions with no upstream or downstream dependencies
+ */
+export function analyzeWorkflowGraph(actions) {
+  const { references, edges } = resolveDependencies(actions)
+  const cycles = findCycles(actions.length, edges)
 
-        if (typeof value === "string") {
-          return value.includes(sourceDataframe)
-        } else if (Array.isArray(value)) {
-          return value.some((item) => typeof item === "string" && item.includes(sourceDataframe))
-        }
+  const cycleOf = new Map()
+  cycles.forEach((cycle, cycleIndex) => cycle.forEach((index) => cycleOf.set(index, cycleIndex)))
 
-        return false
-      })
+  const flaggedEdges = edges.map((edge) => ({
+    ...edge,
+    inCycle: cycleOf.has(edge.source) && cycleOf.get(edge.source) === cycleOf.get(edge.target),
+  }))
 
-      if (usesDataframe) {
-        relationships.push({
-          source: `action-${sourceIndex}`,
-          target: `action-${targetIndex}`,
-        })
-      }
+  // Forward references inside a cycle are reported as part of the cycle
+  const forwardReferences = references.filter(
+    (reference) =>
+      reference.forward &&
+      reference.producer !== null &&
+      !(cycleOf.has(reference.index) && cycleOf.get(reference.index) === cycleOf.get(reference.producer)),
+  )
+
+  const connected = new Set()
+  edges.forEach((edge) => {
+    connected.add(edge.source)
+    connected.add(edge.target)
+  })
+  // Empty and non-object items are reported by validateYaml, not as actions of the graph
+  const actionIndexes = actions.map((_, index) => index).filter((index) => isActionObject(actions[index]))
+  const orphans = actionIndexes.length > 1 ? actionIndexes.filter((index) => !connected.has(index)) : []
+
+  const unusedDataframes = []
+  actions.forEach((action, index) => {
+    if (!isActionObject(action)) return
+    getDataflow(action.action).produces.forEach((prop) => {
+      const dataframe = typeof action[prop] === "string" ? action[prop].trim() : ""
+      if (!dataframe) return
+      const consumed = references.some((reference) => reference.producer === index && reference.dataframe === dataframe)
+      if (!consumed) unusedDataframes.push({ index, dataframe, prop })
     })
   })
 
-  return relationships
+  const graphEnds = findSourcesAndSinks(actions.length, edges, cycles)
+  const sources = graphEnds.sources.filter((index) => isActionObject(actions[index]))
+  const sinks = graphEnds.sinks.filter((index) => isActionObject(actions[index]))
+
+  return { references, edges: flaggedEdges, cycles, forwardReferences, orphans, unusedDataframes, sources, sinks }
+}
+
+/**
+ * Returns the positions (in `sequence`) of a longest strictly increasing subsequence
+ * @param {number[]} sequence
+ * @returns {Set<number>}
+ */
+export function longestIncreasingPositions(sequence) {
+  const tails = []
+  const previous = new Array(sequence.length).fill(-1)
+
+  sequence.forEach((value, position) => {
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (sequence[tails[mid]] < value) low = mid + 1
+      else high = mid
+    }
+    if (low > 0) previous[position] = tails[low - 1]
+    tails[low] = position
+  })
+
+  const positions = new Set()
+  let position = tails.length > 0 ? tails[tails.length - 1] : -1
+  while (position !== -1) {
+    positions.add(position)
+    position = previous[position]
+  }
+  return positions
+}
+
+/**
+ * Computes an execution order in which every action comes after the actions it
+ * depends on, keeping the existing relative order wherever possible
+ * @param {import('./types.js').ActionType[]} actions
+ * @returns {{
+ *   order: number[] | null,
+ *   actions: import('./types.js').ActionType[] | null,
+ *   moves: { index: number, name: string, from: number, to: number }[],
+ *   cycles: number[][],
+ * }} `order` lists original indices in their new order; it is null when the graph has cycles
+ */
+export function computeTopologicalOrder(actions) {
+  const { edges, cycles } = analyzeWorkflowGraph(actions)
+  if (cycles.length > 0) return { order: null, actions: null, moves: [], cycles }
+
+  const inDegree = new Array(actions.length).fill(0)
+  const successors = Array.from({ length: actions.length }, () => /** @type {number[]} */ ([]))
+  edges.forEach((edge) => {
+    successors[edge.source].push(edge.target)
+    inDegree[edge.target]++
+  })
+
+  // Kahn's algorithm, always picking the ready action that came first originally
+  const ready = actions.map((_, index) => index).filter((index) => inDegree[index] === 0)
+  /** @type {number[]} */
+  const order = []
+  while (ready.length > 0) {
+    ready.sort((a, b) => a - b)
+    const index = /** @type {number} */ (ready.shift())
+    order.push(index)
+    successors[index].forEach((next) => {
+      inDegree[next]--
+      if (inDegree[next] === 0) ready.push(next)
+    })
+  }
+
+  // Actions outside the longest run that keeps its relative order are the ones that moved
+  const kept = longestIncreasingPositions(order)
+  const moves = order
+    .map((index, position) => ({ index, name: actions[index]?.name ?? `#${index}`, from: index, to: position }))
+    .filter((move, position) => !kept.has(position))
+
+  return { order, actions: order.map((index) => actions[index]), moves, cycles }
 }
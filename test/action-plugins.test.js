@@ -0,0 +1,46 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { getActionDefinition, isBuiltInActionType, registerActionType } from "../lib/action-definitions.js"
+import { loadActionTypes } from "../lib/action-plugins.js"
+
+const definitionFile = (/** @type {string[]} */ ...names) =>
+  `actions:\n${names.map((name) => `  - name: ${name}\n    mandatoryProps: [dataframe]\n`).join("")}`
+
+describe("loadActionTypes", () => {
+  it("rebuilds the custom types from the current file on every load", () => {
+    assert.deepEqual(loadActionTypes(definitionFile("Snapshot", "Archive")), [])
+    assert.ok(getActionDefinition("Snapshot"))
+    assert.ok(getActionDefinition("Archive"))
+
+    registerActionType({ name: "Stray" })
+    assert.deepEqual(loadActionTypes(definitionFile("Archive")), [])
+    assert.equal(getActionDefinition("Snapshot"), undefined)
+    assert.equal(getActionDefinition("Stray"), undefined)
+    assert.ok(getActionDefinition("Archive"))
+  })
+
+  it("removes every custom type when the file is gone, but no built-in one", () => {
+    loadActionTypes(definitionFile("Snapshot"))
+    loadActionTypes(null)
+    assert.equal(getActionDefinition("Snapshot"), undefined)
+    assert.ok(isBuiltInActionType("Load"))
+    assert.ok(getActionDefinition("Load"))
+  })
+  it("rejects schemas with an invalid pattern, enum or limit", () => {
+    const errors = loadActionTypes(`actions:
+  - name: Snapshot
+    optionalProps: [location, format, tags]
+    props:
+      location: { type: string, pattern: "[", minLength: -1 }
+      format: { type: string, enum: csv }
+      tags: { type: object, additionalProperties: { type: array, minItems: 1.5 } }
+`)
+    assert.match(errors[0], /^workflow-actions\.yaml: Snapshot: 'props\.location\.pattern' is invalid: /)
+    assert.deepEqual(errors.slice(1), [
+      "workflow-actions.yaml: Snapshot: 'props.location.minLength' must be a non-negative integer",
+      "workflow-actions.yaml: Snapshot: 'props.format.enum' must be a list of values",
+      "workflow-actions.yaml: Snapshot: 'props.tags.additionalProperties.minItems' must be a non-negative integer",
+    ])
+    assert.equal(getActionDefinition("Snapshot"), undefined)
+  })
+})
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, readFile, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import nodePath from "node:path"
+import { after, before, describe, it } from "node:test"
+import yaml from "js-yaml"
+import { EXIT_CODES, formatWorkflow, parseArguments, runCli } from "../lib/cli.js"
+
+const VALID = `actions:
+  - action: Extract
+    name: extract
+    dataframe: orders
+    location: s3://in/
+  - action: Load
+    name: load
+    dataframe: orders
+    destination: s3://out/
+`
+
+/**
+ * Runs the CLI in a directory, capturing its output
+ * @param {string} cwd
+ * @param {string[]} argv
+ */
+async function run(cwd, argv) {
+  const stdout = []
+  const stderr = []
+  const code = await runCli(argv, {
+    cwd,
+    stdout: (line) => stdout.push(line),
+    stderr: (line) => stderr.push(line),
+  })
+  return { code, stdout: stdout.join("\n"), stderr: stderr.join("\n") }
+}
+
+describe("parseArguments", () => {
+  it("reads the command, options and patterns", () => {
+    const options = parseArguments(["graph", "--format=mermaid", "a.yaml", "b.yaml"])
+    assert.equal(options.command, "graph")
+    assert.equal(options.format, "mermaid")
+    assert.deepEqual(options.patterns, ["a.yaml", "b.yaml"])
+  })
+})
+
+describe("runCli", () => {
+  let dir = ""
+  before(async () => {
+    dir = await mkdtemp(nodePath.join(tmpdir(), "yaml-workflow-"))
+    await writeFile(nodePath.join(dir, "valid.yaml"), VALID)
+    await writeFile(nodePath.join(dir, "invalid.yaml"), "actions:\n  - action: Load\n    name: load\n")
+  })
+  after(() => rm(dir, { recursive: true, force: true }))
+
+  it("validates files", async () => {
+    assert.equal((await run(dir, ["validate", "valid.yaml"])).code, EXIT_CODES.OK)
+    const { code, stdout } = await run(dir, ["validate", "invalid.yaml"])
+    assert.equal(code, EXIT_CODES.FAILED)
+    assert.match(stdout, /invalid\.yaml:2:5: error .*missing mandatory property 'dataframe'/)
+  })
+
+  it("leaves the workspace's config files out of glob matches", async () => {
+    const workspace = nodePath.join(dir, "workspace")
+    await mkdir(nodePath.join(workspace, "pipelines"), { recursive: true })
+    await writeFile(nodePath.join(workspace, "pipelines", "daily.yaml"), VALID)
+    await writeFile(nodePath.join(workspace, "workflow-lint.yaml"), "rules:\n  purge-after-load: off\n")
+    await writeFile(nodePath.join(workspace, "workflow-actions.yaml"), "actions:\n  - name: Snapshot\n")
+
+    const { code, stdout } = await run(workspace, ["validate", "--json", "**/*.yaml"])
+    assert.equal(code, EXIT_CODES.OK)
+    assert.deepEqual(
+      JSON.parse(stdout).files.map((/** @type {any} */ file) => file.path),
+      ["pipelines/daily.yaml"],
+    )
+  })
+
+  it("fails on unknown options", async () => {
+    assert.equal((await run(dir, ["validate", "--nope"])).code, EXIT_CODES.USAGE)
+  })
+
+  it("leaves formatted files alone with fmt --check", async () => {
+    assert.equal((await run(dir, ["fmt", "--check", "valid.yaml"])).code, EXIT_CODES.OK)
+    assert.equal(await readFile(nodePath.join(dir, "valid.yaml"), "utf8"), VALID)
+  })
+})
+
+describe("formatWorkflow", () => {
+  it("formats the SQL of actions", () => {
+    const formatted = formatWorkflow(
+      "actions:\n  - action: Execute\n    name: q\n    dataframe: df\n    sql: |\n      select a from t\n",
+    )
+    assert.match(formatted, /SELECT\n\s+a\n\s+FROM\n\s+t/)
+  })
+
+  it("writes SQL as block literals and keeps the chomping indicator", () => {
+    const source = `actions:
+  - action: Execute
+    name: quoted
+    dataframe: df
+    sql: "select a, b from t where x = 1"
+  - action: Execute
+    name: clipped
+    dataframe: df
+    sql: |
+      select a from t
+  - action: Execute
+    name: kept
+    dataframe: df
+    sql: |+
+      select a from t
+
+version: 2
+`
+    const formatted = formatWorkflow(source)
+    assert.match(formatted, /name: quoted\n.*\n {4}sql: \|-\n {6}SELECT\n/)
+    assert.match(formatted, /name: clipped\n.*\n {4}sql: \|\n {6}SELECT\n/)
+    assert.match(formatted, /name: kept\n.*\n {4}sql: \|\+\n {6}SELECT\n/)
+
+    // Round trip: the same workflow, apart from the whitespace and keyword case of the SQL
+    const sqlWords = (/** @type {any} */ data) =>
+      JSON.stringify(data, (key, value) => (key === "sql" ? value.replace(/\s+/g, "").toLowerCase() : value))
+    const before = /** @type {any} */ (yaml.load(source))
+    const after = /** @type {any} */ (yaml.load(formatted))
+    assert.equal(sqlWords(after), sqlWords(before))
+    after.actions.forEach((/** @type {any} */ action, /** @type {number} */ index) => {
+      assert.equal(action.sql.endsWith("\n"), before.actions[index].sql.endsWith("\n"))
+    })
+  })
+})
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { resolveDependencies } from "../lib/dataframe-dependencies.js"
+import { validateYaml } from "../lib/yaml-utils.js"
+
+describe("resolveDependencies", () => {
+  it("links a consumer to the closest earlier producer", () => {
+    const { edges } = resolveDependencies(
+      /** @type {any[]} */ ([
+        { action: "Extract", name: "extract", dataframe: "orders", location: "s3://in/" },
+        { action: "Load", name: "load", dataframe: "orders", destination: "s3://out/" },
+      ]),
+    )
+    assert.deepEqual(edges, [{ source: 0, target: 1, dataframes: ["orders"], forward: false }])
+  })
+
+  it("treats names of Object.prototype members as ordinary names", () => {
+    const { producers, references } = resolveDependencies(
+      /** @type {any[]} */ ([
+        { action: "Extract", name: "toString", dataframe: "constructor", location: "s3://in/" },
+        { action: "Load", name: "load", dataframe: "valueOf", destination: "s3://out/", dependsOn: "toString" },
+      ]),
+    )
+    assert.deepEqual([...producers.keys()], ["constructor"])
+    assert.deepEqual(
+      references.map(({ dataframe, kind, producer }) => [dataframe, kind, producer]),
+      [
+        ["valueOf", "consumes", null],
+        ["toString", "explicit", 0],
+      ],
+    )
+  })
+
+  it("lets validateYaml check workflows using such names", () => {
+    const { diagnostics } = validateYaml(`actions:
+  - action: Extract
+    name: extract
+    dataframe: constructor
+    location: s3://in/
+  - action: Transform
+    name: transform
+    dataframe: hasOwnProperty
+    transformations:
+      - SELECT valueOf FROM constructor
+`)
+    assert.deepEqual(diagnostics.filter(({ severity }) => severity === "error"), [])
+  })
+})
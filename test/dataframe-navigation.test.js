@@ -0,0 +1,71 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  findDataframeOccurrences,
+  getDefinitions,
+  getOccurrenceAt,
+  getReferences,
+} from "../lib/dataframe-navigation.js"
+
+const CONTENT = `actions:
+  - action: Extract
+    name: extract
+    dataframe: orders
+    location: s3://in/
+  - action: Transform
+    name: clean
+    dataframe: orders
+    transformations:
+      - "SELECT * FROM orders -- not orders"
+  - action: Load
+    name: load
+    dataframe: orders
+    destination: s3://out/
+    dependsOn: [clean]
+`
+
+/**
+ * @param {import('../lib/dataframe-navigation.js').DataframeOccurrence[]} occurrences
+ */
+const summarize = (occurrences) =>
+  occurrences.map(({ kind, index, range }) => [kind, index, range.startLineNumber, range.startColumn])
+
+describe("findDataframeOccurrences", () => {
+  const occurrences = findDataframeOccurrences(CONTENT)
+
+  it("lists definitions and uses, but not names in SQL comments or action names in dependsOn", () => {
+    assert.deepEqual(summarize(occurrences), [
+      ["definition", 0, 4, 16],
+      ["definition", 1, 8, 16],
+      ["consumes", 1, 8, 16],
+      ["reference", 1, 10, 24],
+      ["consumes", 2, 13, 16],
+    ])
+  })
+
+  it("goes from a use to the producer the dependency graph resolves it to", () => {
+    const inSql = getOccurrenceAt(occurrences, { lineNumber: 10, column: 26 })
+    assert.equal(inSql?.kind, "reference")
+    assert.deepEqual(summarize(getDefinitions(occurrences, inSql)), [["definition", 0, 4, 16]])
+
+    // The Transform's dataframe is a use of the extracted one as well as a new definition
+    const inPlace = getOccurrenceAt(occurrences, { lineNumber: 8, column: 16 })
+    assert.equal(inPlace?.kind, "consumes")
+    assert.deepEqual(summarize(getDefinitions(occurrences, inPlace)), [["definition", 0, 4, 16]])
+
+    assert.equal(getOccurrenceAt(occurrences, { lineNumber: 10, column: 40 }), null)
+  })
+
+  it("lists every reference once per range", () => {
+    assert.equal(getReferences(occurrences, "orders").length, 4)
+    assert.deepEqual(summarize(getReferences(occurrences, "orders", false)), [
+      ["consumes", 1, 8, 16],
+      ["reference", 1, 10, 24],
+      ["consumes", 2, 13, 16],
+    ])
+  })
+
+  it("finds nothing in YAML that doesn't parse", () => {
+    assert.deepEqual(findDataframeOccurrences("actions: [\n"), [])
+  })
+})
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { computeLayeredLayout } from "../lib/graph-layout.js"
+
+describe("computeLayeredLayout", () => {
+  const chain = [
+    { source: 0, target: 1 },
+    { source: 1, target: 2 },
+  ]
+
+  it("ranks nodes along their edges, top to bottom by default", () => {
+    const { ranks, rankCount, positions } = computeLayeredLayout(3, chain)
+    assert.deepEqual(ranks, [0, 1, 2])
+    assert.equal(rankCount, 3)
+    assert.ok(positions[0].y < positions[1].y && positions[1].y < positions[2].y)
+  })
+
+  it("advances ranks along the x axis from left to right", () => {
+    const { positions, size } = computeLayeredLayout(3, chain, { direction: "LR" })
+    assert.ok(positions[0].x < positions[1].x && positions[1].x < positions[2].x)
+    assert.ok(size.width > size.height)
+  })
+
+  it("keeps nodes of one rank apart", () => {
+    const { ranks, positions } = computeLayeredLayout(
+      3,
+      [
+        { source: 0, target: 1 },
+        { source: 0, target: 2 },
+      ],
+      { nodeWidth: 100, nodeSpacing: 20 },
+    )
+    assert.deepEqual(ranks, [0, 1, 1])
+    assert.ok(Math.abs(positions[1].x - positions[2].x) >= 120)
+  })
+
+  it("routes long edges through the ranks they cross", () => {
+    const { routes } = computeLayeredLayout(3, [...chain, { source: 0, target: 2 }])
+    assert.equal(routes.length, 3)
+    assert.deepEqual(
+      routes.map((route) => route.length),
+      [0, 0, 1],
+    )
+  })
+
+  it("lays out cycles and ignores self-loops", () => {
+    const { ranks, positions, routes } = computeLayeredLayout(2, [
+      { source: 0, target: 1 },
+      { source: 1, target: 0 },
+      { source: 1, target: 1 },
+    ])
+    assert.deepEqual(ranks, [0, 1])
+    assert.ok(positions.every(({ x, y }) => Number.isFinite(x) && Number.isFinite(y)))
+    assert.deepEqual(routes, [[], [], []])
+  })
+})
@@ -0,0 +1,106 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  createHistory,
+  describeActionsChange,
+  GROUP_WINDOW_MS,
+  HISTORY_LIMIT,
+  recordChange,
+  redo,
+  undo,
+} from "../lib/history.js"
+
+/**
+ * Records the changes "a" -> "b" -> "c"
+ */
+const twoChanges = () => {
+  const first = recordChange(createHistory(), { label: "First", before: "a", after: "b", timestamp: 0 })
+  return recordChange(first, { label: "Second", before: "b", after: "c", timestamp: 1 })
+}
+
+describe("undo and redo", () => {
+  it("walks back and forth through the recorded contents", () => {
+    const undone = undo(twoChanges())
+    assert.equal(undone?.content, "b")
+    const undoneAgain = undo(undone.history)
+    assert.equal(undoneAgain?.content, "a")
+    assert.equal(undo(undoneAgain.history), null)
+
+    const redone = redo(undoneAgain.history)
+    assert.equal(redone?.content, "b")
+    assert.equal(redo(redone.history)?.content, "c")
+  })
+
+  it("jumps several steps at once", () => {
+    const undone = undo(twoChanges(), 5)
+    assert.equal(undone?.content, "a")
+    assert.deepEqual(
+      undone.history.future.map(({ label }) => label),
+      ["Second", "First"],
+    )
+    assert.equal(redo(undone.history, 2)?.content, "c")
+  })
+
+  it("drops the undone entries when a new change is recorded", () => {
+    const undone = undo(twoChanges())
+    assert.ok(undone)
+    const history = recordChange(undone.history, { label: "Other", before: "b", after: "d" })
+    assert.deepEqual(history.future, [])
+    assert.equal(redo(history), null)
+  })
+})
+
+describe("recordChange", () => {
+  it("ignores changes that leave the content as it was", () => {
+    const history = createHistory()
+    assert.equal(recordChange(history, { label: "None", before: "a", after: "a" }), history)
+  })
+
+  it("merges changes of one group within the window", () => {
+    let history = createHistory()
+    history = recordChange(history, { label: "Typing", before: "a", after: "ab", group: "text", timestamp: 0 })
+    history = recordChange(history, { label: "Typing", before: "ab", after: "abc", group: "text", timestamp: 100 })
+    assert.deepEqual(
+      history.past.map(({ before, after }) => [before, after]),
+      [["a", "abc"]],
+    )
+
+    const late = GROUP_WINDOW_MS + 101
+    history = recordChange(history, { label: "Typing", before: "abc", after: "abcd", group: "text", timestamp: late })
+    assert.equal(history.past.length, 2)
+  })
+
+  it("drops a group that ends where it started", () => {
+    let history = createHistory()
+    history = recordChange(history, { label: "Reordered", before: "a", after: "b", group: "reorder", timestamp: 0 })
+    history = recordChange(history, { label: "Reordered", before: "b", after: "a", group: "reorder", timestamp: 10 })
+    assert.deepEqual(history.past, [])
+  })
+
+  it(`keeps the latest ${HISTORY_LIMIT} entries`, () => {
+    let history = createHistory()
+    for (let i = 0; i <= HISTORY_LIMIT; i++) {
+      history = recordChange(history, { label: `Change ${i}`, before: `${i}`, after: `${i + 1}` })
+    }
+    assert.equal(history.past.length, HISTORY_LIMIT)
+    assert.equal(history.past[0].label, "Change 1")
+  })
+})
+
+describe("describeActionsChange", () => {
+  const extract = /** @type {any} */ ({ action: "Extract", name: "extract", dataframe: "orders" })
+  const load = /** @type {any} */ ({ action: "Load", name: "load", dataframe: "orders" })
+
+  it("labels additions, deletions, edits and reorders", () => {
+    assert.deepEqual(describeActionsChange([extract], [extract, load]), { label: "Added 'load'", group: null })
+    assert.deepEqual(describeActionsChange([extract, load], [load]), { label: "Deleted 'extract'", group: null })
+    assert.deepEqual(describeActionsChange([extract, load], [extract, { ...load, dataframe: "sales" }]), {
+      label: "Edited 'load'",
+      group: null,
+    })
+    assert.deepEqual(describeActionsChange([extract, load], [load, extract]), {
+      label: "Reordered actions",
+      group: "reorder",
+    })
+  })
+})
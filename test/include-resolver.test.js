@@ -0,0 +1,38 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { getIncludeDiagnostics, resolveIncludePath, resolveIncludes } from "../lib/include-resolver.js"
+
+const files = {
+  "a.yaml": "actions:\n  - action: Include\n    name: b\n    dataframe: df\n    path: b.yaml\n",
+  "b.yaml": "actions:\n  - action: Include\n    name: back\n    dataframe: df\n    path: /a.yaml\n",
+}
+const loadFile = async (path) => files[path] ?? null
+
+describe("resolveIncludePath", () => {
+  it("resolves relative and root paths", () => {
+    assert.equal(resolveIncludePath("dir/a.yaml", "b.yaml"), "dir/b.yaml")
+    assert.equal(resolveIncludePath("dir/a.yaml", "/b.yaml"), "b.yaml")
+    assert.equal(resolveIncludePath("a.yaml", "../b.yaml"), null)
+  })
+})
+
+describe("resolveIncludes", () => {
+  it("detects include cycles", async () => {
+    const [resolution] = await resolveIncludes([{ action: "Include", name: "b", dataframe: "df", path: "b.yaml" }], {
+      path: "a.yaml",
+      loadFile,
+    })
+    assert.equal(resolution.status, "resolved")
+    assert.equal(resolution.includes[0].status, "cycle")
+  })
+
+  it("reports missing files on the Include action", async () => {
+    const resolutions = await resolveIncludes([{ action: "Include", name: "c", dataframe: "df", path: "c.yaml" }], {
+      path: "a.yaml",
+      loadFile,
+    })
+    const [diagnostic] = getIncludeDiagnostics(resolutions)
+    assert.equal(diagnostic.code, "include-not-found")
+    assert.deepEqual(diagnostic.path, ["actions", 0, "path"])
+  })
+})
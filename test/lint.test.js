@@ -0,0 +1,56 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { lintWorkflow, parseLintConfig } from "../lib/lint.js"
+
+const WORKFLOW = `actions:
+  - action: Extract
+    name: extract
+    dataframe: Orders
+    location: s3://in/
+  - action: Load
+    name: extract
+    dataframe: Orders
+    destination: s3://out/
+`
+
+const codes = (diagnostics) => diagnostics.map((diagnostic) => diagnostic.code)
+
+describe("lintWorkflow", () => {
+  it("reports rule violations with their rule id and range", () => {
+    const diagnostics = lintWorkflow(WORKFLOW)
+    assert.deepEqual(codes(diagnostics), ["dataframe-snake-case", "unique-action-names"])
+    assert.equal(diagnostics[0].range?.startLineNumber, 4)
+  })
+
+  it("applies the configured severities", () => {
+    const { config, errors } = parseLintConfig("rules:\n  dataframe-snake-case: off\n  unique-action-names: warning\n")
+    assert.deepEqual(errors, [])
+    const diagnostics = lintWorkflow(WORKFLOW, config)
+    assert.deepEqual(
+      diagnostics.map((diagnostic) => [diagnostic.code, diagnostic.severity]),
+      [["unique-action-names", "warning"]],
+    )
+  })
+
+  it("honours suppression comments", () => {
+    const content = WORKFLOW.replace("    dataframe: Orders\n", "    dataframe: Orders # workflow-lint-disable-line\n")
+    assert.deepEqual(codes(lintWorkflow(content)), ["unique-action-names"])
+    assert.deepEqual(codes(lintWorkflow(`# workflow-lint-disable\n${WORKFLOW}`)), [])
+  })
+
+  it("ignores suppression text inside quoted and block scalars", () => {
+    const quoted = WORKFLOW.replace("location: s3://in/", 'location: "s3://in/ # workflow-lint-disable"')
+    assert.deepEqual(codes(lintWorkflow(quoted)), ["dataframe-snake-case", "unique-action-names"])
+
+    const block = WORKFLOW.replace("location: s3://in/", "location: |\n      # workflow-lint-disable\n      s3://in/")
+    assert.deepEqual(codes(lintWorkflow(block)), ["dataframe-snake-case", "unique-action-names"])
+
+    const comment = "    # workflow-lint-disable-next-line\n"
+    const nextLine = WORKFLOW.replace("    dataframe: Orders\n", `${comment}    dataframe: Orders\n`)
+    assert.deepEqual(codes(lintWorkflow(nextLine)), ["unique-action-names"])
+  })
+
+  it("reports unknown rules in the config", () => {
+    assert.deepEqual(parseLintConfig("rules:\n  nope: error\n").errors, ["workflow-lint.yaml: unknown rule 'nope'"])
+  })
+})
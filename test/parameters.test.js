@@ -0,0 +1,107 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { findParameterReferences, interpolate, renderForEnvironment, validateParameters } from "../lib/parameters.js"
+
+const WORKFLOW = /** @type {any} */ ({
+  parameters: { bucket: "dev-bucket", retries: 3 },
+  profiles: { prod: { bucket: "prod-bucket" } },
+  actions: [
+    {
+      action: "Extract",
+      name: "extract",
+      dataframe: "orders",
+      location: "s3://${bucket}/orders/",
+      retries: "${retries}",
+    },
+  ],
+})
+
+describe("interpolate", () => {
+  it("substitutes references inside strings and keeps the type of a whole-string reference", () => {
+    const values = { bucket: "data", retries: 3, empty: null }
+    assert.equal(interpolate("s3://${bucket}/${empty}x", values), "s3://data/x")
+    assert.equal(interpolate("${retries}", values), 3)
+    assert.deepEqual(interpolate({ list: ["${bucket}", 1] }, values), { list: ["data", 1] })
+  })
+
+  it("keeps escaped references literal", () => {
+    assert.equal(interpolate("$${bucket} is ${bucket}", { bucket: "data" }), "${bucket} is data")
+    assert.deepEqual(findParameterReferences("$${bucket}"), [])
+  })
+
+  it("collects references without a value and leaves them in place", () => {
+    const unresolved = new Set()
+    assert.equal(interpolate("${missing}", {}, unresolved), "${missing}")
+    assert.equal(interpolate("a ${other} b", {}, unresolved), "a ${other} b")
+    assert.deepEqual([...unresolved], ["missing", "other"])
+  })
+
+  it("does not take values from Object.prototype", () => {
+    const unresolved = new Set()
+    assert.equal(interpolate("${toString}", {}, unresolved), "${toString}")
+    assert.deepEqual([...unresolved], ["toString"])
+  })
+})
+
+describe("renderForEnvironment", () => {
+  it("renders the defaults and drops the parameter blocks", () => {
+    const { data, unresolved } = renderForEnvironment(WORKFLOW)
+    const [extract] = /** @type {any[]} */ (data.actions)
+    assert.deepEqual(Object.keys(data), ["actions"])
+    assert.equal(extract.location, "s3://dev-bucket/orders/")
+    assert.equal(extract.retries, 3)
+    assert.deepEqual(unresolved, [])
+  })
+
+  it("lets a profile override the defaults", () => {
+    const [extract] = /** @type {any[]} */ (renderForEnvironment(WORKFLOW, "prod").data.actions)
+    assert.equal(extract.location, "s3://prod-bucket/orders/")
+    assert.equal(extract.retries, 3)
+  })
+
+  it("reports the references no value was found for", () => {
+    const { unresolved } = renderForEnvironment(
+      /** @type {any} */ ({ actions: [{ action: "Load", name: "load", destination: "${target}/${zone}" }] }),
+    )
+    assert.deepEqual(unresolved, ["target", "zone"])
+  })
+})
+
+describe("validateParameters", () => {
+  it("accepts a consistent workflow", () => {
+    assert.deepEqual(validateParameters(WORKFLOW), [])
+  })
+
+  it("reports undefined, unused and unknown parameters", () => {
+    const issues = validateParameters(
+      /** @type {any} */ ({
+        parameters: { bucket: "dev", "bad-name": 1 },
+        profiles: { prod: { region: "eu" } },
+        actions: [{ action: "Load", name: "load", destination: "s3://${region}/${zone}" }],
+      }),
+    )
+    assert.deepEqual(
+      issues.map(({ severity, code, path }) => [severity, code, path]),
+      [
+        ["error", "invalid-parameter-name", ["parameters", "bad-name"]],
+        ["warning", "unknown-profile-parameter", ["profiles", "prod", "region"]],
+        ["error", "undefined-parameter", ["actions", 0, "destination"]],
+        ["warning", "unused-parameter", ["parameters", "bucket"]],
+        ["warning", "unused-parameter", ["parameters", "bad-name"]],
+      ],
+    )
+  })
+
+  it("reports parameter blocks that are not mappings", () => {
+    const issues = validateParameters(
+      /** @type {any} */ ({ parameters: ["bucket"], profiles: { prod: "x" }, actions: [] }),
+    )
+    assert.deepEqual(
+      issues.map(({ code, path }) => [code, path]),
+      [
+        ["invalid-parameters", ["parameters"]],
+        ["invalid-profiles", ["profiles", "prod"]],
+      ],
+    )
+  })
+})
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import nodePath from "node:path"
+import { after, before, describe, it } from "node:test"
+import { applyPublishGate, runServerPublishCheck } from "../lib/publish-check-server.js"
+
+const SHARED = `actions:
+  - action: Extract
+    name: extract
+    dataframe: orders
+    location: s3://in/
+`
+
+/**
+ * @param {string} path
+ */
+const including = (path) => `actions:
+  - action: Include
+    name: shared
+    dataframe: orders
+    path: ${path}
+  - action: Load
+    name: load
+    dataframe: orders
+    destination: s3://out/
+`
+
+describe("runServerPublishCheck", () => {
+  let root = ""
+  before(async () => {
+    root = await mkdtemp(nodePath.join(tmpdir(), "publish-check-"))
+    await mkdir(nodePath.join(root, "pipelines"))
+    await writeFile(nodePath.join(root, "pipelines", "shared.yaml"), SHARED)
+    await writeFile(nodePath.join(root, "pipelines", "loop.yaml"), including("loop.yaml"))
+  })
+  after(() => rm(root, { recursive: true, force: true }))
+
+  it("resolves Include paths from the workflow's path in the workspace", async () => {
+    const result = await runServerPublishCheck(including("shared.yaml"), { path: "pipelines/daily.yaml", root })
+    assert.deepEqual(result.errors, [])
+  })
+
+  it("blocks on missing and cyclic includes", async () => {
+    const missing = await runServerPublishCheck(including("shared.yaml"), { root })
+    assert.equal(missing.status, "blocked")
+    assert.deepEqual(
+      missing.errors.map((diagnostic) => diagnostic.code),
+      ["include-not-found"],
+    )
+
+    const cycle = await runServerPublishCheck(including("loop.yaml"), { path: "pipelines/loop.yaml", root })
+    assert.deepEqual(
+      cycle.errors.map((diagnostic) => diagnostic.code),
+      ["include-cycle"],
+    )
+  })
+})
+
+describe("applyPublishGate", () => {
+  const blocked = /** @type {import('../lib/publish-check.js').PublishCheckResult} */ ({
+    errors: [{ severity: "error", code: "include-cycle", message: "Include cycle", path: [], range: null }],
+    warnings: [],
+    status: "blocked",
+  })
+
+  it("refuses a workflow with errors unless the override gives a reason", () => {
+    assert.equal(applyPublishGate(blocked, null).refusal?.code, "ValidationFailed")
+    assert.deepEqual(applyPublishGate(blocked, { reason: "  " }).refusal?.errors, ["Include cycle"])
+
+    const { refusal, overrideReason, metadata } = applyPublishGate(blocked, { reason: " hotfix " })
+    assert.equal(refusal, null)
+    assert.equal(overrideReason, "hotfix")
+    assert.deepEqual(metadata, { "validation-override": "hotfix", "validation-errors": "1" })
+  })
+
+  it("ignores an override of a workflow without errors", () => {
+    const passed = /** @type {import('../lib/publish-check.js').PublishCheckResult} */ ({
+      errors: [],
+      warnings: [],
+      status: "passed",
+    })
+    assert.deepEqual(applyPublishGate(passed, { reason: "just because" }), {
+      refusal: null,
+      overrideReason: "",
+      metadata: {},
+    })
+  })
+})
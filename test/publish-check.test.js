@@ -0,0 +1,32 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { canPublish, runPublishCheck } from "../lib/publish-check.js"
+import { parseLintConfig } from "../lib/lint.js"
+
+const WORKFLOW = `actions:
+  - action: Extract
+    name: extract
+    dataframe: Orders
+    location: s3://in/
+  - action: Load
+    name: load
+    dataframe: Orders
+    destination: s3://out/
+`
+
+describe("runPublishCheck", () => {
+  it("passes a valid workflow", () => {
+    assert.equal(runPublishCheck(WORKFLOW.replaceAll("Orders", "orders")).status, "passed")
+  })
+
+  it("blocks on lint rules configured as errors and ignores the other lint findings", () => {
+    assert.equal(runPublishCheck(WORKFLOW).status, "passed")
+
+    const { config } = parseLintConfig("rules:\n  dataframe-snake-case: error\n")
+    const result = runPublishCheck(WORKFLOW, { lintConfig: config })
+    assert.equal(result.status, "blocked")
+    assert.deepEqual(result.errors.map((diagnostic) => diagnostic.code), ["dataframe-snake-case"])
+    assert.equal(canPublish(result, { warningsAcknowledged: true, overrideReason: "" }), false)
+    assert.equal(canPublish(result, { warningsAcknowledged: true, overrideReason: "hotfix" }), true)
+  })
+})
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { planActionRename, planDataframeRename } from "../lib/rename-refactor.js"
+
+const ACTIONS = /** @type {any[]} */ ([
+  { action: "Extract", name: "extract", dataframe: "orders", location: "s3://in/" },
+  {
+    action: "Transform",
+    name: "clean",
+    dataframe: "orders",
+    transformations: ["SELECT id, 'orders' AS label FROM orders -- orders only", "SELECT * FROM orders_archive"],
+  },
+  { action: "Extract", name: "customers", dataframe: "customers", location: "s3://customers/" },
+  { action: "Merge", name: "merge", dataframe: "joined", sources: ["orders", " customers "] },
+  { action: "Load", name: "load", dataframe: "joined", destination: "s3://out/", dependsOn: ["clean"] },
+])
+
+describe("planDataframeRename", () => {
+  it("renames the producers and the real uses only", () => {
+    const plan = planDataframeRename(ACTIONS, "orders", "sales")
+    assert.equal(plan.error, null)
+    assert.deepEqual(
+      plan.edits.map(({ index, prop, item, after, occurrences }) => [index, prop, item, after, occurrences]),
+      [
+        [0, "dataframe", undefined, "sales", 1],
+        [1, "dataframe", undefined, "sales", 1],
+        [1, "transformations", 0, "SELECT id, 'orders' AS label FROM sales -- orders only", 1],
+        [3, "sources", 0, "sales", 1],
+      ],
+    )
+    const actions = /** @type {any[]} */ (plan.actions)
+    assert.equal(actions[1].transformations[1], "SELECT * FROM orders_archive")
+    assert.deepEqual(actions[3].sources, ["sales", " customers "])
+    assert.equal(ACTIONS[0].dataframe, "orders")
+  })
+
+  it("keeps the whitespace around renamed values", () => {
+    const plan = planDataframeRename(ACTIONS, "customers", "clients")
+    assert.deepEqual(/** @type {any[]} */ (plan.actions)[3].sources, ["orders", " clients "])
+  })
+
+  it("rejects invalid and colliding names", () => {
+    const errorOf = (oldName, newName) => planDataframeRename(ACTIONS, oldName, newName).error
+    assert.equal(errorOf("missing", "sales"), "No action produces dataframe 'missing'")
+    assert.equal(errorOf("orders", " orders "), "Enter a new name")
+    assert.match(errorOf("orders", "sales-2") ?? "", /is not a valid dataframe name/)
+    assert.equal(errorOf("orders", "customers"), "Dataframe 'customers' already exists, produced by 'customers'")
+    assert.equal(errorOf("joined", "clean"), "'clean' is the name of an action 'load' depends on")
+    assert.equal(errorOf("orders", "id"), "'id' is already used in 'transformations' of 'clean'")
+  })
+})
+
+describe("planActionRename", () => {
+  it("renames the action and the dependsOn entries referring to it", () => {
+    const plan = planActionRename(ACTIONS, "clean", "dedupe")
+    assert.equal(plan.error, null)
+    const actions = /** @type {any[]} */ (plan.actions)
+    assert.equal(actions[1].name, "dedupe")
+    assert.deepEqual(actions[4].dependsOn, ["dedupe"])
+  })
+
+  it("rejects names of other actions and of dataframes", () => {
+    assert.equal(planActionRename(ACTIONS, "missing", "x").error, "No action is named 'missing'")
+    assert.equal(planActionRename(ACTIONS, "clean", "merge").error, "Action #4 is already named 'merge'")
+    assert.equal(planActionRename(ACTIONS, "clean", "joined").error, "'joined' is a dataframe produced by 'merge'")
+  })
+
+  it("leaves dependsOn entries that name a dataframe of the same name", () => {
+    const dependent = [...ACTIONS.slice(0, 4), { ...ACTIONS[4], dependsOn: ["customers"] }]
+    const plan = planActionRename(dependent, "customers", "read_customers")
+    const actions = /** @type {any[]} */ (plan.actions)
+    assert.equal(actions[2].name, "read_customers")
+    assert.deepEqual(actions[4].dependsOn, ["customers"])
+    assert.deepEqual(
+      plan.edits.map(({ index, prop }) => [index, prop]),
+      [[2, "name"]],
+    )
+  })
+})
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  buildObjectKey,
+  getObjectUrl,
+  getS3ServerConfig,
+  getWriteConditions,
+  hasUploadConflict,
+  isKeyAllowed,
+  isWriteConditionFailure,
+  toS3ErrorResponse,
+} from "../lib/s3-server.js"
+
+describe("getS3ServerConfig", () => {
+  it("defaults to AES256 encryption and virtual-hosted AWS URLs", () => {
+    const config = getS3ServerConfig({ S3_BUCKET_NAME: "workflows", S3_REGION: "eu-west-1" })
+    assert.equal(config.bucket, "workflows")
+    assert.equal(config.region, "eu-west-1")
+    assert.equal(config.prefix, "")
+    assert.equal(config.serverSideEncryption, "AES256")
+    assert.equal(config.forcePathStyle, false)
+    assert.deepEqual(config.metadata, {})
+  })
+
+  it("reads a custom endpoint, prefix, encryption and metadata", () => {
+    const config = getS3ServerConfig({
+      S3_ENDPOINT: "http://localhost:9000",
+      S3_PREFIX: "/team/workflows",
+      S3_SSE: "none",
+      S3_METADATA: '{"team":"data","tier":2}',
+    })
+    assert.equal(config.endpoint, "http://localhost:9000")
+    assert.equal(config.forcePathStyle, true)
+    assert.equal(config.prefix, "team/workflows/")
+    assert.equal(config.serverSideEncryption, null)
+    assert.deepEqual(config.metadata, { team: "data", tier: "2" })
+    assert.equal(getS3ServerConfig({ S3_ENDPOINT: "http://minio", S3_FORCE_PATH_STYLE: "false" }).forcePathStyle, false)
+  })
+
+  it("rejects invalid settings", () => {
+    assert.throws(() => getS3ServerConfig({ S3_SSE: "DES" }), /S3_SSE must be/)
+    assert.throws(() => getS3ServerConfig({ S3_METADATA: "[1]" }), /S3_METADATA must be a JSON object/)
+    assert.throws(() => getS3ServerConfig({ S3_METADATA: "{oops" }), /S3_METADATA must be a JSON object/)
+  })
+})
+
+describe("buildObjectKey and getObjectUrl", () => {
+  const aws = getS3ServerConfig({ S3_BUCKET_NAME: "workflows", S3_REGION: "us-east-1", S3_PREFIX: "flows" })
+
+  it("places the filename under the prefix", () => {
+    assert.equal(buildObjectKey(aws, "/daily.yaml"), "flows/daily.yaml")
+  })
+
+  it("builds AWS, path-style and virtual-hosted URLs with encoded keys", () => {
+    assert.equal(
+      getObjectUrl(aws, "flows/my daily.yaml"),
+      "https://workflows.s3.us-east-1.amazonaws.com/flows/my%20daily.yaml",
+    )
+
+    const minio = getS3ServerConfig({ S3_BUCKET_NAME: "workflows", S3_ENDPOINT: "http://localhost:9000/" })
+    assert.equal(getObjectUrl(minio, "a/b.yaml"), "http://localhost:9000/workflows/a/b.yaml")
+
+    const hosted = { ...minio, forcePathStyle: false }
+    assert.equal(getObjectUrl(hosted, "a/b.yaml"), "http://workflows.localhost:9000/a/b.yaml")
+  })
+})
+
+describe("isKeyAllowed", () => {
+  const config = getS3ServerConfig({ S3_PREFIX: "flows/" })
+
+  it("allows keys under the prefix only", () => {
+    assert.equal(isKeyAllowed(config, "flows/team/daily.yaml"), true)
+    assert.equal(isKeyAllowed(config, "other/daily.yaml"), false)
+    assert.equal(isKeyAllowed(config, "flows/../other/daily.yaml"), false)
+    assert.equal(isKeyAllowed(config, null), false)
+  })
+})
+
+describe("upload conflicts", () => {
+  it("reports a conflict when the bucket doesn't hold the object the upload is based on", () => {
+    assert.equal(hasUploadConflict(null, null), false)
+    assert.equal(hasUploadConflict({ etag: '"a"' }, '"a"'), false)
+    assert.equal(hasUploadConflict({ etag: '"b"' }, '"a"'), true)
+    assert.equal(hasUploadConflict({ etag: '"a"' }, null), true)
+    assert.equal(hasUploadConflict(null, '"a"'), true)
+  })
+
+  it("makes the write conditional on the expected ETag unless overwriting", () => {
+    assert.deepEqual(getWriteConditions('"a"', false), { IfMatch: '"a"', IfNoneMatch: undefined })
+    assert.deepEqual(getWriteConditions(null, false), { IfMatch: undefined, IfNoneMatch: "*" })
+    assert.deepEqual(getWriteConditions('"a"', true), { IfMatch: undefined, IfNoneMatch: undefined })
+  })
+
+  it("recognizes failed write conditions", () => {
+    assert.equal(isWriteConditionFailure({ name: "PreconditionFailed", $metadata: { httpStatusCode: 412 } }), true)
+    assert.equal(isWriteConditionFailure({ name: "ConditionalRequestConflict" }), true)
+    assert.equal(isWriteConditionFailure({ name: "AccessDenied", $metadata: { httpStatusCode: 403 } }), false)
+  })
+})
+
+describe("toS3ErrorResponse", () => {
+  it("maps S3 and network errors to HTTP statuses", () => {
+    const denied = { name: "AccessDenied", message: "Access Denied", $metadata: { httpStatusCode: 403 } }
+    assert.deepEqual(toS3ErrorResponse(denied), { status: 403, body: { error: "Access Denied", code: "AccessDenied" } })
+    assert.equal(toS3ErrorResponse({ name: "InternalError", $metadata: { httpStatusCode: 500 } }).status, 502)
+    assert.equal(toS3ErrorResponse({ name: "CredentialsProviderError" }).status, 500)
+    assert.deepEqual(toS3ErrorResponse({ code: "ECONNREFUSED", message: "connect ECONNREFUSED" }).body, {
+      error: "Could not reach S3: connect ECONNREFUSED",
+      code: "ECONNREFUSED",
+    })
+  })
+})
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict"
+import { afterEach, describe, it } from "node:test"
+import {
+  ensureYamlExtension,
+  MAX_S3_KEY_BYTES,
+  restoreS3WorkflowVersion,
+  S3RequestError,
+  suggestAlternativeFilename,
+  validateS3Filename,
+} from "../lib/s3-utils.js"
+
+describe("validateS3Filename", () => {
+  it("accepts ordinary filenames", () => {
+    assert.deepEqual(validateS3Filename("daily-orders.yaml"), { isValid: true })
+  })
+
+  it("rejects empty names, invalid characters and reserved names", () => {
+    assert.equal(validateS3Filename("").error, "Filename is required")
+    assert.equal(validateS3Filename("   ").error, "Filename cannot be empty")
+    assert.equal(validateS3Filename("daily?.yaml").error, "Filename contains invalid characters")
+    assert.equal(validateS3Filename("con.yaml").error, "Filename uses a reserved name")
+  })
+
+  it("accepts folders, but not empty, '.' or '..' ones", () => {
+    assert.deepEqual(validateS3Filename("team/daily.yaml"), { isValid: true })
+    assert.equal(validateS3Filename("/daily.yaml").error, "Filename cannot start or end with '/'")
+    assert.equal(validateS3Filename("team//daily.yaml").error, "Folders in the filename cannot be empty, '.' or '..'")
+    assert.equal(validateS3Filename("../daily.yaml").error, "Folders in the filename cannot be empty, '.' or '..'")
+  })
+
+  it("counts the prefix in the length of the key", () => {
+    const name = `${"a".repeat(200)}/`.repeat(5) + "b.yaml"
+    assert.deepEqual(validateS3Filename(name), { isValid: true })
+    assert.equal(
+      validateS3Filename(name, { prefix: "team/workflows/" }).error,
+      `Key too long (1026 bytes, max ${MAX_S3_KEY_BYTES} including the prefix)`,
+    )
+    assert.equal(
+      validateS3Filename(`${"a".repeat(256)}.yaml`).error,
+      "Each folder and file name can be at most 255 bytes",
+    )
+  })
+})
+
+describe("suggestAlternativeFilename", () => {
+  it("numbers the name, skipping names already taken", () => {
+    assert.equal(suggestAlternativeFilename("daily.yaml"), "daily-2.yaml")
+    assert.equal(suggestAlternativeFilename("daily-2.yml"), "daily-3.yml")
+    assert.equal(suggestAlternativeFilename("team/daily", ["team/daily-2.yaml"]), "team/daily-3.yaml")
+  })
+})
+
+describe("ensureYamlExtension", () => {
+  it("adds .yaml unless the name already has a YAML extension", () => {
+    assert.equal(ensureYamlExtension(" daily "), "daily.yaml")
+    assert.equal(ensureYamlExtension("daily.yml"), "daily.yml")
+    assert.equal(ensureYamlExtension("daily.yaml"), "daily.yaml")
+  })
+})
+
+describe("restoreS3WorkflowVersion", () => {
+  const originalFetch = globalThis.fetch
+  afterEach(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  /**
+   * Answers every request with `body` and `status`, recording the requests
+   * @param {number} status
+   * @param {any} body
+   */
+  const respondWith = (status, body) => {
+    const requests = []
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, init })
+      return new Response(JSON.stringify(body), { status })
+    }
+    return requests
+  }
+
+  it("sends the expected ETag and the override with the version to restore", async () => {
+    const requests = respondWith(200, { success: true, key: "flows/a.yaml", restoredFrom: "v1" })
+    const result = await restoreS3WorkflowVersion("flows/a.yaml", "v1", { expectedEtag: '"abc"' })
+    assert.equal(result.restoredFrom, "v1")
+    assert.equal(requests[0].init.method, "POST")
+    assert.deepEqual(JSON.parse(requests[0].init.body), {
+      key: "flows/a.yaml",
+      versionId: "v1",
+      expectedEtag: '"abc"',
+      override: null,
+    })
+  })
+
+  it("rejects with the conflict or the check's errors", async () => {
+    const conflict = { key: "flows/a.yaml", currentEtag: '"new"', expectedEtag: '"abc"', lastModified: null }
+    respondWith(409, { error: "Changed since", code: "Conflict", conflict })
+    await assert.rejects(restoreS3WorkflowVersion("flows/a.yaml", "v1", { expectedEtag: '"abc"' }), (error) => {
+      assert.ok(error instanceof S3RequestError)
+      assert.equal(error.status, 409)
+      assert.deepEqual(error.conflict, conflict)
+      return true
+    })
+
+    respondWith(422, { error: "Fails the check", code: "ValidationFailed", errors: ["Include cycle"] })
+    await assert.rejects(restoreS3WorkflowVersion("flows/a.yaml", "v1", { expectedEtag: '"abc"' }), {
+      code: "ValidationFailed",
+      errors: ["Include cycle"],
+    })
+  })
+})
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { registerActionType, unregisterActionType } from "../lib/action-definitions.js"
+import { coerceNumberProps, formatPath, validateActionProps, validateValue } from "../lib/schema-validation.js"
+
+describe("validateActionProps", () => {
+  it("reports missing mandatory properties", () => {
+    const issues = validateActionProps({ action: "Load", name: "load", dataframe: "df" })
+    assert.deepEqual(issues, [{ path: ["destination"], message: "is missing", missing: true }])
+  })
+
+  it("checks enum values", () => {
+    const action = { action: "Load", name: "load", dataframe: "df", destination: "out", format: "xls" }
+    const issues = validateActionProps(action)
+    assert.deepEqual(
+      issues.map((issue) => issue.path),
+      [["format"]],
+    )
+  })
+
+  it("flags properties the definition doesn't list", () => {
+    const issues = validateActionProps({ action: "Extract", name: "e", dataframe: "df", location: "in", colour: "red" })
+    assert.deepEqual(issues, [{ path: ["colour"], message: "is not a property of Extract actions", unknown: true }])
+  })
+
+  it("accepts a complete action", () => {
+    assert.deepEqual(validateActionProps({ action: "Extract", name: "e", dataframe: "df", location: "s3://in/" }), [])
+  })
+})
+
+describe("validateValue", () => {
+  it("skips values taken from parameters before checking their type", () => {
+    assert.deepEqual(validateValue("${rows}", { type: "integer" }), [])
+    assert.equal(validateValue("10", { type: "integer" }).length, 1)
+  })
+
+  it("checks nested items with their path", () => {
+    const schema = { type: "array", items: { type: "string", minLength: 1 } }
+    const issues = validateValue(["a", ""], /** @type {any} */ (schema), ["sources"])
+    assert.deepEqual(
+      issues.map((issue) => formatPath(issue.path)),
+      ["sources[1]"],
+    )
+  })
+
+  it("reports an invalid schema pattern instead of throwing", () => {
+    assert.deepEqual(validateValue("x", { type: "string", pattern: "[" }, ["location"]), [
+      { path: ["location"], message: "can't be checked: the schema pattern [ is invalid" },
+    ])
+  })
+})
+
+describe("coerceNumberProps", () => {
+  it("converts number-typed text and drops empty text", () => {
+    registerActionType({
+      name: "Numbers",
+      optionalProps: ["retries", "ratio", "limit"],
+      props: { retries: { type: "integer" }, ratio: { type: ["number", "string"] }, limit: { type: "number" } },
+    })
+    try {
+      const action = { action: "Numbers", retries: "3", ratio: "0.5", limit: " ", name: "12" }
+      assert.deepEqual(coerceNumberProps(action), { action: "Numbers", retries: 3, ratio: 0.5, name: "12" })
+      assert.deepEqual(coerceNumberProps({ action: "Numbers", retries: "${retries}" }), {
+        action: "Numbers",
+        retries: "${retries}",
+      })
+    } finally {
+      unregisterActionType("Numbers")
+    }
+  })
+})
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { describeActionChange, diffWorkflows } from "../lib/workflow-diff.js"
+
+/** @type {import('../lib/types.js').ExtractAction} */
+const extract = { action: "Extract", name: "extract", dataframe: "df", location: "s3://in/" }
+/** @type {import('../lib/types.js').LoadAction} */
+const load = { action: "Load", name: "load", dataframe: "df", destination: "s3://out/" }
+
+describe("diffWorkflows", () => {
+  it("reports changed properties", () => {
+    const before = { actions: [extract, load] }
+    const { actions, summary } = diffWorkflows(before, { actions: [{ ...extract, location: "x" }, load] })
+    assert.equal(summary.modified, 1)
+    assert.equal(summary.unchanged, 1)
+    assert.deepEqual(describeActionChange(actions[0]), ["location: s3://in/ → x"])
+  })
+
+  it("reports added and removed actions", () => {
+    const { summary } = diffWorkflows({ actions: [extract] }, { actions: [load] })
+    assert.equal(summary.added, 1)
+    assert.equal(summary.removed, 1)
+  })
+})
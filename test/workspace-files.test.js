@@ -0,0 +1,34 @@
+import assert from "node:assert/strict"
+import { mkdir, mkdtemp, rm, symlink, writeFile } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import nodePath from "node:path"
+import { after, before, describe, it } from "node:test"
+import { OutsideWorkspaceError, readWorkspaceFile } from "../lib/workspace-files.js"
+
+describe("readWorkspaceFile", () => {
+  let dir = ""
+  let root = ""
+  before(async () => {
+    dir = await mkdtemp(nodePath.join(tmpdir(), "workspace-files-"))
+    root = nodePath.join(dir, "workspace")
+    await mkdir(nodePath.join(root, "shared"), { recursive: true })
+    await writeFile(nodePath.join(dir, "secret.yaml"), "secret: true\n")
+    await writeFile(nodePath.join(root, "shared", "orders.yaml"), "actions: []\n")
+    await symlink(nodePath.join(dir, "secret.yaml"), nodePath.join(root, "leak.yaml"))
+    await symlink(dir, nodePath.join(root, "outside"))
+    await symlink(nodePath.join(root, "shared"), nodePath.join(root, "linked"))
+  })
+  after(() => rm(dir, { recursive: true, force: true }))
+
+  it("reads files of the workspace, also through links inside it", async () => {
+    assert.equal(await readWorkspaceFile(root, "shared/orders.yaml"), "actions: []\n")
+    assert.equal(await readWorkspaceFile(root, "/linked/orders.yaml"), "actions: []\n")
+    assert.equal(await readWorkspaceFile(root, "shared/missing.yaml"), null)
+  })
+
+  it("refuses paths and symlinks leading outside the workspace", async () => {
+    await assert.rejects(readWorkspaceFile(root, "../secret.yaml"), OutsideWorkspaceError)
+    await assert.rejects(readWorkspaceFile(root, "leak.yaml"), OutsideWorkspaceError)
+    await assert.rejects(readWorkspaceFile(root, "outside/secret.yaml"), OutsideWorkspaceError)
+  })
+})
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import {
+  createWorkspace,
+  hasUnsavedChanges,
+  isDirty,
+  serializeWorkspace,
+  workspaceReducer,
+} from "../lib/workspace.js"
+
+const LOADED = "actions: []\n"
+const EDITED = "actions:\n  - action: Load\n"
+
+describe("workspaceReducer", () => {
+  it("replaces the untouched starter document on load", () => {
+    const state = workspaceReducer(createWorkspace(), { type: "load", files: { "a.yaml": LOADED }, open: ["a.yaml"] })
+    assert.deepEqual(Object.keys(state.documents), ["a.yaml"])
+    assert.deepEqual(state.openPaths, ["a.yaml"])
+  })
+
+  it("keeps a document with unsaved changes and loads the file next to it", () => {
+    let state = workspaceReducer(createWorkspace(), { type: "load", files: { "a.yaml": LOADED } })
+    state = workspaceReducer(state, { type: "update", path: "a.yaml", content: EDITED })
+    state = workspaceReducer(state, { type: "load", files: { "a.yaml": LOADED }, open: ["a.yaml"] })
+
+    assert.equal(state.documents["a.yaml"].content, EDITED)
+    assert.ok(isDirty(state.documents["a.yaml"]))
+    assert.equal(state.documents["a.yaml"].history.past.length, 1)
+    assert.equal(state.documents["a-2.yaml"].content, LOADED)
+    assert.equal(state.activePath, "a-2.yaml")
+  })
+
+  it("keeps the last actions while an item isn't a mapping, and reports the item", () => {
+    let state = workspaceReducer(createWorkspace(), { type: "load", files: { "a.yaml": EDITED }, open: ["a.yaml"] })
+    state = workspaceReducer(state, { type: "update", path: "a.yaml", content: `${EDITED}  -\n` })
+
+    const document = state.documents["a.yaml"]
+    assert.deepEqual(document.actions, [{ action: "Load" }])
+    assert.ok(document.diagnostics.some(({ code }) => code === "invalid-action"))
+  })
+})
+
+describe("S3 origins", () => {
+  const origin = { key: "flows/a.yaml", name: "a.yaml", etag: '"abc"' }
+
+  it("keeps a document's S3 origin through edits, saves and a restore", () => {
+    let state = workspaceReducer(createWorkspace(), {
+      type: "load",
+      files: { "a.yaml": LOADED },
+      open: ["a.yaml"],
+      origins: { "a.yaml": origin },
+    })
+    assert.deepEqual(state.documents["a.yaml"].s3Origin, origin)
+
+    state = workspaceReducer(state, { type: "update", path: "a.yaml", content: EDITED })
+    state = workspaceReducer(state, { type: "save", path: "a.yaml" })
+    assert.deepEqual(state.documents["a.yaml"].s3Origin, origin)
+
+    const restored = workspaceReducer(createWorkspace(), { type: "restore", workspace: serializeWorkspace(state) })
+    assert.deepEqual(restored.documents["a.yaml"].s3Origin, origin)
+  })
+
+  it("records the ETag of the latest upload", () => {
+    let state = workspaceReducer(createWorkspace(), { type: "load", files: { "a.yaml": LOADED }, open: ["a.yaml"] })
+    assert.equal(state.documents["a.yaml"].s3Origin, null)
+
+    state = workspaceReducer(state, { type: "setS3Origin", path: "a.yaml", origin: { ...origin, etag: '"def"' } })
+    assert.equal(state.documents["a.yaml"].s3Origin?.etag, '"def"')
+  })
+})
+
+describe("serializeWorkspace", () => {
+  it("restores the contents, tabs and unsaved changes it stored", () => {
+    let state = workspaceReducer(createWorkspace(), {
+      type: "load",
+      files: { "a.yaml": LOADED, "b.yaml": LOADED },
+      open: ["a.yaml", "b.yaml"],
+    })
+    state = workspaceReducer(state, { type: "update", path: "a.yaml", content: EDITED })
+    const stored = serializeWorkspace(state)
+    assert.ok(hasUnsavedChanges(stored))
+    assert.deepEqual(Object.keys(stored.documents["a.yaml"]), ["content", "savedContent", "s3Origin"])
+
+    const restored = workspaceReducer(createWorkspace(), { type: "restore", workspace: stored })
+    assert.deepEqual(restored.openPaths, ["a.yaml", "b.yaml"])
+    assert.equal(restored.activePath, "b.yaml")
+    assert.ok(isDirty(restored.documents["a.yaml"]))
+    assert.deepEqual(restored.documents["a.yaml"].actions, [{ action: "Load" }])
+    assert.equal(isDirty(restored.documents["b.yaml"]), false)
+  })
+
+  it("drops tabs of documents that were not stored", () => {
+    const restored = workspaceReducer(createWorkspace(), {
+      type: "restore",
+      workspace: {
+        documents: { "a.yaml": { content: LOADED, savedContent: LOADED } },
+        openPaths: ["gone.yaml", "a.yaml"],
+        activePath: "gone.yaml",
+      },
+    })
+    assert.deepEqual(restored.openPaths, ["a.yaml"])
+    assert.equal(restored.activePath, "a.yaml")
+  })
+})
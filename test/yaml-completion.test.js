@@ -0,0 +1,74 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { getCompletions, getHoverInfo } from "../lib/yaml-completion.js"
+
+// Built from lines, as several of them end in the whitespace being completed
+const CONTENT = [
+  "actions:",
+  "  - action: Extract",
+  "    name: extract",
+  "    dataframe: orders",
+  "    ",
+  "  - action: Load",
+  "    name: load",
+  "    dataframe: ",
+  "    dependsOn:",
+  "      - ",
+  "  - action: ",
+  "",
+].join("\n")
+
+const ACTIONS = /** @type {any[]} */ ([
+  { action: "Extract", name: "extract", dataframe: "orders", location: "s3://in/" },
+  { action: "Load", name: "load", dataframe: "orders", destination: "s3://out/" },
+])
+
+/**
+ * @param {number} lineNumber
+ * @param {number} [column] - Defaults to the end of the line
+ */
+const labelsAt = (lineNumber, column) => {
+  const line = CONTENT.split("\n")[lineNumber - 1]
+  const position = { lineNumber, column: column ?? line.length + 1 }
+  return getCompletions(CONTENT, position, ACTIONS).map(({ label }) => label)
+}
+
+describe("getCompletions", () => {
+  it("offers the action types as the value of `action`", () => {
+    const labels = labelsAt(11)
+    assert.ok(labels.includes("Extract") && labels.includes("Transform"))
+  })
+
+  it("offers the properties an action still lacks, required ones first", () => {
+    const [first, ...rest] = getCompletions(CONTENT, { lineNumber: 5, column: 5 }, ACTIONS)
+    assert.deepEqual([first.label, first.insertText, first.detail], ["location", "location: ", "required"])
+    assert.ok(rest.every(({ detail }) => detail === "optional"))
+    assert.ok(!rest.some(({ label }) => ["action", "name", "dataframe"].includes(label)))
+  })
+
+  it("offers dataframes as values of dataframe properties, and action names in dependsOn", () => {
+    assert.deepEqual(labelsAt(8), ["orders"])
+    assert.deepEqual(labelsAt(10), ["orders", "extract", "load"])
+  })
+
+  it("offers nothing outside the actions", () => {
+    assert.deepEqual(getCompletions("version: ", { lineNumber: 1, column: 10 }, ACTIONS), [])
+    assert.deepEqual(labelsAt(3), [])
+  })
+})
+
+describe("getHoverInfo", () => {
+  it("documents the property under the cursor and the action's type", () => {
+    const hover = getHoverInfo(CONTENT, { lineNumber: 4, column: 7 })
+    assert.match(hover?.contents[0] ?? "", /^\*\*dataframe\*\* · required/)
+    assert.match(hover?.contents[1] ?? "", /^\*\*Extract\*\*/)
+    assert.deepEqual(hover?.range, { startLineNumber: 4, startColumn: 5, endLineNumber: 4, endColumn: 14 })
+  })
+
+  it("documents the action type of an `action` value", () => {
+    const hover = getHoverInfo(CONTENT, { lineNumber: 6, column: 16 })
+    assert.equal(hover?.contents.length, 1)
+    assert.match(hover?.contents[0] ?? "", /^\*\*Load\*\*/)
+    assert.equal(getHoverInfo(CONTENT, { lineNumber: 3, column: 14 }), null)
+  })
+})
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import yaml from "js-yaml"
+import { patchActions } from "../lib/yaml-document.js"
+
+const WORKFLOW = `# top
+version: 2   # keep me
+actions:
+  - action: Extract # the source
+    name: "extract"
+    dataframe: df
+    location: s3://in/
+
+  # the sink
+  - action: Load
+    name: load
+    dataframe: df
+    destination: 's3://out/'
+`
+
+const actionsOf = (source) => /** @type {any} */ (yaml.load(source)).actions
+
+describe("patchActions", () => {
+  it("leaves the source untouched when nothing changed", () => {
+    assert.equal(patchActions(WORKFLOW, actionsOf(WORKFLOW)), WORKFLOW)
+  })
+
+  it("patches an edited value in place, keeping comments and quotes", () => {
+    const actions = actionsOf(WORKFLOW)
+    actions[0].location = "s3://other/"
+    assert.equal(patchActions(WORKFLOW, actions), WORKFLOW.replace("s3://in/", "s3://other/"))
+  })
+
+  it("keeps the comments of reordered items with them", () => {
+    const actions = actionsOf(WORKFLOW).reverse()
+    const patched = patchActions(WORKFLOW, actions)
+    assert.deepEqual(actionsOf(patched), actions)
+    assert.match(patched, /# the sink\n {2}- action: Load/)
+    assert.match(patched, /version: 2 {3}# keep me/)
+  })
+
+  it("appends new actions with the existing indentation", () => {
+    const actions = [...actionsOf(WORKFLOW), { action: "Purge", name: "purge", dataframe: "df" }]
+    const patched = patchActions(WORKFLOW, actions)
+    assert.ok(patched.startsWith(WORKFLOW))
+    assert.deepEqual(actionsOf(patched), actions)
+  })
+
+  it("rewrites only the edited keys, keeping the spacing of their siblings byte for byte", () => {
+    const source = `actions:
+  - action: Transform   # the step
+    name: t
+    dataframe: df_a   # df comment
+    transformations:
+      - SELECT 1   # first
+    options:    { mode: fast }
+`
+    const actions = actionsOf(source)
+    actions[0].name = "renamed"
+    actions[0].transformations = ["SELECT 2"]
+    delete actions[0].options
+    actions[0].comment = "new"
+    const patched = patchActions(source, actions)
+    assert.deepEqual(actionsOf(patched), actions)
+    assert.equal(
+      patched,
+      `actions:
+  - action: Transform   # the step
+    name: renamed
+    dataframe: df_a   # df comment
+    transformations:
+      - SELECT 2
+    comment: new
+`,
+    )
+  })
+
+  it("keeps comments, quotes and spacing over repeated edits of a commented item", () => {
+    let source = WORKFLOW
+    for (const destination of ["s3://a/", "s3://b/", "s3://c/"]) {
+      const actions = actionsOf(source)
+      actions[1].destination = destination
+      source = patchActions(source, actions)
+      assert.deepEqual(actionsOf(source), actions)
+    }
+    assert.equal(source, WORKFLOW.replace("'s3://out/'", "'s3://c/'"))
+  })
+
+  it("patches items one at a time when the sequence can't be spliced by line", () => {
+    const source = "version: 2   # keep me\nactions:\n- # the source\n  action: Extract\n  name: 'extract'\n"
+    const actions = /** @type {any[]} */ ([{ action: "Extract", name: "renamed" }, { action: "Load", name: "load" }])
+    const patched = patchActions(source, actions)
+    assert.deepEqual(actionsOf(patched), actions)
+    assert.match(patched, /^version: 2 {3}# keep me\n/)
+    assert.match(patched, /# the source\n- action: Extract\n {2}name: 'renamed'/)
+  })
+})
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { buildSourceMap } from "../lib/yaml-source-map.js"
+
+const WORKFLOW = `# top
+actions:
+  - action: Extract # the source
+    name: "extract"
+    dataframe: df
+    location: s3://in/
+  - action: Load
+    name: load
+    dataframe: df
+    destination: s3://out/
+`
+
+describe("buildSourceMap", () => {
+  it("locates values and keys of block mappings", () => {
+    const map = buildSourceMap(WORKFLOW)
+    assert.deepEqual(map.getRange(["actions", 1, "destination"]), {
+      startLineNumber: 10,
+      startColumn: 18,
+      endLineNumber: 10,
+      endColumn: 27,
+    })
+    assert.deepEqual(map.getKeyRange(["actions", 0, "name"]), {
+      startLineNumber: 4,
+      startColumn: 5,
+      endLineNumber: 4,
+      endColumn: 9,
+    })
+  })
+
+  it("spans a whole sequence item without its trailing comment lines", () => {
+    const range = buildSourceMap(WORKFLOW).getRange(["actions", 0])
+    assert.deepEqual(range, { startLineNumber: 3, startColumn: 5, endLineNumber: 6, endColumn: 23 })
+  })
+
+  it("returns null for paths that are not in the document", () => {
+    assert.equal(buildSourceMap(WORKFLOW).getRange(["actions", 5]), null)
+  })
+
+  it("throws on invalid YAML", () => {
+    assert.throws(() => buildSourceMap("actions: [\n"))
+  })
+})
+
+describe("buildSourceMap with flow and empty items", () => {
+  const content = `actions:
+  - {name: a, action: Load, dataframe: df}
+  -
+  - action: Extract
+    name: e
+    location:
+`
+
+  it("gives flow mapping items and their values their own ranges", () => {
+    const map = buildSourceMap(content)
+    assert.deepEqual(map.getRange(["actions", 0]), {
+      startLineNumber: 2,
+      startColumn: 5,
+      endLineNumber: 2,
+      endColumn: 43,
+    })
+    assert.deepEqual(map.getRange(["actions", 0, "dataframe"]), {
+      startLineNumber: 2,
+      startColumn: 40,
+      endLineNumber: 2,
+      endColumn: 42,
+    })
+  })
+
+  it("doesn't shift the items after an empty one", () => {
+    const map = buildSourceMap(content)
+    assert.equal(map.getRange(["actions", 1])?.startLineNumber, 3)
+    assert.deepEqual(map.getRange(["actions", 2, "name"]), {
+      startLineNumber: 5,
+      startColumn: 11,
+      endLineNumber: 5,
+      endColumn: 12,
+    })
+    assert.deepEqual(map.getKeyRange(["actions", 2, "location"]), {
+      startLineNumber: 6,
+      startColumn: 5,
+      endLineNumber: 6,
+      endColumn: 13,
+    })
+  })
+
+  it("ends block items at their last value, before trailing comments", () => {
+    const map = buildSourceMap("actions:\n  - action: Load # x\n    name: l # y\n# done\n")
+    assert.deepEqual(map.getRange(["actions", 0]), {
+      startLineNumber: 2,
+      startColumn: 5,
+      endLineNumber: 3,
+      endColumn: 12,
+    })
+  })
+})
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { analyzeWorkflowGraph, computeTopologicalOrder, getActionList } from "../lib/yaml-utils.js"
+
+const EXTRACT = { action: "Extract", name: "extract", dataframe: "orders", location: "s3://in/" }
+const LOAD = { action: "Load", name: "load", dataframe: "orders", destination: "s3://out/" }
+
+describe("analyzeWorkflowGraph", () => {
+  it("reports actions that share no dataframe with the others as orphans", () => {
+    const unrelated = { action: "Extract", name: "other", dataframe: "customers", location: "s3://in/" }
+    const graph = analyzeWorkflowGraph(/** @type {any[]} */ ([EXTRACT, LOAD, unrelated]))
+    assert.deepEqual(graph.orphans, [2])
+  })
+
+  it("leaves empty and scalar items out of the graph", () => {
+    const graph = analyzeWorkflowGraph(/** @type {any[]} */ ([EXTRACT, null, LOAD, "oops"]))
+    assert.deepEqual(graph.orphans, [])
+    assert.deepEqual(graph.sources, [0])
+    assert.deepEqual(graph.sinks, [2])
+  })
+
+  it("finds every start and end of a workflow with parallel branches", () => {
+    const customers = { action: "Extract", name: "customers", dataframe: "customers", location: "s3://in/" }
+    const report = { action: "Load", name: "report", dataframe: "customers", destination: "s3://out/" }
+    const graph = analyzeWorkflowGraph(/** @type {any[]} */ ([EXTRACT, customers, LOAD, report]))
+    assert.deepEqual(graph.sources, [0, 1])
+    assert.deepEqual(graph.sinks, [2, 3])
+  })
+
+  it("counts a cycle as one unit, represented by its first action", () => {
+    const first = { ...EXTRACT, name: "first", dependsOn: "second" }
+    const second = { ...EXTRACT, name: "second", dataframe: "customers", dependsOn: "first" }
+    const load = { ...LOAD, dataframe: "customers" }
+    const graph = analyzeWorkflowGraph(/** @type {any[]} */ ([first, second, load]))
+    assert.deepEqual(graph.cycles, [[0, 1]])
+    assert.deepEqual(graph.sources, [0])
+    assert.deepEqual(graph.sinks, [2])
+  })
+})
+
+describe("getActionList", () => {
+  it("returns the actions only when every item is a mapping", () => {
+    assert.deepEqual(getActionList(/** @type {any} */ ({ actions: [EXTRACT, LOAD] })), [EXTRACT, LOAD])
+    assert.equal(getActionList(/** @type {any} */ ({ actions: [EXTRACT, null] })), null)
+    assert.equal(getActionList(null), null)
+  })
+})
+
+describe("computeTopologicalOrder", () => {
+  it("moves producers before their consumers and lists the fewest actions to move", () => {
+    const transform = { action: "Transform", name: "transform", dataframe: "orders", transformations: ["SELECT 1"] }
+    const result = computeTopologicalOrder(/** @type {any[]} */ ([LOAD, transform, EXTRACT]))
+    assert.deepEqual(result.order, [2, 1, 0])
+    assert.deepEqual(result.actions, [EXTRACT, transform, LOAD])
+    assert.deepEqual(
+      result.moves.map(({ name, from, to }) => [name, from, to]),
+      [
+        ["extract", 2, 0],
+        ["transform", 1, 1],
+      ],
+    )
+  })
+
+  it("keeps an order that already works", () => {
+    const result = computeTopologicalOrder(/** @type {any[]} */ ([EXTRACT, LOAD]))
+    assert.deepEqual(result.order, [0, 1])
+    assert.deepEqual(result.moves, [])
+  })
+
+  it("gives no order for a dependency cycle", () => {
+    const first = { ...EXTRACT, name: "first", dependsOn: "second" }
+    const second = { ...EXTRACT, name: "second", dataframe: "customers", dependsOn: "first" }
+    const result = computeTopologicalOrder(/** @type {any[]} */ ([first, second]))
+    assert.equal(result.order, null)
+    assert.deepEqual(result.cycles, [[0, 1]])
+  })
+})